@@ -0,0 +1,94 @@
+const DEFAULT_IDLE_MINUTES = 60;
+
+// Admin routes that must stay reachable without an admin session
+const PUBLIC_ADMIN_PATHS = new Set(['/login', '/logout', '/session']);
+
+function getIdleTimeoutMs() {
+  return (parseInt(process.env.ADMIN_SESSION_IDLE_MINUTES, 10) || DEFAULT_IDLE_MINUTES) * 60 * 1000;
+}
+
+/**
+ * The logged-in admin for this request, or null. Admin sessions expire after
+ * ADMIN_SESSION_IDLE_MINUTES without a request; every authenticated request
+ * pushes the expiry back.
+ */
+function getAdmin(req) {
+  const admin = req.session?.admin;
+  if (!admin) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (now - admin.lastSeenAt > getIdleTimeoutMs()) {
+    delete req.session.admin;
+    return null;
+  }
+
+  admin.lastSeenAt = now;
+  return admin;
+}
+
+function describeAdmin(admin) {
+  return {
+    authenticated: true,
+    user: admin.user,
+    loggedInAt: new Date(admin.loggedInAt),
+    expiresAt: new Date(admin.lastSeenAt + getIdleTimeoutMs())
+  };
+}
+
+// A fresh session id on login prevents fixation; earlier grants carry over
+function startAdminSession(req, user) {
+  const { platformPasswordVerified, access } = req.session;
+
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((error) => {
+      if (error) {
+        return reject(error);
+      }
+
+      const now = Date.now();
+      if (platformPasswordVerified) {
+        req.session.platformPasswordVerified = true;
+      }
+      if (access) {
+        req.session.access = access;
+      }
+      req.session.admin = { user, loggedInAt: now, lastSeenAt: now };
+      resolve(req.session.admin);
+    });
+  });
+}
+
+function endAdminSession(req) {
+  if (req.session) {
+    delete req.session.admin;
+  }
+}
+
+function requireAdmin(req, res, next) {
+  const admin = getAdmin(req);
+  if (!admin) {
+    return res.status(401).json({ error: 'Admin login required', requiresAdminLogin: true });
+  }
+
+  req.admin = admin;
+  next();
+}
+
+// Mounted on /api/admin, so req.path is relative to it
+function adminRouteGuard(req, res, next) {
+  if (PUBLIC_ADMIN_PATHS.has(req.path)) {
+    return next();
+  }
+  requireAdmin(req, res, next);
+}
+
+module.exports = {
+  getAdmin,
+  describeAdmin,
+  startAdminSession,
+  endAdminSession,
+  requireAdmin,
+  adminRouteGuard
+};
@@ -0,0 +1,246 @@
+const os = require('os');
+const { Session, Transcription, SessionAnalysis, AnalysisJob } = require('./database/models');
+const { ANALYSIS_TYPES } = require('./analysisService');
+
+const DEFAULT_WORKERS = 1;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_MS = 60 * 1000;
+const DEFAULT_REFRESH_DELAY_MS = 2 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+const POLL_INTERVAL_MS = 5000;
+
+/**
+ * Background generation of session and table analyses.
+ *
+ * Works like the transcription queue: jobs live in `analysis_jobs`, a worker
+ * claims due jobs, failures are retried with backoff and parked as `dead`
+ * when attempts run out. One worker is the default because every job is a
+ * language model call and providers rate-limit.
+ *
+ * invalidate() is called whenever a transcription is saved. It tells the
+ * dashboard that results are outdated and, with ANALYSIS_AUTO_REFRESH=true,
+ * schedules regeneration of the analyses that already exist for that table
+ * and the session. The delay lets a burst of saves share one refresh.
+ * Progress is broadcast to the session room as `analysis-update`.
+ */
+class AnalysisQueue {
+  constructor(io, analysisService) {
+    this.io = io;
+    this.analysisService = analysisService;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.active = new Set();
+    this.timer = null;
+    this.filling = false;
+  }
+
+  getConfig() {
+    return {
+      workers: parseInt(process.env.ANALYSIS_WORKERS, 10) || DEFAULT_WORKERS,
+      maxAttempts: parseInt(process.env.ANALYSIS_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS,
+      retryBaseMs: parseInt(process.env.ANALYSIS_RETRY_BASE_MS, 10) || DEFAULT_RETRY_BASE_MS,
+      autoRefresh: process.env.ANALYSIS_AUTO_REFRESH === 'true',
+      refreshDelayMs: parseInt(process.env.ANALYSIS_REFRESH_DELAY_MS, 10) || DEFAULT_REFRESH_DELAY_MS
+    };
+  }
+
+  async getStatus() {
+    const config = this.getConfig();
+    return {
+      workers: config.workers,
+      auto_refresh: config.autoRefresh,
+      active: this.active.size,
+      jobs: await AnalysisJob.getStats()
+    };
+  }
+
+  async restore() {
+    const released = await AnalysisJob.releaseRunning();
+    if (released > 0) {
+      console.log(`♻️ Released ${released} analysis job(s) interrupted by the last shutdown`);
+    }
+    this.start();
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.fill(), POLL_INTERVAL_MS);
+    this.fill();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async enqueue(sessionId, analysisType, { tableId = null, delayMs = 0 } = {}) {
+    const existing = await AnalysisJob.findActive(sessionId, analysisType, tableId);
+    if (existing) {
+      return existing;
+    }
+
+    const job = await AnalysisJob.create({
+      sessionId,
+      tableId,
+      analysisType,
+      maxAttempts: this.getConfig().maxAttempts,
+      runAfter: new Date(Date.now() + delayMs)
+    });
+
+    this.notify(job, 'queued');
+    if (delayMs === 0) {
+      setImmediate(() => this.fill());
+    }
+    return job;
+  }
+
+  // Queue the requested types for the session, one table, or both the
+  // session and every table with transcriptions (scope 'all')
+  async enqueueSession(sessionId, { scope = 'session', tableId = null, types = ANALYSIS_TYPES } = {}) {
+    const targets = [];
+    if (scope === 'table') {
+      targets.push(tableId);
+    } else {
+      targets.push(null);
+      if (scope === 'all') {
+        const transcriptions = await Transcription.findBySessionId(sessionId);
+        targets.push(...new Set(transcriptions.map(transcription => transcription.table_id)));
+      }
+    }
+
+    const jobs = [];
+    for (const target of targets) {
+      for (const analysisType of types) {
+        jobs.push(await this.enqueue(sessionId, analysisType, { tableId: target }));
+      }
+    }
+    console.log(`📥 Queued ${jobs.length} analysis job(s) for session ${sessionId}`);
+    return jobs;
+  }
+
+  async invalidate(sessionId, tableId) {
+    this.io.to(sessionId).emit('analysis-update', { sessionId, tableId, status: 'stale', timestamp: new Date() });
+
+    const config = this.getConfig();
+    if (!config.autoRefresh || !this.analysisService.isAvailable()) {
+      return;
+    }
+
+    try {
+      const existing = (await SessionAnalysis.findBySessionId(sessionId))
+        .filter(analysis => ANALYSIS_TYPES.includes(analysis.analysis_type))
+        .filter(analysis => analysis.analysis_scope === 'session' || analysis.table_id === parseInt(tableId, 10));
+      for (const analysis of existing) {
+        await this.enqueue(sessionId, analysis.analysis_type, {
+          tableId: analysis.analysis_scope === 'table' ? analysis.table_id : null,
+          delayMs: config.refreshDelayMs
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Failed to schedule analysis refresh for session ${sessionId}:`, error.message);
+    }
+  }
+
+  async fill() {
+    if (this.filling || !this.timer) {
+      return;
+    }
+    this.filling = true;
+
+    try {
+      while (this.active.size < this.getConfig().workers) {
+        const job = await AnalysisJob.claimNext(this.workerId);
+        if (!job) {
+          break;
+        }
+        this.run(job);
+      }
+    } catch (error) {
+      console.error('❌ Failed to claim analysis jobs:', error.message);
+    } finally {
+      this.filling = false;
+    }
+  }
+
+  run(job) {
+    this.active.add(job.id);
+
+    this.processJob(job)
+      .catch(error => this.handleFailure(job, error))
+      .catch(error => console.error(`❌ Could not record failure of analysis job ${job.id}:`, error))
+      .finally(() => {
+        this.active.delete(job.id);
+        this.fill();
+      });
+  }
+
+  async processJob(job) {
+    const session = await Session.findById(job.session_id);
+    if (!session) {
+      await AnalysisJob.markDead(job.id, 'Session no longer exists');
+      return;
+    }
+    if (!this.analysisService.isAvailable()) {
+      const error = new Error('No language model is configured');
+      error.permanent = true;
+      throw error;
+    }
+
+    this.notify(job, 'running');
+    console.log(`🧠 Analysis job ${job.id}: ${job.analysis_type} for ${job.table_id ? `table ${job.table_id}` : 'session'} ${job.session_id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    const transcriptions = await Transcription.findBySessionId(job.session_id);
+    const { analysisData, metadata } = await this.analysisService.generate({
+      session,
+      tableId: job.table_id,
+      analysisType: job.analysis_type,
+      transcriptions
+    });
+
+    await SessionAnalysis.save({
+      sessionId: job.session_id,
+      tableId: job.table_id,
+      analysisType: job.analysis_type,
+      analysisData,
+      metadata: { ...metadata, job_id: job.id }
+    });
+    await AnalysisJob.markCompleted(job.id);
+    console.log(`✅ Analysis job ${job.id}: ${job.analysis_type} saved`);
+
+    this.notify(job, 'completed');
+  }
+
+  async handleFailure(job, error) {
+    const message = error?.message || String(error);
+    // A rejected API key will not fix itself on retry
+    const exhausted = error?.permanent || error?.type === 'auth' || job.attempts >= job.max_attempts;
+
+    if (exhausted) {
+      console.error(`💀 Analysis job ${job.id} failed permanently after ${job.attempts} attempt(s): ${message}`);
+      await AnalysisJob.markDead(job.id, message);
+      this.notify(job, 'failed', { error: message });
+      return;
+    }
+
+    const delayMs = Math.min(MAX_RETRY_DELAY_MS, this.getConfig().retryBaseMs * 2 ** (job.attempts - 1));
+    console.warn(`🔁 Analysis job ${job.id} attempt ${job.attempts}/${job.max_attempts} failed (${message}); retrying in ${Math.round(delayMs / 1000)}s`);
+
+    await AnalysisJob.scheduleRetry(job.id, message, new Date(Date.now() + delayMs));
+    this.notify(job, 'retrying', { error: message });
+  }
+
+  notify(job, status, details = {}) {
+    this.io.to(job.session_id).emit('analysis-update', {
+      sessionId: job.session_id,
+      tableId: job.table_id,
+      analysisType: job.analysis_type,
+      jobId: job.id,
+      status,
+      ...details,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = AnalysisQueue;
@@ -0,0 +1,178 @@
+const TranscriptRetriever = require('./transcriptRetriever');
+
+// Bump when a prompt or output shape changes; older results then show as outdated
+const PROMPT_VERSION = 2;
+const RESPONSE_TOKENS = 1500;
+const PROMPT_OVERHEAD_TOKENS = 1000;
+
+const ANALYSIS_TYPES = ['summary', 'themes', 'sentiment', 'conflicts', 'agreements'];
+
+const SYSTEM_PROMPT = `You analyze transcripts of World Café conversations, where small groups discuss questions at separate tables over several rounds.
+
+You are given numbered transcript excerpts labelled with table, round, time span and speakers. Base every statement on the excerpts and list the numbers of the excerpts that support it in "sources". Speakers are named when a facilitator identified them and numbered otherwise; do not guess names for numbered speakers.
+
+Reply with a single JSON object and nothing else.`;
+
+const INSTRUCTIONS = {
+  summary: {
+    task: 'Summarize the conversation: what was discussed, how it developed and where it ended up.',
+    shape: '{"summary": "3-6 sentences", "key_points": [{"point": "...", "sources": [1]}]}'
+  },
+  themes: {
+    task: 'Identify the main themes. Order them by how much of the conversation they took up.',
+    shape: '{"themes": [{"name": "short label", "description": "one or two sentences", "sources": [1, 4]}]}'
+  },
+  sentiment: {
+    task: 'Assess the overall tone of the conversation and the moments where it was most positive or most negative.',
+    shape: '{"overall": "positive|neutral|negative|mixed", "score": -1.0 to 1.0, "explanation": "one or two sentences", "highlights": [{"sentiment": "positive|negative", "quote": "short quote", "sources": [2]}]}'
+  },
+  conflicts: {
+    task: 'List disagreements and tensions: topics where participants (or tables) held different positions. Return an empty list if there were none.',
+    shape: '{"conflicts": [{"topic": "...", "positions": ["...", "..."], "sources": [3, 5]}]}'
+  },
+  agreements: {
+    task: 'List points of agreement or consensus that several participants (or tables) shared. Return an empty list if there were none.',
+    shape: '{"agreements": [{"topic": "...", "description": "...", "sources": [1, 6]}]}'
+  }
+};
+
+function timeOf(value) {
+  return value ? new Date(value).getTime() : 0;
+}
+
+/**
+ * Generates the stored session analyses (summary, themes, sentiment,
+ * conflicts, agreements) for a whole session or one table.
+ *
+ * The transcripts go through the chat's chunk index: when a session is larger
+ * than the model's context, excerpts are taken evenly from every table and
+ * round. Each result records the transcriptions it was built from, so it can
+ * be flagged as outdated when they change.
+ */
+class AnalysisService {
+  constructor(llmService) {
+    this.llm = llmService;
+    this.retriever = new TranscriptRetriever(llmService);
+  }
+
+  isAvailable() {
+    return this.llm.isConfigured();
+  }
+
+  isValidType(analysisType) {
+    return ANALYSIS_TYPES.includes(analysisType);
+  }
+
+  // Identifies the transcriptions an analysis covers
+  getSourceState(transcriptions) {
+    return {
+      source_transcription_ids: transcriptions.map(transcription => transcription.id).sort(),
+      source_updated_at: new Date(Math.max(0, ...transcriptions.map(t => timeOf(t.updated_at || t.created_at)))).toISOString()
+    };
+  }
+
+  // Outdated once the prompt changed or a covered transcription was added,
+  // removed or edited
+  isStale(analysis, transcriptions) {
+    const metadata = analysis.metadata || {};
+    const current = this.getSourceState(transcriptions);
+    return metadata.prompt_version !== PROMPT_VERSION
+      || JSON.stringify(metadata.source_transcription_ids || []) !== JSON.stringify(current.source_transcription_ids)
+      || timeOf(metadata.source_updated_at) < timeOf(current.source_updated_at);
+  }
+
+  async generate({ session, tableId = null, analysisType, transcriptions }) {
+    const instruction = INSTRUCTIONS[analysisType];
+    if (!instruction) {
+      throw new Error(`Unknown analysis type: ${analysisType}`);
+    }
+
+    const scoped = tableId ? transcriptions.filter(transcription => transcription.table_id === tableId) : transcriptions;
+    if (scoped.length === 0) {
+      const error = new Error(tableId ? 'This table has no transcriptions yet' : 'This session has no transcriptions yet');
+      error.permanent = true;
+      throw error;
+    }
+
+    const chunks = (await this.retriever.syncSession(session.id, transcriptions))
+      .filter(chunk => !tableId || chunk.table_id === tableId);
+    const availableTokens = this.llm.getContextTokens() - RESPONSE_TOKENS - PROMPT_OVERHEAD_TOKENS;
+    const sources = this.retriever.selectSources({ candidates: chunks }, availableTokens);
+    if (sources.length === 0) {
+      const error = new Error('The language model context is too small for any transcript excerpt');
+      error.permanent = true;
+      throw error;
+    }
+
+    const scopeLabel = tableId
+      ? `a single table (Table ${sources[0].table_number}${sources[0].table_name ? `, ${sources[0].table_name}` : ''})`
+      : `the whole session across ${new Set(sources.map(source => source.table_id)).size} tables`;
+    const partial = sources.length < chunks.length
+      ? `\nThe excerpts are a sample of ${sources.length} out of ${chunks.length} passages, spread evenly across tables and rounds.`
+      : '';
+
+    const completion = await this.llm.chat([
+      { role: 'system', content: SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `Session: "${session.title}". You are analyzing ${scopeLabel}.${partial}\n\nTask: ${instruction.task}\nJSON shape: ${instruction.shape}\n\nTranscript excerpts:\n${this.retriever.formatSources(sources)}`
+      }
+    ], {
+      temperature: 0.2,
+      maxTokens: RESPONSE_TOKENS,
+      json: true
+    });
+
+    return {
+      analysisData: this.attachCitations(this.parseJson(completion.content), sources),
+      metadata: {
+        model: completion.model,
+        provider: this.llm.getProviderName(),
+        prompt_version: PROMPT_VERSION,
+        ...this.getSourceState(scoped),
+        chunks_used: sources.length,
+        chunks_total: chunks.length,
+        usage: completion.usage || null,
+        generated_at: new Date().toISOString()
+      }
+    };
+  }
+
+  // Models like to wrap JSON in a code fence or add a sentence around it
+  parseJson(content) {
+    const text = String(content).replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    try {
+      return JSON.parse(start >= 0 && end > start ? text.slice(start, end + 1) : text);
+    } catch (error) {
+      throw new Error(`The model did not return valid JSON: ${error.message}`);
+    }
+  }
+
+  // Replace "sources": [n] lists with citations the dashboard can link to
+  attachCitations(value, sources) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.attachCitations(item, sources));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (key === 'sources' && Array.isArray(item)) {
+        result.citations = [...new Set(item.map(number => parseInt(number, 10)))]
+          .filter(number => number >= 1 && number <= sources.length)
+          .map(number => this.retriever.toCitation(sources[number - 1], number));
+      } else {
+        result[key] = this.attachCitations(item, sources);
+      }
+    });
+    return result;
+  }
+}
+
+module.exports = AnalysisService;
+module.exports.ANALYSIS_TYPES = ANALYSIS_TYPES;
+module.exports.PROMPT_VERSION = PROMPT_VERSION;
@@ -0,0 +1,209 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { Recording } = require('./database/models');
+
+const SAMPLE_RATE = 16000;
+const PLAYBACK_SAMPLE_RATE = 48000;
+const PLAYBACK_BITRATE = '48k';
+// EBU R128 speech target; quiet table microphones and loud ones end up alike
+const LOUDNESS_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+const DEFAULT_TIMEOUT_MS = 30 * 60 * 1000;
+
+function runProcess(command, args, timeout) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          const notFound = new Error(`${command} was not found`);
+          notFound.code = 'ENOENT';
+          return reject(notFound);
+        }
+        const detail = (stderr || '').toString().trim().split('\n').slice(-3).join(' ');
+        return reject(new Error(`${path.basename(command)} failed: ${detail || error.message}`));
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+function removeFile(filePath) {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+/**
+ * ffmpeg stage between upload and transcription.
+ *
+ * Every recording is probed, its first audio track is extracted (video
+ * uploads included) and written twice with loudness normalization: as a
+ * canonical 16 kHz mono FLAC that the speech-to-text providers receive, and
+ * as a small AAC copy for the browser player. The duration stored on the
+ * recording is the one ffprobe reads from the FLAC. The upload itself is kept
+ * next to them or deleted, depending on AUDIO_KEEP_ORIGINAL.
+ *
+ * Without ffmpeg on the server the stage is skipped and recordings are
+ * transcribed as uploaded.
+ */
+class AudioProcessor {
+  constructor() {
+    this.availability = new Map(); // ffmpeg path -> Promise<boolean>
+  }
+
+  getConfig() {
+    const ffmpeg = process.env.FFMPEG_PATH || 'ffmpeg';
+    // A configured ffmpeg path usually has ffprobe in the same directory
+    const defaultFfprobe = path.dirname(ffmpeg) === '.'
+      ? 'ffprobe'
+      : path.join(path.dirname(ffmpeg), `ffprobe${path.extname(ffmpeg)}`);
+
+    return {
+      ffmpeg,
+      ffprobe: process.env.FFPROBE_PATH || defaultFfprobe,
+      enabled: process.env.AUDIO_NORMALIZE !== 'false',
+      keepOriginal: process.env.AUDIO_KEEP_ORIGINAL !== 'false',
+      timeoutMs: parseInt(process.env.AUDIO_PROCESS_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+    };
+  }
+
+  async isAvailable() {
+    const { ffmpeg, ffprobe, timeoutMs } = this.getConfig();
+    const key = `${ffmpeg}|${ffprobe}`;
+
+    if (!this.availability.has(key)) {
+      this.availability.set(key, Promise.all([
+        runProcess(ffmpeg, ['-hide_banner', '-version'], timeoutMs),
+        runProcess(ffprobe, ['-hide_banner', '-version'], timeoutMs)
+      ])
+        .then(() => true)
+        .catch((error) => {
+          console.warn(`⚠️ Audio normalization disabled: ${error.message}. Recordings are transcribed as uploaded.`);
+          return false;
+        }));
+    }
+    return await this.availability.get(key);
+  }
+
+  async getStatus() {
+    const config = this.getConfig();
+    return {
+      enabled: config.enabled,
+      available: config.enabled ? await this.isAvailable() : false,
+      keep_original: config.keepOriginal
+    };
+  }
+
+  async probe(filePath) {
+    const { ffprobe, timeoutMs } = this.getConfig();
+    const { stdout } = await runProcess(ffprobe, [
+      '-v', 'error',
+      '-show_entries', 'format=duration,format_name:stream=index,codec_type,codec_name,sample_rate,channels',
+      '-of', 'json',
+      filePath
+    ], timeoutMs);
+
+    const output = JSON.parse(stdout.toString() || '{}');
+    const streams = Array.isArray(output.streams) ? output.streams : [];
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+    const duration = parseFloat(output.format?.duration);
+
+    return {
+      format: output.format?.format_name || null,
+      duration: Number.isFinite(duration) ? Number(duration.toFixed(2)) : null,
+      hasVideo: streams.some(stream => stream.codec_type === 'video'),
+      audio: audio
+        ? {
+          codec: audio.codec_name || null,
+          sampleRate: parseInt(audio.sample_rate, 10) || null,
+          channels: audio.channels || null
+        }
+        : null
+    };
+  }
+
+  // A stretch of a recording as a FLAC file of its own, for transcribing
+  // long recordings in parts
+  async cutWindow(inputPath, outputPath, start, length) {
+    const { ffmpeg, timeoutMs } = this.getConfig();
+    await runProcess(ffmpeg, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-ss', start.toFixed(3), '-t', length.toFixed(3), '-i', inputPath,
+      '-map', '0:a:0', '-vn', '-ar', String(SAMPLE_RATE), '-ac', '1', '-c:a', 'flac', outputPath
+    ], timeoutMs);
+  }
+
+  /**
+   * Normalize a recording and point it at the results. Returns the recording
+   * with the updated columns, or unchanged when it was processed before or
+   * the stage is off. A file without an audio track fails with
+   * `permanent = true` so the transcription queue does not retry it.
+   */
+  async processRecording(recording) {
+    const config = this.getConfig();
+    if (!config.enabled || recording.audio_processed_at || !recording.file_path) {
+      return recording;
+    }
+    if (!await this.isAvailable()) {
+      return recording;
+    }
+
+    const sourcePath = recording.file_path;
+    const source = await this.probe(sourcePath);
+    if (!source.audio) {
+      const error = new Error(source.hasVideo ? 'The video has no audio track' : 'The file contains no audio');
+      error.permanent = true;
+      throw error;
+    }
+
+    const parsed = path.parse(sourcePath);
+    const normalizedPath = path.join(parsed.dir, `${parsed.name}-16k.flac`);
+    const playbackPath = path.join(parsed.dir, `${parsed.name}-playback.m4a`);
+
+    console.log(`🎚️ Normalizing ${recording.filename} (${source.format || 'unknown format'}${source.hasVideo ? ', video' : ''})`);
+    try {
+      await runProcess(config.ffmpeg, [
+        '-hide_banner', '-loglevel', 'error', '-y',
+        '-i', sourcePath,
+        '-map', '0:a:0', '-vn', '-af', LOUDNESS_FILTER,
+        '-ar', String(SAMPLE_RATE), '-ac', '1', '-c:a', 'flac', normalizedPath,
+        '-map', '0:a:0', '-vn', '-af', LOUDNESS_FILTER,
+        '-ar', String(PLAYBACK_SAMPLE_RATE), '-ac', '1', '-c:a', 'aac', '-b:a', PLAYBACK_BITRATE,
+        '-movflags', '+faststart', playbackPath
+      ], config.timeoutMs);
+    } catch (error) {
+      removeFile(normalizedPath);
+      removeFile(playbackPath);
+      throw error;
+    }
+
+    const normalized = await this.probe(normalizedPath);
+    const updates = {
+      filename: path.basename(normalizedPath),
+      file_path: normalizedPath,
+      file_size: fs.statSync(normalizedPath).size,
+      mime_type: 'audio/flac',
+      duration_seconds: normalized.duration ?? source.duration ?? recording.duration_seconds,
+      original_path: config.keepOriginal ? sourcePath : null,
+      playback_path: playbackPath,
+      media_info: JSON.stringify({
+        ...source,
+        originalFilename: recording.filename,
+        originalMimeType: recording.mime_type || null,
+        originalSize: recording.file_size || null
+      }),
+      audio_processed_at: new Date(),
+      updated_at: new Date()
+    };
+
+    await Recording.update(recording.id, updates);
+    if (!config.keepOriginal) {
+      removeFile(sourcePath);
+    }
+
+    console.log(`🎚️ ${recording.filename} normalized: ${updates.duration_seconds}s, original ${config.keepOriginal ? 'kept' : 'discarded'}`);
+    return { ...recording, ...updates };
+  }
+}
+
+module.exports = AudioProcessor;
@@ -35,7 +35,7 @@ class DatabaseInitializer {
       const migrationFiles = await fs.readdir(migrationsPath);
       
       for (const file of migrationFiles.sort()) {
-        if (file.endsWith('.sql')) {
+        if (file.endsWith('.sql') || file.endsWith('.js')) {
           const migrationExists = await db.query(
             'SELECT 1 FROM migrations WHERE filename = ?',
             [file]
@@ -43,12 +43,15 @@ class DatabaseInitializer {
           
           if (migrationExists.length === 0) {
             console.log(`Running migration: ${file}`);
-            const migrationSQL = await fs.readFile(
-              path.join(migrationsPath, file),
-              'utf8'
-            );
-            
-            await db.executeSQLFile(migrationSQL);
+            if (file.endsWith('.js')) {
+              await require(path.join(migrationsPath, file)).up(db);
+            } else {
+              const migrationSQL = await fs.readFile(
+                path.join(migrationsPath, file),
+                'utf8'
+              );
+              await db.executeSQLFile(migrationSQL);
+            }
             await db.query(
               'INSERT INTO migrations (filename, executed_at) VALUES (?, NOW())',
               [file]
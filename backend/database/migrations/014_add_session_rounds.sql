@@ -0,0 +1,24 @@
+-- Add round scheduling for multi-round World Café sessions
+CREATE TABLE IF NOT EXISTS session_rounds (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id VARCHAR(36) NOT NULL,
+    round_number INT NOT NULL,
+    question TEXT NULL,
+    duration_minutes INT NOT NULL DEFAULT 20,
+    break_minutes INT NOT NULL DEFAULT 5,
+    status ENUM('pending', 'active', 'paused', 'break', 'completed') DEFAULT 'pending',
+    started_at TIMESTAMP NULL DEFAULT NULL,
+    ends_at TIMESTAMP NULL DEFAULT NULL,
+    remaining_seconds INT NULL DEFAULT NULL,
+    completed_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_session_round (session_id, round_number),
+    CONSTRAINT session_rounds_ibfk_1 FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE
+);
+
+ALTER TABLE sessions ADD COLUMN current_round INT NOT NULL DEFAULT 0 AFTER rotation_enabled;
+
+ALTER TABLE recordings ADD COLUMN round_number INT NULL DEFAULT NULL AFTER table_id;
+
+ALTER TABLE transcriptions ADD COLUMN round_number INT NULL DEFAULT NULL AFTER table_id;
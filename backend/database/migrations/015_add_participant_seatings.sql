@@ -0,0 +1,18 @@
+-- Track every table a participant sits at so their path through the café can be replayed
+CREATE TABLE IF NOT EXISTS participant_seatings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    participant_id VARCHAR(36) NOT NULL,
+    session_id VARCHAR(36) NOT NULL,
+    table_id INT NOT NULL,
+    round_number INT NULL DEFAULT NULL,
+    role ENUM('host', 'traveller') DEFAULT 'traveller',
+    joined_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    left_at TIMESTAMP NULL DEFAULT NULL,
+    KEY idx_seatings_participant (participant_id),
+    KEY idx_seatings_session_table (session_id, table_id),
+    CONSTRAINT participant_seatings_ibfk_1 FOREIGN KEY (participant_id) REFERENCES participants (id) ON DELETE CASCADE,
+    CONSTRAINT participant_seatings_ibfk_2 FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE,
+    CONSTRAINT participant_seatings_ibfk_3 FOREIGN KEY (table_id) REFERENCES tables (id) ON DELETE CASCADE
+);
+
+ALTER TABLE participants ADD COLUMN updated_at TIMESTAMP NULL DEFAULT NULL AFTER left_at;
@@ -0,0 +1,23 @@
+-- Persistent queue for background transcription of uploaded and reprocessed recordings
+CREATE TABLE IF NOT EXISTS transcription_jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    recording_id VARCHAR(36) NOT NULL,
+    session_id VARCHAR(36) NOT NULL,
+    table_id INT NOT NULL,
+    job_type ENUM('upload', 'reprocess') DEFAULT 'upload',
+    source VARCHAR(50) NULL DEFAULT NULL,
+    status ENUM('queued', 'running', 'retrying', 'completed', 'dead') DEFAULT 'queued',
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 3,
+    run_after TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_by VARCHAR(100) NULL DEFAULT NULL,
+    locked_at TIMESTAMP NULL DEFAULT NULL,
+    last_error TEXT NULL,
+    completed_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_jobs_status_run_after (status, run_after),
+    KEY idx_jobs_recording (recording_id),
+    CONSTRAINT transcription_jobs_ibfk_1 FOREIGN KEY (recording_id) REFERENCES recordings (id) ON DELETE CASCADE,
+    CONSTRAINT transcription_jobs_ibfk_2 FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE
+);
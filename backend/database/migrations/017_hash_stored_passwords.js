@@ -0,0 +1,93 @@
+// Replaces the plaintext session/table entry codes with salted scrypt hashes plus a
+// keyed lookup column, hashes plaintext admin/platform passwords in global_settings
+// and drops the plaintext columns. Each step checks the current schema first, so a
+// partially applied run can be repeated.
+const PasswordUtils = require('../../passwordUtils');
+
+async function columnExists(db, table, column) {
+    const rows = await db.query(
+        `SELECT 1 FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length > 0;
+}
+
+async function indexExists(db, table, index) {
+    const rows = await db.query(
+        `SELECT 1 FROM information_schema.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+        [table, index]
+    );
+    return rows.length > 0;
+}
+
+async function hashEntryCodes(db, { table, plainColumn, hashColumn, lookupColumn, oldIndex, newIndex }) {
+    if (!await columnExists(db, table, lookupColumn)) {
+        await db.query(`ALTER TABLE ${table} ADD COLUMN ${lookupColumn} CHAR(64) NULL DEFAULT NULL AFTER ${hashColumn}`);
+    }
+    if (!await indexExists(db, table, newIndex)) {
+        await db.query(`CREATE INDEX ${newIndex} ON ${table} (${lookupColumn})`);
+    }
+
+    if (!await columnExists(db, table, plainColumn)) {
+        return;
+    }
+
+    const rows = await db.query(
+        `SELECT id, ${plainColumn} AS code FROM ${table} WHERE ${plainColumn} IS NOT NULL AND ${plainColumn} <> ''`
+    );
+    for (const row of rows) {
+        await db.query(
+            `UPDATE ${table} SET ${hashColumn} = ?, ${lookupColumn} = ? WHERE id = ?`,
+            [
+                await PasswordUtils.hashPassword(PasswordUtils.normalizeCode(row.code)),
+                PasswordUtils.lookupKey(row.code),
+                row.id
+            ]
+        );
+    }
+    console.log(`🔐 Hashed ${rows.length} ${table}.${plainColumn} value(s)`);
+
+    if (await indexExists(db, table, oldIndex)) {
+        await db.query(`DROP INDEX ${oldIndex} ON ${table}`);
+    }
+    await db.query(`ALTER TABLE ${table} DROP COLUMN ${plainColumn}`);
+}
+
+async function up(db) {
+    await hashEntryCodes(db, {
+        table: 'sessions',
+        plainColumn: 'admin_password',
+        hashColumn: 'admin_password_hash',
+        lookupColumn: 'admin_password_lookup',
+        oldIndex: 'idx_sessions_admin_password',
+        newIndex: 'idx_sessions_admin_password_lookup'
+    });
+
+    await hashEntryCodes(db, {
+        table: 'tables',
+        plainColumn: 'password',
+        hashColumn: 'password_hash',
+        lookupColumn: 'password_lookup',
+        oldIndex: 'idx_tables_password',
+        newIndex: 'idx_tables_password_lookup'
+    });
+
+    const settings = await db.query(
+        `SELECT setting_key, setting_value FROM global_settings
+         WHERE setting_key IN ('admin_password', 'platform_password')`
+    );
+    for (const setting of settings) {
+        if (!setting.setting_value || PasswordUtils.isHash(setting.setting_value)) {
+            continue;
+        }
+        await db.query(
+            'UPDATE global_settings SET setting_value = ?, updated_at = NOW() WHERE setting_key = ?',
+            [await PasswordUtils.hashPassword(setting.setting_value), setting.setting_key]
+        );
+        console.log(`🔐 Hashed global setting ${setting.setting_key}`);
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,2 @@
+-- Session chat caches a condensed transcript summary next to the other analyses
+ALTER TABLE session_analyses MODIFY COLUMN analysis_type ENUM('summary', 'themes', 'sentiment', 'conflicts', 'agreements', 'chat_summary') NOT NULL;
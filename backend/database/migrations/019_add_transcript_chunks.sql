@@ -0,0 +1,25 @@
+-- Retrieval index for session chat: each transcription split into short
+-- speaker-turn chunks, with an optional embedding vector per chunk
+CREATE TABLE IF NOT EXISTS transcript_chunks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    transcription_id VARCHAR(36) NOT NULL,
+    session_id VARCHAR(36) NOT NULL,
+    table_id INT NOT NULL,
+    recording_id VARCHAR(36) NULL DEFAULT NULL,
+    round_number INT NULL DEFAULT NULL,
+    chunk_index INT NOT NULL,
+    start_time DECIMAL(10,3) NULL DEFAULT NULL,
+    end_time DECIMAL(10,3) NULL DEFAULT NULL,
+    speakers JSON NULL,
+    content TEXT NOT NULL,
+    word_count INT NOT NULL DEFAULT 0,
+    embedding LONGTEXT NULL,
+    embedding_model VARCHAR(100) NULL DEFAULT NULL,
+    source_updated_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_transcription_chunk (transcription_id, chunk_index),
+    KEY idx_chunks_session (session_id),
+    KEY idx_chunks_session_table (session_id, table_id, round_number),
+    CONSTRAINT transcript_chunks_ibfk_1 FOREIGN KEY (transcription_id) REFERENCES transcriptions (id) ON DELETE CASCADE,
+    CONSTRAINT transcript_chunks_ibfk_2 FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE
+);
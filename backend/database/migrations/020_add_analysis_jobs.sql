@@ -0,0 +1,22 @@
+-- Background generation of session and table analyses
+CREATE TABLE IF NOT EXISTS analysis_jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id VARCHAR(36) NOT NULL,
+    table_id INT NULL DEFAULT NULL,
+    analysis_scope ENUM('session', 'table') DEFAULT 'session',
+    analysis_type ENUM('summary', 'themes', 'sentiment', 'conflicts', 'agreements') NOT NULL,
+    status ENUM('queued', 'running', 'retrying', 'completed', 'dead') DEFAULT 'queued',
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 3,
+    run_after TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_by VARCHAR(100) NULL DEFAULT NULL,
+    locked_at TIMESTAMP NULL DEFAULT NULL,
+    last_error TEXT NULL,
+    completed_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_analysis_jobs_status_run_after (status, run_after),
+    KEY idx_analysis_jobs_session (session_id, analysis_scope, table_id),
+    CONSTRAINT analysis_jobs_ibfk_1 FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE,
+    CONSTRAINT analysis_jobs_ibfk_2 FOREIGN KEY (table_id) REFERENCES tables (id) ON DELETE CASCADE
+);
@@ -0,0 +1,2 @@
+-- Full-text index behind /api/search (MATCH ... AGAINST on transcript text)
+ALTER TABLE transcriptions ADD FULLTEXT INDEX ft_transcriptions_text (transcript_text);
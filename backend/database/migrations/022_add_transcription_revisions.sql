@@ -0,0 +1,22 @@
+-- Version history of manually corrected transcripts. The transcriptions row
+-- keeps the current text, every saved version (starting with the original
+-- machine output) is stored here
+CREATE TABLE IF NOT EXISTS transcription_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    transcription_id VARCHAR(36) NOT NULL,
+    revision_number INT NOT NULL,
+    action ENUM('original', 'edit', 'revert', 'reprocess') NOT NULL DEFAULT 'edit',
+    reverted_from INT NULL DEFAULT NULL,
+    transcript_text LONGTEXT NULL,
+    speaker_segments LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NULL CHECK (json_valid(speaker_segments)),
+    word_count INT NOT NULL DEFAULT 0,
+    author VARCHAR(255) NULL DEFAULT NULL,
+    author_role VARCHAR(20) NULL DEFAULT NULL,
+    note VARCHAR(500) NULL DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_transcription_revision (transcription_id, revision_number),
+    CONSTRAINT transcription_revisions_ibfk_1 FOREIGN KEY (transcription_id) REFERENCES transcriptions (id) ON DELETE CASCADE
+);
+
+ALTER TABLE transcriptions ADD COLUMN revision INT NOT NULL DEFAULT 0;
+ALTER TABLE transcriptions ADD COLUMN edited_at TIMESTAMP NULL DEFAULT NULL;
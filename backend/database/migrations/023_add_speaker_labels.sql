@@ -0,0 +1,19 @@
+-- Names given to diarized speakers, per recording. speaker_index is the
+-- 0-based speaker number in the recording's speaker segments
+CREATE TABLE IF NOT EXISTS speaker_labels (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    recording_id VARCHAR(36) NOT NULL,
+    session_id VARCHAR(36) NOT NULL,
+    table_id INT NOT NULL,
+    speaker_index INT NOT NULL,
+    label VARCHAR(255) NOT NULL,
+    participant_id VARCHAR(36) NULL DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_recording_speaker (recording_id, speaker_index),
+    KEY idx_speaker_labels_session (session_id),
+    KEY idx_speaker_labels_table (table_id),
+    CONSTRAINT speaker_labels_ibfk_1 FOREIGN KEY (recording_id) REFERENCES recordings (id) ON DELETE CASCADE,
+    CONSTRAINT speaker_labels_ibfk_2 FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE,
+    CONSTRAINT speaker_labels_ibfk_3 FOREIGN KEY (participant_id) REFERENCES participants (id) ON DELETE SET NULL
+);
@@ -0,0 +1,14 @@
+-- Per-session glossary for speech-to-text. term is boosted at providers
+-- that support it, replacements holds misheard forms (JSON array of strings)
+-- that are rewritten to term after transcription
+CREATE TABLE IF NOT EXISTS session_vocabulary (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id VARCHAR(36) NOT NULL,
+    term VARCHAR(100) NOT NULL,
+    boost DECIMAL(4,1) NULL DEFAULT NULL,
+    replacements JSON NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_session_vocabulary_session (session_id),
+    CONSTRAINT session_vocabulary_ibfk_1 FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE
+);
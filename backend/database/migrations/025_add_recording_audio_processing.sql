@@ -0,0 +1,9 @@
+-- Server-side audio normalization. After processing, file_path points at the
+-- canonical 16 kHz mono FLAC used for transcription, playback_path at the
+-- compressed copy played in the browser and original_path at the upload as
+-- received (NULL when the original is not retained). media_info keeps what
+-- ffprobe reported about the upload
+ALTER TABLE recordings ADD COLUMN original_path VARCHAR(500) NULL DEFAULT NULL;
+ALTER TABLE recordings ADD COLUMN playback_path VARCHAR(500) NULL DEFAULT NULL;
+ALTER TABLE recordings ADD COLUMN media_info JSON NULL;
+ALTER TABLE recordings ADD COLUMN audio_processed_at TIMESTAMP NULL DEFAULT NULL;
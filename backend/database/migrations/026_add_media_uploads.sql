@@ -0,0 +1,25 @@
+-- Resumable uploads. Chunks are written to temp_path at received_bytes until
+-- total_size is reached, then the assembled file becomes a recording. options
+-- holds the upload form fields (source, skipTranscription, duration and
+-- transcriptionId) sent when the upload was started
+CREATE TABLE IF NOT EXISTS media_uploads (
+    id VARCHAR(36) PRIMARY KEY,
+    session_id VARCHAR(36) NOT NULL,
+    table_id INT NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NULL DEFAULT NULL,
+    total_size BIGINT NOT NULL,
+    received_bytes BIGINT NOT NULL DEFAULT 0,
+    chunk_size INT NOT NULL,
+    temp_path VARCHAR(500) NOT NULL,
+    options JSON NULL,
+    status ENUM('uploading', 'completed', 'aborted') NOT NULL DEFAULT 'uploading',
+    recording_id VARCHAR(36) NULL DEFAULT NULL,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_media_uploads_table (table_id),
+    KEY idx_media_uploads_expiry (status, expires_at),
+    CONSTRAINT media_uploads_ibfk_1 FOREIGN KEY (session_id) REFERENCES sessions (id) ON DELETE CASCADE,
+    CONSTRAINT media_uploads_ibfk_2 FOREIGN KEY (table_id) REFERENCES tables (id) ON DELETE CASCADE
+);
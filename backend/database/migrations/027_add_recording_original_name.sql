@@ -0,0 +1,3 @@
+-- Name of the file as the client uploaded it. Stored files are renamed to
+-- unique names on arrival, so this is the only record of what it was called
+ALTER TABLE recordings ADD COLUMN original_name VARCHAR(255) NULL DEFAULT NULL;
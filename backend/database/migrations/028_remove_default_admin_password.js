@@ -0,0 +1,26 @@
+// Earlier schemas seeded the admin password as "changeme123!". Remove it while it
+// is still that default, so the admin panel stays closed until ADMIN_PASSWORD is
+// set or a real password has been stored. A changed password is left alone.
+const PasswordUtils = require('../../passwordUtils');
+
+const SEEDED_PASSWORD = 'changeme123!';
+
+async function up(db) {
+    const rows = await db.query(
+        "SELECT setting_value FROM global_settings WHERE setting_key = 'admin_password'"
+    );
+    const stored = rows[0]?.setting_value;
+    if (!stored) {
+        return;
+    }
+
+    const isDefault = PasswordUtils.isHash(stored)
+        ? await PasswordUtils.verifyPassword(SEEDED_PASSWORD, stored)
+        : PasswordUtils.safeEqual(SEEDED_PASSWORD, stored);
+    if (isDefault) {
+        await db.query("DELETE FROM global_settings WHERE setting_key = 'admin_password'");
+        console.log('🔐 Removed the default admin password; set ADMIN_PASSWORD to log in');
+    }
+}
+
+module.exports = { up };
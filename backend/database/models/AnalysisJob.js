@@ -0,0 +1,136 @@
+const BaseModel = require('./BaseModel');
+
+// Same life cycle as transcription jobs: queued -> running -> completed,
+// or retrying/dead after failures
+class AnalysisJob extends BaseModel {
+  constructor() {
+    super('analysis_jobs');
+  }
+
+  async create(data) {
+    const jobData = {
+      session_id: data.sessionId,
+      table_id: data.tableId || null,
+      analysis_scope: data.tableId ? 'table' : 'session',
+      analysis_type: data.analysisType,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: data.maxAttempts || 3,
+      run_after: data.runAfter || new Date(),
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    return await super.create(jobData);
+  }
+
+  async findActive(sessionId, analysisType, tableId = null) {
+    const tableClause = tableId ? 'table_id = ?' : 'table_id IS NULL';
+    const params = tableId ? [sessionId, analysisType, tableId] : [sessionId, analysisType];
+    const sql = `
+      SELECT * FROM ${this.tableName}
+      WHERE session_id = ? AND analysis_type = ? AND ${tableClause}
+        AND status IN ('queued', 'running', 'retrying')
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    return await this.db.queryOne(sql, params);
+  }
+
+  // Active jobs plus the latest failure per analysis, for the dashboard
+  async findCurrentBySession(sessionId) {
+    const sql = `
+      SELECT j.* FROM ${this.tableName} j
+      WHERE j.session_id = ?
+        AND (j.status IN ('queued', 'running', 'retrying')
+          OR (j.status = 'dead' AND j.id = (
+            SELECT MAX(latest.id) FROM ${this.tableName} latest
+            WHERE latest.session_id = j.session_id
+              AND latest.analysis_type = j.analysis_type
+              AND latest.table_id <=> j.table_id)))
+      ORDER BY j.created_at
+    `;
+    return await this.db.query(sql, [sessionId]);
+  }
+
+  async claimNext(workerId) {
+    return await this.db.transaction(async (query) => {
+      const [job] = await query(`
+        SELECT id FROM ${this.tableName}
+        WHERE status IN ('queued', 'retrying') AND run_after <= NOW()
+        ORDER BY run_after ASC, id ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      `);
+
+      if (!job) {
+        return null;
+      }
+
+      await query(`
+        UPDATE ${this.tableName}
+        SET status = 'running', attempts = attempts + 1, locked_by = ?, locked_at = NOW(), updated_at = NOW()
+        WHERE id = ?
+      `, [workerId, job.id]);
+
+      const [claimed] = await query(`SELECT * FROM ${this.tableName} WHERE id = ?`, [job.id]);
+      return claimed;
+    });
+  }
+
+  async markCompleted(jobId) {
+    return await this.update(jobId, {
+      status: 'completed',
+      locked_by: null,
+      locked_at: null,
+      last_error: null,
+      completed_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  async scheduleRetry(jobId, errorMessage, runAfter) {
+    return await this.update(jobId, {
+      status: 'retrying',
+      locked_by: null,
+      locked_at: null,
+      last_error: errorMessage,
+      run_after: runAfter,
+      updated_at: new Date()
+    });
+  }
+
+  async markDead(jobId, errorMessage) {
+    return await this.update(jobId, {
+      status: 'dead',
+      locked_by: null,
+      locked_at: null,
+      last_error: errorMessage,
+      updated_at: new Date()
+    });
+  }
+
+  async releaseRunning() {
+    const result = await this.db.query(`
+      UPDATE ${this.tableName}
+      SET status = 'queued', locked_by = NULL, locked_at = NULL, run_after = NOW(), updated_at = NOW()
+      WHERE status = 'running'
+    `);
+    return result.affectedRows || 0;
+  }
+
+  async getStats() {
+    const rows = await this.db.query(`
+      SELECT status, COUNT(*) as count
+      FROM ${this.tableName}
+      GROUP BY status
+    `);
+
+    return rows.reduce((stats, row) => {
+      stats[row.status] = row.count;
+      return stats;
+    }, { queued: 0, running: 0, retrying: 0, completed: 0, dead: 0 });
+  }
+}
+
+module.exports = new AnalysisJob();
@@ -0,0 +1,88 @@
+const BaseModel = require('./BaseModel');
+const { v4: uuidv4 } = require('uuid');
+
+function parseOptions(value) {
+  if (!value) {
+    return {};
+  }
+  try {
+    const options = typeof value === 'string' ? JSON.parse(value) : value;
+    return options && typeof options === 'object' ? options : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Resumable uploads that have not been turned into a recording yet.
+ * `received_bytes` is the offset the next chunk has to start at.
+ */
+class MediaUpload extends BaseModel {
+  constructor() {
+    super('media_uploads');
+  }
+
+  hydrate(row) {
+    return row ? { ...row, options: parseOptions(row.options) } : row;
+  }
+
+  async findById(id) {
+    return this.hydrate(await super.findById(id));
+  }
+
+  async create(data) {
+    const now = new Date();
+    return await super.create({
+      id: uuidv4(),
+      session_id: data.sessionId,
+      table_id: data.tableId,
+      original_name: data.originalName,
+      mime_type: data.mimeType || null,
+      total_size: data.totalSize,
+      received_bytes: 0,
+      chunk_size: data.chunkSize,
+      temp_path: data.tempPath,
+      options: JSON.stringify(data.options || {}),
+      status: 'uploading',
+      expires_at: data.expiresAt,
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  // Moves the offset only when nobody else did in between; false means the
+  // chunk lost a race with another request for the same upload
+  async advance(id, fromOffset, toOffset, expiresAt) {
+    const result = await this.db.query(
+      `UPDATE ${this.tableName}
+       SET received_bytes = ?, expires_at = ?, updated_at = ?
+       WHERE id = ? AND status = 'uploading' AND received_bytes = ?`,
+      [toOffset, expiresAt, new Date(), id, fromOffset]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async markCompleted(id, recordingId) {
+    return await this.update(id, { status: 'completed', recording_id: recordingId, updated_at: new Date() });
+  }
+
+  async markAborted(id) {
+    return await this.update(id, { status: 'aborted', updated_at: new Date() });
+  }
+
+  async findExpired(now = new Date()) {
+    const sql = `SELECT * FROM ${this.tableName} WHERE status = 'uploading' AND expires_at < ?`;
+    return (await this.db.query(sql, [now])).map(row => this.hydrate(row));
+  }
+
+  // Finished and abandoned rows are only kept for a day for troubleshooting
+  async purgeClosed(before) {
+    const result = await this.db.query(
+      `DELETE FROM ${this.tableName} WHERE status IN ('completed', 'aborted') AND updated_at < ?`,
+      [before]
+    );
+    return result.affectedRows;
+  }
+}
+
+module.exports = new MediaUpload();
@@ -21,33 +21,63 @@ class Participant extends BaseModel {
     return await super.create(participantData);
   }
 
-  async joinTable(sessionId, tableId, participantName, email = null, phone = null) {
+  async joinTable(sessionId, tableId, participantName, email = null, phone = null, roundNumber = null) {
     // Check if table is full
     const currentCount = await this.getTableParticipantCount(tableId);
-    const table = await this.db.queryOne('SELECT max_size FROM tables WHERE id = ?', [tableId]);
+    const table = await this.db.queryOne('SELECT max_size FROM tables WHERE id = ? AND session_id = ?', [tableId, sessionId]);
+    if (!table) {
+      throw new Error('Table not found');
+    }
     
     if (currentCount >= table.max_size) {
       throw new Error('Table is full');
     }
 
-    // Create participant
+    // Everyone joins as a traveller; hosting a table takes a credential (see enterTable)
     const participant = await this.create({
       name: participantName,
       email,
       phone,
       sessionId,
       tableId,
-      isFacilitator: currentCount === 0 // First person becomes facilitator
+      isFacilitator: false
     });
 
-    // Update table facilitator if this is the first participant
-    if (currentCount === 0) {
-      await this.db.query(
-        'UPDATE tables SET facilitator_id = ?, updated_at = ? WHERE id = ?', 
-        [participant.id, new Date(), tableId]
-      );
+    await this.openSeating(participant, roundNumber);
+
+    return participant;
+  }
+
+  /**
+   * Entry point for the join flow. `participantId` must be one the server
+   * itself remembered for this client, never one taken from a request, or
+   * anyone could step into someone else's seat. Without it a new participant
+   * is created at the table.
+   *
+   * The table host role follows a credential, not the order of arrival: a
+   * client that unlocked the table with its password (`canHost`) hosts a
+   * table that has no host yet. Session hosts can also assign the role with
+   * makeFacilitator().
+   */
+  async enterTable(sessionId, tableId, { participantId = null, name = null, roundNumber = null, canHost = false } = {}) {
+    const existing = participantId ? await this.findById(participantId) : null;
+
+    let participant;
+    if (!existing || existing.session_id !== sessionId) {
+      participant = await this.joinTable(sessionId, tableId, name || 'Anonymous', null, null, roundNumber);
+    } else if (String(existing.table_id) === String(tableId) && !existing.left_at) {
+      const seating = await this.getOpenSeating(existing.id);
+      if (!seating) {
+        await this.openSeating(existing, roundNumber);
+      }
+      participant = existing;
+    } else {
+      participant = await this.moveToTable(existing.id, tableId, roundNumber);
     }
 
+    if (canHost && !participant.is_facilitator && !await this.getFacilitator(tableId)) {
+      participant = await this.makeFacilitator(participant.id);
+    }
     return participant;
   }
 
@@ -57,35 +87,36 @@ class Participant extends BaseModel {
       throw new Error('Participant not found');
     }
 
+    if (participant.left_at) {
+      return true;
+    }
+
     // Mark as left
-    await this.update(participantId, { left_at: new Date() });
+    await this.update(participantId, {
+      left_at: new Date(),
+      is_facilitator: false,
+      updated_at: new Date()
+    });
+    await this.closeSeating(participantId);
 
-    // If this was the facilitator, reassign to another participant
     if (participant.is_facilitator) {
-      const newFacilitator = await this.db.queryOne(`
-        SELECT * FROM ${this.tableName} 
-        WHERE table_id = ? AND left_at IS NULL AND id != ? 
-        ORDER BY joined_at ASC LIMIT 1
-      `, [participant.table_id, participantId]);
-
-      if (newFacilitator) {
-        await this.update(newFacilitator.id, { is_facilitator: true });
-        await this.db.query(
-          'UPDATE tables SET facilitator_id = ?, updated_at = ? WHERE id = ?',
-          [newFacilitator.id, new Date(), participant.table_id]
-        );
-      } else {
-        // No one left, clear facilitator
-        await this.db.query(
-          'UPDATE tables SET facilitator_id = NULL, status = "waiting", updated_at = ? WHERE id = ?',
-          [new Date(), participant.table_id]
-        );
-      }
+      await this.releaseHost(participant.table_id);
     }
 
     return true;
   }
 
+  // A table whose host left has none until someone with a credential takes
+  // over; handing the role to the next person in line would give them the
+  // facilitator capabilities without one
+  async releaseHost(tableId) {
+    const remaining = await this.getTableParticipantCount(tableId);
+    await this.db.query(
+      `UPDATE tables SET facilitator_id = NULL${remaining === 0 ? ', status = "waiting"' : ''}, updated_at = ? WHERE id = ?`,
+      [new Date(), tableId]
+    );
+  }
+
   async findBySessionId(sessionId) {
     const sql = `
       SELECT p.*, t.table_number, t.name as table_name 
@@ -139,8 +170,15 @@ class Participant extends BaseModel {
       WHERE table_id = ? AND left_at IS NULL
     `, [participant.table_id]);
 
+    await this.db.query(`
+      UPDATE participant_seatings
+      SET role = 'traveller'
+      WHERE table_id = ? AND left_at IS NULL
+    `, [participant.table_id]);
+
     // Make this participant the facilitator
     await this.update(participantId, { is_facilitator: true });
+    await this.setSeatingRole(participantId, 'host');
 
     // Update table facilitator
     await this.db.query(
@@ -159,10 +197,17 @@ class Participant extends BaseModel {
     return await this.db.queryOne(sql, [tableId]);
   }
 
+  // Contact details stay out: anyone in the session may look up a participant
   async getParticipantHistory(participantId) {
     const sql = `
       SELECT 
-        p.*,
+        p.id,
+        p.session_id,
+        p.table_id,
+        p.name,
+        p.is_facilitator,
+        p.joined_at,
+        p.left_at,
         t.table_number,
         t.name as table_name,
         s.title as session_title,
@@ -175,10 +220,14 @@ class Participant extends BaseModel {
       WHERE p.id = ?
       GROUP BY p.id
     `;
-    return await this.db.queryOne(sql, [participantId]);
+    const history = await this.db.queryOne(sql, [participantId]);
+    if (history) {
+      history.path = await this.getPath(participantId);
+    }
+    return history;
   }
 
-  async moveToTable(participantId, newTableId) {
+  async moveToTable(participantId, newTableId, roundNumber = null) {
     const participant = await this.findById(participantId);
     if (!participant) {
       throw new Error('Participant not found');
@@ -186,53 +235,224 @@ class Participant extends BaseModel {
 
     // Check if new table has space
     const currentCount = await this.getTableParticipantCount(newTableId);
-    const table = await this.db.queryOne('SELECT max_size FROM tables WHERE id = ?', [newTableId]);
+    const table = await this.db.queryOne('SELECT max_size FROM tables WHERE id = ? AND session_id = ?', [newTableId, participant.session_id]);
+    if (!table) {
+      throw new Error('Target table not found');
+    }
     
     if (currentCount >= table.max_size) {
       throw new Error('Target table is full');
     }
 
     const oldTableId = participant.table_id;
-    const wasFacilitator = participant.is_facilitator;
+    const sameTable = String(oldTableId) === String(newTableId);
+    const wasFacilitator = Boolean(participant.is_facilitator) && !participant.left_at;
 
-    // Update participant's table
-    await this.update(participantId, { 
+    // Update participant's table. The host role belongs to a table, so it
+    // survives coming back to the same table and is dropped on moving away.
+    await this.closeSeating(participantId);
+    const moved = await this.update(participantId, { 
       table_id: newTableId,
-      is_facilitator: currentCount === 0, // Become facilitator if table was empty
+      is_facilitator: Boolean(participant.is_facilitator) && sameTable,
+      left_at: null,
       updated_at: new Date()
     });
+    await this.openSeating(moved, roundNumber);
 
-    // Handle facilitator reassignment on old table
-    if (wasFacilitator) {
-      const newFacilitator = await this.db.queryOne(`
-        SELECT * FROM ${this.tableName} 
-        WHERE table_id = ? AND left_at IS NULL 
-        ORDER BY joined_at ASC LIMIT 1
-      `, [oldTableId]);
-
-      if (newFacilitator) {
-        await this.update(newFacilitator.id, { is_facilitator: true });
-        await this.db.query(
-          'UPDATE tables SET facilitator_id = ?, updated_at = ? WHERE id = ?',
-          [newFacilitator.id, new Date(), oldTableId]
-        );
-      } else {
-        await this.db.query(
-          'UPDATE tables SET facilitator_id = NULL, status = "waiting", updated_at = ? WHERE id = ?',
-          [new Date(), oldTableId]
-        );
-      }
+    if (wasFacilitator && !sameTable) {
+      await this.releaseHost(oldTableId);
     }
 
-    // Update new table facilitator if participant became facilitator
-    if (currentCount === 0) {
-      await this.db.query(
-        'UPDATE tables SET facilitator_id = ?, updated_at = ? WHERE id = ?',
-        [participantId, new Date(), newTableId]
-      );
+    return await this.findById(participantId);
+  }
+
+  // Seatings record every stay at a table, one row per table per round, so a
+  // participant's path through the café can be reconstructed afterwards.
+  async openSeating(participant, roundNumber = null) {
+    await this.db.query(`
+      INSERT INTO participant_seatings (participant_id, session_id, table_id, round_number, role, joined_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      participant.id,
+      participant.session_id,
+      participant.table_id,
+      roundNumber,
+      participant.is_facilitator ? 'host' : 'traveller',
+      new Date()
+    ]);
+  }
+
+  async closeSeating(participantId) {
+    await this.db.query(`
+      UPDATE participant_seatings
+      SET left_at = ?
+      WHERE participant_id = ? AND left_at IS NULL
+    `, [new Date(), participantId]);
+  }
+
+  async getOpenSeating(participantId) {
+    return await this.db.queryOne(`
+      SELECT * FROM participant_seatings
+      WHERE participant_id = ? AND left_at IS NULL
+      ORDER BY joined_at DESC LIMIT 1
+    `, [participantId]);
+  }
+
+  async setSeatingRole(participantId, role) {
+    await this.db.query(`
+      UPDATE participant_seatings
+      SET role = ?
+      WHERE participant_id = ? AND left_at IS NULL
+    `, [role, participantId]);
+  }
+
+  // Close everyone's seating from the previous round and reopen it under the
+  // new round, so people who stay put still show up at their table per round.
+  async startRoundSeatings(sessionId, roundNumber) {
+    const now = new Date();
+
+    await this.db.transaction(async (query) => {
+      const openSeatings = await query(`
+        SELECT * FROM participant_seatings
+        WHERE session_id = ? AND left_at IS NULL
+          AND (round_number IS NULL OR round_number < ?)
+      `, [sessionId, roundNumber]);
+
+      for (const seating of openSeatings) {
+        await query('UPDATE participant_seatings SET left_at = ? WHERE id = ?', [now, seating.id]);
+        await query(`
+          INSERT INTO participant_seatings (participant_id, session_id, table_id, round_number, role, joined_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [seating.participant_id, sessionId, seating.table_id, roundNumber, seating.role, now]);
+      }
+    });
+  }
+
+  async getPath(participantId) {
+    const sql = `
+      SELECT
+        ps.table_id,
+        t.table_number,
+        t.name as table_name,
+        ps.round_number,
+        ps.role,
+        ps.joined_at,
+        ps.left_at
+      FROM participant_seatings ps
+      JOIN tables t ON ps.table_id = t.id
+      WHERE ps.participant_id = ?
+      ORDER BY ps.joined_at ASC, ps.id ASC
+    `;
+    return await this.db.query(sql, [participantId]);
+  }
+
+  async getSessionPaths(sessionId) {
+    const sql = `
+      SELECT
+        p.id as participant_id,
+        p.name,
+        p.email,
+        ps.table_id,
+        t.table_number,
+        t.name as table_name,
+        ps.round_number,
+        ps.role,
+        ps.joined_at,
+        ps.left_at
+      FROM participant_seatings ps
+      JOIN participants p ON ps.participant_id = p.id
+      JOIN tables t ON ps.table_id = t.id
+      WHERE ps.session_id = ?
+      ORDER BY p.joined_at ASC, p.id, ps.joined_at ASC, ps.id ASC
+    `;
+    const rows = await this.db.query(sql, [sessionId]);
+
+    const paths = new Map();
+    rows.forEach(row => {
+      if (!paths.has(row.participant_id)) {
+        paths.set(row.participant_id, {
+          participantId: row.participant_id,
+          name: row.name,
+          email: row.email,
+          path: []
+        });
+      }
+      paths.get(row.participant_id).path.push({
+        tableId: row.table_id,
+        tableNumber: row.table_number,
+        tableName: row.table_name,
+        roundNumber: row.round_number,
+        role: row.role,
+        joinedAt: row.joined_at,
+        leftAt: row.left_at
+      });
+    });
+
+    return Array.from(paths.values());
+  }
+
+  // Who sat at which table, grouped by round (seatings outside any round use null)
+  async getSeatingByRound(sessionId, roundNumber = null) {
+    let sql = `
+      SELECT
+        ps.round_number,
+        t.table_number,
+        t.name as table_name,
+        p.id as participant_id,
+        p.name,
+        ps.role,
+        ps.joined_at,
+        ps.left_at
+      FROM participant_seatings ps
+      JOIN participants p ON ps.participant_id = p.id
+      JOIN tables t ON ps.table_id = t.id
+      WHERE ps.session_id = ?
+    `;
+    const params = [sessionId];
+
+    if (roundNumber) {
+      sql += ` AND ps.round_number = ?`;
+      params.push(roundNumber);
     }
 
-    return await this.findById(participantId);
+    sql += ` ORDER BY ps.round_number, t.table_number, ps.joined_at`;
+    return await this.db.query(sql, params);
+  }
+
+  // "Table host stays, travellers move": hosts keep their table while the
+  // travellers at each table fan out to different tables for the next round.
+  async getRotationPlan(sessionId) {
+    const tables = await this.db.query(
+      'SELECT id, table_number, name FROM tables WHERE session_id = ? ORDER BY table_number',
+      [sessionId]
+    );
+    const participants = await this.findBySessionId(sessionId);
+    const tableIndex = new Map(tables.map((table, index) => [table.id, index]));
+    const travellerCounts = new Map();
+
+    return participants.map(participant => {
+      const fromIndex = tableIndex.get(participant.table_id);
+      const isHost = Boolean(participant.is_facilitator);
+      let toIndex = fromIndex;
+
+      if (!isHost && tables.length > 1) {
+        const travellerIndex = travellerCounts.get(participant.table_id) || 0;
+        travellerCounts.set(participant.table_id, travellerIndex + 1);
+
+        const step = (travellerIndex % (tables.length - 1)) + 1;
+        toIndex = (fromIndex + step) % tables.length;
+      }
+
+      return {
+        participantId: participant.id,
+        name: participant.name,
+        role: isHost ? 'host' : 'traveller',
+        fromTableId: participant.table_id,
+        fromTableNumber: participant.table_number,
+        toTableId: tables[toIndex].id,
+        toTableNumber: tables[toIndex].table_number
+      };
+    });
   }
 }
 
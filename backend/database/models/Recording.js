@@ -11,8 +11,10 @@ class Recording extends BaseModel {
       id: uuidv4(),
       session_id: data.sessionId,
       table_id: data.tableId,
+      round_number: data.roundNumber || null,
       participant_id: data.participantId || null,
       filename: data.filename,
+      original_name: data.originalName || null,
       file_path: data.filePath,
       file_size: data.fileSize || null,
       duration_seconds: data.duration || null,
@@ -37,15 +39,17 @@ class Recording extends BaseModel {
     return await this.update(recordingId, updateData);
   }
 
-  async findByTableId(tableId) {
+  async findByTableId(tableId, roundNumber = null) {
+    const roundFilter = roundNumber ? 'AND r.round_number = ?' : '';
     const sql = `
       SELECT r.*, p.name as participant_name 
       FROM ${this.tableName} r
       LEFT JOIN participants p ON r.participant_id = p.id
-      WHERE r.table_id = ? 
+      WHERE r.table_id = ? ${roundFilter}
       ORDER BY r.created_at DESC
     `;
-    return await this.db.query(sql, [tableId]);
+    const params = roundNumber ? [tableId, roundNumber] : [tableId];
+    return await this.db.query(sql, params);
   }
 
   async findBySessionId(sessionId) {
@@ -73,6 +77,23 @@ class Recording extends BaseModel {
     return await this.db.query(sql);
   }
 
+  // Recordings that were uploaded for transcription but never finished and
+  // have no queued job, e.g. because the server stopped mid-transcription
+  async findUnqueuedPending() {
+    const sql = `
+      SELECT r.* FROM ${this.tableName} r
+      WHERE r.status IN ('uploaded', 'processing')
+        AND r.file_path IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM transcriptions tr WHERE tr.recording_id = r.id)
+        AND NOT EXISTS (
+          SELECT 1 FROM transcription_jobs j
+          WHERE j.recording_id = r.id AND j.status IN ('queued', 'running', 'retrying')
+        )
+      ORDER BY r.created_at ASC
+    `;
+    return await this.db.query(sql);
+  }
+
   async getRecordingStats(sessionId) {
     const sql = `
       SELECT 
@@ -0,0 +1,131 @@
+const BaseModel = require('./BaseModel');
+
+class Round extends BaseModel {
+  constructor() {
+    super('session_rounds');
+  }
+
+  async create(data) {
+    const roundData = {
+      session_id: data.sessionId,
+      round_number: data.roundNumber,
+      question: data.question || null,
+      duration_minutes: data.durationMinutes,
+      break_minutes: data.breakMinutes || 0,
+      status: 'pending',
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    return await super.create(roundData);
+  }
+
+  async findBySessionId(sessionId) {
+    const sql = `SELECT * FROM ${this.tableName} WHERE session_id = ? ORDER BY round_number`;
+    return await this.db.query(sql, [sessionId]);
+  }
+
+  async findBySessionAndNumber(sessionId, roundNumber) {
+    const sql = `SELECT * FROM ${this.tableName} WHERE session_id = ? AND round_number = ?`;
+    return await this.db.queryOne(sql, [sessionId, roundNumber]);
+  }
+
+  async findRunning(sessionId = null) {
+    let sql = `SELECT * FROM ${this.tableName} WHERE status IN ('active', 'paused', 'break')`;
+    const params = [];
+    if (sessionId) {
+      sql += ` AND session_id = ?`;
+      params.push(sessionId);
+    }
+    sql += ` ORDER BY session_id, round_number`;
+    return await this.db.query(sql, params);
+  }
+
+  async findNextPending(sessionId, afterRoundNumber = 0) {
+    const sql = `
+      SELECT * FROM ${this.tableName}
+      WHERE session_id = ? AND status = 'pending' AND round_number > ?
+      ORDER BY round_number ASC
+      LIMIT 1
+    `;
+    return await this.db.queryOne(sql, [sessionId, afterRoundNumber]);
+  }
+
+  async replaceForSession(sessionId, rounds) {
+    await this.db.transaction(async (query) => {
+      await query(`DELETE FROM ${this.tableName} WHERE session_id = ?`, [sessionId]);
+
+      for (const [index, round] of rounds.entries()) {
+        await query(
+          `INSERT INTO ${this.tableName} (session_id, round_number, question, duration_minutes, break_minutes, status, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`,
+          [sessionId, index + 1, round.question || null, round.durationMinutes, round.breakMinutes || 0, new Date(), new Date()]
+        );
+      }
+    });
+
+    return await this.findBySessionId(sessionId);
+  }
+
+  async markActive(roundId, endsAt) {
+    return await this.update(roundId, {
+      status: 'active',
+      started_at: new Date(),
+      ends_at: endsAt,
+      remaining_seconds: null,
+      updated_at: new Date()
+    });
+  }
+
+  async markPaused(roundId, remainingSeconds) {
+    return await this.update(roundId, {
+      status: 'paused',
+      ends_at: null,
+      remaining_seconds: remainingSeconds,
+      updated_at: new Date()
+    });
+  }
+
+  async markResumed(roundId, endsAt) {
+    return await this.update(roundId, {
+      status: 'active',
+      ends_at: endsAt,
+      remaining_seconds: null,
+      updated_at: new Date()
+    });
+  }
+
+  async markBreak(roundId, endsAt) {
+    return await this.update(roundId, {
+      status: 'break',
+      ends_at: endsAt,
+      updated_at: new Date()
+    });
+  }
+
+  async markCompleted(roundId) {
+    return await this.update(roundId, {
+      status: 'completed',
+      ends_at: null,
+      remaining_seconds: null,
+      completed_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  async updateEndsAt(roundId, endsAt) {
+    return await this.update(roundId, {
+      ends_at: endsAt,
+      updated_at: new Date()
+    });
+  }
+
+  async updateRemaining(roundId, remainingSeconds) {
+    return await this.update(roundId, {
+      remaining_seconds: remainingSeconds,
+      updated_at: new Date()
+    });
+  }
+}
+
+module.exports = new Round();
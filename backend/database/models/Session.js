@@ -1,5 +1,6 @@
 const BaseModel = require('./BaseModel');
 const { v4: uuidv4 } = require('uuid');
+const PasswordUtils = require('../../passwordUtils');
 
 class Session extends BaseModel {
   constructor() {
@@ -17,8 +18,8 @@ class Session extends BaseModel {
       session_duration: data.sessionDuration || 120,
       rotation_enabled: data.rotationEnabled || false,
       recording_enabled: data.recordingEnabled || true,
-      admin_password: data.admin_password || null,
-      admin_password_hash: data.admin_password_hash || null,
+      admin_password_hash: data.adminPasswordHash || null,
+      admin_password_lookup: data.adminPasswordLookup || null,
       created_at: new Date(),
       updated_at: new Date()
     };
@@ -273,9 +274,30 @@ class Session extends BaseModel {
     return await this.db.queryOne(sql);
   }
 
+  // Entry codes are found by their keyed lookup value, then checked against the salted hash
   async findByAdminPassword(password) {
-    const sql = `SELECT * FROM ${this.tableName} WHERE admin_password = ? AND status = 'active' AND deleted_at IS NULL LIMIT 1`;
-    return await this.db.queryOne(sql, [password]);
+    const sql = `SELECT * FROM ${this.tableName} WHERE admin_password_lookup = ? AND status = 'active' AND deleted_at IS NULL LIMIT 1`;
+    const session = await this.db.queryOne(sql, [PasswordUtils.lookupKey(password)]);
+    if (!session || !await PasswordUtils.verifyPassword(PasswordUtils.normalizeCode(password), session.admin_password_hash)) {
+      return null;
+    }
+    return session;
+  }
+
+  // Password hashes never leave the server
+  withoutSecrets(session) {
+    if (!session) {
+      return session;
+    }
+    const { admin_password_hash, admin_password_lookup, ...rest } = session;
+    return rest;
+  }
+
+  async hashAdminPassword(password) {
+    return {
+      adminPasswordHash: await PasswordUtils.hashPassword(PasswordUtils.normalizeCode(password)),
+      adminPasswordLookup: PasswordUtils.lookupKey(password)
+    };
   }
 }
 
@@ -0,0 +1,113 @@
+const BaseModel = require('./BaseModel');
+const { v4: uuidv4 } = require('uuid');
+
+// analysis_data and metadata are JSON columns; rows come back with both parsed
+class SessionAnalysis extends BaseModel {
+  constructor() {
+    super('session_analyses');
+  }
+
+  hydrate(row) {
+    if (!row) {
+      return row;
+    }
+    return {
+      ...row,
+      analysis_data: this.parseJson(row.analysis_data),
+      metadata: this.parseJson(row.metadata)
+    };
+  }
+
+  parseJson(value) {
+    if (typeof value !== 'string') {
+      return value ?? null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  async findById(id) {
+    return this.hydrate(await super.findById(id));
+  }
+
+  async create(data) {
+    const analysisData = {
+      id: uuidv4(),
+      session_id: data.sessionId,
+      table_id: data.tableId || null,
+      analysis_scope: data.analysisScope || (data.tableId ? 'table' : 'session'),
+      analysis_type: data.analysisType,
+      analysis_data: JSON.stringify(data.analysisData ?? null),
+      metadata: data.metadata ? JSON.stringify(data.metadata) : null,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    return await super.create(analysisData);
+  }
+
+  async findBySessionAndType(sessionId, analysisType, tableId = null, analysisScope = 'session') {
+    // NULL never matches "=", so session-wide rows need IS NULL
+    const tableClause = tableId ? 'table_id = ?' : 'table_id IS NULL';
+    const params = tableId
+      ? [sessionId, analysisType, tableId, analysisScope]
+      : [sessionId, analysisType, analysisScope];
+
+    const sql = `
+      SELECT * FROM ${this.tableName}
+      WHERE session_id = ? AND analysis_type = ? AND ${tableClause} AND analysis_scope = ?
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `;
+    return this.hydrate(await this.db.queryOne(sql, params));
+  }
+
+  async findBySessionId(sessionId, analysisScope = null) {
+    const scopeClause = analysisScope ? 'AND analysis_scope = ?' : '';
+    const params = analysisScope ? [sessionId, analysisScope] : [sessionId];
+    const sql = `
+      SELECT * FROM ${this.tableName}
+      WHERE session_id = ? ${scopeClause}
+      ORDER BY analysis_scope, table_id, analysis_type
+    `;
+    const rows = await this.db.query(sql, params);
+    return rows.map(row => this.hydrate(row));
+  }
+
+  // The unique key includes table_id, which is NULL for session-wide rows and
+  // so never conflicts; look the row up instead of relying on ON DUPLICATE KEY
+  async save(data) {
+    const existing = await this.findBySessionAndType(
+      data.sessionId,
+      data.analysisType,
+      data.tableId || null,
+      data.analysisScope || (data.tableId ? 'table' : 'session')
+    );
+
+    if (!existing) {
+      return await this.create(data);
+    }
+
+    await super.update(existing.id, {
+      analysis_data: JSON.stringify(data.analysisData ?? null),
+      metadata: data.metadata ? JSON.stringify(data.metadata) : null,
+      updated_at: new Date()
+    });
+    return await this.findById(existing.id);
+  }
+
+  async deleteBySession(sessionId, analysisType = null) {
+    const typeClause = analysisType ? 'AND analysis_type = ?' : '';
+    const params = analysisType ? [sessionId, analysisType] : [sessionId];
+    const result = await this.db.query(
+      `DELETE FROM ${this.tableName} WHERE session_id = ? ${typeClause}`,
+      params
+    );
+    return result.affectedRows || 0;
+  }
+}
+
+module.exports = new SessionAnalysis();
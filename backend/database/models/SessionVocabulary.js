@@ -0,0 +1,122 @@
+const BaseModel = require('./BaseModel');
+
+const MAX_TERMS = 100;
+const MAX_TERM_LENGTH = 100;
+const MAX_REPLACEMENTS = 10;
+// Deepgram keyword intensifiers; larger values make it hear the term everywhere
+const MIN_BOOST = -10;
+const MAX_BOOST = 10;
+
+function parseReplacements(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const replacements = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(replacements) ? replacements : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Glossary of a session: domain terms and place names that are passed to the
+ * speech-to-text provider as boosted keywords, and the misheard forms that
+ * are rewritten to them after transcription.
+ */
+class SessionVocabulary extends BaseModel {
+  constructor() {
+    super('session_vocabulary');
+  }
+
+  hydrate(row) {
+    return {
+      id: row.id,
+      term: row.term,
+      boost: row.boost === null ? null : Number(row.boost),
+      replacements: parseReplacements(row.replacements)
+    };
+  }
+
+  async findBySessionId(sessionId) {
+    const rows = await this.db.query(`SELECT * FROM ${this.tableName} WHERE session_id = ? ORDER BY term`, [sessionId]);
+    return rows.map(row => this.hydrate(row));
+  }
+
+  /**
+   * Validate glossary entries sent by the dashboard. Blank rows are dropped
+   * and a term listed twice is merged. Throws with `status = 400` on invalid
+   * input.
+   */
+  prepareEntries(entries) {
+    if (!Array.isArray(entries)) {
+      throw this.invalid('entries must be an array');
+    }
+
+    const prepared = new Map();
+    entries.forEach((entry, index) => {
+      const term = String(entry?.term ?? '').trim().replace(/\s+/g, ' ');
+      if (!term) {
+        return;
+      }
+      if (term.length > MAX_TERM_LENGTH) {
+        throw this.invalid(`Term ${index + 1} is longer than ${MAX_TERM_LENGTH} characters`);
+      }
+
+      let boost = null;
+      if (entry.boost !== null && entry.boost !== undefined && entry.boost !== '') {
+        boost = Number(entry.boost);
+        if (!Number.isFinite(boost) || boost < MIN_BOOST || boost > MAX_BOOST) {
+          throw this.invalid(`The boost of "${term}" must be between ${MIN_BOOST} and ${MAX_BOOST}`);
+        }
+        boost = Math.round(boost * 10) / 10;
+      }
+
+      const replacements = (Array.isArray(entry.replacements) ? entry.replacements : String(entry.replacements ?? '').split(','))
+        .map(replacement => String(replacement).trim().replace(/\s+/g, ' '))
+        .filter(replacement => replacement && replacement.toLowerCase() !== term.toLowerCase());
+      if (replacements.length > MAX_REPLACEMENTS || replacements.some(replacement => replacement.length > MAX_TERM_LENGTH)) {
+        throw this.invalid(`"${term}" can have at most ${MAX_REPLACEMENTS} replacements of up to ${MAX_TERM_LENGTH} characters`);
+      }
+
+      const key = term.toLowerCase();
+      const existing = prepared.get(key);
+      if (existing) {
+        existing.boost = existing.boost ?? boost;
+        existing.replacements = [...new Set([...existing.replacements, ...replacements])];
+      } else {
+        prepared.set(key, { term, boost, replacements: [...new Set(replacements)] });
+      }
+    });
+
+    if (prepared.size > MAX_TERMS) {
+      throw this.invalid(`A glossary can hold at most ${MAX_TERMS} terms`);
+    }
+    return [...prepared.values()];
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  async replaceForSession(sessionId, entries) {
+    const now = new Date();
+
+    await this.db.transaction(async (query) => {
+      await query(`DELETE FROM ${this.tableName} WHERE session_id = ?`, [sessionId]);
+      for (const entry of entries) {
+        await query(
+          `INSERT INTO ${this.tableName} (session_id, term, boost, replacements, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [sessionId, entry.term, entry.boost, JSON.stringify(entry.replacements), now, now]
+        );
+      }
+    });
+
+    return await this.findBySessionId(sessionId);
+  }
+}
+
+module.exports = new SessionVocabulary();
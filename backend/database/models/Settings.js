@@ -1,4 +1,26 @@
 const { v4: uuidv4 } = require('uuid');
+const PasswordUtils = require('../../passwordUtils');
+
+const TRANSCRIPTION_ENV_KEYS = {
+  stt_provider: 'STT_PROVIDER',
+  local_stt_binary: 'LOCAL_STT_BINARY',
+  local_stt_model: 'LOCAL_STT_MODEL',
+  local_stt_threads: 'LOCAL_STT_THREADS',
+  local_stt_tinydiarize: 'LOCAL_STT_TINYDIARIZE',
+  transcription_workers: 'TRANSCRIPTION_WORKERS',
+  transcription_max_attempts: 'TRANSCRIPTION_MAX_ATTEMPTS',
+  audio_normalize: 'AUDIO_NORMALIZE',
+  audio_keep_original: 'AUDIO_KEEP_ORIGINAL'
+};
+
+const LLM_ENV_KEYS = {
+  llm_provider: 'LLM_PROVIDER',
+  llm_base_url: 'LLM_BASE_URL',
+  llm_model: 'LLM_MODEL',
+  llm_api_key: 'LLM_API_KEY',
+  llm_context_tokens: 'LLM_CONTEXT_TOKENS',
+  llm_embedding_model: 'LLM_EMBEDDING_MODEL'
+};
 
 class Settings {
   constructor(db) {
@@ -95,19 +117,48 @@ class Settings {
     }
   }
 
-  async getAdminPassword() {
+  // Passwords are stored as salted hashes. A plaintext value left from before
+  // hashing still verifies once and is replaced by its hash on that login.
+  // Nothing stored means nothing verifies, unless an initial password is
+  // given; it is hashed into the settings the first time it is used.
+  async verifySecret(key, candidate, description, initial = null) {
+    if (typeof candidate !== 'string' || candidate.length === 0) {
+      return false;
+    }
+
+    const stored = await this.get(key) || initial;
+    if (!stored) {
+      return false;
+    }
+    if (PasswordUtils.isHash(stored)) {
+      return await PasswordUtils.verifyPassword(candidate, stored);
+    }
+
+    const matches = PasswordUtils.safeEqual(candidate, stored);
+    if (matches) {
+      await this.set(key, await PasswordUtils.hashPassword(candidate), description);
+    }
+    return matches;
+  }
+
+  // ADMIN_PASSWORD is the first-run admin password; once it has been used,
+  // or the password is changed in the admin panel, the stored hash wins
+  async verifyAdminPassword(candidate) {
     try {
-      const password = await this.get('admin_password');
-      return password || 'admin123'; // Default fallback
+      return await this.verifySecret('admin_password', candidate, 'Admin panel password', process.env.ADMIN_PASSWORD || null);
     } catch (error) {
-      console.error('Error getting admin password:', error);
-      return 'admin123';
+      console.error('Error verifying admin password:', error);
+      return false;
     }
   }
 
+  async hasAdminPassword() {
+    return Boolean(process.env.ADMIN_PASSWORD || await this.get('admin_password'));
+  }
+
   async setAdminPassword(newPassword) {
     try {
-      return await this.set('admin_password', newPassword, 'Admin panel password');
+      return await this.set('admin_password', await PasswordUtils.hashPassword(newPassword), 'Admin panel password');
     } catch (error) {
       console.error('Error setting admin password:', error);
       return false;
@@ -133,16 +184,19 @@ class Settings {
     }
   }
 
-  async getPlatformPassword() {
+  async verifyPlatformPassword(candidate) {
     try {
-      const password = await this.get('platform_password');
-      return password || 'testtesttest'; // Default password
+      return await this.verifySecret('platform_password', candidate, 'Platform-wide access password');
     } catch (error) {
-      console.error('Error getting platform password:', error);
-      return 'testtesttest';
+      console.error('Error verifying platform password:', error);
+      return false;
     }
   }
 
+  async hasPlatformPassword() {
+    return Boolean(await this.get('platform_password'));
+  }
+
   async getDeepgramModel(defaultModel = 'nova-2-meeting') {
     try {
       const model = await this.get('deepgram_model');
@@ -170,9 +224,118 @@ class Settings {
     }
   }
 
+  async getTranscriptionSettings() {
+    try {
+      const [provider, binary, model, threads, tinydiarize, workers, maxAttempts, normalize, keepOriginal] = await Promise.all([
+        this.get('stt_provider'),
+        this.get('local_stt_binary'),
+        this.get('local_stt_model'),
+        this.get('local_stt_threads'),
+        this.get('local_stt_tinydiarize'),
+        this.get('transcription_workers'),
+        this.get('transcription_max_attempts'),
+        this.get('audio_normalize'),
+        this.get('audio_keep_original')
+      ]);
+
+      return {
+        stt_provider: provider,
+        local_stt_binary: binary,
+        local_stt_model: model,
+        local_stt_threads: threads,
+        local_stt_tinydiarize: tinydiarize,
+        transcription_workers: workers,
+        transcription_max_attempts: maxAttempts,
+        audio_normalize: normalize,
+        audio_keep_original: keepOriginal
+      };
+    } catch (error) {
+      console.error('Error getting transcription settings:', error);
+      return {};
+    }
+  }
+
+  async setTranscriptionSettings(settings = {}) {
+    const descriptions = {
+      stt_provider: 'Speech-to-text provider (deepgram, local or fake)',
+      local_stt_binary: 'Path to the whisper.cpp CLI binary',
+      local_stt_model: 'Path to the whisper.cpp ggml model file',
+      local_stt_threads: 'CPU threads used by the local transcription engine',
+      local_stt_tinydiarize: 'Enable whisper.cpp tinydiarize speaker turns',
+      transcription_workers: 'Recordings transcribed in parallel by the background queue',
+      transcription_max_attempts: 'Attempts before a transcription job is marked as failed',
+      audio_normalize: 'Convert uploads to loudness-normalized 16 kHz mono FLAC with ffmpeg before transcription',
+      audio_keep_original: 'Keep the uploaded file after it has been normalized'
+    };
+
+    try {
+      const results = await Promise.all(
+        Object.entries(descriptions)
+          .filter(([key]) => settings[key] !== null && typeof settings[key] !== 'undefined')
+          .map(([key, description]) => this.set(key, String(settings[key]), description))
+      );
+      return results.every(Boolean);
+    } catch (error) {
+      console.error('Error setting transcription settings:', error);
+      return false;
+    }
+  }
+
+  static applyTranscriptionSettings(settings = {}) {
+    Object.entries(TRANSCRIPTION_ENV_KEYS).forEach(([key, envKey]) => {
+      if (settings[key] !== null && typeof settings[key] !== 'undefined' && settings[key] !== '') {
+        process.env[envKey] = String(settings[key]);
+      }
+    });
+  }
+
+  async getLLMSettings() {
+    try {
+      const keys = Object.keys(LLM_ENV_KEYS);
+      const values = await Promise.all(keys.map(key => this.get(key)));
+      return Object.fromEntries(keys.map((key, index) => [key, values[index]]));
+    } catch (error) {
+      console.error('Error getting LLM settings:', error);
+      return {};
+    }
+  }
+
+  async setLLMSettings(settings = {}) {
+    const descriptions = {
+      llm_provider: 'Language model provider for session chat (groq, openai, local or fake)',
+      llm_base_url: 'OpenAI-compatible base URL; blank uses the provider default',
+      llm_model: 'Language model name; blank uses the provider default',
+      llm_api_key: 'API key for the language model provider',
+      llm_context_tokens: 'Context window of the language model in tokens',
+      llm_embedding_model: 'Embedding model for session chat retrieval; blank uses keyword search only'
+    };
+
+    try {
+      const results = await Promise.all(
+        Object.entries(descriptions)
+          .filter(([key]) => settings[key] !== null && typeof settings[key] !== 'undefined')
+          .map(([key, description]) => this.set(key, String(settings[key]), description))
+      );
+      return results.every(Boolean);
+    } catch (error) {
+      console.error('Error setting LLM settings:', error);
+      return false;
+    }
+  }
+
+  // Unlike the transcription settings, an empty string is applied too: it
+  // clears a base URL or model override back to the provider default
+  static applyLLMSettings(settings = {}) {
+    Object.entries(LLM_ENV_KEYS).forEach(([key, envKey]) => {
+      if (settings[key] !== null && typeof settings[key] !== 'undefined') {
+        process.env[envKey] = String(settings[key]);
+      }
+    });
+  }
+
   async setPlatformPassword(password) {
     try {
-      return await this.set('platform_password', password, 'Platform-wide access password');
+      return await this.set('platform_password', await PasswordUtils.hashPassword(password), 'Platform-wide access password');
     } catch (error) {
       console.error('Error setting platform password:', error);
       return false;
@@ -205,15 +368,21 @@ class Settings {
         console.log(`✅ Loaded Deepgram model from database: ${deepgramModel}`);
       }
       
+      const transcriptionSettings = await this.getTranscriptionSettings();
+      Settings.applyTranscriptionSettings(transcriptionSettings);
+      if (transcriptionSettings.stt_provider) {
+        console.log(`✅ Loaded transcription provider from database: ${transcriptionSettings.stt_provider}`);
+      }
+      
       if (apiKeys.groq_api_key) {
         process.env.GROQ_API_KEY = apiKeys.groq_api_key;
         console.log('✅ Loaded Groq API key from database');
       }
-      
-      const adminPassword = await this.getAdminPassword();
-      if (adminPassword) {
-        process.env.ADMIN_PASSWORD = adminPassword;
-        console.log('✅ Loaded admin password from database');
+
+      const llmSettings = await this.getLLMSettings();
+      Settings.applyLLMSettings(llmSettings);
+      if (llmSettings.llm_provider) {
+        console.log(`✅ Loaded language model provider from database: ${llmSettings.llm_provider}`);
       }
       
       return true;
@@ -0,0 +1,124 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * Names for diarized speakers. Diarization numbers speakers from 0 in every
+ * recording, so a name belongs to one (recording, speaker index) pair and is
+ * optionally linked to the participant who spoke.
+ */
+class SpeakerLabel extends BaseModel {
+  constructor() {
+    super('speaker_labels');
+  }
+
+  async findByRecordingId(recordingId) {
+    const sql = `
+      SELECT sl.*, p.name as participant_name
+      FROM ${this.tableName} sl
+      LEFT JOIN participants p ON sl.participant_id = p.id
+      WHERE sl.recording_id = ?
+      ORDER BY sl.speaker_index
+    `;
+    return await this.db.query(sql, [recordingId]);
+  }
+
+  async findBySessionId(sessionId) {
+    const sql = `SELECT * FROM ${this.tableName} WHERE session_id = ? ORDER BY recording_id, speaker_index`;
+    return await this.db.query(sql, [sessionId]);
+  }
+
+  /**
+   * Add `speaker_names` ({ speakerIndex: label }) to transcription rows so
+   * every consumer of speaker_segments can show names instead of numbers.
+   * Rows without a recording, or without labels, get an empty object.
+   */
+  async attachNames(transcriptions) {
+    const recordingIds = [...new Set(transcriptions.map(transcription => transcription.recording_id).filter(Boolean))];
+    const names = new Map();
+
+    if (recordingIds.length > 0) {
+      const placeholders = recordingIds.map(() => '?').join(', ');
+      const rows = await this.db.query(
+        `SELECT recording_id, speaker_index, label FROM ${this.tableName} WHERE recording_id IN (${placeholders})`,
+        recordingIds
+      );
+      rows.forEach((row) => {
+        const labels = names.get(row.recording_id) || {};
+        labels[row.speaker_index] = row.label;
+        names.set(row.recording_id, labels);
+      });
+    }
+
+    transcriptions.forEach((transcription) => {
+      transcription.speaker_names = names.get(transcription.recording_id) || {};
+    });
+    return transcriptions;
+  }
+
+  /**
+   * Replace every label of a recording. The recording's transcription is
+   * touched as well, which makes the chat index re-chunk it with the names.
+   */
+  async replaceForRecording(recording, labels) {
+    const now = new Date();
+
+    await this.db.transaction(async (query) => {
+      await query(`DELETE FROM ${this.tableName} WHERE recording_id = ?`, [recording.id]);
+      for (const label of labels) {
+        await query(
+          `INSERT INTO ${this.tableName}
+            (recording_id, session_id, table_id, speaker_index, label, participant_id, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [recording.id, recording.session_id, recording.table_id, label.speaker, label.label, label.participantId || null, now, now]
+        );
+      }
+      await query('UPDATE transcriptions SET updated_at = ? WHERE recording_id = ?', [now, recording.id]);
+    });
+
+    return await this.findByRecordingId(recording.id);
+  }
+
+  // Labels of the latest earlier recording at the same table that has any;
+  // travellers move between rounds, so the facilitator still confirms them
+  async suggestForRecording(recording) {
+    const source = await this.db.queryOne(`
+      SELECT r.id, r.round_number, r.created_at
+      FROM recordings r
+      WHERE r.table_id = ? AND r.id != ? AND r.created_at <= ?
+        AND EXISTS (SELECT 1 FROM ${this.tableName} sl WHERE sl.recording_id = r.id)
+      ORDER BY r.created_at DESC
+      LIMIT 1
+    `, [recording.table_id, recording.id, recording.created_at]);
+
+    if (!source) {
+      return null;
+    }
+    return {
+      sourceRecordingId: source.id,
+      roundNumber: source.round_number,
+      recordedAt: source.created_at,
+      labels: await this.findByRecordingId(source.id)
+    };
+  }
+
+  // Participants who can be linked to a speaker: everyone in the session,
+  // those who sat at the recording's table listed first
+  async findCandidates(recording) {
+    const sql = `
+      SELECT
+        p.id,
+        p.name,
+        t.table_number,
+        (p.table_id = ? OR EXISTS (
+          SELECT 1 FROM participant_seatings ps WHERE ps.participant_id = p.id AND ps.table_id = ?
+        )) as at_table
+      FROM participants p
+      LEFT JOIN tables t ON p.table_id = t.id
+      WHERE p.session_id = ?
+      ORDER BY at_table DESC, p.name
+    `;
+    const rows = await this.db.query(sql, [recording.table_id, recording.table_id, recording.session_id]);
+    return rows.map(row => ({ ...row, at_table: Boolean(row.at_table) }));
+  }
+}
+
+module.exports = new SpeakerLabel();
@@ -1,4 +1,5 @@
 const BaseModel = require('./BaseModel');
+const PasswordUtils = require('../../passwordUtils');
 
 class Table extends BaseModel {
   constructor() {
@@ -151,18 +152,27 @@ class Table extends BaseModel {
     return await this.db.queryOne(sql, [qrCode]);
   }
 
+  withoutSecrets(table) {
+    if (!table) {
+      return table;
+    }
+    const { password_hash, password_lookup, ...rest } = table;
+    return rest;
+  }
+
   async findByPassword(password) {
-    const sql = `SELECT * FROM ${this.tableName} WHERE password = ? AND is_password_protected = 1 LIMIT 1`;
-    return await this.db.queryOne(sql, [password]);
+    const sql = `SELECT * FROM ${this.tableName} WHERE password_lookup = ? AND is_password_protected = 1 LIMIT 1`;
+    const table = await this.db.queryOne(sql, [PasswordUtils.lookupKey(password)]);
+    if (!table || !await PasswordUtils.verifyPassword(PasswordUtils.normalizeCode(password), table.password_hash)) {
+      return null;
+    }
+    return table;
   }
 
   async setTablePassword(tableId, password) {
-    const PasswordUtils = require('../../passwordUtils');
-    const passwordHash = PasswordUtils.hashPassword(password);
-    
     return await this.update(tableId, {
-      password: password,
-      password_hash: passwordHash,
+      password_hash: password ? await PasswordUtils.hashPassword(PasswordUtils.normalizeCode(password)) : null,
+      password_lookup: password ? PasswordUtils.lookupKey(password) : null,
       is_password_protected: password ? true : false,
       updated_at: new Date()
     });
@@ -0,0 +1,111 @@
+const BaseModel = require('./BaseModel');
+
+// Retrieval chunks for session chat, rebuilt whenever their transcription
+// changes. speakers and embedding are stored as JSON text.
+class TranscriptChunk extends BaseModel {
+  constructor() {
+    super('transcript_chunks');
+  }
+
+  hydrate(row) {
+    return {
+      ...row,
+      start_time: row.start_time === null ? null : Number(row.start_time),
+      end_time: row.end_time === null ? null : Number(row.end_time),
+      speakers: this.parseJson(row.speakers) || [],
+      embedding: this.parseJson(row.embedding)
+    };
+  }
+
+  parseJson(value) {
+    if (typeof value !== 'string') {
+      return value ?? null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async findBySessionId(sessionId) {
+    const sql = `
+      SELECT
+        c.*,
+        t.table_number,
+        t.name as table_name
+      FROM ${this.tableName} c
+      JOIN tables t ON c.table_id = t.id
+      WHERE c.session_id = ?
+      ORDER BY t.table_number, c.round_number, c.transcription_id, c.chunk_index
+    `;
+    const rows = await this.db.query(sql, [sessionId]);
+    return rows.map(row => this.hydrate(row));
+  }
+
+  // Per transcription: when its chunks were built and with which embedding model
+  async getIndexState(sessionId) {
+    const sql = `
+      SELECT
+        transcription_id,
+        MAX(source_updated_at) as source_updated_at,
+        MAX(embedding_model) as embedding_model,
+        SUM(embedding IS NULL) as missing_embeddings
+      FROM ${this.tableName}
+      WHERE session_id = ?
+      GROUP BY transcription_id
+    `;
+    const rows = await this.db.query(sql, [sessionId]);
+    return new Map(rows.map(row => [row.transcription_id, row]));
+  }
+
+  async replaceForTranscription(transcription, chunks, embeddingModel = null) {
+    return await this.db.transaction(async (query) => {
+      await query(`DELETE FROM ${this.tableName} WHERE transcription_id = ?`, [transcription.id]);
+
+      for (const chunk of chunks) {
+        await query(`
+          INSERT INTO ${this.tableName}
+            (transcription_id, session_id, table_id, recording_id, round_number, chunk_index,
+             start_time, end_time, speakers, content, word_count, embedding, embedding_model,
+             source_updated_at, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+        `, [
+          transcription.id,
+          transcription.session_id,
+          transcription.table_id,
+          transcription.recording_id || null,
+          transcription.round_number || null,
+          chunk.chunk_index,
+          chunk.start_time,
+          chunk.end_time,
+          JSON.stringify(chunk.speakers || []),
+          chunk.content,
+          chunk.word_count,
+          chunk.embedding ? JSON.stringify(chunk.embedding) : null,
+          chunk.embedding ? embeddingModel : null,
+          transcription.updated_at || transcription.created_at || new Date()
+        ]);
+      }
+
+      return chunks.length;
+    });
+  }
+
+  // Transcriptions deleted since the last sync cascade away on their own;
+  // this only catches rows whose transcription left the session's list
+  async deleteExcept(sessionId, transcriptionIds) {
+    if (transcriptionIds.length === 0) {
+      const result = await this.db.query(`DELETE FROM ${this.tableName} WHERE session_id = ?`, [sessionId]);
+      return result.affectedRows || 0;
+    }
+    const placeholders = transcriptionIds.map(() => '?').join(', ');
+    const result = await this.db.query(
+      `DELETE FROM ${this.tableName} WHERE session_id = ? AND transcription_id NOT IN (${placeholders})`,
+      [sessionId, ...transcriptionIds]
+    );
+    return result.affectedRows || 0;
+  }
+}
+
+module.exports = new TranscriptChunk();
@@ -1,5 +1,8 @@
 const BaseModel = require('./BaseModel');
 const { v4: uuidv4 } = require('uuid');
+const { tokenize } = require('../../retrieval/bm25');
+const SpeakerLabel = require('./SpeakerLabel');
+const { formatSpeakerLabel } = require('../../utils/speakers');
 
 class Transcription extends BaseModel {
   constructor() {
@@ -13,6 +16,7 @@ class Transcription extends BaseModel {
       source: data.source || 'start-recording',
       session_id: data.sessionId,
       table_id: data.tableId,
+      round_number: data.roundNumber || null,
       transcript_text: data.transcriptText,
       confidence_score: data.confidenceScore || 0.0,
       language: data.language || 'en',
@@ -29,21 +33,24 @@ class Transcription extends BaseModel {
     return text.trim().split(/\s+/).filter(word => word.length > 0).length;
   }
 
-  async findByTableId(tableId) {
+  async findByTableId(tableId, roundNumber = null) {
+    const roundFilter = roundNumber ? 'AND tr.round_number = ?' : '';
     const sql = `
       SELECT 
         tr.*,
         r.filename,
         r.duration_seconds,
+        r.file_path IS NOT NULL as has_audio,
         r.created_at as recording_created_at,
         p.name as participant_name
       FROM ${this.tableName} tr
       LEFT JOIN recordings r ON tr.recording_id = r.id
       LEFT JOIN participants p ON r.participant_id = p.id
-      WHERE tr.table_id = ?
+      WHERE tr.table_id = ? ${roundFilter}
       ORDER BY tr.created_at DESC
     `;
-    return await this.db.query(sql, [tableId]);
+    const params = roundNumber ? [tableId, roundNumber] : [tableId];
+    return await SpeakerLabel.attachNames(await this.db.query(sql, params));
   }
 
   async findBySessionId(sessionId) {
@@ -54,36 +61,90 @@ class Transcription extends BaseModel {
         t.name as table_name,
         r.filename,
         r.duration_seconds,
+        r.file_path IS NOT NULL as has_audio,
         p.name as participant_name
       FROM ${this.tableName} tr
       JOIN tables t ON tr.table_id = t.id
-      JOIN recordings r ON tr.recording_id = r.id
+      LEFT JOIN recordings r ON tr.recording_id = r.id
       LEFT JOIN participants p ON r.participant_id = p.id
       WHERE tr.session_id = ?
       ORDER BY t.table_number, tr.created_at DESC
     `;
-    return await this.db.query(sql, [sessionId]);
+    return await SpeakerLabel.attachNames(await this.db.query(sql, [sessionId]));
   }
 
   async findByRecordingId(recordingId) {
     return await this.findOneBy('recording_id', recordingId);
   }
 
-  async searchTranscripts(sessionId, searchTerm, limit = 50) {
+  // Full-text search over the ft_transcriptions_text index. `mode` is a
+  // MySQL search modifier: 'boolean' (default) understands "phrases", +must,
+  // -exclude and prefix*, 'natural' ranks plain-language queries. Without
+  // sessionId the search spans every session.
+  async searchTranscripts(searchTerm, filters = {}) {
+    const {
+      mode = 'boolean',
+      sessionId = null,
+      tableId = null,
+      roundNumber = null,
+      speaker = null,
+      source = null,
+      language = null,
+      from = null,
+      to = null,
+      limit = 20,
+      offset = 0
+    } = filters;
+
+    const against = mode === 'natural' ? 'IN NATURAL LANGUAGE MODE' : 'IN BOOLEAN MODE';
+    const conditions = [`MATCH(tr.transcript_text) AGAINST(? ${against})`];
+    const params = [searchTerm];
+    const addCondition = (condition, value) => {
+      if (value !== null && value !== undefined) {
+        conditions.push(condition);
+        params.push(value);
+      }
+    };
+
+    addCondition('tr.session_id = ?', sessionId);
+    addCondition('tr.table_id = ?', tableId);
+    addCondition('tr.round_number = ?', roundNumber);
+    addCondition("JSON_CONTAINS(tr.speaker_segments, JSON_OBJECT('speaker', CAST(? AS SIGNED)))", speaker);
+    addCondition('tr.source = ?', source);
+    addCondition('tr.language = ?', language);
+    addCondition('tr.created_at >= ?', from);
+    addCondition('tr.created_at < ?', to);
+
+    const where = conditions.join(' AND ');
+    const total = await this.db.queryOne(`SELECT COUNT(*) as count FROM ${this.tableName} tr WHERE ${where}`, params);
+
+    // Prepared statements reject numeric LIMIT placeholders on MySQL 8, so
+    // the (already validated) integers are inlined
     const sql = `
       SELECT 
-        tr.*,
+        tr.id,
+        tr.session_id,
+        tr.table_id,
+        tr.round_number,
+        tr.recording_id,
+        tr.source,
+        tr.language,
+        tr.transcript_text,
+        tr.speaker_segments,
+        tr.created_at,
         t.table_number,
         t.name as table_name,
-        MATCH(tr.transcript_text) AGAINST(? IN NATURAL LANGUAGE MODE) as relevance
+        s.title as session_title,
+        MATCH(tr.transcript_text) AGAINST(? ${against}) as relevance
       FROM ${this.tableName} tr
       JOIN tables t ON tr.table_id = t.id
-      WHERE tr.session_id = ? 
-        AND MATCH(tr.transcript_text) AGAINST(? IN NATURAL LANGUAGE MODE)
-      ORDER BY relevance DESC
-      LIMIT ?
+      JOIN sessions s ON tr.session_id = s.id
+      WHERE ${where}
+      ORDER BY relevance DESC, tr.created_at DESC
+      LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}
     `;
-    return await this.db.query(sql, [searchTerm, sessionId, searchTerm, limit]);
+    const rows = await SpeakerLabel.attachNames(await this.db.query(sql, [searchTerm, ...params]));
+    return { rows, total: total ? total.count : 0 };
   }
 
   async getTranscriptionStats(sessionId) {
@@ -151,6 +212,17 @@ class Transcription extends BaseModel {
     return transcription;
   }
 
+  // Live transcripts are saved before their audio upload finishes
+  async attachRecording(transcriptionId, recordingId) {
+    const sql = `
+      UPDATE ${this.tableName}
+      SET recording_id = ?, updated_at = ?
+      WHERE id = ? AND recording_id IS NULL
+    `;
+    const result = await this.db.query(sql, [recordingId, new Date(), transcriptionId]);
+    return result.affectedRows > 0;
+  }
+
   async updateConfidence(transcriptionId, confidenceScore) {
     return await this.update(transcriptionId, {
       confidence_score: confidenceScore,
@@ -186,15 +258,14 @@ class Transcription extends BaseModel {
     return await this.db.query(sql, [language, limit]);
   }
 
-  async getWordFrequency(sessionId, minFrequency = 5) {
-    const transcriptions = await this.findBySessionId(sessionId);
+  // Session-wide, or for one table when tableId is given. Stop words are
+  // dropped and plurals folded, so counts reflect topics rather than grammar.
+  async getWordFrequency(sessionId, minFrequency = 5, tableId = null) {
+    const transcriptions = tableId ? await this.findByTableId(tableId) : await this.findBySessionId(sessionId);
     const wordCounts = {};
     
     transcriptions.forEach(tr => {
-      const words = tr.transcript_text
-        .toLowerCase()
-        .replace(/[^\w\s]/g, '')
-        .split(/\s+/)
+      const words = tokenize(tr.transcript_text || '')
         .filter(word => word.length > 3); // Filter out short words
         
       words.forEach(word => {
@@ -211,10 +282,18 @@ class Transcription extends BaseModel {
   async exportTableTranscripts(tableId, format = 'json') {
     const transcriptions = await this.findByTableId(tableId);
     
+    // participant_name is whoever uploaded the recording, not who spoke, so
+    // text exports label diarized speakers instead
     if (format === 'text') {
-      return transcriptions.map(tr => 
-        `[${tr.recording_created_at}] ${tr.participant_name || 'Unknown'}: ${tr.transcript_text}`
-      ).join('\n\n');
+      return transcriptions.map(tr => {
+        const createdAt = new Date(tr.recording_created_at || tr.created_at).toISOString();
+        const header = `[${createdAt}]${tr.round_number ? ` Round ${tr.round_number}` : ''}`;
+        const segments = typeof tr.speaker_segments === 'string' ? JSON.parse(tr.speaker_segments || '[]') : (tr.speaker_segments || []);
+        const lines = segments
+          .filter(segment => segment.transcript || segment.text)
+          .map(segment => `${tr.speaker_names[segment.speaker ?? 0] || formatSpeakerLabel(segment.speaker)}: ${segment.transcript || segment.text}`);
+        return `${header}\n${lines.length > 0 ? lines.join('\n') : tr.transcript_text || ''}`;
+      }).join('\n\n');
     }
     
     return transcriptions;
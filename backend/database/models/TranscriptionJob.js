@@ -0,0 +1,171 @@
+const BaseModel = require('./BaseModel');
+
+class TranscriptionJob extends BaseModel {
+  constructor() {
+    super('transcription_jobs');
+  }
+
+  async create(data) {
+    const jobData = {
+      recording_id: data.recordingId,
+      session_id: data.sessionId,
+      table_id: data.tableId,
+      job_type: data.jobType || 'upload',
+      source: data.source || null,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: data.maxAttempts || 3,
+      run_after: new Date(),
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    return await super.create(jobData);
+  }
+
+  async findActiveByRecording(recordingId) {
+    const sql = `
+      SELECT * FROM ${this.tableName}
+      WHERE recording_id = ? AND status IN ('queued', 'running', 'retrying')
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    return await this.db.queryOne(sql, [recordingId]);
+  }
+
+  // Lock the oldest due job for this worker. SKIP LOCKED lets several server
+  // processes share the table without handing the same job out twice. Jobs
+  // without attempts left are never handed out, whatever their status says.
+  async claimNext(workerId) {
+    return await this.db.transaction(async (query) => {
+      const [job] = await query(`
+        SELECT id FROM ${this.tableName}
+        WHERE status IN ('queued', 'retrying') AND run_after <= NOW() AND attempts < max_attempts
+        ORDER BY run_after ASC, id ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      `);
+
+      if (!job) {
+        return null;
+      }
+
+      await query(`
+        UPDATE ${this.tableName}
+        SET status = 'running', attempts = attempts + 1, locked_by = ?, locked_at = NOW(), updated_at = NOW()
+        WHERE id = ?
+      `, [workerId, job.id]);
+
+      const [claimed] = await query(`SELECT * FROM ${this.tableName} WHERE id = ?`, [job.id]);
+      return claimed;
+    });
+  }
+
+  async markCompleted(jobId) {
+    return await this.update(jobId, {
+      status: 'completed',
+      locked_by: null,
+      locked_at: null,
+      last_error: null,
+      completed_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  async scheduleRetry(jobId, errorMessage, runAfter) {
+    return await this.update(jobId, {
+      status: 'retrying',
+      locked_by: null,
+      locked_at: null,
+      last_error: errorMessage,
+      run_after: runAfter,
+      updated_at: new Date()
+    });
+  }
+
+  async markDead(jobId, errorMessage) {
+    return await this.update(jobId, {
+      status: 'dead',
+      locked_by: null,
+      locked_at: null,
+      last_error: errorMessage,
+      updated_at: new Date()
+    });
+  }
+
+  async requeue(jobId, maxAttempts) {
+    return await this.update(jobId, {
+      status: 'queued',
+      attempts: 0,
+      max_attempts: maxAttempts,
+      last_error: null,
+      run_after: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  // Running jobs, with `is_stale` set when their worker has not renewed the
+  // lock for `staleSeconds`
+  async findRunning(staleSeconds) {
+    return await this.db.query(`
+      SELECT *, locked_at < NOW() - INTERVAL ? SECOND AS is_stale
+      FROM ${this.tableName}
+      WHERE status = 'running'
+    `, [staleSeconds]);
+  }
+
+  // Workers renew the locks of the jobs they are running, so other processes
+  // can tell a long transcription from one whose worker died
+  async renewLocks(workerId, jobIds) {
+    if (jobIds.length === 0) {
+      return;
+    }
+    await this.db.query(`
+      UPDATE ${this.tableName}
+      SET locked_at = NOW()
+      WHERE status = 'running' AND locked_by = ? AND id IN (${jobIds.map(() => '?').join(', ')})
+    `, [workerId, ...jobIds]);
+  }
+
+  // Hand an interrupted job back to the queue, or bury it when its attempts
+  // are used up. Only applies while `lockedBy` still holds it; false when
+  // another process got there first.
+  async releaseInterrupted(jobId, lockedBy, { dead = false, errorMessage = null } = {}) {
+    const result = await this.db.query(`
+      UPDATE ${this.tableName}
+      SET status = ?, last_error = COALESCE(?, last_error), locked_by = NULL, locked_at = NULL,
+          run_after = NOW(), updated_at = NOW()
+      WHERE id = ? AND status = 'running' AND locked_by = ?
+    `, [dead ? 'dead' : 'queued', errorMessage, jobId, lockedBy]);
+    return result.affectedRows > 0;
+  }
+
+  async findByStatus(status, limit = 50) {
+    const sql = `
+      SELECT j.*, r.filename, t.table_number, s.title as session_title
+      FROM ${this.tableName} j
+      JOIN recordings r ON j.recording_id = r.id
+      JOIN tables t ON j.table_id = t.id
+      JOIN sessions s ON j.session_id = s.id
+      WHERE j.status = ?
+      ORDER BY j.updated_at DESC
+      LIMIT ?
+    `;
+    return await this.db.query(sql, [status, limit]);
+  }
+
+  async getStats() {
+    const rows = await this.db.query(`
+      SELECT status, COUNT(*) as count
+      FROM ${this.tableName}
+      GROUP BY status
+    `);
+
+    return rows.reduce((stats, row) => {
+      stats[row.status] = row.count;
+      return stats;
+    }, { queued: 0, running: 0, retrying: 0, completed: 0, dead: 0 });
+  }
+}
+
+module.exports = new TranscriptionJob();
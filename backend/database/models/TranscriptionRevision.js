@@ -0,0 +1,194 @@
+const BaseModel = require('./BaseModel');
+
+const MAX_SEGMENTS = 5000;
+const MAX_SEGMENT_LENGTH = 20000;
+const MAX_SPEAKERS = 100;
+
+function toTime(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function parseSegments(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const segments = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(segments) ? segments : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function segmentText(segment) {
+  return String(segment.transcript ?? segment.text ?? '').trim();
+}
+
+/**
+ * Saved versions of a transcription. Revision 0 is the machine transcript as
+ * it was before the first manual edit; every edit, revert or reprocess adds
+ * the next number and also rewrites the transcriptions row, so exports,
+ * search, chat and analyses keep reading the latest text from there.
+ */
+class TranscriptionRevision extends BaseModel {
+  constructor() {
+    super('transcription_revisions');
+  }
+
+  hydrate(row) {
+    return row ? { ...row, speaker_segments: parseSegments(row.speaker_segments) } : row;
+  }
+
+  async findByTranscriptionId(transcriptionId) {
+    const sql = `
+      SELECT id, transcription_id, revision_number, action, reverted_from, word_count,
+             author, author_role, note, created_at
+      FROM ${this.tableName}
+      WHERE transcription_id = ?
+      ORDER BY revision_number DESC
+    `;
+    return await this.db.query(sql, [transcriptionId]);
+  }
+
+  async findByNumber(transcriptionId, revisionNumber) {
+    const sql = `SELECT * FROM ${this.tableName} WHERE transcription_id = ? AND revision_number = ?`;
+    return this.hydrate(await this.db.queryOne(sql, [transcriptionId, revisionNumber]));
+  }
+
+  /**
+   * Validate segments sent by the editor against the current ones. Segments
+   * whose time span, speaker and text are unchanged keep their word timings
+   * and edited flag; everything else is marked `edited`. Word timings sent
+   * along with a split or merged segment are kept when they are well formed.
+   * Throws with `status = 400` on invalid input.
+   */
+  prepareSegments(currentSegments, segments) {
+    if (!Array.isArray(segments) || segments.length > MAX_SEGMENTS) {
+      throw this.invalid(`segments must be an array of at most ${MAX_SEGMENTS} items`);
+    }
+
+    const current = new Map(parseSegments(currentSegments).map(segment => [
+      `${toTime(segment.start)}|${toTime(segment.end)}`,
+      segment
+    ]));
+
+    return segments
+      .map((segment, index) => {
+        if (!segment || typeof segment !== 'object') {
+          throw this.invalid(`Segment ${index + 1} is not an object`);
+        }
+        const speaker = parseInt(segment.speaker, 10);
+        if (!Number.isInteger(speaker) || speaker < 0 || speaker >= MAX_SPEAKERS) {
+          throw this.invalid(`Segment ${index + 1} needs a speaker between 0 and ${MAX_SPEAKERS - 1}`);
+        }
+        const text = segmentText(segment).replace(/\s+/g, ' ');
+        if (text.length > MAX_SEGMENT_LENGTH) {
+          throw this.invalid(`Segment ${index + 1} is longer than ${MAX_SEGMENT_LENGTH} characters`);
+        }
+
+        const start = toTime(segment.start);
+        const end = toTime(segment.end);
+        const previous = current.get(`${start}|${end}`);
+        const sameText = previous && segmentText(previous) === text;
+        const unchanged = sameText && parseInt(previous.speaker, 10) === speaker;
+
+        const result = { speaker, transcript: text, start, end };
+        if (previous && previous.confidence !== undefined && sameText) {
+          result.confidence = previous.confidence;
+        }
+        const words = sameText ? previous.words : this.sanitizeWords(segment.words);
+        if (words && words.length > 0) {
+          result.words = words;
+        }
+        if (unchanged ? previous.edited : true) {
+          result.edited = true;
+        }
+        return result;
+      })
+      .filter(segment => segment.transcript);
+  }
+
+  sanitizeWords(words) {
+    if (!Array.isArray(words) || words.length > MAX_SEGMENT_LENGTH) {
+      return null;
+    }
+    const valid = words.every(word => word
+      && typeof word === 'object'
+      && typeof (word.punctuated_word ?? word.word) === 'string'
+      && toTime(word.start) !== null
+      && toTime(word.end) !== null);
+    return valid ? words : null;
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * Store a new version and make it the current text of the transcription.
+   * `baseRevision` is the revision the author started from; when somebody
+   * saved in between, nothing is written and the error has `status = 409`.
+   * Returns the updated transcription row.
+   */
+  async record(transcriptionId, { transcriptText, speakerSegments, action = 'edit', revertedFrom = null, author = null, authorRole = null, note = null, baseRevision = null }) {
+    const countWords = text => String(text || '').trim().split(/\s+/).filter(Boolean).length;
+
+    await this.db.transaction(async (query) => {
+      const [transcription] = await query(
+        'SELECT id, transcript_text, speaker_segments, word_count, revision, created_at, updated_at FROM transcriptions WHERE id = ? FOR UPDATE',
+        [transcriptionId]
+      );
+      if (!transcription) {
+        const error = new Error('Transcription not found');
+        error.status = 404;
+        throw error;
+      }
+      if (baseRevision !== null && transcription.revision !== baseRevision) {
+        const error = new Error(`This transcript was changed by someone else (now at revision ${transcription.revision}). Reload it and apply your changes again.`);
+        error.status = 409;
+        throw error;
+      }
+
+      // Keep the machine transcript before it is overwritten for the first time
+      if (transcription.revision === 0) {
+        await query(
+          `INSERT IGNORE INTO ${this.tableName}
+            (transcription_id, revision_number, action, transcript_text, speaker_segments, word_count, created_at)
+           VALUES (?, 0, 'original', ?, ?, ?, ?)`,
+          [
+            transcriptionId,
+            transcription.transcript_text,
+            JSON.stringify(parseSegments(transcription.speaker_segments)),
+            transcription.word_count || countWords(transcription.transcript_text),
+            transcription.updated_at || transcription.created_at || new Date()
+          ]
+        );
+      }
+
+      const revisionNumber = transcription.revision + 1;
+      const segmentsJson = JSON.stringify(speakerSegments || []);
+      const wordCount = countWords(transcriptText);
+      const now = new Date();
+
+      await query(
+        `INSERT INTO ${this.tableName}
+          (transcription_id, revision_number, action, reverted_from, transcript_text, speaker_segments, word_count, author, author_role, note, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [transcriptionId, revisionNumber, action, revertedFrom, transcriptText, segmentsJson, wordCount, author, authorRole, note, now]
+      );
+      await query(
+        `UPDATE transcriptions
+         SET transcript_text = ?, speaker_segments = ?, word_count = ?, revision = ?, edited_at = ?, updated_at = ?
+         WHERE id = ?`,
+        [transcriptText, segmentsJson, wordCount, revisionNumber, action === 'reprocess' ? null : now, now, transcriptionId]
+      );
+    });
+
+    return await this.db.queryOne('SELECT * FROM transcriptions WHERE id = ?', [transcriptionId]);
+  }
+}
+
+module.exports = new TranscriptionRevision();
@@ -1,16 +1,36 @@
 // Database models index
 const Session = require('./Session');
 const Table = require('./Table');
+const Participant = require('./Participant');
 const Recording = require('./Recording');
 const Transcription = require('./Transcription');
+const TranscriptionRevision = require('./TranscriptionRevision');
 const QRCode = require('./QRCode');
 const Settings = require('./Settings');
+const Round = require('./Round');
+const TranscriptionJob = require('./TranscriptionJob');
+const SessionAnalysis = require('./SessionAnalysis');
+const TranscriptChunk = require('./TranscriptChunk');
+const AnalysisJob = require('./AnalysisJob');
+const SpeakerLabel = require('./SpeakerLabel');
+const SessionVocabulary = require('./SessionVocabulary');
+const MediaUpload = require('./MediaUpload');
 
 module.exports = {
   Session,
   Table,
+  Participant,
   Recording,
   Transcription,
+  TranscriptionRevision,
   QRCode,
-  Settings
+  Settings,
+  Round,
+  TranscriptionJob,
+  SessionAnalysis,
+  TranscriptChunk,
+  AnalysisJob,
+  SpeakerLabel,
+  SessionVocabulary,
+  MediaUpload
 };
\ No newline at end of file
@@ -0,0 +1,178 @@
+const { Transcription } = require('./database/models');
+const { applyVocabulary, applyVocabularyToSegments } = require('./stt/vocabulary');
+
+const CHECKPOINT_INTERVAL_MS = 5000;
+
+/**
+ * Server-side copy of one live transcription stream.
+ *
+ * Final results are collected as the provider emits them and written to the
+ * `transcriptions` table every few seconds, so a closed tab or a sleeping
+ * phone no longer loses the transcript. finalize() writes whatever is left
+ * and stops the checkpoint timer; it is safe to call more than once.
+ */
+class LiveTranscriptRecorder {
+  constructor({ sessionId, tableId, roundNumber = null, language = 'en-US', vocabulary = [], onSaved = null }) {
+    this.sessionId = sessionId;
+    this.vocabulary = vocabulary || [];
+    this.tableId = tableId;
+    this.roundNumber = roundNumber;
+    this.language = language;
+    this.onSaved = onSaved;
+    this.words = [];
+    this.wordKeys = new Set();
+    this.transcriptionId = null;
+    this.dirty = false;
+    this.finalized = false;
+    this.saving = Promise.resolve();
+    this.timer = setInterval(() => this.checkpoint(), CHECKPOINT_INTERVAL_MS);
+  }
+
+  addFinal(words = [], transcript = '') {
+    if (this.finalized) {
+      return;
+    }
+
+    // Providers without word timings still send the final text
+    const incoming = words.length > 0
+      ? words
+      : transcript.trim().split(/\s+/).filter(Boolean).map(token => ({ word: token, punctuated_word: token }));
+
+    incoming.forEach((word, index) => {
+      if (!word || typeof word.word !== 'string') {
+        return;
+      }
+
+      const key = typeof word.start === 'number'
+        ? `${word.start.toFixed(3)}-${word.word}`
+        : `untimed-${this.words.length}-${index}`;
+      if (this.wordKeys.has(key)) {
+        return;
+      }
+      this.wordKeys.add(key);
+
+      this.words.push({
+        word: word.word,
+        punctuated_word: word.punctuated_word || word.word,
+        start: typeof word.start === 'number' ? word.start : null,
+        end: typeof word.end === 'number' ? word.end : null,
+        confidence: typeof word.confidence === 'number' ? word.confidence : null,
+        speaker: typeof word.speaker === 'number' ? word.speaker : 0
+      });
+      this.dirty = true;
+    });
+  }
+
+  getTranscriptText() {
+    return this.words.map(word => word.punctuated_word).join(' ');
+  }
+
+  getSpeakerSegments() {
+    return this.words.reduce((segments, word) => {
+      const current = segments[segments.length - 1];
+      if (current && current.speaker === word.speaker) {
+        current.words.push(word);
+        current.transcript += ` ${word.punctuated_word}`;
+        current.end = word.end ?? current.end;
+      } else {
+        segments.push({
+          speaker: word.speaker,
+          transcript: word.punctuated_word,
+          start: word.start ?? 0,
+          end: word.end ?? 0,
+          words: [word]
+        });
+      }
+      return segments;
+    }, []);
+  }
+
+  getConfidence() {
+    const scored = this.words.filter(word => word.confidence !== null);
+    if (scored.length === 0) {
+      return 0.9;
+    }
+    return scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length;
+  }
+
+  // Saves are chained so a checkpoint and finalize() never write concurrently
+  checkpoint() {
+    this.saving = this.saving
+      .then(() => this.save())
+      .catch(error => {
+        console.error(`❌ Live transcript checkpoint failed for table ${this.tableId}:`, error.message);
+      });
+    return this.saving;
+  }
+
+  async save() {
+    if (!this.dirty || this.words.length === 0) {
+      return;
+    }
+    this.dirty = false;
+
+    const transcriptText = applyVocabulary(this.getTranscriptText(), this.vocabulary);
+    const speakerSegments = applyVocabularyToSegments(this.getSpeakerSegments(), this.vocabulary);
+    const confidence = this.getConfidence();
+
+    try {
+      if (this.transcriptionId) {
+        await Transcription.update(this.transcriptionId, {
+          transcript_text: transcriptText,
+          speaker_segments: JSON.stringify(speakerSegments),
+          confidence_score: confidence,
+          word_count: this.words.length,
+          updated_at: new Date()
+        });
+      } else {
+        const transcription = await Transcription.create({
+          recordingId: null,
+          sessionId: this.sessionId,
+          tableId: this.tableId,
+          roundNumber: this.roundNumber,
+          transcriptText,
+          speakerSegments,
+          confidenceScore: confidence,
+          language: this.language,
+          source: 'live-transcription'
+        });
+        this.transcriptionId = transcription.id;
+        console.log(`💾 Live transcript for table ${this.tableId} saved as ${transcription.id}`);
+      }
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+
+    // The final save is reported by finalize(), which also covers a
+    // transcript the last checkpoint had already written in full
+    if (this.onSaved && !this.finalized) {
+      this.onSaved({
+        transcriptionId: this.transcriptionId,
+        wordCount: this.words.length,
+        final: false
+      });
+    }
+  }
+
+  async finalize() {
+    if (this.finalized) {
+      await this.saving;
+      return this.transcriptionId;
+    }
+    this.finalized = true;
+    clearInterval(this.timer);
+    await this.checkpoint();
+
+    if (this.onSaved && this.transcriptionId && !this.dirty) {
+      this.onSaved({
+        transcriptionId: this.transcriptionId,
+        wordCount: this.words.length,
+        final: true
+      });
+    }
+    return this.transcriptionId;
+  }
+}
+
+module.exports = LiveTranscriptRecorder;
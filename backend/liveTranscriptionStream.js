@@ -0,0 +1,381 @@
+const { v4: uuidv4 } = require('uuid');
+const LiveTranscriptRecorder = require('./liveTranscriptRecorder');
+const { createReplacer } = require('./stt/vocabulary');
+
+const RECONNECT_DELAYS_MS = [500, 1000, 2000, 4000, 8000, 15000];
+const DEFAULT_CHUNK_MS = 250;
+// Roughly two minutes of 250 ms chunks; older audio is dropped first
+const MAX_BUFFERED_CHUNKS = 480;
+const CLOSE_TIMEOUT_MS = 3000;
+// Every WebM cluster starts with this element id; the bytes before the first
+// one are the container header a fresh upstream connection needs
+const WEBM_CLUSTER_ID = Buffer.from([0x1F, 0x43, 0xB6, 0x75]);
+// Tolerance when comparing word times from different upstream connections
+const TIME_EPSILON = 0.02;
+
+/**
+ * One table's live transcription, independent of the socket and of the
+ * upstream provider connection.
+ *
+ * The browser keeps the stream's resume token; if its socket drops it can
+ * attach again to the same stream. If the provider connection closes or
+ * errors, audio is buffered while a new connection is opened with backoff.
+ * Provider timestamps restart at zero on every connection, so they are shifted
+ * by the audio already sent (chunk count x MediaRecorder timeslice) to keep
+ * one continuous timeline; words the new connection hears twice are dropped.
+ */
+class LiveTranscriptionStream {
+  constructor({ transcriptionService, options, sessionId = null, tableId = null, roundNumber = null, chunkMs = DEFAULT_CHUNK_MS, onStopped = null, onTranscriptSaved = null }) {
+    this.token = uuidv4();
+    this.onStopped = onStopped;
+    this.onTranscriptSaved = onTranscriptSaved;
+    this.transcriptionService = transcriptionService;
+    this.options = options;
+    this.sessionId = sessionId;
+    this.tableId = tableId;
+    this.chunkSeconds = (parseInt(chunkMs, 10) || DEFAULT_CHUNK_MS) / 1000;
+    // Relayed text gets the glossary replacements; words stay as heard
+    this.replaceTerms = createReplacer(options.vocabulary) || (text => text);
+
+    this.socket = null;
+    this.connection = null;
+    this.state = 'idle'; // idle | connecting | open | reconnecting | stopped
+    this.connectionsOpened = 0;
+    this.connectionOffset = 0;
+
+    this.header = null;
+    this.headerHasAudio = false;
+    this.buffer = []; // { chunk, index } waiting for an open connection
+    this.chunkCount = 0;
+
+    this.wordCache = new Set();
+    this.lastFinalEnd = 0;
+
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.graceTimer = null;
+
+    this.recorder = sessionId && tableId
+      ? new LiveTranscriptRecorder({
+        sessionId,
+        tableId,
+        roundNumber,
+        language: options.language,
+        vocabulary: options.vocabulary,
+        onSaved: (saved) => {
+          this.notify('live-transcription-saved', saved);
+          // Checkpoints are partial; only the final save counts as a new transcript
+          if (saved.final && this.onTranscriptSaved) {
+            this.onTranscriptSaved(saved);
+          }
+        }
+      })
+      : null;
+  }
+
+  notify(event, payload) {
+    if (this.socket) {
+      this.socket.emit(event, payload);
+    }
+  }
+
+  attach(socket) {
+    if (this.socket && this.socket !== socket) {
+      this.socket.liveStream = null;
+    }
+    this.socket = socket;
+    socket.liveStream = this;
+    clearTimeout(this.graceTimer);
+    this.graceTimer = null;
+
+    // The provider may have hung up (or been given up on) while nobody was sending audio
+    if (this.state === 'idle' && this.connectionsOpened > 0) {
+      this.reconnectAttempt = 0;
+      this.scheduleReconnect(0);
+    }
+  }
+
+  // Keep the stream for a while so a reconnecting client can resume it
+  detach(graceMs, onExpire) {
+    if (this.socket) {
+      this.socket.liveStream = null;
+    }
+    this.socket = null;
+    clearTimeout(this.graceTimer);
+    this.graceTimer = setTimeout(onExpire, graceMs);
+  }
+
+  async start() {
+    this.state = 'connecting';
+    await this.connect();
+  }
+
+  async connect() {
+    const connection = await this.transcriptionService.startLiveTranscription(this.options);
+    if (this.state === 'stopped') {
+      connection.finish();
+      return;
+    }
+
+    this.connection = connection;
+    connection.on('open', () => this.handleOpen(connection));
+    connection.on('transcript', (payload) => this.handleTranscript(connection, payload));
+    connection.on('close', () => this.handleClose(connection));
+    connection.on('error', (error) => this.handleError(connection, error));
+    connection.on('warning', (warning) => {
+      console.warn('⚠️ Live transcription warning:', warning);
+    });
+  }
+
+  sendAudio(chunk) {
+    if (this.state === 'stopped') {
+      return;
+    }
+
+    if (!this.header) {
+      this.captureHeader(chunk);
+    }
+
+    const index = this.chunkCount++;
+    if (this.state === 'open' && this.connection) {
+      this.connection.send(chunk);
+      return;
+    }
+
+    this.buffer.push({ chunk, index });
+    if (this.buffer.length > MAX_BUFFERED_CHUNKS) {
+      this.buffer.shift();
+      if (this.buffer.length === MAX_BUFFERED_CHUNKS) {
+        console.warn(`⚠️ Live audio buffer full for table ${this.tableId}, dropping oldest audio`);
+      }
+    }
+  }
+
+  captureHeader(chunk) {
+    const clusterIndex = chunk.indexOf(WEBM_CLUSTER_ID);
+    if (clusterIndex > 0) {
+      this.header = Buffer.from(chunk.subarray(0, clusterIndex));
+      this.headerHasAudio = false;
+    } else {
+      // Not WebM (or no cluster yet): replay the whole first chunk
+      this.header = Buffer.from(chunk);
+      this.headerHasAudio = true;
+    }
+  }
+
+  handleOpen(connection) {
+    if (connection !== this.connection || this.state === 'stopped') {
+      return;
+    }
+
+    const firstIndex = this.buffer.length > 0 ? this.buffer[0].index : this.chunkCount;
+    const needsHeader = firstIndex > 0 && this.header;
+    this.connectionOffset = firstIndex * this.chunkSeconds
+      - (needsHeader && this.headerHasAudio ? this.chunkSeconds : 0);
+
+    if (needsHeader) {
+      connection.send(this.header);
+    }
+    this.buffer.forEach(({ chunk }) => connection.send(chunk));
+    this.buffer = [];
+
+    const reconnected = this.connectionsOpened > 0;
+    this.connectionsOpened += 1;
+    this.reconnectAttempt = 0;
+    this.state = 'open';
+
+    console.log(`✅ Live transcription connection ${reconnected ? 're' : ''}opened for table ${this.tableId} (offset ${this.connectionOffset.toFixed(2)}s)`);
+    this.notify(reconnected ? 'live-transcription-reconnected' : 'live-transcription-started', {
+      resumeToken: this.token
+    });
+  }
+
+  handleTranscript(connection, rawPayload) {
+    if (connection !== this.connection) {
+      return;
+    }
+
+    try {
+      const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
+      if (!payload || typeof payload !== 'object') {
+        console.warn('⚠️ Received unexpected transcript payload type:', typeof rawPayload);
+        return;
+      }
+
+      // Support both Live and legacy payload formats
+      const channelAlternative = payload?.channel?.alternatives?.[0]
+        || payload?.results?.channels?.[0]?.alternatives?.[0]
+        || payload?.alternatives?.[0];
+
+      const transcript = channelAlternative?.transcript || '';
+      const rawWords = Array.isArray(channelAlternative?.words) ? channelAlternative.words : [];
+      const isFinal = Boolean(
+        payload?.is_final
+        ?? payload?.results?.is_final
+        ?? payload?.metadata?.is_final
+      );
+
+      // Shift onto the stream timeline and drop audio a new connection heard twice
+      const words = rawWords
+        .filter(word => word && typeof word.word === 'string')
+        .map(word => ({
+          ...word,
+          start: typeof word.start === 'number' ? word.start + this.connectionOffset : word.start,
+          end: typeof word.end === 'number' ? word.end + this.connectionOffset : word.end
+        }))
+        .filter(word => typeof word.end !== 'number' || word.end > this.lastFinalEnd + TIME_EPSILON);
+
+      const freshWords = words.filter((word) => {
+        const start = typeof word.start === 'number' ? word.start.toFixed(3) : 'na';
+        const end = typeof word.end === 'number' ? word.end.toFixed(3) : 'na';
+        const key = `${start}-${end}-${word.word}`;
+
+        if (this.wordCache.has(key)) {
+          return false;
+        }
+
+        this.wordCache.add(key);
+        return true;
+      });
+
+      const hasTranscript = typeof transcript === 'string' && transcript.trim().length > 0;
+
+      if (isFinal) {
+        // Interim words were already relayed, so finals are stored from the full word list
+        if (this.recorder) {
+          this.recorder.addFinal(words, hasTranscript && rawWords.length === 0 ? transcript : '');
+        }
+        const lastEnd = words.reduce((max, word) => (typeof word.end === 'number' ? Math.max(max, word.end) : max), 0);
+        this.lastFinalEnd = Math.max(this.lastFinalEnd, lastEnd);
+      }
+
+      if (hasTranscript || freshWords.length > 0) {
+        this.notify('live-transcription-result', {
+          transcript: hasTranscript ? this.replaceTerms(transcript) : '',
+          words: freshWords,
+          is_final: isFinal,
+          timestamp: new Date()
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error processing live transcription result:', error);
+      console.error('❌ Raw payload:', rawPayload);
+    }
+  }
+
+  handleClose(connection) {
+    if (connection !== this.connection || this.state === 'stopped') {
+      return;
+    }
+
+    console.log(`🔌 Live transcription connection closed for table ${this.tableId}`);
+    this.connection = null;
+    if (this.recorder) {
+      this.recorder.checkpoint();
+    }
+
+    if (this.socket) {
+      this.scheduleReconnect();
+    } else {
+      this.state = 'idle';
+    }
+  }
+
+  handleError(connection, error) {
+    if (connection !== this.connection || this.state === 'stopped') {
+      return;
+    }
+
+    console.error(`❌ Live transcription error for table ${this.tableId}:`, error?.message || error);
+    this.connection = null;
+    try {
+      connection.finish();
+    } catch (finishError) {
+      // The connection is being replaced anyway
+    }
+
+    if (this.socket) {
+      this.scheduleReconnect();
+    } else {
+      this.state = 'idle';
+    }
+  }
+
+  scheduleReconnect(delayOverride = null) {
+    if (this.state === 'stopped' || this.state === 'reconnecting') {
+      return;
+    }
+
+    if (this.reconnectAttempt >= RECONNECT_DELAYS_MS.length) {
+      console.error(`❌ Giving up on live transcription for table ${this.tableId} after ${this.reconnectAttempt} reconnect attempts`);
+      this.state = 'idle';
+      this.notify('live-transcription-error', { error: 'Live transcription connection lost' });
+      this.notify('live-transcription-ended');
+      this.stop().catch(error => console.error('❌ Failed to finalize abandoned live transcript:', error));
+      return;
+    }
+
+    const delayMs = delayOverride ?? RECONNECT_DELAYS_MS[this.reconnectAttempt];
+    this.reconnectAttempt += 1;
+    this.state = 'reconnecting';
+    this.notify('live-transcription-reconnecting', { attempt: this.reconnectAttempt, delayMs });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.state !== 'reconnecting') {
+        return;
+      }
+      try {
+        await this.connect();
+      } catch (error) {
+        console.error(`❌ Live transcription reconnect attempt ${this.reconnectAttempt} failed:`, error.message);
+        this.state = 'idle';
+        this.scheduleReconnect();
+      }
+    }, delayMs);
+  }
+
+  // Final words the client may have missed while it was disconnected
+  getWordsAfter(seconds = 0) {
+    if (!this.recorder) {
+      return [];
+    }
+    return this.recorder.words.filter(word => typeof word.end !== 'number' || word.end > seconds + TIME_EPSILON);
+  }
+
+  async stop() {
+    if (this.state === 'stopped') {
+      return this.recorder ? this.recorder.finalize() : null;
+    }
+    this.state = 'stopped';
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.graceTimer);
+    this.buffer = [];
+
+    if (this.onStopped) {
+      this.onStopped(this);
+    }
+
+    // Let the provider flush its last results before the transcript is finalized
+    const connection = this.connection;
+    if (connection) {
+      await new Promise((resolve) => {
+        const timeoutId = setTimeout(resolve, CLOSE_TIMEOUT_MS);
+        connection.once('close', () => {
+          clearTimeout(timeoutId);
+          resolve();
+        });
+        connection.finish();
+      });
+      this.connection = null;
+    }
+
+    const transcriptionId = this.recorder ? await this.recorder.finalize() : null;
+    if (transcriptionId) {
+      console.log(`💾 Live transcript ${transcriptionId} finalized (${this.recorder.words.length} words)`);
+    }
+    return transcriptionId;
+  }
+}
+
+module.exports = LiveTranscriptionStream;
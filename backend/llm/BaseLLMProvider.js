@@ -0,0 +1,62 @@
+/**
+ * Common surface for chat-completion (LLM) providers.
+ *
+ * chat() takes OpenAI-style messages ([{ role, content }]) and resolves to
+ * { content, model, usage }; options.json asks for a single JSON object as
+ * the reply. Providers with an embedding model configured also implement
+ * embed(texts), which resolves to one vector per text.
+ * Failures are thrown as LLMError so callers can tell a full context window
+ * or a rate limit apart from other errors.
+ */
+class LLMError extends Error {
+    constructor(message, { type = 'provider_error', status = null } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.type = type; // context_length | rate_limit | auth | timeout | provider_error
+        this.status = status;
+    }
+}
+
+class BaseLLMProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    getConfig() {
+        return {};
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    getStatus() {
+        const { apiKey, ...config } = this.getConfig();
+        return {
+            provider: this.name,
+            configured: this.isConfigured(),
+            ...config,
+            api_key_set: Boolean(apiKey)
+        };
+    }
+
+    // Tokens the model accepts per request (prompt and completion together)
+    getContextTokens() {
+        return this.getConfig().contextTokens || 8192;
+    }
+
+    async chat(messages, options = {}) {
+        throw new Error(`${this.name} provider does not support chat`);
+    }
+
+    supportsEmbeddings() {
+        return false;
+    }
+
+    async embed(texts) {
+        throw new Error(`${this.name} provider does not support embeddings`);
+    }
+}
+
+module.exports = BaseLLMProvider;
+module.exports.LLMError = LLMError;
@@ -0,0 +1,85 @@
+const BaseLLMProvider = require('./BaseLLMProvider');
+
+const EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * Offline stand-in for development and tests: answers without a model by
+ * echoing the question and the first lines of the context it was given, so
+ * the chat plumbing can be exercised end to end. With LLM_EMBEDDING_MODEL
+ * set it also returns hashed bag-of-words vectors, enough to exercise the
+ * embedding side of retrieval.
+ */
+class FakeLLMProvider extends BaseLLMProvider {
+    constructor() {
+        super('fake');
+    }
+
+    getConfig() {
+        return {
+            model: 'fake-echo',
+            embeddingModel: process.env.LLM_EMBEDDING_MODEL ? 'fake-hash' : null,
+            contextTokens: parseInt(process.env.LLM_CONTEXT_TOKENS, 10) || 32768
+        };
+    }
+
+    async chat(messages, options = {}) {
+        const question = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+        const system = messages.find(message => message.role === 'system')?.content || '';
+        const excerpt = system
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .slice(-3)
+            .join('\n');
+
+        const content = options.json
+            ? JSON.stringify(this.fakeAnalysis(question))
+            : `(fake model) You asked: "${question.trim()}"\n\nContext excerpt:\n${excerpt || 'No context provided.'}`;
+        return {
+            content,
+            model: this.getConfig().model,
+            usage: {
+                prompt_tokens: Math.ceil((system.length + question.length) / 4),
+                completion_tokens: Math.ceil(content.length / 4)
+            }
+        };
+    }
+
+    // Every field the analysis prompts ask for, so the pipeline runs without a model
+    fakeAnalysis(prompt) {
+        const lastLines = prompt.trim().split('\n').slice(-3).join(' ');
+        const text = `(fake model) ${lastLines.replace(/\s+/g, ' ').slice(0, 200) || 'No context provided.'}`;
+        return {
+            summary: text,
+            key_points: [{ point: text, sources: [1] }],
+            themes: [{ name: 'Fake theme', description: text, sources: [1] }],
+            overall: 'neutral',
+            score: 0,
+            explanation: text,
+            highlights: [],
+            conflicts: [],
+            agreements: []
+        };
+    }
+
+    supportsEmbeddings() {
+        return Boolean(this.getConfig().embeddingModel);
+    }
+
+    async embed(texts) {
+        return texts.map((text) => {
+            const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+            (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).forEach((word) => {
+                let hash = 0;
+                for (const char of word) {
+                    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+                }
+                vector[hash % EMBEDDING_DIMENSIONS] += 1;
+            });
+            const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+            return vector.map(value => value / norm);
+        });
+    }
+}
+
+module.exports = FakeLLMProvider;
@@ -0,0 +1,137 @@
+const BaseLLMProvider = require('./BaseLLMProvider');
+const { LLMError } = BaseLLMProvider;
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const EMBEDDING_BATCH_SIZE = 64;
+
+/**
+ * Any server speaking the OpenAI chat completions API: Groq, OpenAI, and
+ * local servers such as llama.cpp (`llama-server`) or Ollama (`/v1`).
+ *
+ * LLM_BASE_URL, LLM_MODEL and LLM_API_KEY override the preset defaults so one
+ * provider entry can point at any compatible endpoint. Embeddings use the
+ * same endpoint's /embeddings route once LLM_EMBEDDING_MODEL is set.
+ */
+class OpenAICompatibleProvider extends BaseLLMProvider {
+    constructor(name, { baseUrl, model, contextTokens, apiKeyEnv = null, requiresApiKey = true }) {
+        super(name);
+        this.defaults = { baseUrl, model, contextTokens };
+        this.apiKeyEnv = apiKeyEnv;
+        this.requiresApiKey = requiresApiKey;
+    }
+
+    getConfig() {
+        return {
+            baseUrl: (process.env.LLM_BASE_URL || this.defaults.baseUrl).replace(/\/+$/, ''),
+            model: process.env.LLM_MODEL || this.defaults.model,
+            embeddingModel: process.env.LLM_EMBEDDING_MODEL || null,
+            contextTokens: parseInt(process.env.LLM_CONTEXT_TOKENS, 10) || this.defaults.contextTokens,
+            apiKey: process.env.LLM_API_KEY || (this.apiKeyEnv && process.env[this.apiKeyEnv]) || null,
+            timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+        };
+    }
+
+    isConfigured() {
+        const config = this.getConfig();
+        return Boolean(config.baseUrl && config.model && (config.apiKey || !this.requiresApiKey));
+    }
+
+    supportsEmbeddings() {
+        return Boolean(this.getConfig().embeddingModel) && this.isConfigured();
+    }
+
+    async post(route, payload) {
+        const config = this.getConfig();
+        if (this.requiresApiKey && !config.apiKey) {
+            throw new LLMError(`No API key configured for the ${this.name} provider`, { type: 'auth' });
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+            headers.Authorization = `Bearer ${config.apiKey}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${config.baseUrl}${route}`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(config.timeoutMs)
+            });
+        } catch (error) {
+            if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+                throw new LLMError(`${this.name} did not answer within ${Math.round(config.timeoutMs / 1000)}s`, { type: 'timeout' });
+            }
+            throw new LLMError(`Could not reach ${config.baseUrl}: ${error.cause?.message || error.message}`);
+        }
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw this.toError(response.status, body);
+        }
+        return body;
+    }
+
+    async chat(messages, options = {}) {
+        const config = this.getConfig();
+        const body = await this.post('/chat/completions', {
+            model: options.model || config.model,
+            messages,
+            temperature: options.temperature ?? 0.3,
+            max_tokens: options.maxTokens || 2000,
+            // JSON mode is understood by OpenAI, Groq, llama.cpp and Ollama
+            ...(options.json ? { response_format: { type: 'json_object' } } : {}),
+            stream: false
+        });
+
+        const content = body?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new LLMError(`${this.name} returned no message content`);
+        }
+
+        return {
+            content,
+            model: body.model || options.model || config.model,
+            usage: body.usage || null
+        };
+    }
+
+    async embed(texts) {
+        const { embeddingModel } = this.getConfig();
+        if (!embeddingModel) {
+            throw new LLMError(`No embedding model configured for the ${this.name} provider`);
+        }
+
+        const vectors = [];
+        for (let offset = 0; offset < texts.length; offset += EMBEDDING_BATCH_SIZE) {
+            const batch = texts.slice(offset, offset + EMBEDDING_BATCH_SIZE);
+            const body = await this.post('/embeddings', { model: embeddingModel, input: batch });
+            const data = Array.isArray(body?.data) ? [...body.data].sort((a, b) => a.index - b.index) : [];
+            if (data.length !== batch.length) {
+                throw new LLMError(`${this.name} returned ${data.length} embeddings for ${batch.length} inputs`);
+            }
+            vectors.push(...data.map(item => item.embedding));
+        }
+        return vectors;
+    }
+
+    toError(status, body) {
+        const message = body?.error?.message || body?.error || `HTTP ${status}`;
+        const code = String(body?.error?.code || body?.error?.type || '');
+        const text = typeof message === 'string' ? message : JSON.stringify(message);
+
+        if (status === 429 || code.includes('rate_limit')) {
+            return new LLMError(text, { type: 'rate_limit', status });
+        }
+        if (status === 401 || status === 403) {
+            return new LLMError(text, { type: 'auth', status });
+        }
+        if (code.includes('context_length') || /context (length|window)|too (large|long)|maximum context/i.test(text)) {
+            return new LLMError(text, { type: 'context_length', status });
+        }
+        return new LLMError(`${this.name} request failed: ${text}`, { status });
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,63 @@
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const FakeLLMProvider = require('./FakeProvider');
+const { LLMError } = require('./BaseLLMProvider');
+
+const DEFAULT_PROVIDER = 'groq';
+
+// Chat-completion providers selectable from the admin settings
+const PROVIDERS = {
+    groq: {
+        label: 'Groq (cloud)',
+        create: () => new OpenAICompatibleProvider('groq', {
+            baseUrl: 'https://api.groq.com/openai/v1',
+            model: 'llama-3.3-70b-versatile',
+            contextTokens: 12000,
+            apiKeyEnv: 'GROQ_API_KEY'
+        })
+    },
+    openai: {
+        label: 'OpenAI-compatible API',
+        create: () => new OpenAICompatibleProvider('openai', {
+            baseUrl: 'https://api.openai.com/v1',
+            model: 'gpt-4o-mini',
+            contextTokens: 128000,
+            apiKeyEnv: 'OPENAI_API_KEY'
+        })
+    },
+    local: {
+        label: 'Local server (llama.cpp, Ollama)',
+        create: () => new OpenAICompatibleProvider('local', {
+            baseUrl: 'http://localhost:11434/v1',
+            model: 'llama3.1',
+            contextTokens: 8192,
+            requiresApiKey: false
+        })
+    },
+    fake: {
+        label: 'Fake (development and testing)',
+        create: () => new FakeLLMProvider()
+    }
+};
+
+function isKnownProvider(name) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+function createProvider(name) {
+    if (!isKnownProvider(name)) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return PROVIDERS[name].create();
+}
+
+function listProviders() {
+    return Object.entries(PROVIDERS).map(([id, provider]) => ({ id, label: provider.label }));
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    LLMError,
+    isKnownProvider,
+    createProvider,
+    listProviders
+};
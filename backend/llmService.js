@@ -0,0 +1,83 @@
+const llm = require('./llm');
+
+/**
+ * Language model entry point used by session chat and its retrieval index.
+ *
+ * Like the transcription service, the provider named by LLM_PROVIDER (set
+ * from the admin settings) is looked up on every call, so switching between
+ * a cloud API and a local llama.cpp/Ollama server needs no restart.
+ */
+class LLMService {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    getProviderName() {
+        const name = (process.env.LLM_PROVIDER || llm.DEFAULT_PROVIDER).toLowerCase();
+        if (!llm.isKnownProvider(name)) {
+            console.warn(`⚠️ Unknown LLM_PROVIDER "${name}", falling back to ${llm.DEFAULT_PROVIDER}`);
+            return llm.DEFAULT_PROVIDER;
+        }
+        return name;
+    }
+
+    getProvider(name = this.getProviderName()) {
+        if (!this.providers.has(name)) {
+            this.providers.set(name, llm.createProvider(name));
+        }
+        return this.providers.get(name);
+    }
+
+    isConfigured() {
+        return this.getProvider().isConfigured();
+    }
+
+    getContextTokens() {
+        return this.getProvider().getContextTokens();
+    }
+
+    getStatus() {
+        return {
+            ...this.getProvider().getStatus(),
+            available_providers: llm.listProviders().map(provider => ({
+                ...provider,
+                configured: this.getProvider(provider.id).isConfigured()
+            }))
+        };
+    }
+
+    async chat(messages, options = {}) {
+        return await this.getProvider().chat(messages, options);
+    }
+
+    supportsEmbeddings() {
+        return this.getProvider().supportsEmbeddings();
+    }
+
+    // Name stored next to each vector so a model change triggers re-embedding
+    getEmbeddingModel() {
+        return this.supportsEmbeddings() ? this.getProvider().getConfig().embeddingModel : null;
+    }
+
+    async embed(texts) {
+        return await this.getProvider().embed(texts);
+    }
+
+    // One tiny round trip to prove the endpoint, model and key work together
+    async test() {
+        const startedAt = Date.now();
+        const result = await this.chat([
+            { role: 'system', content: 'You are a connectivity check. Reply with the single word OK.' },
+            { role: 'user', content: 'Are you there?' }
+        ], { maxTokens: 5, temperature: 0 });
+
+        return {
+            provider: this.getProviderName(),
+            model: result.model,
+            reply: result.content.trim(),
+            latency_ms: Date.now() - startedAt
+        };
+    }
+}
+
+module.exports = LLMService;
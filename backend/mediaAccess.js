@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { requireCapability, scopeFromRecording } = require('./permissions');
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+// Generated once per process when no secret is configured: links stop working
+// on restart and are not shared between instances, but cannot be forged
+const FALLBACK_SECRET = crypto.randomBytes(32);
+
+let warnedAboutSecret = false;
+function getSecret() {
+  const secret = process.env.MEDIA_URL_SECRET || process.env.SESSION_SECRET;
+  if (secret) {
+    return secret;
+  }
+  if (!warnedAboutSecret) {
+    warnedAboutSecret = true;
+    console.warn('⚠️ MEDIA_URL_SECRET is not set; signed media links are only valid until the server restarts');
+  }
+  return FALLBACK_SECRET;
+}
+
+function getTtlSeconds() {
+  return parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS;
+}
+
+// The signature covers every parameter, so a playback link cannot be turned
+// into a download link, extended or passed off as someone else's
+function sign(recordingId, download, expires, viewer) {
+  return crypto.createHmac('sha256', getSecret())
+    .update(`${recordingId}:${download ? 'download' : 'play'}:${expires}:${viewer}`)
+    .digest('base64url');
+}
+
+/**
+ * Expiring link to the audio of a recording that works without the viewer's
+ * cookies, for `<audio>` elements and download links. `viewer` names whoever
+ * the link was made for, so fetches through it can still be attributed.
+ */
+function signMediaUrl(recordingId, { download = false, viewer = '' } = {}) {
+  const expires = Math.floor(Date.now() / 1000) + getTtlSeconds();
+  const params = new URLSearchParams({
+    expires: String(expires),
+    viewer,
+    signature: sign(recordingId, download, expires, viewer)
+  });
+  if (download) {
+    params.set('download', '1');
+  }
+  return {
+    url: `/api/recordings/${encodeURIComponent(recordingId)}/media?${params}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+function isDownloadRequest(req) {
+  return req.query.download === '1' || req.query.download === 'true';
+}
+
+function verifySignature(req) {
+  const expires = parseInt(req.query.expires, 10);
+  if (!Number.isSafeInteger(expires) || expires * 1000 < Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(sign(req.params.recordingId, isDownloadRequest(req), expires, String(req.query.viewer || '')));
+  const actual = Buffer.from(String(req.query.signature));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+const requireViewer = requireCapability('session:view', scopeFromRecording);
+
+/**
+ * Media routes accept a valid signed link, or else a viewer of the
+ * recording's session. Sets `req.mediaAccess` to 'signed' or 'session'.
+ */
+function requireMediaAccess(req, res, next) {
+  if (req.query.signature === undefined) {
+    req.mediaAccess = 'session';
+    return requireViewer(req, res, next);
+  }
+  if (!verifySignature(req)) {
+    return res.status(403).json({ error: 'This media link is invalid or has expired; reload the page for a new one' });
+  }
+  req.mediaAccess = 'signed';
+  req.mediaViewer = String(req.query.viewer || '') || null;
+  next();
+}
+
+module.exports = {
+  signMediaUrl,
+  isDownloadRequest,
+  requireMediaAccess
+};
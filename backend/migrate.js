@@ -12,7 +12,7 @@ async function runMigrations() {
         }
         
         // Get all migration files
-        const migrationsDir = path.join(__dirname, '../database/migrations');
+        const migrationsDir = path.join(__dirname, 'database/migrations');
         
         if (!fs.existsSync(migrationsDir)) {
             console.log('📁 Creating migrations directory...');
@@ -20,7 +20,7 @@ async function runMigrations() {
         }
         
         const migrationFiles = fs.readdirSync(migrationsDir)
-            .filter(file => file.endsWith('.sql'))
+            .filter(file => file.endsWith('.sql') || file.endsWith('.js'))
             .sort();
         
         if (migrationFiles.length === 0) {
@@ -51,6 +51,15 @@ async function runMigrations() {
             console.log(`🚀 Running migration: ${filename}`);
             
             const migrationPath = path.join(migrationsDir, filename);
+            
+            // Data migrations that need application code (e.g. hashing) are modules exporting up(db)
+            if (filename.endsWith('.js')) {
+                await require(migrationPath).up(db);
+                await db.query('INSERT INTO migrations (filename) VALUES (?)', [filename]);
+                console.log(`✅ Migration ${filename} completed successfully`);
+                continue;
+            }
+            
             const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
             
             // Split by semicolon and execute each statement
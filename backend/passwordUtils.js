@@ -1,4 +1,41 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+// Kept in the uploads volume so it survives restarts and redeploys alongside
+// the data it indexes
+const LOOKUP_SECRET_FILE = path.join(__dirname, '../uploads/.password-lookup-secret');
+
+let lookupSecret = null;
+function getLookupSecret() {
+    if (process.env.PASSWORD_LOOKUP_SECRET) {
+        return process.env.PASSWORD_LOOKUP_SECRET;
+    }
+    if (!lookupSecret) {
+        lookupSecret = loadOrCreateLookupSecret();
+    }
+    return lookupSecret;
+}
+
+// Without a configured key, generate one on first use and reuse it afterwards:
+// a built-in key would let anyone with the source code test entry codes
+// against a copy of the database
+function loadOrCreateLookupSecret() {
+    if (fs.existsSync(LOOKUP_SECRET_FILE)) {
+        return fs.readFileSync(LOOKUP_SECRET_FILE, 'utf8').trim();
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(LOOKUP_SECRET_FILE), { recursive: true });
+    fs.writeFileSync(LOOKUP_SECRET_FILE, secret, { mode: 0o600, flag: 'wx' });
+    console.warn(`⚠️ PASSWORD_LOOKUP_SECRET is not set; generated one in ${LOOKUP_SECRET_FILE}. Keep that file, or entry codes stop working`);
+    return secret;
+}
 
 class PasswordUtils {
     /**
@@ -19,23 +56,81 @@ class PasswordUtils {
     }
 
     /**
-     * Hash a password using crypto
+     * Hash a password with scrypt and a random salt
      * @param {string} password - Plain text password
-     * @returns {string} Hashed password
+     * @returns {Promise<string>} Encoded hash: scrypt$N$r$p$salt$key (base64 parts)
      */
-    static hashPassword(password) {
-        return crypto.createHash('sha256').update(password).digest('hex');
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(SALT_BYTES);
+        const key = await scrypt(String(password), salt, KEY_BYTES, SCRYPT_PARAMS);
+        const { N, r, p } = SCRYPT_PARAMS;
+        return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
     }
 
     /**
-     * Verify a password against a hash
+     * Verify a password against a stored scrypt hash in constant time
      * @param {string} password - Plain text password
-     * @param {string} hash - Stored hash
-     * @returns {boolean} Match result
+     * @param {string} hash - Stored hash from hashPassword()
+     * @returns {Promise<boolean>} Match result
+     */
+    static async verifyPassword(password, hash) {
+        if (typeof password !== 'string' || !this.isHash(hash)) {
+            return false;
+        }
+
+        const [, N, r, p, salt, key] = hash.split('$');
+        const expected = Buffer.from(key, 'base64');
+        const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+            N: Number(N),
+            r: Number(r),
+            p: Number(p),
+            maxmem: SCRYPT_PARAMS.maxmem
+        });
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * Whether a stored value is already a hashPassword() result
+     * @param {string} value - Stored value
+     * @returns {boolean}
+     */
+    static isHash(value) {
+        return typeof value === 'string' && /^scrypt\$\d+\$\d+\$\d+\$[^$]+\$[^$]+$/.test(value);
+    }
+
+    /**
+     * Constant-time comparison of two plain strings (legacy plaintext settings)
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    static safeEqual(a, b) {
+        const left = crypto.createHash('sha256').update(String(a)).digest();
+        const right = crypto.createHash('sha256').update(String(b)).digest();
+        return crypto.timingSafeEqual(left, right);
+    }
+
+    /**
+     * Keyed, non-reversible lookup value for entry codes. Salted hashes cannot
+     * be searched, so rows are found by this HMAC and then checked with
+     * verifyPassword(). The key (PASSWORD_LOOKUP_SECRET, or the one generated
+     * on first use) must stay stable once codes exist.
+     * @param {string} code - Entry code as typed (normalised to upper case)
+     * @returns {string} Hex HMAC-SHA256
+     */
+    static lookupKey(code) {
+        return crypto.createHmac('sha256', getLookupSecret())
+            .update(this.normalizeCode(code))
+            .digest('hex');
+    }
+
+    /**
+     * Entry codes are case-insensitive; hash and look them up in one form
+     * @param {string} code
+     * @returns {string}
      */
-    static verifyPassword(password, hash) {
-        const inputHash = this.hashPassword(password);
-        return inputHash === hash;
+    static normalizeCode(code) {
+        return String(code).trim().toUpperCase();
     }
 
     /**
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const { Table, Participant, Recording, Transcription } = require('./database/models');
+const { getAdmin } = require('./adminAuth');
+
+const PARTICIPANT_CAPABILITIES = ['session:view'];
+const FACILITATOR_CAPABILITIES = [...PARTICIPANT_CAPABILITIES, 'recording:control', 'transcript:export', 'transcript:edit'];
+const HOST_CAPABILITIES = [
+  ...FACILITATOR_CAPABILITIES,
+  'recording:reprocess',
+  'rounds:control',
+  'session:manage',
+  'session:export',
+  'session:analyze'
+];
+const ADMIN_CAPABILITIES = [...HOST_CAPABILITIES, 'session:edit', 'recording:delete'];
+
+const ROLE_CAPABILITIES = {
+  participant: PARTICIPANT_CAPABILITIES,
+  facilitator: FACILITATOR_CAPABILITIES,
+  host: HOST_CAPABILITIES,
+  admin: ADMIN_CAPABILITIES
+};
+
+/**
+ * Grants earned on this browser, kept in its express-session:
+ * - hosts: session ids unlocked with the session admin password (or created here)
+ * - facilitators: table ids unlocked with a table password
+ * - participants: sessionId -> participant id seated from this browser
+ */
+function getAccess(session) {
+  if (!session.access) {
+    session.access = { hosts: [], facilitators: [], participants: {} };
+  }
+  return session.access;
+}
+
+function grantHost(session, sessionId) {
+  const access = getAccess(session);
+  if (!access.hosts.includes(sessionId)) {
+    access.hosts.push(sessionId);
+  }
+}
+
+function grantFacilitator(session, tableId) {
+  const access = getAccess(session);
+  if (!access.facilitators.includes(String(tableId))) {
+    access.facilitators.push(String(tableId));
+  }
+}
+
+function rememberParticipant(session, sessionId, participantId) {
+  getAccess(session).participants[sessionId] = participantId;
+}
+
+function can(role, capability) {
+  return Boolean(role) && ROLE_CAPABILITIES[role].includes(capability);
+}
+
+/**
+ * Highest role the request holds for a session (and optionally one of its
+ * tables). `req` is an Express request or a socket handshake request; sockets
+ * pass the participant seated on them as `participantId`. Returns null for
+ * visitors with no grant at all.
+ */
+async function resolveRole(req, { sessionId, tableId = null }, participantId = null) {
+  if (getAdmin(req)) {
+    return 'admin';
+  }
+  if (!sessionId || !req.session) {
+    return null;
+  }
+
+  const access = getAccess(req.session);
+  if (access.hosts.includes(sessionId)) {
+    return 'host';
+  }
+  if (tableId !== null && access.facilitators.includes(String(tableId))) {
+    return 'facilitator';
+  }
+
+  const seatedId = participantId || access.participants[sessionId];
+  if (!seatedId) {
+    return null;
+  }
+
+  const participant = await Participant.findById(seatedId);
+  if (!participant || participant.session_id !== sessionId) {
+    return null;
+  }
+
+  // The table host role follows the seat: whoever currently hosts the table may
+  // record there. Participants only become host with a credential (the table
+  // password or the session host's assignment), see Participant.enterTable().
+  const hostsTable = tableId !== null
+    && participant.is_facilitator
+    && !participant.left_at
+    && String(participant.table_id) === String(tableId);
+  return hostsTable ? 'facilitator' : 'participant';
+}
+
+function describeRole(role) {
+  return {
+    role,
+    capabilities: role ? ROLE_CAPABILITIES[role] : []
+  };
+}
+
+// Table ids arrive from clients, so the owning session always comes from the database
+async function scopeForTable(tableId, sessionId = null) {
+  const table = tableId ? await Table.findById(tableId) : null;
+  if (!table) {
+    return { sessionId, tableId: null };
+  }
+  return { sessionId: table.session_id, tableId: table.id };
+}
+
+async function scopeFromParams(req) {
+  const sessionId = req.params.sessionId || req.params.id || req.body?.sessionId || null;
+  if (req.params.tableNumber && sessionId) {
+    const table = await Table.findBySessionAndNumber(sessionId, parseInt(req.params.tableNumber, 10));
+    return { sessionId, tableId: table ? table.id : null };
+  }
+  if (req.body?.tableId) {
+    return scopeForTable(req.body.tableId, sessionId);
+  }
+  return { sessionId, tableId: null };
+}
+
+// Query-string scope for GET routes that are not nested under a session;
+// without a sessionId only admins get a role
+async function scopeFromQuery(req) {
+  return { sessionId: req.query.sessionId || null, tableId: null };
+}
+
+async function scopeFromRecording(req) {
+  const recording = await Recording.findById(req.params.recordingId);
+  return recording
+    ? { sessionId: recording.session_id, tableId: recording.table_id }
+    : { sessionId: null, tableId: null };
+}
+
+async function scopeFromParticipant(req) {
+  const participant = await Participant.findById(req.params.participantId);
+  return participant
+    ? { sessionId: participant.session_id, tableId: participant.table_id }
+    : { sessionId: null, tableId: null };
+}
+
+async function scopeFromTranscription(req) {
+  const transcription = await Transcription.findById(req.params.transcriptionId);
+  return transcription
+    ? { sessionId: transcription.session_id, tableId: transcription.table_id }
+    : { sessionId: null, tableId: null };
+}
+
+function requireCapability(capability, resolveScope = scopeFromParams) {
+  return async (req, res, next) => {
+    try {
+      const scope = await resolveScope(req);
+      const role = await resolveRole(req, scope);
+      if (can(role, capability)) {
+        req.role = role;
+        return next();
+      }
+
+      // Multer has already written the upload by the time body fields can be checked
+      if (req.file?.path) {
+        fs.unlink(req.file.path, () => {});
+      }
+
+      res.status(role ? 403 : 401).json({
+        error: role
+          ? `Your role (${role}) is not allowed to do this`
+          : 'Sign in to this session or table first',
+        requiredCapability: capability,
+        role
+      });
+    } catch (error) {
+      console.error('Error checking permissions:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+async function authorizeSocket(socket, capability, scope) {
+  const request = socket.request;
+  if (request.session) {
+    // Grants may have been added over HTTP since this socket connected
+    await new Promise(resolve => request.session.reload(() => resolve()));
+  }
+  const role = await resolveRole(request, scope, socket.participantId || null);
+  return can(role, capability);
+}
+
+module.exports = {
+  ROLE_CAPABILITIES,
+  getAccess,
+  grantHost,
+  grantFacilitator,
+  rememberParticipant,
+  can,
+  resolveRole,
+  describeRole,
+  scopeForTable,
+  scopeFromParams,
+  scopeFromQuery,
+  scopeFromRecording,
+  scopeFromParticipant,
+  scopeFromTranscription,
+  requireCapability,
+  authorizeSocket
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { MediaUpload } = require('./database/models');
+
+const DEFAULT_MAX_SIZE_MB = 4096;
+const DEFAULT_CHUNK_SIZE_MB = 8;
+const DEFAULT_EXPIRY_HOURS = 24;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const CLOSED_RETENTION_MS = 24 * 60 * 60 * 1000;
+// tus answers a failed Upload-Checksum with 460; the client resends the chunk
+const CHECKSUM_MISMATCH_STATUS = 460;
+
+function uploadError(message, status, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Resumable uploads for long recordings on unreliable networks.
+ *
+ * The client starts an upload with the file's size and form fields, then
+ * sends the file in chunks, each with the offset it starts at and,
+ * optionally, a tus-style `Upload-Checksum: sha256 <base64>` header. A chunk
+ * that does not start at the stored offset is refused with `status = 409`
+ * and the current offset, so a client that lost a response can continue
+ * where the server actually is. Partial files live in `<uploadDir>/.partial`
+ * (dotfiles are not served by express.static) and are removed when an upload
+ * is aborted or has not received a chunk for UPLOAD_EXPIRY_HOURS.
+ */
+class ResumableUploads {
+  constructor({ uploadDir }) {
+    this.uploadDir = uploadDir;
+    this.partialDir = path.join(uploadDir, '.partial');
+    this.busy = new Set(); // upload ids with a chunk or completion in progress
+    this.timer = null;
+  }
+
+  getConfig() {
+    const megabytes = (value, fallback) => (parseInt(value, 10) || fallback) * 1024 * 1024;
+    return {
+      maxBytes: megabytes(process.env.UPLOAD_MAX_SIZE_MB, DEFAULT_MAX_SIZE_MB),
+      chunkBytes: megabytes(process.env.UPLOAD_CHUNK_SIZE_MB, DEFAULT_CHUNK_SIZE_MB),
+      expiryMs: (parseInt(process.env.UPLOAD_EXPIRY_HOURS, 10) || DEFAULT_EXPIRY_HOURS) * 60 * 60 * 1000
+    };
+  }
+
+  describe(upload) {
+    return {
+      uploadId: upload.id,
+      offset: Number(upload.received_bytes),
+      size: Number(upload.total_size),
+      chunkSize: upload.chunk_size,
+      status: upload.status,
+      recordingId: upload.recording_id || null,
+      expiresAt: upload.expires_at
+    };
+  }
+
+  async create({ sessionId, tableId, originalName, mimeType, size, options }) {
+    const config = this.getConfig();
+    const totalSize = Number(size);
+    if (!Number.isSafeInteger(totalSize) || totalSize <= 0) {
+      throw uploadError('size must be a positive number of bytes', 400);
+    }
+    if (totalSize > config.maxBytes) {
+      throw uploadError(`The file is larger than the ${Math.round(config.maxBytes / 1024 / 1024)} MB upload limit`, 413);
+    }
+
+    fs.mkdirSync(this.partialDir, { recursive: true });
+    const tempPath = path.join(this.partialDir, `${uuidv4()}.part`);
+    fs.closeSync(fs.openSync(tempPath, 'w'));
+
+    try {
+      return await MediaUpload.create({
+        sessionId,
+        tableId,
+        originalName: String(originalName || 'recording').slice(0, 255),
+        mimeType,
+        totalSize,
+        chunkSize: config.chunkBytes,
+        tempPath,
+        options,
+        expiresAt: new Date(Date.now() + config.expiryMs)
+      });
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  verifyChecksum(buffer, header) {
+    if (!header) {
+      return;
+    }
+    const [algorithm, expected] = String(header).trim().split(/\s+/);
+    if (algorithm !== 'sha256' || !expected) {
+      throw uploadError('Upload-Checksum must be "sha256 <base64 digest>"', 400);
+    }
+    const actual = crypto.createHash('sha256').update(buffer).digest('base64');
+    if (actual !== expected) {
+      throw uploadError('Chunk checksum does not match; send it again', CHECKSUM_MISMATCH_STATUS);
+    }
+  }
+
+  /**
+   * Write one chunk at `offset`. Returns the upload with its new offset.
+   */
+  async writeChunk(upload, offset, buffer, checksum = null) {
+    const current = Number(upload.received_bytes);
+    const total = Number(upload.total_size);
+
+    if (upload.status !== 'uploading') {
+      throw uploadError(`This upload is already ${upload.status}`, 409, { offset: current });
+    }
+    if (!Number.isSafeInteger(offset) || offset !== current) {
+      throw uploadError(`Expected a chunk at offset ${current}`, 409, { offset: current });
+    }
+    if (!buffer || buffer.length === 0) {
+      throw uploadError('The chunk is empty', 400);
+    }
+    if (buffer.length > upload.chunk_size || offset + buffer.length > total) {
+      throw uploadError(`Chunks can be at most ${upload.chunk_size} bytes and must not go past the file size`, 400);
+    }
+    this.verifyChecksum(buffer, checksum);
+
+    if (this.busy.has(upload.id)) {
+      throw uploadError('Another chunk of this upload is being written', 409, { offset: current });
+    }
+    this.busy.add(upload.id);
+
+    try {
+      const handle = await fs.promises.open(upload.temp_path, 'r+');
+      try {
+        await handle.write(buffer, 0, buffer.length, offset);
+        await handle.datasync();
+      } finally {
+        await handle.close();
+      }
+
+      const next = offset + buffer.length;
+      const advanced = await MediaUpload.advance(upload.id, offset, next, new Date(Date.now() + this.getConfig().expiryMs));
+      if (!advanced) {
+        const latest = await MediaUpload.findById(upload.id);
+        throw uploadError('The upload moved on while this chunk was written', 409, { offset: Number(latest?.received_bytes || 0) });
+      }
+      return { ...upload, received_bytes: next };
+    } finally {
+      this.busy.delete(upload.id);
+    }
+  }
+
+  /**
+   * Move a fully received upload into the upload directory as `filename`
+   * and hand it to `register`, which creates the recording and returns
+   * `{ recordingId, ...response }`. Running it twice for the same upload is
+   * refused while the first call is in progress.
+   */
+  async complete(upload, filename, register) {
+    const received = Number(upload.received_bytes);
+    if (upload.status !== 'uploading') {
+      throw uploadError(`This upload is already ${upload.status}`, 409, { offset: received });
+    }
+    if (received !== Number(upload.total_size)) {
+      throw uploadError(`Only ${received} of ${upload.total_size} bytes have arrived`, 409, { offset: received });
+    }
+    if (this.busy.has(upload.id)) {
+      throw uploadError('This upload is already being completed', 409, { offset: received });
+    }
+    this.busy.add(upload.id);
+
+    const filePath = path.join(this.uploadDir, filename);
+    let result;
+    try {
+      // A write that was cut off before its offset was saved may have left
+      // bytes past the end
+      await fs.promises.truncate(upload.temp_path, received);
+      await fs.promises.rename(upload.temp_path, filePath);
+
+      result = await register({
+        filename,
+        path: filePath,
+        size: received,
+        mimetype: upload.mime_type,
+        originalname: upload.original_name
+      });
+    } catch (error) {
+      // Put the file back so completing can be tried again
+      if (fs.existsSync(filePath) && !fs.existsSync(upload.temp_path)) {
+        fs.renameSync(filePath, upload.temp_path);
+      }
+      this.busy.delete(upload.id);
+      throw error;
+    }
+
+    try {
+      await MediaUpload.markCompleted(upload.id, result.recordingId);
+      return result;
+    } finally {
+      this.busy.delete(upload.id);
+    }
+  }
+
+  async abort(upload) {
+    if (upload.status === 'uploading') {
+      fs.rmSync(upload.temp_path, { force: true });
+      await MediaUpload.markAborted(upload.id);
+    }
+  }
+
+  async cleanup() {
+    const expired = await MediaUpload.findExpired();
+    for (const upload of expired) {
+      await this.abort(upload);
+    }
+    const purged = await MediaUpload.purgeClosed(new Date(Date.now() - CLOSED_RETENTION_MS));
+    if (expired.length > 0 || purged > 0) {
+      console.log(`🧹 Removed ${expired.length} expired upload(s) and ${purged} finished upload record(s)`);
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    const run = () => this.cleanup().catch(error => console.error('❌ Upload cleanup failed:', error.message));
+    this.timer = setInterval(run, CLEANUP_INTERVAL_MS);
+    run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = ResumableUploads;
@@ -0,0 +1,82 @@
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+    'doing', 'for', 'from', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'him', 'his',
+    'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my', 'no',
+    'not', 'now', 'of', 'on', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'own', 'really',
+    'said', 'same', 'say', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their',
+    'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'um', 'uh',
+    'under', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+    'whom', 'why', 'will', 'with', 'would', 'yeah', 'you', 'your'
+]);
+
+// Lower-cased letter/number runs minus stop words, with a light plural strip
+// so "idea" and "ideas" meet; works for any script \p{L} covers
+function tokenize(text) {
+    return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+        .map(token => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+/**
+ * Okapi BM25 over an in-memory list of documents. Sessions hold at most a
+ * few thousand chunks, so the index is rebuilt per question rather than kept.
+ */
+class BM25Index {
+    constructor(documents, getText = doc => doc.content) {
+        this.documents = documents;
+        this.termFrequencies = documents.map((doc) => {
+            const frequencies = new Map();
+            tokenize(getText(doc)).forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+            return frequencies;
+        });
+        this.lengths = this.termFrequencies.map(frequencies => [...frequencies.values()].reduce((sum, n) => sum + n, 0));
+        this.averageLength = this.lengths.reduce((sum, n) => sum + n, 0) / (documents.length || 1);
+
+        this.documentFrequency = new Map();
+        this.termFrequencies.forEach((frequencies) => {
+            frequencies.forEach((count, token) => {
+                this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+            });
+        });
+    }
+
+    idf(token) {
+        const n = this.documentFrequency.get(token) || 0;
+        return Math.log(1 + (this.documents.length - n + 0.5) / (n + 0.5));
+    }
+
+    // [{ document, score }] with score > 0, best first
+    search(query, limit = 20) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) {
+            return [];
+        }
+
+        return this.termFrequencies
+            .map((frequencies, index) => {
+                const length = this.lengths[index];
+                const score = terms.reduce((sum, term) => {
+                    const frequency = frequencies.get(term);
+                    if (!frequency) {
+                        return sum;
+                    }
+                    const norm = frequency + K1 * (1 - B + B * (length / (this.averageLength || 1)));
+                    return sum + this.idf(term) * ((frequency * (K1 + 1)) / norm);
+                }, 0);
+                return { document: this.documents[index], score };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+module.exports = {
+    BM25Index,
+    STOP_WORDS,
+    tokenize
+};
@@ -0,0 +1,127 @@
+const { formatSpeakerLabel } = require('../utils/speakers');
+
+const TARGET_WORDS = 120;
+const MAX_WORDS = 200;
+
+function parseSegments(transcription) {
+    const raw = transcription.speaker_segments;
+    if (!raw) {
+        return [];
+    }
+    try {
+        const segments = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        return Array.isArray(segments) ? segments : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function toNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+// One speaker turn per entry; turns longer than MAX_WORDS are cut on word
+// boundaries, using word timings when the provider gave them. `label` is the
+// speaker's name from transcription.speaker_names when one was given
+function toTurns(transcription) {
+    const segments = parseSegments(transcription);
+    const names = transcription.speaker_names || {};
+    const turns = [];
+
+    segments.forEach((segment) => {
+        const text = String(segment.transcript || segment.text || '').trim();
+        if (!text) {
+            return;
+        }
+
+        const speaker = typeof segment.speaker === 'number' ? segment.speaker : 0;
+        const tokens = text.split(/\s+/);
+        const words = Array.isArray(segment.words) && segment.words.length === tokens.length ? segment.words : null;
+
+        for (let offset = 0; offset < tokens.length; offset += MAX_WORDS) {
+            const slice = tokens.slice(offset, offset + MAX_WORDS);
+            const firstWord = words ? words[offset] : null;
+            const lastWord = words ? words[Math.min(offset + MAX_WORDS, tokens.length) - 1] : null;
+            const whole = offset === 0 && slice.length === tokens.length;
+
+            turns.push({
+                speaker,
+                label: names[speaker] || null,
+                text: slice.join(' '),
+                words: slice.length,
+                start: whole ? toNumber(segment.start) : toNumber(firstWord?.start ?? (offset === 0 ? segment.start : null)),
+                end: whole ? toNumber(segment.end) : toNumber(lastWord?.end ?? null)
+            });
+        }
+    });
+
+    // Transcripts without diarization are chunked from the plain text
+    if (turns.length === 0 && transcription.transcript_text) {
+        const tokens = String(transcription.transcript_text).split(/\s+/).filter(Boolean);
+        for (let offset = 0; offset < tokens.length; offset += TARGET_WORDS) {
+            const slice = tokens.slice(offset, offset + TARGET_WORDS);
+            turns.push({ speaker: null, label: null, text: slice.join(' '), words: slice.length, start: null, end: null });
+        }
+    }
+
+    return turns;
+}
+
+function formatTurn(turn) {
+    if (turn.speaker === null) {
+        return turn.text;
+    }
+    return `${turn.label || formatSpeakerLabel(turn.speaker)}: ${turn.text}`;
+}
+
+/**
+ * Split one transcription into retrieval chunks of roughly TARGET_WORDS,
+ * keeping whole speaker turns together so every chunk reads as a short
+ * exchange and carries the time span it covers.
+ */
+function chunkTranscription(transcription) {
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+        if (current && current.turns.length > 0) {
+            chunks.push({
+                chunk_index: chunks.length,
+                start_time: current.turns.find(turn => turn.start !== null)?.start ?? null,
+                end_time: [...current.turns].reverse().find(turn => turn.end !== null)?.end ?? null,
+                speakers: [...new Set(current.turns
+                    .filter(turn => turn.speaker !== null)
+                    .map(turn => turn.label || turn.speaker))],
+                content: current.turns.map(formatTurn).join('\n'),
+                word_count: current.words
+            });
+        }
+        current = { turns: [], words: 0 };
+    };
+
+    flush();
+    toTurns(transcription).forEach((turn) => {
+        if (current.words > 0 && current.words + turn.words > MAX_WORDS) {
+            flush();
+        }
+        current.turns.push(turn);
+        current.words += turn.words;
+        if (current.words >= TARGET_WORDS) {
+            flush();
+        }
+    });
+    flush();
+
+    return chunks;
+}
+
+module.exports = {
+    chunkTranscription,
+    countWords,
+    toTurns
+};
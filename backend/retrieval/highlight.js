@@ -0,0 +1,143 @@
+const SNIPPET_CONTEXT = 80;
+const MAX_MATCHES = 5;
+
+const WORD = '[\\p{L}\\p{N}]';
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pull the terms to highlight out of a MySQL boolean-mode query: quoted
+ * phrases, plain words and `prefix*` words. Excluded terms (`-word`) are
+ * dropped since they never appear in a hit.
+ */
+function parseSearchTerms(query) {
+    const terms = [];
+    const pattern = /([+\-~<>]*)"([^"]+)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(String(query))) !== null) {
+        if (match[2] !== undefined) {
+            if (!match[1].includes('-')) {
+                const words = match[2].match(/[\p{L}\p{N}]+/gu) || [];
+                if (words.length > 0) {
+                    terms.push({ type: 'phrase', words });
+                }
+            }
+            continue;
+        }
+
+        const token = match[3];
+        if (/^[+~<>(]*-/.test(token)) {
+            continue;
+        }
+        const prefix = /\*\)*$/.test(token);
+        (token.match(/[\p{L}\p{N}]+/gu) || []).forEach((word) => {
+            terms.push({ type: prefix ? 'prefix' : 'word', words: [word] });
+        });
+    }
+
+    return terms;
+}
+
+// One case-insensitive regex matching any term on word boundaries
+function buildMatcher(terms) {
+    if (terms.length === 0) {
+        return null;
+    }
+    const alternatives = terms.map((term) => {
+        const body = term.words.map(escapeRegExp).join(`(?:(?!${WORD}).)+`);
+        return term.type === 'prefix' ? `${body}${WORD}*` : body;
+    });
+    return new RegExp(`(?<!${WORD})(?:${alternatives.join('|')})(?!${WORD})`, 'giu');
+}
+
+// Cut a window around the first hit and report every hit inside it as
+// [start, end) offsets into the snippet
+function toSnippet(text, matcher) {
+    matcher.lastIndex = 0;
+    const first = matcher.exec(text);
+    if (!first) {
+        return null;
+    }
+
+    let start = Math.max(0, first.index - SNIPPET_CONTEXT);
+    let end = Math.min(text.length, first.index + first[0].length + SNIPPET_CONTEXT * 2);
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space >= 0 && space < first.index ? space + 1 : start;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > first.index + first[0].length ? space : end;
+    }
+
+    const prefix = start > 0 ? '… ' : '';
+    const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+    const highlights = [];
+    matcher.lastIndex = start;
+    let match;
+    while ((match = matcher.exec(text)) !== null && match.index + match[0].length <= end) {
+        highlights.push([match.index - start + prefix.length, match.index - start + prefix.length + match[0].length]);
+        if (match[0].length === 0) {
+            matcher.lastIndex += 1;
+        }
+    }
+
+    return { snippet, highlights };
+}
+
+function parseSegments(value) {
+    if (!value) {
+        return [];
+    }
+    try {
+        const segments = typeof value === 'string' ? JSON.parse(value) : value;
+        return Array.isArray(segments) ? segments : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Highlighted passages of one transcription for the given terms. Diarized
+ * transcripts are matched segment by segment so each passage carries its
+ * speaker and time span; plain transcripts fall back to the full text.
+ * With `speaker` set, only that speaker's segments are considered.
+ */
+function findMatches(transcription, terms, { speaker = null } = {}) {
+    const matcher = buildMatcher(terms);
+    if (!matcher) {
+        return { matches: [], total: 0 };
+    }
+
+    const segments = parseSegments(transcription.speaker_segments)
+        .map(segment => ({
+            speaker: typeof segment.speaker === 'number' ? segment.speaker : null,
+            start: typeof segment.start === 'number' ? segment.start : null,
+            end: typeof segment.end === 'number' ? segment.end : null,
+            text: String(segment.transcript || segment.text || '')
+        }))
+        .filter(segment => segment.text && (speaker === null || segment.speaker === speaker));
+
+    const sources = segments.length > 0 || speaker !== null
+        ? segments
+        : [{ speaker: null, start: null, end: null, text: String(transcription.transcript_text || '') }];
+
+    const matches = [];
+    sources.forEach((segment) => {
+        const snippet = toSnippet(segment.text, matcher);
+        if (snippet) {
+            matches.push({ speaker: segment.speaker, start: segment.start, end: segment.end, ...snippet });
+        }
+    });
+
+    return { matches: matches.slice(0, MAX_MATCHES), total: matches.length };
+}
+
+module.exports = {
+    parseSearchTerms,
+    buildMatcher,
+    findMatches
+};
@@ -0,0 +1,521 @@
+const { Session, Round } = require('./database/models');
+
+const COUNTDOWN_INTERVAL_MS = 1000;
+const ROUND_ENDING_WARNING_SECONDS = 60;
+const DEFAULT_BREAK_MINUTES = 5;
+const MAX_ROUND_MINUTES = 600;
+const RUNNING_STATUSES = ['active', 'paused', 'break'];
+
+/**
+ * Server-side round scheduler for multi-round World Café sessions.
+ *
+ * Round state lives in the `session_rounds` table so a restart can pick up
+ * where it left off; the in-memory map only caches what the per-second
+ * countdown needs. All events are broadcast to the Socket.IO session room.
+ */
+class RotationManager {
+  constructor(io) {
+    this.io = io;
+    this.timers = new Map(); // sessionId -> interval handle
+    this.states = new Map(); // sessionId -> { roundId, roundNumber, phase, endsAt, remainingSeconds, warned }
+    this.transitioning = new Set();
+    this.roundStartedListeners = [];
+  }
+
+  onRoundStarted(listener) {
+    this.roundStartedListeners.push(listener);
+  }
+
+  async defineRounds(sessionId, rounds) {
+    const session = await this.requireSession(sessionId);
+
+    const running = await Round.findRunning(sessionId);
+    if (running.length > 0) {
+      throw new Error('Rounds cannot be redefined while a round is running');
+    }
+
+    if (!Array.isArray(rounds) || rounds.length === 0) {
+      throw new Error('At least one round is required');
+    }
+
+    const normalizedRounds = this.normalizeRounds(session, rounds);
+    await Round.replaceForSession(sessionId, normalizedRounds);
+    await Session.update(sessionId, {
+      rotation_enabled: true,
+      current_round: 0,
+      updated_at: new Date()
+    });
+
+    this.untrack(sessionId);
+    await this.broadcastState(sessionId);
+    return await this.getState(sessionId);
+  }
+
+  // Rounds without an explicit duration share whatever is left of
+  // session_duration once the breaks between rounds are taken out.
+  normalizeRounds(session, rounds) {
+    const breakMinutes = rounds.map((round, index) => {
+      if (index === rounds.length - 1) {
+        return 0;
+      }
+      const value = round.breakMinutes ?? round.break_minutes;
+      return value === undefined || value === null || value === '' ? DEFAULT_BREAK_MINUTES : Number(value);
+    });
+
+    const explicitMinutes = rounds
+      .map(round => round.durationMinutes ?? round.duration_minutes)
+      .filter(value => value !== undefined && value !== null && value !== '')
+      .reduce((sum, value) => sum + Number(value), 0);
+    const unsetCount = rounds.filter(round => {
+      const value = round.durationMinutes ?? round.duration_minutes;
+      return value === undefined || value === null || value === '';
+    }).length;
+    const totalBreakMinutes = breakMinutes.reduce((sum, value) => sum + value, 0);
+    const availableMinutes = (session.session_duration || 120) - totalBreakMinutes - explicitMinutes;
+    const defaultDuration = unsetCount > 0 ? Math.max(1, Math.floor(availableMinutes / unsetCount)) : null;
+
+    return rounds.map((round, index) => {
+      const rawDuration = round.durationMinutes ?? round.duration_minutes;
+      const durationMinutes = rawDuration === undefined || rawDuration === null || rawDuration === ''
+        ? defaultDuration
+        : Number(rawDuration);
+
+      if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_ROUND_MINUTES) {
+        throw new Error(`Round ${index + 1} duration must be a whole number of minutes between 1 and ${MAX_ROUND_MINUTES}`);
+      }
+
+      if (!Number.isInteger(breakMinutes[index]) || breakMinutes[index] < 0 || breakMinutes[index] > MAX_ROUND_MINUTES) {
+        throw new Error(`Round ${index + 1} break must be a whole number of minutes`);
+      }
+
+      const question = typeof round.question === 'string' ? round.question.trim() : '';
+
+      return {
+        question: question || null,
+        durationMinutes,
+        breakMinutes: breakMinutes[index]
+      };
+    });
+  }
+
+  async getState(sessionId) {
+    const session = await this.requireSession(sessionId);
+    const rounds = await Round.findBySessionId(sessionId);
+    const running = rounds.find(round => RUNNING_STATUSES.includes(round.status)) || null;
+    const allCompleted = rounds.length > 0 && rounds.every(round => round.status === 'completed');
+
+    let remainingSeconds = null;
+    if (running) {
+      remainingSeconds = running.status === 'paused'
+        ? running.remaining_seconds
+        : this.secondsUntil(running.ends_at);
+    }
+
+    return {
+      sessionId,
+      rotationEnabled: Boolean(session.rotation_enabled),
+      sessionDuration: session.session_duration,
+      currentRound: session.current_round || 0,
+      totalRounds: rounds.length,
+      phase: running ? running.status : (allCompleted ? 'completed' : 'idle'),
+      remainingSeconds,
+      endsAt: running && running.status !== 'paused' ? running.ends_at : null,
+      question: running ? running.question : null,
+      rounds: rounds.map(round => this.formatRound(round))
+    };
+  }
+
+  formatRound(round) {
+    return {
+      roundNumber: round.round_number,
+      question: round.question,
+      durationMinutes: round.duration_minutes,
+      breakMinutes: round.break_minutes,
+      status: round.status,
+      startedAt: round.started_at,
+      endsAt: round.ends_at,
+      completedAt: round.completed_at
+    };
+  }
+
+  async getCurrentRoundNumber(sessionId) {
+    try {
+      const session = await Session.findById(sessionId);
+      return session && session.current_round ? session.current_round : null;
+    } catch (error) {
+      console.error('Error resolving current round:', error);
+      return null;
+    }
+  }
+
+  // Round a participant sitting down now belongs to: during a break people
+  // are already moving for the upcoming round.
+  async getSeatingRoundNumber(sessionId) {
+    try {
+      const [running] = await Round.findRunning(sessionId);
+      if (running && running.status === 'break') {
+        const nextRound = await Round.findNextPending(sessionId, running.round_number);
+        if (nextRound) {
+          return nextRound.round_number;
+        }
+      }
+    } catch (error) {
+      console.error('Error resolving seating round:', error);
+    }
+
+    return await this.getCurrentRoundNumber(sessionId);
+  }
+
+  async startRound(sessionId, roundNumber = null) {
+    const session = await this.requireSession(sessionId);
+    if (!session.rotation_enabled) {
+      throw new Error('Rotation is not enabled for this session');
+    }
+
+    const running = await Round.findRunning(sessionId);
+    if (running.length > 0) {
+      throw new Error(`Round ${running[0].round_number} is already running`);
+    }
+
+    const round = roundNumber
+      ? await Round.findBySessionAndNumber(sessionId, parseInt(roundNumber))
+      : await Round.findNextPending(sessionId, 0);
+
+    if (!round) {
+      throw new Error(roundNumber ? 'Round not found' : 'No pending rounds to start');
+    }
+
+    if (round.status !== 'pending') {
+      throw new Error(`Round ${round.round_number} has already been run`);
+    }
+
+    await this.activateRound(sessionId, round);
+    return await this.getState(sessionId);
+  }
+
+  async pause(sessionId) {
+    const round = await this.requireRunningRound(sessionId);
+    if (round.status !== 'active') {
+      throw new Error('Only an active round can be paused');
+    }
+
+    const remainingSeconds = this.secondsUntil(round.ends_at);
+    const updated = await Round.markPaused(round.id, remainingSeconds);
+    this.track(sessionId, updated);
+
+    this.emit(sessionId, 'round-paused', {
+      roundNumber: round.round_number,
+      remainingSeconds
+    });
+    await this.broadcastState(sessionId);
+    return await this.getState(sessionId);
+  }
+
+  async resume(sessionId) {
+    const round = await this.requireRunningRound(sessionId);
+    if (round.status !== 'paused') {
+      throw new Error('Round is not paused');
+    }
+
+    const endsAt = new Date(Date.now() + (round.remaining_seconds || 0) * 1000);
+    const updated = await Round.markResumed(round.id, endsAt);
+    this.track(sessionId, updated);
+
+    this.emit(sessionId, 'round-resumed', {
+      roundNumber: round.round_number,
+      remainingSeconds: round.remaining_seconds,
+      endsAt
+    });
+    await this.broadcastState(sessionId);
+    return await this.getState(sessionId);
+  }
+
+  async advance(sessionId) {
+    const round = await this.requireRunningRound(sessionId);
+
+    if (round.status === 'break') {
+      await this.finishBreak(sessionId, round);
+    } else {
+      await this.endRound(sessionId, round);
+    }
+
+    return await this.getState(sessionId);
+  }
+
+  async extend(sessionId, minutes) {
+    const addedMinutes = Number(minutes);
+    if (!Number.isFinite(addedMinutes) || addedMinutes <= 0 || addedMinutes > MAX_ROUND_MINUTES) {
+      throw new Error('Extension must be a positive number of minutes');
+    }
+
+    const round = await this.requireRunningRound(sessionId);
+    const addedSeconds = Math.round(addedMinutes * 60);
+    let updated;
+
+    if (round.status === 'paused') {
+      updated = await Round.updateRemaining(round.id, (round.remaining_seconds || 0) + addedSeconds);
+    } else {
+      const currentEnd = Math.max(new Date(round.ends_at).getTime(), Date.now());
+      updated = await Round.updateEndsAt(round.id, new Date(currentEnd + addedSeconds * 1000));
+    }
+
+    this.track(sessionId, updated);
+
+    this.emit(sessionId, 'round-extended', {
+      roundNumber: round.round_number,
+      phase: round.status,
+      addedMinutes
+    });
+    await this.broadcastState(sessionId);
+    return await this.getState(sessionId);
+  }
+
+  async activateRound(sessionId, round) {
+    const endsAt = new Date(Date.now() + round.duration_minutes * 60 * 1000);
+    const updated = await Round.markActive(round.id, endsAt);
+    await Session.update(sessionId, {
+      current_round: round.round_number,
+      updated_at: new Date()
+    });
+
+    this.track(sessionId, updated);
+
+    for (const listener of this.roundStartedListeners) {
+      try {
+        await listener(sessionId, round.round_number);
+      } catch (error) {
+        console.error(`Round start listener failed for session ${sessionId}:`, error);
+      }
+    }
+
+    console.log(`🔁 Round ${round.round_number} started for session ${sessionId}`);
+    this.emit(sessionId, 'round-started', {
+      roundNumber: round.round_number,
+      question: round.question,
+      durationSeconds: round.duration_minutes * 60,
+      endsAt
+    });
+    await this.broadcastState(sessionId);
+  }
+
+  async endRound(sessionId, round) {
+    const nextRound = await Round.findNextPending(sessionId, round.round_number);
+
+    if (nextRound && round.break_minutes > 0) {
+      const endsAt = new Date(Date.now() + round.break_minutes * 60 * 1000);
+      const updated = await Round.markBreak(round.id, endsAt);
+      this.track(sessionId, updated);
+
+      console.log(`🔁 Round ${round.round_number} ended for session ${sessionId}, break until ${endsAt.toISOString()}`);
+      this.emit(sessionId, 'round-move-now', {
+        roundNumber: round.round_number,
+        nextRoundNumber: nextRound.round_number,
+        nextQuestion: nextRound.question,
+        breakSeconds: round.break_minutes * 60,
+        endsAt
+      });
+      await this.broadcastState(sessionId);
+      return;
+    }
+
+    await Round.markCompleted(round.id);
+
+    if (nextRound) {
+      this.emit(sessionId, 'round-move-now', {
+        roundNumber: round.round_number,
+        nextRoundNumber: nextRound.round_number,
+        nextQuestion: nextRound.question,
+        breakSeconds: 0,
+        endsAt: null
+      });
+      await this.activateRound(sessionId, nextRound);
+      return;
+    }
+
+    await this.completeRotation(sessionId, round);
+  }
+
+  async finishBreak(sessionId, round) {
+    await Round.markCompleted(round.id);
+
+    const nextRound = await Round.findNextPending(sessionId, round.round_number);
+    if (nextRound) {
+      await this.activateRound(sessionId, nextRound);
+    } else {
+      await this.completeRotation(sessionId, round);
+    }
+  }
+
+  async completeRotation(sessionId, lastRound) {
+    this.untrack(sessionId);
+
+    console.log(`🏁 All rounds completed for session ${sessionId}`);
+    this.emit(sessionId, 'rounds-completed', {
+      lastRoundNumber: lastRound.round_number
+    });
+    await this.broadcastState(sessionId);
+  }
+
+  // Cache the running round and keep a countdown ticking while it is not paused
+  track(sessionId, round) {
+    const endsAt = round.ends_at ? new Date(round.ends_at) : null;
+    const remainingSeconds = round.status === 'paused'
+      ? round.remaining_seconds
+      : this.secondsUntil(endsAt);
+
+    this.states.set(sessionId, {
+      roundId: round.id,
+      roundNumber: round.round_number,
+      phase: round.status,
+      endsAt,
+      remainingSeconds,
+      warned: round.status === 'active' && remainingSeconds <= ROUND_ENDING_WARNING_SECONDS
+    });
+
+    if (round.status === 'paused') {
+      this.clearTimer(sessionId);
+      return;
+    }
+
+    if (!this.timers.has(sessionId)) {
+      const timer = setInterval(() => this.tick(sessionId), COUNTDOWN_INTERVAL_MS);
+      this.timers.set(sessionId, timer);
+    }
+  }
+
+  untrack(sessionId) {
+    this.clearTimer(sessionId);
+    this.states.delete(sessionId);
+  }
+
+  clearTimer(sessionId) {
+    const timer = this.timers.get(sessionId);
+    if (timer) {
+      clearInterval(timer);
+      this.timers.delete(sessionId);
+    }
+  }
+
+  tick(sessionId) {
+    const state = this.states.get(sessionId);
+    if (!state || state.phase === 'paused' || !state.endsAt) {
+      return;
+    }
+
+    const remainingSeconds = this.secondsUntil(state.endsAt);
+    state.remainingSeconds = remainingSeconds;
+
+    this.emit(sessionId, 'round-countdown', {
+      roundNumber: state.roundNumber,
+      phase: state.phase,
+      remainingSeconds
+    });
+
+    if (state.phase === 'active' && !state.warned && remainingSeconds <= ROUND_ENDING_WARNING_SECONDS) {
+      state.warned = true;
+      this.emit(sessionId, 'round-ending', {
+        roundNumber: state.roundNumber,
+        remainingSeconds
+      });
+    }
+
+    if (remainingSeconds <= 0) {
+      this.transition(sessionId, state.roundId);
+    }
+  }
+
+  async transition(sessionId, roundId) {
+    if (this.transitioning.has(sessionId)) {
+      return;
+    }
+
+    this.transitioning.add(sessionId);
+    try {
+      const round = await Round.findById(roundId);
+      if (!round) {
+        this.untrack(sessionId);
+      } else if (round.status === 'active') {
+        await this.endRound(sessionId, round);
+      } else if (round.status === 'break') {
+        await this.finishBreak(sessionId, round);
+      }
+    } catch (error) {
+      console.error(`Error advancing round for session ${sessionId}:`, error);
+    } finally {
+      this.transitioning.delete(sessionId);
+    }
+  }
+
+  // Reschedule rounds that were running when the server stopped
+  async restore() {
+    try {
+      const runningRounds = await Round.findRunning();
+      runningRounds.forEach(round => this.track(round.session_id, round));
+
+      if (runningRounds.length > 0) {
+        console.log(`🔁 Restored ${runningRounds.length} running round(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to restore running rounds:', error.message);
+    }
+  }
+
+  async sendState(socket, sessionId) {
+    try {
+      const state = await this.getState(sessionId);
+      socket.emit('round-state', state);
+    } catch (error) {
+      // Unknown sessions simply have no round state to send
+    }
+  }
+
+  async broadcastState(sessionId) {
+    try {
+      const state = await this.getState(sessionId);
+      this.io.to(sessionId).emit('round-state', state);
+    } catch (error) {
+      console.error(`Failed to broadcast round state for session ${sessionId}:`, error.message);
+    }
+  }
+
+  emit(sessionId, event, payload) {
+    this.io.to(sessionId).emit(event, {
+      sessionId,
+      ...payload,
+      timestamp: new Date()
+    });
+  }
+
+  async requireSession(sessionId) {
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    return session;
+  }
+
+  async requireRunningRound(sessionId) {
+    await this.requireSession(sessionId);
+    const running = await Round.findRunning(sessionId);
+    if (running.length === 0) {
+      throw new Error('No round is currently running');
+    }
+    return running[0];
+  }
+
+  secondsUntil(date) {
+    if (!date) {
+      return 0;
+    }
+    return Math.max(0, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+  }
+
+  stop() {
+    for (const sessionId of this.timers.keys()) {
+      this.clearTimer(sessionId);
+    }
+    this.states.clear();
+  }
+}
+
+module.exports = RotationManager;
@@ -6,20 +6,45 @@ const bodyParser = require('body-parser');
 const multer = require('multer');
 const session = require('express-session');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
+const { execFile } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
 // Database
 const db = require('./database/connection');
-const { Session, Table, Recording, Transcription, QRCode, Settings } = require('./database/models');
+const { Session, Table, Participant, Recording, Transcription, TranscriptionRevision, QRCode, Settings, TranscriptionJob, SessionAnalysis, AnalysisJob, SpeakerLabel, SessionVocabulary, MediaUpload } = require('./database/models');
 
 // Services
 const TranscriptionService = require('./transcription');
+const stt = require('./stt');
+const LLMService = require('./llmService');
+const llm = require('./llm');
+const SessionChatService = require('./sessionChatService');
+const AnalysisService = require('./analysisService');
+const { ANALYSIS_TYPES } = AnalysisService;
+const AnalysisQueue = require('./analysisQueue');
+const TableComparisonService = require('./tableComparisonService');
+const TranscriptExport = require('./transcriptExport');
+const { EXPORT_FORMATS } = TranscriptExport;
+const SessionArchive = require('./sessionArchive');
+const RotationManager = require('./rotationManager');
+const TranscriptionQueue = require('./transcriptionQueue');
+const AudioProcessor = require('./audioProcessor');
+const ResumableUploads = require('./resumableUploads');
+const LiveTranscriptionStream = require('./liveTranscriptionStream');
 const logger = require('./utils/logger');
 const PasswordUtils = require('./passwordUtils');
+const { getAdmin, describeAdmin, startAdminSession, endAdminSession, requireAdmin, adminRouteGuard } = require('./adminAuth');
+const {
+  getAccess, grantHost, grantFacilitator, rememberParticipant, resolveRole, describeRole,
+  scopeForTable, scopeFromQuery, scopeFromRecording, scopeFromParticipant, scopeFromTranscription, requireCapability, authorizeSocket
+} = require('./permissions');
+const { signMediaUrl, isDownloadRequest, requireMediaAccess } = require('./mediaAccess');
+const { parseSearchTerms, findMatches } = require('./retrieval/highlight');
+const { applyVocabulary, applyVocabularyToSegments } = require('./stt/vocabulary');
 const { checkTableStructure } = require('./migrate');
-const { LiveTranscriptionEvents } = require('@deepgram/sdk');
 
 const DEFAULT_DEEPGRAM_MODEL = 'nova-3-general';
 const DEEPGRAM_MODELS = [
@@ -40,6 +65,11 @@ const DEEPGRAM_MODELS = [
   'base-general',
   'base-meeting'
 ];
+// How long a live stream waits for its client to reconnect before it is finalized
+const LIVE_RESUME_GRACE_MS = 90 * 1000;
+// How long a participant keeps their seat (and table host role) after their
+// connection drops, so a flaky network or a page reload does not unseat them
+const SEAT_RELEASE_GRACE_MS = 2 * 60 * 1000;
 
 const app = express();
 const server = http.createServer(app);
@@ -52,17 +82,30 @@ const io = socketIo(server, {
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json({ limit: '1gb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '1gb' }));
-app.use(session({
+// Media arrives as multipart or resumable chunks; JSON bodies only carry
+// transcripts and settings
+app.use(bodyParser.json({ limit: '50mb' }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
+const sessionMiddleware = session({
   secret: process.env.SESSION_SECRET || 'worldcafe-session-secret-key',
   resave: false,
   saveUninitialized: false,
-  cookie: { secure: false, maxAge: 24 * 60 * 60 * 1000 } // 24 hours
-}));
+  cookie: { secure: false, httpOnly: true, sameSite: 'lax', maxAge: 24 * 60 * 60 * 1000 } // 24 hours
+});
+app.use(sessionMiddleware);
+// Sockets share the HTTP session so table and host grants apply to socket events too.
+// The handshake initialises it, which makes sure the browser gets its cookie before
+// any grant is handed out over HTTP.
+io.engine.use(sessionMiddleware);
+io.engine.use((req, res, next) => {
+  getAccess(req.session);
+  next();
+});
+if (!process.env.SESSION_SECRET) {
+  console.warn('⚠️ SESSION_SECRET is not set; admin logins use the built-in default secret');
+}
 app.use(express.static(path.join(__dirname, '../public')));
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-app.use('/recordings', express.static(path.join(__dirname, '../uploads')));
+// Recordings are not served statically; see GET /api/recordings/:recordingId/media
 app.use('/qr-codes', express.static(path.join(__dirname, 'public/qr-codes')));
 
 // Platform password protection middleware  
@@ -138,6 +181,7 @@ async function platformPasswordMiddleware(req, res, next) {
 }
 
 app.use(platformPasswordMiddleware);
+app.use('/api/admin', adminRouteGuard);
 
 function resolveUploadExtension(file) {
   if (!file) {
@@ -178,6 +222,23 @@ function resolveUploadExtension(file) {
   return '.webm';
 }
 
+// The transcribed file, the browser copy and the retained upload
+function removeRecordingFiles(recording) {
+  [recording.file_path, recording.playback_path, recording.original_path].forEach((filePath) => {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log(`🗑️ Deleted media file: ${filePath}`);
+    }
+  });
+}
+
+// Recordings saved without a transcription job still get a playback copy
+// and their measured duration; the queue does this for everything else
+function prepareAudioInBackground(recording) {
+  audioProcessor.processRecording(recording)
+    .catch(error => console.error(`⚠️ Audio processing failed for recording ${recording.id}:`, error.message));
+}
+
 // Storage configuration for audio uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -194,17 +255,22 @@ const storage = multer.diskStorage({
   }
 });
 
+const MEDIA_TYPE_ERROR = 'Only audio and video files are allowed (WAV, MP3, MP4, M4A, WebM, OGG, MOV, AVI, FLAC, AAC)';
+
+function isAllowedMediaFile(originalName, mimeType) {
+  const allowedTypes = /wav|mp3|mp4|m4a|webm|ogg|mov|avi|flac|aac/;
+  const extname = allowedTypes.test(path.extname(originalName).toLowerCase());
+  const mimetype = allowedTypes.test(mimeType) || mimeType.startsWith('audio/') || mimeType.startsWith('video/');
+  return mimetype && extname;
+}
+
 const upload = multer({ 
   storage: storage,
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /wav|mp3|mp4|m4a|webm|ogg|mov|avi/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype) || file.mimetype.startsWith('audio/') || file.mimetype.startsWith('video/');
-    
-    if (mimetype && extname) {
+    if (isAllowedMediaFile(file.originalname, file.mimetype)) {
       return cb(null, true);
     } else {
-      cb(new Error('Only audio and video files are allowed (WAV, MP3, MP4, M4A, WebM, OGG, MOV, AVI)'));
+      cb(new Error(MEDIA_TYPE_ERROR));
     }
   },
   limits: { fileSize: 1024 * 1024 * 1024 } // 1GB limit
@@ -212,8 +278,21 @@ const upload = multer({
 
 // Initialize services
 const transcriptionService = new TranscriptionService();
-// Chat service disabled - requires AI services. Kept as null to avoid runtime reference errors.
-const sessionChatService = null;
+const rotationManager = new RotationManager(io);
+rotationManager.onRoundStarted((sessionId, roundNumber) => Participant.startRoundSeatings(sessionId, roundNumber));
+const llmService = new LLMService();
+const sessionChatService = new SessionChatService(llmService);
+const analysisService = new AnalysisService(llmService);
+const analysisQueue = new AnalysisQueue(io, analysisService);
+const tableComparisonService = new TableComparisonService();
+const transcriptExport = new TranscriptExport();
+const sessionArchive = new SessionArchive({ uploadDir: path.join(__dirname, '../uploads') });
+const audioProcessor = new AudioProcessor();
+const resumableUploads = new ResumableUploads({ uploadDir: path.join(__dirname, '../uploads') });
+const transcriptionQueue = new TranscriptionQueue(io, transcriptionService, {
+  audioProcessor,
+  onTranscriptionSaved: (transcription) => analysisQueue.invalidate(transcription.session_id, transcription.table_id)
+});
 
 if (!process.env.DEEPGRAM_MODEL) {
   process.env.DEEPGRAM_MODEL = DEFAULT_DEEPGRAM_MODEL;
@@ -280,8 +359,151 @@ async function initializeDatabase() {
 const tableClients = new Map(); // tableId -> Set of {socketId, sessionId}
 const clientToTable = new Map(); // socketId -> {tableId, sessionId}
 const tableRecordingStatus = new Map(); // tableId -> {isRecording, isStreaming, status, startTime}
+const pendingSeatReleases = new Map(); // participantId -> timeout of a disconnected participant
+
+// Participant seat changes for one socket run in order, so a table switch
+// (leave-table immediately followed by join-table) cannot interleave.
+function queueParticipantUpdate(socket, task) {
+  socket.participantUpdates = (socket.participantUpdates || Promise.resolve())
+    .then(task)
+    .catch(error => console.error(`Participant update failed for socket ${socket.id}:`, error.message));
+  return socket.participantUpdates;
+}
+
+// Grants of the browser behind a socket, as of now: they may have been added
+// over HTTP since the socket connected
+function loadSocketAccess(socket) {
+  const request = socket.request;
+  if (!request.session) {
+    return Promise.resolve(null);
+  }
+  return new Promise(resolve => request.session.reload(() => resolve(getAccess(request.session))));
+}
+
+// Clients also keep their participant id, but ids are visible to others in
+// the session, so only the one this browser was given is trusted
+function seatSocketParticipant(socket, sessionId, tableId) {
+  return queueParticipantUpdate(socket, async () => {
+    const roundNumber = await rotationManager.getSeatingRoundNumber(sessionId);
+    const access = await loadSocketAccess(socket);
+    cancelSeatRelease(access?.participants[sessionId]);
+    const participant = await Participant.enterTable(sessionId, tableId, {
+      participantId: access?.participants[sessionId] || null,
+      roundNumber,
+      canHost: Boolean(access?.facilitators.includes(String(tableId)))
+    });
+    socket.participantId = participant.id;
+    await rememberSocketParticipant(socket, sessionId, participant.id);
+
+    socket.emit('participant-identity', {
+      sessionId,
+      participantId: participant.id,
+      name: participant.name,
+      isHost: Boolean(participant.is_facilitator)
+    });
+
+    io.to(sessionId).emit('participant-update', {
+      participantId: participant.id,
+      tableId,
+      action: 'joined',
+      isHost: Boolean(participant.is_facilitator),
+      timestamp: new Date()
+    });
+  });
+}
+
+// Lets HTTP requests from the same browser (audio uploads) act as this participant
+function rememberSocketParticipant(socket, sessionId, participantId) {
+  const request = socket.request;
+  if (!request.session) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    request.session.reload(() => {
+      rememberParticipant(request.session, sessionId, participantId);
+      request.session.save(() => resolve());
+    });
+  });
+}
+
+// Socket events carry client-supplied ids, so the table decides which session is
+// checked. Returns that scope, or null when the event is refused; handlers emit to
+// the returned session, never to the one the client named.
+async function socketMay(socket, capability, { sessionId, tableId }) {
+  const scope = tableId ? await scopeForTable(tableId, sessionId) : { sessionId, tableId: null };
+  const consistent = !tableId || (scope.tableId !== null && (!sessionId || scope.sessionId === sessionId));
+  if (consistent && await authorizeSocket(socket, capability, scope)) {
+    return scope;
+  }
+
+  console.warn(`🚫 Socket ${socket.id} may not use ${capability} for table ${tableId} in session ${sessionId}`);
+  socket.emit('permission-denied', { capability, sessionId, tableId });
+  return null;
+}
+
+function unseatSocketParticipant(socket, sessionId, tableId) {
+  const participantId = socket.participantId;
+  if (!participantId) {
+    return Promise.resolve();
+  }
+
+  cancelSeatRelease(participantId);
+  return queueParticipantUpdate(socket, async () => {
+    const participant = await Participant.findById(participantId);
+    if (!participant || participant.table_id !== tableId || participant.left_at) {
+      return;
+    }
+
+    await Participant.leaveTable(participantId);
+    io.to(sessionId).emit('participant-update', {
+      participantId,
+      tableId,
+      action: 'left',
+      timestamp: new Date()
+    });
+  });
+}
+
+// A dropped connection only unseats its participant once the grace period
+// passes without them coming back on this or another socket
+function releaseSeatLater(socket, sessionId, tableId) {
+  const participantId = socket.participantId;
+  if (!participantId) {
+    return;
+  }
+
+  cancelSeatRelease(participantId);
+  pendingSeatReleases.set(participantId, setTimeout(() => {
+    pendingSeatReleases.delete(participantId);
+    const stillConnected = [...io.sockets.sockets.values()].some(other => other.participantId === participantId);
+    if (!stillConnected) {
+      unseatSocketParticipant(socket, sessionId, tableId);
+    }
+  }, SEAT_RELEASE_GRACE_MS));
+}
+
+function cancelSeatRelease(participantId) {
+  if (participantId && pendingSeatReleases.has(participantId)) {
+    clearTimeout(pendingSeatReleases.get(participantId));
+    pendingSeatReleases.delete(participantId);
+  }
+}
 
 // Helper function to get connected clients in a session
+// Live transcription streams by resume token, so a client whose socket
+// dropped can pick its stream up again
+const liveStreams = new Map();
+
+async function stopLiveStream(socket) {
+  const stream = socket.liveStream;
+  if (!stream) {
+    return null;
+  }
+  socket.liveStream = null;
+  return await stream.stop();
+}
+
 function getConnectedClientsInSession(sessionId) {
   const clients = [];
   const room = io.sockets.adapter.rooms.get(sessionId);
@@ -308,6 +530,9 @@ io.on('connection', (socket) => {
   socket.on('join-session', (sessionId) => {
     socket.join(sessionId);
     console.log(`Client ${socket.id} joined session ${sessionId}`);
+
+    // Bring late joiners up to date with the round schedule
+    rotationManager.sendState(socket, sessionId);
   });
   
   socket.on('join-table', (data) => {
@@ -352,6 +577,17 @@ io.on('connection', (socket) => {
     }
     tableClients.get(tableId).add(socket.id);
     clientToTable.set(socket.id, { tableId, sessionId });
+
+    // Table clients need round events even if they never emitted join-session
+    if (sessionId && !socket.rooms.has(sessionId)) {
+      socket.join(sessionId);
+      rotationManager.sendState(socket, sessionId);
+    }
+
+    // Seat the participant behind this client; new clients get an identity to remember
+    if (sessionId) {
+      seatSocketParticipant(socket, sessionId, tableId);
+    }
     
     console.log(`Client ${socket.id} joined table ${tableId} in session ${sessionId} (${tableClients.get(tableId).size} total clients)`);
     
@@ -400,16 +636,27 @@ io.on('connection', (socket) => {
         clientToTable.delete(socket.id);
         console.log(`Removed client ${socket.id} from clientToTable mapping`);
       }
+
+      unseatSocketParticipant(socket, sessionId, tableId);
     }
   });
   
-  socket.on('table-status-update', (data) => {
-    socket.to(data.sessionId).emit('table-status-changed', data);
+  socket.on('table-status-update', async (data = {}) => {
+    const scope = await socketMay(socket, 'recording:control', data);
+    if (!scope) {
+      return;
+    }
+    socket.to(scope.sessionId).emit('table-status-changed', { ...data, sessionId: scope.sessionId, tableId: scope.tableId });
   });
   
-  socket.on('recording-started', (data) => {
+  socket.on('recording-started', async (data = {}) => {
+    const scope = await socketMay(socket, 'recording:control', data);
+    if (!scope?.tableId) {
+      return;
+    }
+
     // Track recording status
-    tableRecordingStatus.set(data.tableId, {
+    tableRecordingStatus.set(scope.tableId, {
       isRecording: true,
       isStreaming: false,
       status: 'recording',
@@ -417,25 +664,30 @@ io.on('connection', (socket) => {
     });
     
     // Broadcast recording status to session and table clients
-    socket.to(data.sessionId).emit('recording-status', { 
-      tableId: data.tableId, 
+    socket.to(scope.sessionId).emit('recording-status', { 
+      tableId: scope.tableId, 
       status: 'recording',
       timestamp: new Date()
     });
     
     // Broadcast to session dashboard for real-time indicators
-    io.to(data.sessionId).emit('table-recording-update', {
-      tableId: data.tableId,
+    io.to(scope.sessionId).emit('table-recording-update', {
+      tableId: scope.tableId,
       status: 'recording',
       timestamp: new Date()
     });
   });
   
-  socket.on('recording-stopped', (data) => {
+  socket.on('recording-stopped', async (data = {}) => {
+    const scope = await socketMay(socket, 'recording:control', data);
+    if (!scope?.tableId) {
+      return;
+    }
+
     // Update recording status
-    if (tableRecordingStatus.has(data.tableId)) {
-      const currentStatus = tableRecordingStatus.get(data.tableId);
-      tableRecordingStatus.set(data.tableId, {
+    if (tableRecordingStatus.has(scope.tableId)) {
+      const currentStatus = tableRecordingStatus.get(scope.tableId);
+      tableRecordingStatus.set(scope.tableId, {
         ...currentStatus,
         isRecording: false,
         status: 'stopped'
@@ -443,15 +695,15 @@ io.on('connection', (socket) => {
     }
     
     // Broadcast recording status to session and table clients
-    socket.to(data.sessionId).emit('recording-status', { 
-      tableId: data.tableId, 
+    socket.to(scope.sessionId).emit('recording-status', { 
+      tableId: scope.tableId, 
       status: 'stopped',
       timestamp: new Date()
     });
     
     // Broadcast to session dashboard for real-time indicators
-    io.to(data.sessionId).emit('table-recording-update', {
-      tableId: data.tableId,
+    io.to(scope.sessionId).emit('table-recording-update', {
+      tableId: scope.tableId,
       status: 'idle',
       timestamp: new Date()
     });
@@ -460,167 +712,90 @@ io.on('connection', (socket) => {
   // Live transcription WebSocket handlers
   socket.on('start-live-transcription', async (data = {}) => {
     try {
-      console.log(`🎤 Starting live transcription for table ${data.tableId} in session ${data.sessionId}`);
-      console.log(`🔑 Deepgram API Key configured: ${!!process.env.DEEPGRAM_API_KEY}`);
-      console.log(`🔑 API Key starts with: ${process.env.DEEPGRAM_API_KEY ? process.env.DEEPGRAM_API_KEY.substring(0, 10) + '...' : 'NOT SET'}`);
-      
-      const DeepgramSTT = require('./transcription');
-      const deepgram = new DeepgramSTT();
-      
-      const model = data.model || process.env.DEEPGRAM_MODEL || DEFAULT_DEEPGRAM_MODEL;
-      if (!DEEPGRAM_MODELS.includes(model)) {
-        console.warn(`⚠️ Requested Deepgram model "${model}" is not in supported list. Falling back to default.`);
+      const scope = await socketMay(socket, 'recording:control', data);
+      if (!scope?.tableId) {
+        socket.emit('live-transcription-error', { error: 'Only the table facilitator can start live transcription' });
+        return;
       }
+      const { sessionId, tableId } = scope;
 
-      // Start Deepgram live transcription
-      console.log(`🚀 Creating Deepgram live connection with options:`, {
-        language: data.language || 'en-US',
-        model,
-        encoding: 'opus',
-        sample_rate: 48000,
-        channels: 1,
-        smart_format: true,
-        punctuate: true,
-        interim_results: true,
-        diarize: true,
-        utterance_end_ms: 1000
-      });
-      
-      const connection = await deepgram.startLiveTranscription({
-        language: data.language || 'en-US',
-        model,
-        encoding: 'opus',
-        sample_rate: 48000,
-        channels: 1,
-        smart_format: true,
-        punctuate: true,
-        interim_results: true,
-        diarize: true,
-        utterance_end_ms: 1000
-      });
-      
-      console.log(`🔗 Deepgram connection created:`, !!connection);
-      console.log(`🔗 Connection type:`, typeof connection);
-      
-      // Store connection for this socket
-      socket.deepgramConnection = connection;
-      
-      // Handle Deepgram results (note: lowercase 'results' for live API)
-      socket.liveTranscriptionWordCache = new Set();
-
-      const handleTranscriptPayload = (rawPayload) => {
-        try {
-          const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
-          if (!payload || typeof payload !== 'object') {
-            console.warn('⚠️ Received unexpected transcript payload type:', typeof rawPayload);
-            return;
-          }
-
-          // Support both Live and legacy payload formats
-          const channelAlternative = payload?.channel?.alternatives?.[0]
-            || payload?.results?.channels?.[0]?.alternatives?.[0]
-            || payload?.alternatives?.[0];
-
-          const transcript = channelAlternative?.transcript || '';
-          const incomingWords = Array.isArray(channelAlternative?.words) ? channelAlternative.words : [];
-          const isFinal = Boolean(
-            payload?.is_final
-            ?? payload?.results?.is_final
-            ?? payload?.metadata?.is_final
-          );
-
-          const wordCache = socket.liveTranscriptionWordCache || new Set();
-          const freshWords = incomingWords.filter((word) => {
-            if (!word || typeof word.word !== 'string') {
-              return false;
-            }
-
-            const start = typeof word.start === 'number' ? word.start.toFixed(3) : 'na';
-            const end = typeof word.end === 'number' ? word.end.toFixed(3) : 'na';
-            const key = `${start}-${end}-${word.word}`;
-
-            if (wordCache.has(key)) {
-              return false;
-            }
-
-            wordCache.add(key);
-            return true;
-          });
+      const providerName = transcriptionService.getProviderName();
+      console.log(`🎤 Starting live transcription for table ${tableId} in session ${sessionId} (${providerName})`);
 
-          socket.liveTranscriptionWordCache = wordCache;
+      const model = data.model || process.env.DEEPGRAM_MODEL || DEFAULT_DEEPGRAM_MODEL;
+      if (providerName === 'deepgram' && !DEEPGRAM_MODELS.includes(model)) {
+        console.warn(`⚠️ Requested Deepgram model "${model}" is not in supported list. Falling back to default.`);
+      }
 
-          const hasTranscript = typeof transcript === 'string' && transcript.trim().length > 0;
+      // A restart on the same socket closes out the previous stream first
+      await stopLiveStream(socket);
 
-          if (hasTranscript || freshWords.length > 0) {
-            console.log(`📤 Emitting live transcript payload (${isFinal ? 'final' : 'interim'})`);
-            socket.emit('live-transcription-result', {
-              transcript: hasTranscript ? transcript : '',
-              words: freshWords,
-              is_final: isFinal,
-              timestamp: new Date()
-            });
-          } else {
-            console.log('📥 Skipping empty transcript payload from Deepgram');
-          }
-        } catch (error) {
-          console.error('❌ Error processing Deepgram response:', error);
-          console.error('❌ Raw payload:', rawPayload);
+      const stream = new LiveTranscriptionStream({
+        transcriptionService,
+        sessionId,
+        tableId,
+        roundNumber: sessionId ? await rotationManager.getCurrentRoundNumber(sessionId) : null,
+        chunkMs: data.chunkMs,
+        onStopped: (stopped) => liveStreams.delete(stopped.token),
+        onTranscriptSaved: () => analysisQueue.invalidate(sessionId, tableId),
+        options: {
+          language: data.language || 'en-US',
+          model,
+          vocabulary: sessionId ? await SessionVocabulary.findBySessionId(sessionId) : [],
+          encoding: 'opus',
+          sample_rate: 48000,
+          channels: 1,
+          smart_format: true,
+          punctuate: true,
+          interim_results: true,
+          diarize: true,
+          utterance_end_ms: 1000
         }
-      };
-
-      connection.on(LiveTranscriptionEvents.Transcript, handleTranscriptPayload);
-      // Fallback for legacy lowercase event names emitted by older SDK versions
-      connection.on('results', handleTranscriptPayload);
-
-      connection.on(LiveTranscriptionEvents.Open, () => {
-        console.log('✅ Deepgram live transcription connection opened successfully');
-        socket.emit('live-transcription-started');
-      });
-
-      connection.on(LiveTranscriptionEvents.Close, (event) => {
-        console.log('🔌 Deepgram live transcription connection closed');
-        console.log('🔌 Close event details:', event);
-        socket.emit('live-transcription-ended');
-        socket.liveTranscriptionWordCache = new Set();
-      });
-
-      connection.on(LiveTranscriptionEvents.Error, (error) => {
-        console.error('❌ Deepgram live transcription error:', error);
-        socket.emit('live-transcription-error', { error: error.message || error });
       });
+      
+      // Store the stream for this socket
+      stream.attach(socket);
+      liveStreams.set(stream.token, stream);
+      await stream.start();
 
-      connection.on(LiveTranscriptionEvents.Metadata, (data) => {
-        console.log('📊 Deepgram metadata:', data);
-      });
+      socket.emit('live-transcription-started', { resumeToken: stream.token });
 
-      connection.on(LiveTranscriptionEvents.UtteranceEnd, (data) => {
-        console.log('🛑 Deepgram utterance end:', data?.utterance_id || 'unknown');
-      });
+    } catch (error) {
+      console.error('❌ Error starting live transcription:', error);
+      await stopLiveStream(socket).catch(() => null);
+      socket.emit('live-transcription-error', { error: error.message });
+    }
+  });
 
-      connection.on(LiveTranscriptionEvents.SpeechStarted, () => {
-        console.log('🎙️ Deepgram detected speech start');
-      });
+  // A client whose socket dropped mid-stream reattaches instead of restarting;
+  // the resume token was only ever handed to the socket that was allowed to start it
+  socket.on('resume-live-transcription', (data = {}, ack) => {
+    const stream = liveStreams.get(data.resumeToken);
+    const respond = typeof ack === 'function' ? ack : () => {};
 
-      connection.on(LiveTranscriptionEvents.Unhandled, (data) => {
-        console.warn('⚠️ Deepgram emitted unhandled event:', data?.type || data);
-      });
+    if (!stream || stream.state === 'stopped') {
+      console.log(`⚠️ Live transcription resume token not found for socket ${socket.id}`);
+      return respond({ resumed: false });
+    }
 
-      // Legacy warning event
-      connection.on('warning', (warning) => {
-        console.warn('⚠️ Deepgram warning:', warning);
-      });
+    if (socket.liveStream && socket.liveStream !== stream) {
+      stopLiveStream(socket).catch(error => console.error('❌ Failed to stop replaced live stream:', error));
+    }
 
-      socket.emit('live-transcription-started');
+    stream.attach(socket);
+    console.log(`🔁 Socket ${socket.id} resumed live transcription for table ${stream.tableId}`);
 
-    } catch (error) {
-      console.error('❌ Error starting live transcription:', error);
-      socket.emit('live-transcription-error', { error: error.message });
-    }
+    const lastWordEnd = Number(data.lastWordEnd) || 0;
+    respond({
+      resumed: true,
+      resumeToken: stream.token,
+      missedWords: stream.getWordsAfter(lastWordEnd)
+    });
   });
   
   socket.on('live-audio-chunk', (audioData) => {
-    // Forward audio chunk to Deepgram
-    if (socket.deepgramConnection) {
+    // Forward audio chunk to the live transcription stream (buffered while it reconnects)
+    if (socket.liveStream) {
       try {
         let payload = audioData;
 
@@ -641,36 +816,41 @@ io.on('connection', (socket) => {
           return;
         }
 
-        console.log(`🎵 Forwarding audio chunk to Deepgram: ${payload.byteLength} bytes`);
-        socket.deepgramConnection.send(payload);
+        console.log(`🎵 Forwarding audio chunk: ${payload.byteLength} bytes`);
+        socket.liveStream.sendAudio(payload);
       } catch (chunkError) {
-        console.error('❌ Failed to forward audio chunk to Deepgram:', chunkError);
+        console.error('❌ Failed to forward audio chunk:', chunkError);
       }
     } else {
-      console.log('⚠️ No Deepgram connection available for audio chunk');
+      console.log('⚠️ No live transcription connection available for audio chunk');
     }
   });
   
-  socket.on('stop-live-transcription', () => {
+  socket.on('stop-live-transcription', async (ack) => {
     console.log(`🛑 Stopping live transcription for socket ${socket.id}`);
     
-    if (socket.deepgramConnection) {
-      socket.deepgramConnection.finish();
-      socket.deepgramConnection = null;
-    }
-
-    socket.liveTranscriptionWordCache = new Set();
+    const stopping = stopLiveStream(socket);
     
     socket.emit('live-transcription-stopped');
+
+    const transcriptionId = await stopping;
+    if (typeof ack === 'function') {
+      ack({ transcriptionId });
+    }
   });
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
     
-    // Clean up live transcription connection
-    if (socket.deepgramConnection) {
-      socket.deepgramConnection.finish();
-      socket.deepgramConnection = null;
+    // Keep the live stream open for a while in case the client reconnects
+    const liveStream = socket.liveStream;
+    if (liveStream) {
+      liveStream.detach(LIVE_RESUME_GRACE_MS, () => {
+        console.log(`⌛ Live transcription for table ${liveStream.tableId} was not resumed, finalizing`);
+        liveStream.stop().catch(error => {
+          console.error('❌ Failed to finalize live transcript after disconnect:', error);
+        });
+      });
     }
     
     // Remove from table tracking
@@ -697,6 +877,7 @@ io.on('connection', (socket) => {
       }
       
       clientToTable.delete(socket.id);
+      releaseSeatLater(socket, sessionId, tableId);
     }
   });
 });
@@ -786,18 +967,18 @@ app.get('/api/health', async (req, res) => {
 // Session management
 app.post('/api/sessions', async (req, res) => {
   try {
-    const { title, description, language = 'en-US', tableCount = 10 } = req.body;
+    const { title, description, language = 'en-US', tableCount = 10, rotationEnabled, sessionDuration } = req.body;
     const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3002}`;
     
     let session;
     let sessionWithStats = null;
+    let adminPassword = null;
     
     // Try database first, fall back to memory
     if (await db.isHealthy()) {
       try {
-        // Generate admin password
-        const adminPassword = PasswordUtils.generatePassword(8);
-        const adminPasswordHash = PasswordUtils.hashPassword(adminPassword);
+        // Generate admin password; only its hash is stored
+        adminPassword = PasswordUtils.generatePassword(8);
         
         // Create session in database
         session = await Session.create({
@@ -805,8 +986,9 @@ app.post('/api/sessions', async (req, res) => {
           description,
           language,
           tableCount,
-          admin_password: adminPassword,
-          admin_password_hash: adminPasswordHash
+          rotationEnabled: Boolean(rotationEnabled),
+          sessionDuration: parseInt(sessionDuration) || undefined,
+          ...await Session.hashAdminPassword(adminPassword)
         });
         
         // Create tables for the session
@@ -815,7 +997,7 @@ app.post('/api/sessions', async (req, res) => {
         // Generate QR codes in database
         await QRCode.generateSessionQRs(session.id, tableCount, baseUrl);
         
-        sessionWithStats = await Session.findWithStats(session.id);
+        sessionWithStats = Session.withoutSecrets(await Session.findWithStats(session.id));
       } catch (dbError) {
         console.error('Database session creation failed:', dbError);
         throw dbError;
@@ -839,6 +1021,10 @@ app.post('/api/sessions', async (req, res) => {
       sessionWithStats = session;
     }
     
+    // Whoever creates a session hosts it from this browser, and sees its admin password this once
+    grantHost(req.session, session.id);
+    sessionWithStats.admin_password = adminPassword;
+
     // Add QR code paths to response
     sessionWithStats.qrCodes = {
       session: `/qr-codes/session-${session.id}.png`,
@@ -856,121 +1042,163 @@ app.post('/api/sessions', async (req, res) => {
   }
 });
 
-// Session import endpoint
-app.post('/api/sessions/import', async (req, res) => {
+// Session archives: a ZIP with the session's data, audio and QR images
+// (see sessionArchive.js). Import also still accepts the legacy JSON export.
+const archiveUpload = multer({
+  dest: path.join(os.tmpdir(), 'world-cafe-imports'),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      return cb(null, true);
+    }
+    cb(new Error('Session archives must be .zip files'));
+  },
+  limits: { fileSize: (parseInt(process.env.ARCHIVE_MAX_SIZE_MB, 10) || 1024) * 1024 * 1024 }
+});
+
+app.get('/api/sessions/:sessionId/archive', requireCapability('session:export'), async (req, res) => {
   try {
-    const importData = req.body;
-    
-    // Validate import data
-    if (!importData.exportVersion || !importData.session || !importData.transcriptions) {
-      return res.status(400).json({ error: 'Invalid import data format' });
+    const collected = await sessionArchive.collect(req.params.sessionId);
+    if (!collected) {
+      return res.status(404).json({ error: 'Session not found' });
     }
-    
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${sessionArchive.getFilename(collected.session)}"`);
+    const manifest = await sessionArchive.write(collected, res);
+    console.log(`📦 Archived session ${req.params.sessionId}: ${manifest.files.length} file(s)`);
+  } catch (error) {
+    console.error('Error archiving session:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Archives restore audio files onto this server, so only an admin may send
+// one; the admin check runs before any of the upload is written
+app.post('/api/sessions/import', (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+  requireAdmin(req, res, () => archiveUpload.single('archive')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  }));
+}, async (req, res) => {
+  try {
     if (!await db.isHealthy()) {
       return res.status(503).json({ error: 'Database unavailable' });
     }
-    
-    const originalSession = importData.session;
-    const transcriptions = importData.transcriptions;
-    
-    // Generate new session ID to avoid conflicts
-    const newSessionId = uuidv4();
+
     const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3002}`;
-    
-    // Create new session with imported data
     const adminPassword = PasswordUtils.generatePassword(8);
-    const adminPasswordHash = PasswordUtils.hashPassword(adminPassword);
-    
-    const sessionData = {
-      title: `${originalSession.title} (Imported)`,
-      description: originalSession.description || `Imported session from ${importData.exportDate}`,
-      language: originalSession.language || 'en-US',
-      tableCount: originalSession.table_count || 10,
-      admin_password: adminPassword,
-      admin_password_hash: adminPasswordHash,
-      session_duration: originalSession.session_duration || 120,
-      rotation_enabled: originalSession.rotation_enabled || 0,
-      recording_enabled: originalSession.recording_enabled || 1,
-      max_participants: originalSession.max_participants || 100
-    };
-    
-    try {
-      // Create the session
-      const newSession = await Session.create(sessionData);
-      
-      // Create tables for the session
-      await Table.createTablesForSession(newSession.id, sessionData.tableCount);
-      
-      // Participant import removed (participants functionality disabled)
-      
-      // Import transcriptions
-      const Transcription = require('./database/models/Transcription');
-      const Recording = require('./database/models/Recording');
-      
-      for (const transcription of transcriptions) {
-        try {
-          // Create mock recording entry first using proper Recording.create method
-          const recording = await Recording.create({
-            sessionId: newSession.id,
-            tableId: transcription.table_id || 1,
-            participantId: null,
-            filename: transcription.filename || `imported_${Date.now()}.wav`,
-            filePath: 'imported',
-            fileSize: 0,
-            duration: parseFloat(transcription.duration_seconds) || 0,
-            mimeType: 'audio/wav'
-          });
-          
-          // Update status to processed
-          await recordingInstance.updateStatus(recording.id, 'processed');
-          
-          // Create transcription
-          const transcriptionInstance = new Transcription();
-          await transcriptionInstance.create({
-            id: uuidv4(),
-            session_id: newSession.id,
-            table_id: transcription.table_id || 1,
-            recording_id: recording.id,
-            transcript_text: transcription.transcript_text || '',
-            confidence_score: parseFloat(transcription.confidence_score) || 0.9,
-            language: transcription.language || sessionData.language || 'en-US',
-            word_count: parseInt(transcription.word_count) || 0,
-            speaker_segments: JSON.stringify(transcription.speaker_segments || []),
-            timestamps: JSON.stringify(transcription.timestamps || [])
-          });
-        } catch (transcriptionError) {
-          console.warn('Failed to import transcription:', transcriptionError.message);
-        }
+    let imported;
+
+    if (req.file) {
+      try {
+        const archive = await sessionArchive.read(req.file.path);
+        imported = await sessionArchive.restore(archive, { adminPassword, baseUrl });
+      } finally {
+        fs.unlink(req.file.path, () => {});
+      }
+    } else {
+      imported = await importLegacySession(req.body, { adminPassword, baseUrl });
+      if (!imported) {
+        return res.status(400).json({ error: 'Invalid import data format' });
       }
-      
-      // Generate QR codes for new session
-      await QRCode.generateSessionQRs(newSession.id, sessionData.tableCount, baseUrl);
-      
-      // Get complete session with stats
-      const importedSession = await Session.findWithStats(newSession.id);
-      
-      res.json({
-        sessionId: newSession.id,
-        title: importedSession.title,
-        success: true,
-        imported: {
-          transcriptions: transcriptions.length,
-          tables: sessionData.tableCount,
-          originalExportDate: importData.exportDate
-        },
-        ...importedSession
-      });
-      
-    } catch (error) {
-      throw error;
     }
-    
+
+    const importedSession = Session.withoutSecrets(await Session.findWithStats(imported.sessionId));
+    grantHost(req.session, imported.sessionId);
+    console.log(`📥 Imported session ${imported.sessionId}: ${imported.tables} table(s), ${imported.transcriptions} transcription(s), ${imported.audioFiles} audio file(s)`);
+
+    res.json({
+      ...importedSession,
+      sessionId: imported.sessionId,
+      success: true,
+      imported,
+      admin_password: adminPassword
+    });
   } catch (error) {
     console.error('Import error:', error);
-    res.status(500).json({ error: `Import failed: ${error.message}` });
+    res.status(error.status || 500).json({ error: `Import failed: ${error.message}` });
   }
 });
 
+// The JSON written by "Export All" before archives existed: transcripts only,
+// matched to the new tables by table number
+async function importLegacySession(importData, { adminPassword, baseUrl }) {
+  if (!importData || !importData.exportVersion || !importData.session || !Array.isArray(importData.transcriptions)) {
+    return null;
+  }
+
+  const originalSession = importData.session;
+  const tableCount = Math.max(
+    parseInt(originalSession.table_count, 10) || 0,
+    ...importData.transcriptions.map(transcription => parseInt(transcription.table_number, 10) || 0)
+  ) || 10;
+
+  const newSession = await Session.create({
+    title: `${originalSession.title} (Imported)`,
+    description: originalSession.description || `Imported session from ${importData.exportDate}`,
+    language: originalSession.language || 'en-US',
+    tableCount,
+    sessionDuration: originalSession.session_duration,
+    rotationEnabled: Boolean(originalSession.rotation_enabled),
+    ...await Session.hashAdminPassword(adminPassword)
+  });
+  await Table.createTablesForSession(newSession.id, tableCount);
+
+  let imported = 0;
+  for (const transcription of importData.transcriptions) {
+    try {
+      const table = await Table.findBySessionAndNumber(newSession.id, parseInt(transcription.table_number, 10) || 1);
+      // The legacy export has no audio, so the recording only carries the metadata
+      const recording = await Recording.create({
+        sessionId: newSession.id,
+        tableId: table.id,
+        roundNumber: transcription.round_number,
+        filename: transcription.filename || `imported_${Date.now()}.wav`,
+        filePath: null,
+        duration: parseFloat(transcription.duration_seconds) || null
+      });
+      await Recording.updateStatus(recording.id, 'file_deleted');
+
+      const segments = typeof transcription.speaker_segments === 'string'
+        ? JSON.parse(transcription.speaker_segments || '[]')
+        : transcription.speaker_segments;
+      await Transcription.create({
+        recordingId: recording.id,
+        sessionId: newSession.id,
+        tableId: table.id,
+        roundNumber: transcription.round_number,
+        transcriptText: transcription.transcript_text || '',
+        confidenceScore: parseFloat(transcription.confidence_score) || 0,
+        language: transcription.language || originalSession.language || 'en',
+        speakerSegments: segments || []
+      });
+      imported++;
+    } catch (transcriptionError) {
+      console.warn('Failed to import transcription:', transcriptionError.message);
+    }
+  }
+
+  await QRCode.generateSessionQRs(newSession.id, tableCount, baseUrl);
+
+  return {
+    sessionId: newSession.id,
+    tables: tableCount,
+    transcriptions: imported,
+    skippedTranscriptions: importData.transcriptions.length - imported,
+    audioFiles: 0,
+    exportedAt: importData.exportDate
+  };
+}
+
 // Health check endpoint for Docker
 app.get('/health', async (req, res) => {
   try {
@@ -1004,7 +1232,7 @@ app.get('/api/sessions', async (req, res) => {
   try {
     if (await db.isHealthy()) {
       const sessions = await Session.findActive();
-      res.json(sessions);
+      res.json(sessions.map(session => Session.withoutSecrets(session)));
     } else {
       // Fallback to empty array for now - in production you might want in-memory storage
       res.json([]);
@@ -1019,14 +1247,14 @@ app.get('/api/sessions', async (req, res) => {
 app.get('/api/sessions/:id', async (req, res) => {
   try {
     if (await db.isHealthy()) {
-      const session = await Session.findWithStats(req.params.id);
+      const session = Session.withoutSecrets(await Session.findWithStats(req.params.id));
       if (!session) {
         return res.status(404).json({ error: 'Session not found' });
       }
       
       // Get tables (without participants)
       const tables = await Table.findBySessionId(session.id);
-      session.tables = tables;
+      session.tables = tables.map(table => Table.withoutSecrets(table));
       
       res.json(session);
     } else {
@@ -1039,7 +1267,7 @@ app.get('/api/sessions/:id', async (req, res) => {
   }
 });
 
-app.put('/api/sessions/:id', async (req, res) => {
+app.put('/api/sessions/:id', requireCapability('session:edit'), async (req, res) => {
   try {
     const updates = req.body;
     const session = await Session.update(req.params.id, updates);
@@ -1048,7 +1276,7 @@ app.put('/api/sessions/:id', async (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    res.json(session);
+    res.json(Session.withoutSecrets(session));
   } catch (error) {
     console.error('Error updating session:', error);
     res.status(500).json({ error: error.message });
@@ -1059,7 +1287,7 @@ app.put('/api/sessions/:id', async (req, res) => {
 app.post('/api/admin/sessions/:id/close', async (req, res) => {
   try {
     const { reason } = req.body;
-    const adminUser = req.body.adminUser || 'admin';
+    const adminUser = req.admin.user;
     
     const session = await Session.closeSession(req.params.id, adminUser, reason);
     res.json({ 
@@ -1076,7 +1304,7 @@ app.post('/api/admin/sessions/:id/close', async (req, res) => {
 app.post('/api/admin/sessions/:id/reopen', async (req, res) => {
   try {
     const { reason } = req.body;
-    const adminUser = req.body.adminUser || 'admin';
+    const adminUser = req.admin.user;
     
     const session = await Session.reopenSession(req.params.id, adminUser, reason);
     res.json({ 
@@ -1093,7 +1321,7 @@ app.post('/api/admin/sessions/:id/reopen', async (req, res) => {
 app.delete('/api/admin/sessions/:id', async (req, res) => {
   try {
     const { reason } = req.body;
-    const adminUser = req.body.adminUser || 'admin';
+    const adminUser = req.admin.user;
     
     const result = await Session.deleteSession(req.params.id, adminUser, reason);
     res.json(result);
@@ -1106,7 +1334,7 @@ app.delete('/api/admin/sessions/:id', async (req, res) => {
 app.post('/api/admin/sessions/:id/restore', async (req, res) => {
   try {
     const { reason } = req.body;
-    const adminUser = req.body.adminUser || 'admin';
+    const adminUser = req.admin.user;
     
     const session = await Session.restoreSession(req.params.id, adminUser, reason);
     res.json({ 
@@ -1132,7 +1360,7 @@ app.get('/api/admin/sessions', async (req, res) => {
       sessions = await Session.findAll(includeDeleted);
     }
     
-    res.json(sessions);
+    res.json(sessions.map(session => Session.withoutSecrets(session)));
   } catch (error) {
     console.error('Error fetching admin sessions:', error);
     res.status(500).json({ error: error.message });
@@ -1159,6 +1387,80 @@ app.get('/api/admin/dashboard/stats', async (req, res) => {
   }
 });
 
+// Round rotation
+app.get('/api/sessions/:sessionId/rounds', async (req, res) => {
+  try {
+    const state = await rotationManager.getState(req.params.sessionId);
+    res.json(state);
+  } catch (error) {
+    console.error('Error fetching rounds:', error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.put('/api/sessions/:sessionId/rounds', requireCapability('rounds:control'), async (req, res) => {
+  try {
+    const { rounds } = req.body;
+    const state = await rotationManager.defineRounds(req.params.sessionId, rounds);
+    res.json(state);
+  } catch (error) {
+    console.error('Error defining rounds:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:sessionId/rounds/start', requireCapability('rounds:control'), async (req, res) => {
+  try {
+    const { roundNumber } = req.body || {};
+    const state = await rotationManager.startRound(req.params.sessionId, roundNumber);
+    res.json(state);
+  } catch (error) {
+    console.error('Error starting round:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:sessionId/rounds/pause', requireCapability('rounds:control'), async (req, res) => {
+  try {
+    const state = await rotationManager.pause(req.params.sessionId);
+    res.json(state);
+  } catch (error) {
+    console.error('Error pausing round:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:sessionId/rounds/resume', requireCapability('rounds:control'), async (req, res) => {
+  try {
+    const state = await rotationManager.resume(req.params.sessionId);
+    res.json(state);
+  } catch (error) {
+    console.error('Error resuming round:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:sessionId/rounds/advance', requireCapability('rounds:control'), async (req, res) => {
+  try {
+    const state = await rotationManager.advance(req.params.sessionId);
+    res.json(state);
+  } catch (error) {
+    console.error('Error advancing round:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:sessionId/rounds/extend', requireCapability('rounds:control'), async (req, res) => {
+  try {
+    const { minutes = 5 } = req.body || {};
+    const state = await rotationManager.extend(req.params.sessionId, minutes);
+    res.json(state);
+  } catch (error) {
+    console.error('Error extending round:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Table management
 app.post('/api/sessions/:sessionId/tables/:tableNumber/join', async (req, res) => {
   try {
@@ -1171,14 +1473,23 @@ app.post('/api/sessions/:sessionId/tables/:tableNumber/join', async (req, res) =
       return res.status(404).json({ error: 'Table not found' });
     }
     
-    // Simple join - no participant records created, just return table info
+    // Returning participants keep their identity so their path stays in one
+    // piece; the id comes from this browser's session, not from the request
+    const roundNumber = await rotationManager.getSeatingRoundNumber(sessionId);
+    const participant = await Participant.enterTable(sessionId, table.id, {
+      participantId: getAccess(req.session).participants[sessionId] || null,
+      name: participantName,
+      roundNumber,
+      canHost: getAccess(req.session).facilitators.includes(String(table.id))
+    });
+
+    rememberParticipant(req.session, sessionId, participant.id);
     await Table.updateStatus(table.id, 'active');
     
-    // Get updated table info without participants
     const updatedTable = await Table.findById(table.id);
     
     io.to(sessionId).emit('table-updated', { tableId: table.id, table: updatedTable });
-    res.json({ table: updatedTable, participantName });
+    res.json({ table: updatedTable, participant, participantName: participant.name });
     
   } catch (error) {
     console.error('Error joining table:', error);
@@ -1186,11 +1497,131 @@ app.post('/api/sessions/:sessionId/tables/:tableNumber/join', async (req, res) =
   }
 });
 
-// Regenerate QR codes for a session (admin function)
-app.post('/api/sessions/:sessionId/regenerate-qr', async (req, res) => {
+// What this browser may do in a session (and at one of its tables)
+app.get('/api/sessions/:sessionId/access', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    const table = req.query.table
+      ? await Table.findBySessionAndNumber(sessionId, parseInt(req.query.table, 10))
+      : null;
+    const role = await resolveRole(req, { sessionId, tableId: table ? table.id : null });
+    res.json({ sessionId, tableId: table ? table.id : null, ...describeRole(role) });
+  } catch (error) {
+    console.error('Error resolving session access:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Participants and table-hopping history
+app.get('/api/sessions/:sessionId/participants', requireCapability('session:view'), async (req, res) => {
+  try {
+    const participants = await Participant.findBySessionId(req.params.sessionId);
+    res.json(participants);
+  } catch (error) {
+    console.error('Error fetching participants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:sessionId/participants/seating', requireCapability('session:view'), async (req, res) => {
+  try {
+    const roundNumber = req.query.round ? parseInt(req.query.round) : null;
+    const seating = await Participant.getSeatingByRound(req.params.sessionId, roundNumber);
+    res.json(seating);
+  } catch (error) {
+    console.error('Error fetching seating history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:sessionId/participants/rotation-plan', requireCapability('session:view'), async (req, res) => {
+  try {
+    const plan = await Participant.getRotationPlan(req.params.sessionId);
+    res.json(plan);
+  } catch (error) {
+    console.error('Error building rotation plan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:sessionId/participants/export', requireCapability('session:export'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const paths = await Participant.getSessionPaths(sessionId);
+
+    if (req.query.format !== 'csv') {
+      if (req.query.format === 'json') {
+        res.setHeader('Content-Disposition', `attachment; filename="participant-paths-${sessionId}.json"`);
+      }
+      return res.json({ sessionId, exportDate: new Date().toISOString(), participants: paths });
+    }
+
+    const csvValue = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['participant_id', 'name', 'email', 'step', 'round', 'table_number', 'table_name', 'role', 'joined_at', 'left_at'];
+    const rows = [];
+    paths.forEach(({ participantId, name, email, path: seatings }) => {
+      seatings.forEach((seating, index) => {
+        rows.push([
+          participantId, name, email, index + 1, seating.roundNumber, seating.tableNumber,
+          seating.tableName, seating.role, seating.joinedAt, seating.leftAt
+        ].map(csvValue).join(','));
+      });
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="participant-paths-${sessionId}.csv"`);
+    res.send([header.join(','), ...rows].join('\n'));
+  } catch (error) {
+    console.error('Error exporting participant paths:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:sessionId/participants/:participantId/host', requireCapability('session:manage'), async (req, res) => {
+  try {
+    const { sessionId, participantId } = req.params;
+    const participant = await Participant.findById(participantId);
+    if (!participant || participant.session_id !== sessionId) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    const host = await Participant.makeFacilitator(participantId);
+    io.to(sessionId).emit('participant-update', {
+      participantId,
+      tableId: host.table_id,
+      action: 'host-assigned',
+      isHost: true,
+      timestamp: new Date()
+    });
+    res.json(host);
+  } catch (error) {
+    console.error('Error assigning table host:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/participants/:participantId/history', requireCapability('session:view', scopeFromParticipant), async (req, res) => {
+  try {
+    const history = await Participant.getParticipantHistory(req.params.participantId);
+    if (!history) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching participant history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Regenerate QR codes for a session (admin function)
+app.post('/api/sessions/:sessionId/regenerate-qr', requireCapability('session:manage'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
     
     // Delete existing QR codes for this session
     await db.query('DELETE FROM qr_codes WHERE entity_id = ? OR entity_id IN (SELECT id FROM tables WHERE session_id = ?)', [sessionId, sessionId]);
@@ -1211,6 +1642,34 @@ app.post('/api/sessions/:sessionId/regenerate-qr', async (req, res) => {
   }
 });
 
+// Session glossary for speech-to-text. Changes apply to transcriptions
+// started afterwards; reprocess a recording to use them on older audio.
+app.get('/api/sessions/:sessionId/vocabulary', requireCapability('session:manage'), async (req, res) => {
+  try {
+    res.json({ sessionId: req.params.sessionId, entries: await SessionVocabulary.findBySessionId(req.params.sessionId) });
+  } catch (error) {
+    console.error('Error fetching session vocabulary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { entries: [{ term, boost?, replacements?: [string] }] } replaces the glossary
+app.put('/api/sessions/:sessionId/vocabulary', requireCapability('session:manage'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!await Session.findById(sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const entries = await SessionVocabulary.replaceForSession(sessionId, SessionVocabulary.prepareEntries(req.body.entries));
+    console.log(`📖 Saved ${entries.length} glossary term(s) for session ${sessionId}`);
+    res.json({ sessionId, entries });
+  } catch (error) {
+    console.error('Error saving session vocabulary:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // QR Code routes
 app.get('/api/qr/:entityType/:entityId', async (req, res) => {
   try {
@@ -1469,6 +1928,7 @@ app.post('/api/entry', async (req, res) => {
         // Check if it's a session admin password
         const sessionByPassword = await Session.findByAdminPassword(detection.input);
         if (sessionByPassword) {
+          grantHost(req.session, sessionByPassword.id);
           return res.json({
             success: true,
             type: 'session_admin',
@@ -1481,6 +1941,7 @@ app.post('/api/entry', async (req, res) => {
         // Check if it's a table password
         const tableByPassword = await Table.findByPassword(detection.input);
         if (tableByPassword) {
+          grantFacilitator(req.session, tableByPassword.id);
           return res.json({
             success: true,
             type: 'table_password',
@@ -1515,7 +1976,7 @@ app.get('/api/sessions/:sessionId/tables/:tableNumber', async (req, res) => {
     
     // Get table with stats
     const tableWithStats = await Table.getTableStats(table.id);
-    res.json(tableWithStats);
+    res.json(Table.withoutSecrets(tableWithStats));
     
   } catch (error) {
     console.error('Error fetching table:', error);
@@ -1534,8 +1995,9 @@ app.get('/api/sessions/:sessionId/tables/:tableNumber/recordings', async (req, r
       return res.status(404).json({ error: 'Table not found' });
     }
     
-    // Get recordings for this table
-    const recordings = await Recording.findByTableId(table.id);
+    // Get recordings for this table, optionally limited to one round
+    const roundNumber = parseInt(req.query.round) || null;
+    const recordings = await Recording.findByTableId(table.id, roundNumber);
     
     res.json(recordings);
   } catch (error) {
@@ -1545,15 +2007,21 @@ app.get('/api/sessions/:sessionId/tables/:tableNumber/recordings', async (req, r
 });
 
 // Live Transcription audio save endpoint
-app.post('/api/recordings/live-transcription', upload.single('audio'), async (req, res) => {
+// The table comes in the query string so the caller is checked before multer
+// writes anything to disk: ?sessionId=...&tableId=...
+const scopeFromLiveUpload = (req) => scopeForTable(req.query.tableId, req.query.sessionId || null);
+
+app.post('/api/recordings/live-transcription', requireCapability('recording:control', scopeFromLiveUpload), upload.single('audio'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No audio file provided' });
     }
     
-    const { sessionId, tableId, tableNumber, duration, source } = req.body;
+    const { duration } = req.body;
+    const { sessionId, tableId } = await scopeFromLiveUpload(req);
     
-    if (!sessionId || !tableId || !tableNumber) {
+    if (!tableId) {
+      fs.unlink(req.file.path, () => {});
       return res.status(400).json({ error: 'Missing required parameters' });
     }
     
@@ -1566,6 +2034,7 @@ app.post('/api/recordings/live-transcription', upload.single('audio'), async (re
     const recording = await Recording.create({
       sessionId,
       tableId,
+      roundNumber: await rotationManager.getCurrentRoundNumber(sessionId),
       filename: req.file.filename,
       filePath: audioPath,
       fileSize: fileStats.size,
@@ -1574,6 +2043,7 @@ app.post('/api/recordings/live-transcription', upload.single('audio'), async (re
     });
     
     console.log(`💾 Live transcription recording saved with ID: ${recording.id}`);
+    prepareAudioInBackground(recording);
     
     res.json({
       success: true,
@@ -1594,7 +2064,7 @@ app.post('/api/recordings/live-transcription', upload.single('audio'), async (re
 });
 
 // Create transcription record endpoint (for Live Transcription)
-app.post('/api/transcriptions', async (req, res) => {
+app.post('/api/transcriptions', requireCapability('recording:control'), async (req, res) => {
   try {
     const { recordingId, sessionId, tableId, transcriptText, speakerSegments, confidenceScore, source } = req.body;
     
@@ -1609,18 +2079,29 @@ app.post('/api/transcriptions', async (req, res) => {
     
     console.log(`📝 Creating transcription record for recording ${recordingId}, ${transcriptText.length} chars, ${speakerSegments?.length || 0} segments`);
     
+    // Tag with the recording's round, or the running round for recording-less live transcripts
+    const linkedRecording = recordingId ? await Recording.findById(recordingId) : null;
+    const roundNumber = linkedRecording
+      ? linkedRecording.round_number
+      : await rotationManager.getCurrentRoundNumber(sessionId);
+    
+    // Browser-side live transcripts get the same glossary pass as server ones
+    const vocabulary = await SessionVocabulary.findBySessionId(sessionId);
+
     // Create transcription record
     const transcription = await Transcription.create({
       recordingId: recordingId || null, // Allow null for live transcriptions
       sessionId: sessionId,
       tableId: tableId,
-      transcriptText: transcriptText,
-      speakerSegments: speakerSegments || [],
+      roundNumber,
+      transcriptText: applyVocabulary(transcriptText, vocabulary),
+      speakerSegments: applyVocabularyToSegments(speakerSegments || [], vocabulary),
       confidenceScore: parseFloat(confidenceScore) || 0.9,
       source: source || 'live-transcription'
     });
     
     console.log(`📝 Transcription record created with ID: ${transcription.id}`);
+    analysisQueue.invalidate(sessionId, transcription.table_id);
     
     res.json({
       success: true,
@@ -1640,7 +2121,7 @@ app.post('/api/transcriptions', async (req, res) => {
 });
 
 // Reprocess Live Transcription audio endpoint (for failed transcriptions)
-app.post('/api/recordings/:recordingId/reprocess', async (req, res) => {
+app.post('/api/recordings/:recordingId/reprocess', requireCapability('recording:reprocess', scopeFromRecording), async (req, res) => {
   try {
     const { recordingId } = req.params;
     
@@ -1656,119 +2137,20 @@ app.post('/api/recordings/:recordingId/reprocess', async (req, res) => {
       return res.status(404).json({ error: 'Audio file not found on disk' });
     }
     
-    // Find the session to get language setting
-    const session = await Session.findById(recording.session_id);
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
-    
-    console.log(`🔄 Reprocessing audio for recording ${recordingId}: ${recording.filename}`);
-    console.log(`📂 File path: ${recording.file_path}`);
-    console.log(`🎯 Session language: ${session.language || 'en-US'}`);
+    console.log(`🔄 Queueing reprocessing for recording ${recordingId}: ${recording.filename}`);
     
-    // Mark as processing
-    await Recording.markProcessing(recordingId);
+    const job = await transcriptionQueue.enqueue(recording, { jobType: 'reprocess' });
     
-    // Emit status update to connected clients
-    const connectedClients = getConnectedClientsInSession(recording.session_id);
-    connectedClients.forEach(client => {
-      client.emit('reprocess-status', {
-        recordingId: recordingId,
-        status: 'processing',
-        message: 'Starting reprocessing...'
-      });
+    res.json({
+      success: true,
+      recordingId: recordingId,
+      jobId: job.id,
+      status: job.status,
+      message: job.job_type === 'reprocess'
+        ? 'Recording queued for reprocessing'
+        : 'Recording is already queued for transcription'
     });
     
-    try {
-      // Reprocess transcription
-      const transcriptionOptions = { language: session.language || 'en-US' };
-      const transcriptionResult = await transcriptionService.transcribeFile(recording.file_path, transcriptionOptions);
-      
-      // Extract duration if available
-      const duration = transcriptionResult.results?.channels?.[0]?.alternatives?.[0]?.words?.slice(-1)?.[0]?.end || 0;
-      if (duration > 0) {
-        await Recording.updateDuration(recordingId, duration);
-      }
-      
-      // Create new transcription record (if none exists) or update existing
-      // Use static methods instead of constructor
-      let transcription;
-      
-      if (recording.transcription_id) {
-        // Update existing transcription
-        transcription = await Transcription.update(recording.transcription_id, {
-          transcript_text: transcriptionService.extractTranscript(transcriptionResult),
-          speaker_segments: JSON.stringify(transcriptionService.extractSpeakerSegments(transcriptionResult)),
-          confidence_score: transcriptionResult.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0.0,
-          updated_at: new Date()
-        });
-      } else {
-        // Create new transcription
-        transcription = await Transcription.create({
-          recordingId: recordingId,
-          sessionId: recording.session_id,
-          tableId: recording.table_id,
-          transcriptText: transcriptionService.extractTranscript(transcriptionResult),
-          speakerSegments: transcriptionService.extractSpeakerSegments(transcriptionResult),
-          confidenceScore: transcriptionResult.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0.0,
-          source: 'reprocess'
-        });
-      }
-      
-      // Mark recording as completed
-      await Recording.markCompleted(recordingId);
-      
-      console.log(`🔄 Reprocessing completed for recording ${recordingId}`);
-      
-      // Emit completion status to connected clients
-      connectedClients.forEach(client => {
-        client.emit('reprocess-status', {
-          recordingId: recordingId,
-          status: 'completed',
-          message: 'Reprocessing completed successfully!',
-          transcriptionId: transcription.id
-        });
-        
-        // Also emit transcription-completed event for real-time display
-        client.emit('transcription-completed', {
-          source: 'reprocess',
-          transcription: {
-            id: transcription.id,
-            transcript: transcriptionService.extractTranscript(transcriptionResult),
-            confidence: transcriptionResult.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0.0,
-            speakers: transcriptionService.extractSpeakerSegments(transcriptionResult),
-            source: 'reprocess'
-          },
-          sessionId: recording.session_id,
-          tableId: recording.table_id
-        });
-      });
-      
-      res.json({
-        success: true,
-        recordingId: recordingId,
-        transcriptionId: transcription.id,
-        message: 'Recording reprocessed successfully'
-      });
-      
-    } catch (transcriptionError) {
-      console.error('Transcription reprocessing failed:', transcriptionError);
-      await Recording.markFailed(recordingId);
-      
-      // Emit error status to connected clients
-      const connectedClients = getConnectedClientsInSession(recording.session_id);
-      connectedClients.forEach(client => {
-        client.emit('reprocess-status', {
-          recordingId: recordingId,
-          status: 'failed',
-          message: `Reprocessing failed: ${transcriptionError.message}`,
-          error: transcriptionError.message
-        });
-      });
-      
-      throw transcriptionError;
-    }
-    
   } catch (error) {
     console.error('Error reprocessing recording:', error);
     res.status(500).json({ 
@@ -1778,8 +2160,84 @@ app.post('/api/recordings/:recordingId/reprocess', async (req, res) => {
   }
 });
 
+// Who is listening, as stored in activity_logs.user_id: the admin account,
+// the participant seated from this browser, or else the role
+function describeMediaViewer(req, sessionId) {
+  const admin = getAdmin(req);
+  if (admin) {
+    return `admin:${admin.user}`;
+  }
+  const participantId = req.session ? getAccess(req.session).participants[sessionId] : null;
+  return participantId ? `participant:${participantId}` : req.role || '';
+}
+
+// Short-lived link to a recording's audio for players and downloads
+app.get('/api/recordings/:recordingId/media-url', requireCapability('session:view', scopeFromRecording), async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (!recording.file_path) {
+      return res.status(404).json({ error: 'The media file of this recording has been removed' });
+    }
+
+    res.json(signMediaUrl(recording.id, {
+      download: isDownloadRequest(req),
+      viewer: describeMediaViewer(req, recording.session_id)
+    }));
+  } catch (error) {
+    console.error('Error signing media link:', error);
+    res.status(500).json({ error: 'Failed to create a media link' });
+  }
+});
+
+// Audio of a recording, for a signed link or anyone who may view its
+// session. The player gets the AAC playback copy when there is one,
+// `?download=1` the uploaded file (or the normalized one when the upload was
+// discarded). sendFile answers Range requests with 206, which the browser
+// needs to seek.
+app.get('/api/recordings/:recordingId/media', requireMediaAccess, async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    const download = isDownloadRequest(req);
+    const filePath = download
+      ? recording.original_path || recording.file_path
+      : recording.playback_path || recording.file_path;
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'The media file of this recording has been removed' });
+    }
+
+    // A player fetches the file in many Range requests; the one from the
+    // start stands for the whole listen
+    const range = req.get('Range');
+    if (!range || /^bytes=0-/.test(range)) {
+      logger.logTableEvent(download ? 'media_downloaded' : 'media_played', recording.table_id, recording.session_id, {
+        userId: req.mediaViewer || describeMediaViewer(req, recording.session_id) || null,
+        recordingId: recording.id,
+        via: req.mediaAccess,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    }
+
+    const options = { headers: { 'Cache-Control': 'private, max-age=0' } };
+    if (download) {
+      return res.download(filePath, path.basename(filePath), options);
+    }
+    res.sendFile(path.resolve(filePath), options);
+  } catch (error) {
+    console.error('Error serving recording media:', error);
+    res.status(500).json({ error: 'Failed to load the recording' });
+  }
+});
+
 // Delete recording media file only (keep transcription for reference)
-app.delete('/api/recordings/:recordingId/media', async (req, res) => {
+app.delete('/api/recordings/:recordingId/media', requireCapability('recording:delete', scopeFromRecording), async (req, res) => {
   try {
     const { recordingId } = req.params;
     
@@ -1789,16 +2247,15 @@ app.delete('/api/recordings/:recordingId/media', async (req, res) => {
       return res.status(404).json({ error: 'Recording not found' });
     }
     
-    // Delete the physical file if it exists
-    if (recording.file_path && fs.existsSync(recording.file_path)) {
-      fs.unlinkSync(recording.file_path);
-      console.log(`🗑️ Deleted media file: ${recording.file_path}`);
-    }
+    // Delete the physical files if they exist
+    removeRecordingFiles(recording);
     
     // Update recording status to indicate file is deleted but keep record
     await Recording.update(recordingId, {
       status: 'file_deleted',
       file_path: null,
+      original_path: null,
+      playback_path: null,
       file_size: null,
       updated_at: new Date()
     });
@@ -1820,7 +2277,7 @@ app.delete('/api/recordings/:recordingId/media', async (req, res) => {
 });
 
 // Delete recording and all associated transcriptions
-app.delete('/api/recordings/:recordingId', async (req, res) => {
+app.delete('/api/recordings/:recordingId', requireCapability('recording:delete', scopeFromRecording), async (req, res) => {
   try {
     const { recordingId } = req.params;
     
@@ -1830,11 +2287,8 @@ app.delete('/api/recordings/:recordingId', async (req, res) => {
       return res.status(404).json({ error: 'Recording not found' });
     }
     
-    // Delete the physical file if it exists
-    if (recording.file_path && fs.existsSync(recording.file_path)) {
-      fs.unlinkSync(recording.file_path);
-      console.log(`🗑️ Deleted media file: ${recording.file_path}`);
-    }
+    // Delete the physical files if they exist
+    removeRecordingFiles(recording);
     
     // Delete all transcriptions associated with this recording
     const transcriptions = await db.query('SELECT id FROM transcriptions WHERE recording_id = ?', [recordingId]);
@@ -1862,15 +2316,101 @@ app.delete('/api/recordings/:recordingId', async (req, res) => {
   }
 });
 
+// Turn a received media file into a recording. With skipTranscription the
+// audio only accompanies a transcript the live stream already stored;
+// otherwise transcription is queued and progress arrives over the socket.
+// The transcript a live-transcribed upload links to comes from the client, so
+// it has to be one stored for the same table and not yet linked elsewhere
+async function findLinkableTranscription(transcriptionId, session, table) {
+  const transcription = await Transcription.findById(transcriptionId);
+  if (!transcription) {
+    const error = new Error('Transcription not found');
+    error.status = 400;
+    throw error;
+  }
+  if (transcription.session_id !== session.id || String(transcription.table_id) !== String(table.id)) {
+    const error = new Error('This transcription belongs to another table');
+    error.status = 403;
+    throw error;
+  }
+  if (transcription.recording_id) {
+    const error = new Error('This transcription already has a recording');
+    error.status = 400;
+    throw error;
+  }
+  return transcription;
+}
+
+// Shared by the multipart upload and completed resumable uploads.
+async function registerUploadedRecording({ session, table, file, fields = {} }) {
+  const { source, skipTranscription, duration, transcriptionId } = fields;
+  const linkTranscription = skipTranscription === 'true' || skipTranscription === true;
+  if (linkTranscription && transcriptionId) {
+    await findLinkableTranscription(transcriptionId, session, table);
+  }
+  const fileStats = fs.statSync(file.path);
+  
+  // Create recording record
+  const durationSeconds = duration ? parseFloat(duration) : null;
+  const normalizedDuration = Number.isFinite(durationSeconds) ? durationSeconds : null;
+
+  const recording = await Recording.create({
+    sessionId: session.id,
+    tableId: table.id,
+    roundNumber: await rotationManager.getCurrentRoundNumber(session.id),
+    filename: file.filename,
+    originalName: file.originalname ? String(file.originalname).slice(0, 255) : null,
+    filePath: file.path,
+    fileSize: fileStats.size,
+    mimeType: file.mimetype,
+    duration: normalizedDuration || undefined
+  });
+  
+  // If skipTranscription is true, just save the recording without processing
+  if (linkTranscription) {
+    console.log(`Skipping transcription for table ${table.table_number} (ID: ${table.id}), file: ${file.path} - live transcription active`);
+    
+    // Mark recording as completed (no processing needed)
+    await Recording.markCompleted(recording.id);
+
+    // Link the transcript the server already stored for this live stream
+    if (transcriptionId) {
+      await Transcription.attachRecording(transcriptionId, recording.id);
+    }
+    prepareAudioInBackground(recording);
+    
+    return {
+      success: true,
+      recordingId: recording.id,
+      recording: {
+        id: recording.id,
+        filename: file.filename,
+        status: 'completed'
+      },
+      message: 'Audio file saved without transcription processing'
+    };
+  }
+  
+  const job = await transcriptionQueue.enqueue(recording, { source: source || 'start-recording' });
+  console.log(`Queued transcription for table ${table.table_number} (ID: ${table.id}), file: ${file.path}, language: ${session.language || 'en-US'}`);
+  
+  return {
+    success: true,
+    recordingId: recording.id,
+    jobId: job.id,
+    status: 'queued',
+    message: 'Audio uploaded, transcription queued'
+  };
+}
+
 // Audio upload and transcription - FIXED for table-specific storage
-app.post('/api/sessions/:sessionId/tables/:tableNumber/upload-audio', upload.single('audio'), async (req, res) => {
+app.post('/api/sessions/:sessionId/tables/:tableNumber/upload-audio', requireCapability('recording:control'), upload.single('audio'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No audio file provided' });
     }
     
     const { sessionId, tableNumber } = req.params;
-    const { source, skipTranscription, duration } = req.body; // Extract source, skipTranscription flag, and duration from request body
     
     // Find the table
     const table = await Table.findBySessionAndNumber(sessionId, parseInt(tableNumber));
@@ -1884,190 +2424,168 @@ app.post('/api/sessions/:sessionId/tables/:tableNumber/upload-audio', upload.sin
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    const audioPath = req.file.path;
-    const fileStats = fs.statSync(audioPath);
-    
-    // Create recording record
-    const durationSeconds = duration ? parseFloat(duration) : null;
-    const normalizedDuration = Number.isFinite(durationSeconds) ? durationSeconds : null;
-
-    const recording = await Recording.create({
-      sessionId,
-      tableId: table.id,
-      filename: req.file.filename,
-      filePath: audioPath,
-      fileSize: fileStats.size,
-      mimeType: req.file.mimetype,
-      duration: normalizedDuration || undefined
-    });
-    
-    // If skipTranscription is true, just save the recording without processing
-    if (skipTranscription === 'true' || skipTranscription === true) {
-      console.log(`Skipping transcription for table ${tableNumber} (ID: ${table.id}), file: ${audioPath} - live transcription active`);
-      
-      // Mark recording as completed (no processing needed)
-      await Recording.markCompleted(recording.id);
-      
-      return res.json({
-        success: true,
-        recording: {
-          id: recording.id,
-          filename: req.file.filename,
-          status: 'completed'
-        },
-        message: 'Audio file saved without transcription processing'
-      });
-    }
-    
-    // Update recording status to processing
-    await Recording.markProcessing(recording.id);
-    
-    // Start transcription
-    console.log(`Starting transcription for table ${tableNumber} (ID: ${table.id}), file: ${audioPath}, language: ${session.language || 'en-US'}`);
-    
-    // Broadcast processing status to session dashboard
-    io.to(sessionId).emit('table-recording-update', {
-      tableId: table.id,
-      status: 'processing',
-      timestamp: new Date()
-    });
-    
-    try {
-      // Use session language for transcription
-      const transcriptionOptions = { language: session.language || 'en-US' };
-      const transcriptionResult = await transcriptionService.transcribeFile(audioPath, transcriptionOptions);
-      
-      // Debug: Log the structure of transcription result
-      console.log('Deepgram transcription result structure:', JSON.stringify({
-        hasResults: !!transcriptionResult?.results,
-        hasChannels: !!transcriptionResult?.results?.channels,
-        hasUtterances: !!transcriptionResult?.results?.utterances,
-        utteranceCount: transcriptionResult?.results?.utterances?.length || 0,
-        sampleUtterance: transcriptionResult?.results?.utterances?.[0],
-        extractedSegments: transcriptionService.extractSpeakerSegments(transcriptionResult)
-      }, null, 2));
-      
-      // Extract duration if available
-      const duration = transcriptionResult.results?.channels?.[0]?.alternatives?.[0]?.words?.slice(-1)?.[0]?.end || 0;
-      if (duration > 0) {
-        await Recording.updateDuration(recording.id, duration);
-      }
-      
-      // Create transcription record - TABLE-SPECIFIC
-      const transcription = await Transcription.create({
-        recordingId: recording.id,
-        sessionId,
-        tableId: table.id, // This ensures each table has its own transcriptions
-        transcriptText: transcriptionService.extractTranscript(transcriptionResult),
-        speakerSegments: transcriptionService.extractSpeakerSegments(transcriptionResult),
-        confidenceScore: transcriptionResult.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0.0,
-        source: source || 'start-recording' // Use provided source or default to start-recording
-      });
-      
-      // Mark recording as completed
-      await Recording.markCompleted(recording.id);
-      
-      // Notify connected clients - TABLE-SPECIFIC UPDATE
-      io.to(sessionId).emit('transcription-completed', {
-        tableId: table.id,
-        tableNumber: parseInt(tableNumber),
-        transcription: {
-          id: transcription.id,
-          transcript: transcription.transcript_text,
-          speakers: (() => {
-            try {
-              const segments = transcription.speaker_segments;
-              if (typeof segments === 'string') {
-                return JSON.parse(segments);
-              } else if (Array.isArray(segments)) {
-                return segments;
-              }
-              return [];
-            } catch (e) {
-              console.error('Error parsing speaker_segments:', segments, e);
-              return [];
-            }
-          })(),
-          wordCount: transcription.word_count,
-          confidence: transcription.confidence_score
-        },
-        source: source || 'start-recording' // Use provided source or default to start-recording
-      });
-      
-      // Broadcast completion status to session dashboard
-      io.to(sessionId).emit('table-recording-update', {
-        tableId: table.id,
-        status: 'completed',
-        timestamp: new Date()
-      });
-      
-      res.json({
-        success: true,
-        recordingId: recording.id,
-        transcriptionId: transcription.id,
-        transcription: transcription.transcript_text,
-        speakers: (() => {
-          try {
-            const segments = transcription.speaker_segments;
-            if (typeof segments === 'string') {
-              return JSON.parse(segments).length;
-            } else if (Array.isArray(segments)) {
-              return segments.length;
-            }
-            return 0;
-          } catch (e) {
-            console.error('Error parsing speaker_segments in response:', segments, e);
-            return 0;
-          }
-        })(),
-        wordCount: transcription.word_count,
-        confidence: transcription.confidence_score
-      });
-      
-    } catch (transcriptionError) {
-      console.error('Transcription failed:', transcriptionError);
-      await Recording.markFailed(recording.id);
-      throw transcriptionError;
-    }
+    res.json(await registerUploadedRecording({ session, table, file: req.file, fields: req.body }));
     
   } catch (error) {
+    if (error.status) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error processing audio:', error);
     res.status(500).json({ error: 'Failed to process audio: ' + error.message });
   }
 });
 
-// Get transcriptions for a specific table
-app.get('/api/sessions/:sessionId/tables/:tableNumber/transcriptions', async (req, res) => {
+// Resumable uploads: start with the file's size and form fields, PATCH the
+// chunks with an Upload-Offset header, then complete to create the recording
+async function findTableUpload(req) {
+  const { sessionId, tableNumber, uploadId } = req.params;
+  const table = await Table.findBySessionAndNumber(sessionId, parseInt(tableNumber, 10));
+  const upload = table ? await MediaUpload.findById(uploadId) : null;
+  if (!upload || upload.table_id !== table.id) {
+    const error = new Error('Upload not found');
+    error.status = 404;
+    throw error;
+  }
+  return { table, upload };
+}
+
+app.post('/api/sessions/:sessionId/tables/:tableNumber/uploads', requireCapability('recording:control'), async (req, res) => {
   try {
     const { sessionId, tableNumber } = req.params;
-    
-    // Find the table
-    const table = await Table.findBySessionAndNumber(sessionId, parseInt(tableNumber));
+    const { filename, mimeType = null, size, source, skipTranscription, duration, transcriptionId } = req.body || {};
+
+    const table = await Table.findBySessionAndNumber(sessionId, parseInt(tableNumber, 10));
     if (!table) {
       return res.status(404).json({ error: 'Table not found' });
     }
-    
-    // Get table-specific transcriptions
-    const transcriptions = await Transcription.findByTableId(table.id);
-    
-    res.json(transcriptions);
+    if (!filename || !isAllowedMediaFile(filename, mimeType || '')) {
+      return res.status(400).json({ error: MEDIA_TYPE_ERROR });
+    }
+    // Refuse a bad transcript link now rather than after the whole file arrived
+    if ((skipTranscription === 'true' || skipTranscription === true) && transcriptionId) {
+      await findLinkableTranscription(transcriptionId, { id: sessionId }, table);
+    }
+
+    const upload = await resumableUploads.create({
+      sessionId,
+      tableId: table.id,
+      originalName: filename,
+      mimeType,
+      size,
+      options: { source, skipTranscription, duration, transcriptionId }
+    });
+
+    console.log(`📤 Started resumable upload ${upload.id} for table ${tableNumber}: ${filename}, ${size} bytes`);
+    res.status(201).json(resumableUploads.describe(upload));
   } catch (error) {
-    console.error('Error fetching transcriptions:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error starting upload:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Get all transcriptions for a session (across all tables)
-app.get('/api/sessions/:sessionId/all-transcriptions', async (req, res) => {
+app.get('/api/sessions/:sessionId/tables/:tableNumber/uploads/:uploadId', requireCapability('recording:control'), async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    
-    // Verify session exists
-    const session = await Session.findById(sessionId);
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
+    const { upload } = await findTableUpload(req);
+    res.json(resumableUploads.describe(upload));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.patch(
+  '/api/sessions/:sessionId/tables/:tableNumber/uploads/:uploadId',
+  requireCapability('recording:control'),
+  (req, res, next) => express.raw({ type: () => true, limit: resumableUploads.getConfig().chunkBytes })(req, res, next),
+  async (req, res) => {
+    try {
+      const { upload } = await findTableUpload(req);
+      const offset = Number(req.get('Upload-Offset'));
+      const updated = await resumableUploads.writeChunk(upload, offset, req.body, req.get('Upload-Checksum'));
+      res.json(resumableUploads.describe(updated));
+    } catch (error) {
+      if (!error.status) {
+        console.error('Error writing upload chunk:', error);
+      }
+      res.status(error.status || 500).json({ error: error.message, offset: error.offset });
     }
-    
+  }
+);
+
+app.post('/api/sessions/:sessionId/tables/:tableNumber/uploads/:uploadId/complete', requireCapability('recording:control'), async (req, res) => {
+  try {
+    const { table, upload } = await findTableUpload(req);
+
+    // A client that lost the first response asks again; answer the same
+    if (upload.status === 'completed') {
+      return res.json({ success: true, recordingId: upload.recording_id, message: 'Upload already completed' });
+    }
+
+    const session = await Session.findById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const extension = resolveUploadExtension({ mimetype: upload.mime_type, originalname: upload.original_name });
+    const filename = `${Date.now()}-${uuidv4()}${extension}`;
+    const result = await resumableUploads.complete(upload, filename, file => registerUploadedRecording({
+      session,
+      table,
+      file,
+      fields: upload.options
+    }));
+
+    console.log(`📤 Resumable upload ${upload.id} completed as recording ${result.recordingId}`);
+    res.json(result);
+  } catch (error) {
+    console.error('Error completing upload:', error);
+    res.status(error.status || 500).json({ error: error.message, offset: error.offset });
+  }
+});
+
+app.delete('/api/sessions/:sessionId/tables/:tableNumber/uploads/:uploadId', requireCapability('recording:control'), async (req, res) => {
+  try {
+    const { upload } = await findTableUpload(req);
+    await resumableUploads.abort(upload);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get transcriptions for a specific table
+app.get('/api/sessions/:sessionId/tables/:tableNumber/transcriptions', async (req, res) => {
+  try {
+    const { sessionId, tableNumber } = req.params;
+    
+    // Find the table
+    const table = await Table.findBySessionAndNumber(sessionId, parseInt(tableNumber));
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+    
+    // Get table-specific transcriptions, optionally limited to one round
+    const roundNumber = parseInt(req.query.round) || null;
+    const transcriptions = await Transcription.findByTableId(table.id, roundNumber);
+    
+    res.json(transcriptions);
+  } catch (error) {
+    console.error('Error fetching transcriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all transcriptions for a session (across all tables)
+app.get('/api/sessions/:sessionId/all-transcriptions', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    // Verify session exists
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
     // Get all tables for this session
     const tables = await Table.findBySessionId(sessionId);
     
@@ -2093,10 +2611,419 @@ app.get('/api/sessions/:sessionId/all-transcriptions', async (req, res) => {
   }
 });
 
+// Transcript corrections. Every save is a new revision; the transcription row
+// always holds the latest one, so exports and analyses pick it up directly.
+
+// Name stored with a revision: the admin account, the participant seated from
+// this browser, or else the role that made the change
+async function describeRevisionAuthor(req, sessionId) {
+  const admin = getAdmin(req);
+  if (admin) {
+    return admin.user;
+  }
+  const participantId = getAccess(req.session).participants[sessionId];
+  const participant = participantId ? await Participant.findById(participantId) : null;
+  if (participant) {
+    return participant.name;
+  }
+  return req.role === 'host' ? 'Session host' : 'Table facilitator';
+}
+
+async function saveTranscriptRevision(req, res, transcription, revision) {
+  const baseRevision = req.body.baseRevision === undefined ? null : parseInt(req.body.baseRevision, 10);
+  const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim().slice(0, 500) : null;
+
+  const updated = await TranscriptionRevision.record(transcription.id, {
+    ...revision,
+    baseRevision: Number.isNaN(baseRevision) ? null : baseRevision,
+    author: await describeRevisionAuthor(req, transcription.session_id),
+    authorRole: req.role,
+    note
+  });
+
+  console.log(`✏️ Transcription ${transcription.id} saved as revision ${updated.revision} (${revision.action || 'edit'})`);
+  analysisQueue.invalidate(transcription.session_id, transcription.table_id);
+  res.json({ transcription: updated });
+}
+
+app.get('/api/transcriptions/:transcriptionId/revisions', requireCapability('transcript:edit', scopeFromTranscription), async (req, res) => {
+  try {
+    const transcription = await Transcription.findById(req.params.transcriptionId);
+    if (!transcription) {
+      return res.status(404).json({ error: 'Transcription not found' });
+    }
+    res.json({
+      transcriptionId: transcription.id,
+      revision: transcription.revision,
+      editedAt: transcription.edited_at,
+      revisions: await TranscriptionRevision.findByTranscriptionId(transcription.id)
+    });
+  } catch (error) {
+    console.error('Error fetching transcript revisions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/transcriptions/:transcriptionId/revisions/:revisionNumber', requireCapability('transcript:edit', scopeFromTranscription), async (req, res) => {
+  try {
+    const revision = await TranscriptionRevision.findByNumber(req.params.transcriptionId, parseInt(req.params.revisionNumber, 10));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(revision);
+  } catch (error) {
+    console.error('Error fetching transcript revision:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { segments: [{ speaker, text, start, end, words? }], baseRevision, note? }.
+// Transcripts without speaker segments are corrected as { text }.
+app.patch('/api/transcriptions/:transcriptionId', requireCapability('transcript:edit', scopeFromTranscription), async (req, res) => {
+  try {
+    const transcription = await Transcription.findById(req.params.transcriptionId);
+    if (!transcription) {
+      return res.status(404).json({ error: 'Transcription not found' });
+    }
+
+    let revision;
+    if (req.body.segments !== undefined) {
+      const speakerSegments = TranscriptionRevision.prepareSegments(transcription.speaker_segments, req.body.segments);
+      revision = {
+        transcriptText: speakerSegments.map(segment => segment.transcript).join(' '),
+        speakerSegments
+      };
+    } else if (typeof req.body.text === 'string') {
+      revision = { transcriptText: req.body.text.trim(), speakerSegments: [] };
+    } else {
+      return res.status(400).json({ error: 'Send the corrected segments or text' });
+    }
+
+    if (!revision.transcriptText) {
+      return res.status(400).json({ error: 'A transcript cannot be empty; delete the recording instead' });
+    }
+
+    await saveTranscriptRevision(req, res, transcription, revision);
+  } catch (error) {
+    console.error('Error saving transcript correction:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Body: { revision, baseRevision }. Restoring adds a new revision, so the
+// history itself is never rewritten
+app.post('/api/transcriptions/:transcriptionId/revert', requireCapability('transcript:edit', scopeFromTranscription), async (req, res) => {
+  try {
+    const transcription = await Transcription.findById(req.params.transcriptionId);
+    if (!transcription) {
+      return res.status(404).json({ error: 'Transcription not found' });
+    }
+
+    const target = await TranscriptionRevision.findByNumber(transcription.id, parseInt(req.body.revision, 10));
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    if (target.revision_number === transcription.revision) {
+      return res.status(400).json({ error: 'This revision is already the current one' });
+    }
+
+    await saveTranscriptRevision(req, res, transcription, {
+      transcriptText: target.transcript_text,
+      speakerSegments: target.speaker_segments,
+      action: 'revert',
+      revertedFrom: target.revision_number
+    });
+  } catch (error) {
+    console.error('Error reverting transcript:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Speaker names. Diarization restarts its numbering in every recording, so
+// facilitators name the speakers of each recording; the labels of the
+// previous recording at the table are offered as a starting point.
+
+const MAX_SPEAKER_LABEL_LENGTH = 255;
+const SPEAKER_SAMPLE_LENGTH = 160;
+
+// Speakers heard in a transcript with how much they said and their first words
+function summarizeSpeakers(transcription) {
+  const speakers = new Map();
+  const raw = transcription?.speaker_segments || '[]';
+  const segments = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  (Array.isArray(segments) ? segments : []).forEach((segment) => {
+    const text = String(segment.transcript || segment.text || '').trim();
+    if (typeof segment.speaker !== 'number' || !text) {
+      return;
+    }
+    const entry = speakers.get(segment.speaker) || { speaker: segment.speaker, words: 0, seconds: 0, sample: '' };
+    entry.words += text.split(/\s+/).length;
+    if (typeof segment.start === 'number' && typeof segment.end === 'number' && segment.end > segment.start) {
+      entry.seconds += segment.end - segment.start;
+    }
+    if (entry.sample.length < SPEAKER_SAMPLE_LENGTH) {
+      entry.sample = `${entry.sample} ${text}`.trim();
+    }
+    speakers.set(segment.speaker, entry);
+  });
+
+  return [...speakers.values()]
+    .sort((a, b) => a.speaker - b.speaker)
+    .map(entry => ({
+      ...entry,
+      seconds: Math.round(entry.seconds),
+      sample: entry.sample.length > SPEAKER_SAMPLE_LENGTH ? `${entry.sample.slice(0, SPEAKER_SAMPLE_LENGTH)}…` : entry.sample
+    }));
+}
+
+app.get('/api/recordings/:recordingId/speakers', requireCapability('transcript:edit', scopeFromRecording), async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    const [transcription, labels, suggestion, participants] = await Promise.all([
+      Transcription.findByRecordingId(recording.id),
+      SpeakerLabel.findByRecordingId(recording.id),
+      SpeakerLabel.suggestForRecording(recording),
+      SpeakerLabel.findCandidates(recording)
+    ]);
+
+    res.json({
+      recordingId: recording.id,
+      tableId: recording.table_id,
+      roundNumber: recording.round_number,
+      speakers: summarizeSpeakers(transcription),
+      labels,
+      suggestion,
+      participants
+    });
+  } catch (error) {
+    console.error('Error fetching speaker labels:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { labels: [{ speaker, label?, participantId? }] } replaces every label
+// of the recording. A label linked to a participant defaults to their name.
+app.put('/api/recordings/:recordingId/speakers', requireCapability('transcript:edit', scopeFromRecording), async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (!Array.isArray(req.body.labels)) {
+      return res.status(400).json({ error: 'labels must be an array' });
+    }
+
+    const participants = new Map((await SpeakerLabel.findCandidates(recording))
+      .map(participant => [participant.id, participant]));
+    const labels = new Map();
+
+    for (const item of req.body.labels) {
+      const speaker = parseInt(item?.speaker, 10);
+      if (!Number.isInteger(speaker) || speaker < 0 || speaker > 99) {
+        return res.status(400).json({ error: 'Each label needs a speaker number between 0 and 99' });
+      }
+      const participantId = item.participantId || null;
+      if (participantId && !participants.has(participantId)) {
+        return res.status(400).json({ error: 'That participant is not part of this session' });
+      }
+      const label = String(item.label || '').trim() || (participantId ? participants.get(participantId).name : '');
+      if (label.length > MAX_SPEAKER_LABEL_LENGTH) {
+        return res.status(400).json({ error: `Speaker names can be at most ${MAX_SPEAKER_LABEL_LENGTH} characters` });
+      }
+      // Clearing the name removes the label
+      if (label) {
+        labels.set(speaker, { speaker, label, participantId });
+      }
+    }
+
+    const saved = await SpeakerLabel.replaceForRecording(recording, [...labels.values()]);
+    console.log(`🏷️ Saved ${saved.length} speaker name(s) for recording ${recording.id}`);
+    analysisQueue.invalidate(recording.session_id, recording.table_id);
+    res.json({ recordingId: recording.id, labels: saved });
+  } catch (error) {
+    console.error('Error saving speaker labels:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const SEARCH_MODES = ['boolean', 'phrase', 'natural'];
+const TRANSCRIPTION_SOURCES = ['start-recording', 'upload-media', 'live-transcription', 'live-audio', 'reprocess'];
+const SEARCH_PAGE_SIZE = 20;
+
+// Date-only upper bounds include the whole day
+function parseSearchDate(value, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return undefined;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+function parseSearchInteger(value, min = 0) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number >= min ? number : undefined;
+}
+
+// Full-text search within one session (?sessionId=, any session role) or
+// across all sessions (admins only)
+app.get('/api/search', requireCapability('session:view', scopeFromQuery), async (req, res) => {
+  try {
+    const { q = '', mode = 'boolean', sessionId = null, source = null, language = null } = req.query;
+    const query = String(q).trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Enter something to search for' });
+    }
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Mode must be one of: ${SEARCH_MODES.join(', ')}` });
+    }
+    if (source && !TRANSCRIPTION_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Source must be one of: ${TRANSCRIPTION_SOURCES.join(', ')}` });
+    }
+
+    const filters = {
+      tableId: parseSearchInteger(req.query.tableId, 1),
+      roundNumber: parseSearchInteger(req.query.round, 1),
+      speaker: parseSearchInteger(req.query.speaker),
+      limit: parseSearchInteger(req.query.limit, 1),
+      offset: parseSearchInteger(req.query.offset),
+      from: parseSearchDate(req.query.from),
+      to: parseSearchDate(req.query.to, true)
+    };
+    const invalid = Object.keys(filters).find(key => filters[key] === undefined);
+    if (invalid) {
+      return res.status(400).json({ error: `Invalid value for ${invalid}` });
+    }
+
+    // An unbalanced quote is a syntax error in boolean mode
+    const balanced = (query.match(/"/g) || []).length % 2 === 0 ? query : query.replace(/"/g, ' ');
+    const searchTerm = mode === 'phrase' ? `"${query.replace(/"/g, ' ')}"` : balanced;
+    const limit = Math.min(filters.limit || SEARCH_PAGE_SIZE, 50);
+    const offset = filters.offset || 0;
+
+    const { rows, total } = await Transcription.searchTranscripts(searchTerm, {
+      ...filters,
+      mode: mode === 'natural' ? 'natural' : 'boolean',
+      sessionId,
+      source,
+      language: language || null,
+      limit,
+      offset
+    });
+
+    const terms = parseSearchTerms(searchTerm);
+    const results = rows
+      .map(row => ({ row, ...findMatches(row, terms, { speaker: filters.speaker }) }))
+      // A speaker filter only guarantees the speaker talked in the transcript
+      .filter(result => filters.speaker === null || result.matches.length > 0)
+      .map(({ row, matches, total: matchCount }) => ({
+        transcriptionId: row.id,
+        sessionId: row.session_id,
+        sessionTitle: row.session_title,
+        tableId: row.table_id,
+        tableNumber: row.table_number,
+        tableName: row.table_name,
+        roundNumber: row.round_number,
+        recordingId: row.recording_id,
+        source: row.source,
+        language: row.language,
+        createdAt: row.created_at,
+        relevance: Number(row.relevance),
+        speakerNames: row.speaker_names,
+        matchCount,
+        matches
+      }));
+
+    res.json({ query, mode, total, limit, offset, results });
+  } catch (error) {
+    if (error.code === 'ER_PARSE_ERROR') {
+      return res.status(400).json({ error: 'Could not understand the search query' });
+    }
+    console.error('Error searching transcriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Transcript downloads (?format=srt|vtt|md|csv|docx|pdf); subtitles need a
+// single recording because their timestamps are relative to its audio
+async function sendTranscriptExport(req, res, scope) {
+  const format = String(req.query.format || 'md').toLowerCase();
+  const definition = transcriptExport.getFormat(format);
+  if (!definition) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (definition.recordingOnly && !scope.recordingId) {
+    return res.status(400).json({ error: `${format.toUpperCase()} subtitles can only be exported per recording` });
+  }
+
+  const data = await transcriptExport.load(scope);
+  if (!data) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (data.transcriptions.length === 0) {
+    return res.status(404).json({ error: 'There are no transcripts to export yet' });
+  }
+
+  const body = await transcriptExport.render(format, data);
+  console.log(`📤 Exported ${data.transcriptions.length} transcript(s) of ${data.scope} as ${format}`);
+  res.setHeader('Content-Type', definition.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${transcriptExport.getFilename(data, format)}"`);
+  res.send(body);
+}
+
+app.get('/api/sessions/:sessionId/export', requireCapability('session:export'), async (req, res) => {
+  try {
+    await sendTranscriptExport(req, res, { sessionId: req.params.sessionId });
+  } catch (error) {
+    console.error('Error exporting session transcripts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:sessionId/tables/:tableNumber/export', requireCapability('transcript:export'), async (req, res) => {
+  try {
+    const { sessionId, tableNumber } = req.params;
+    const table = await Table.findBySessionAndNumber(sessionId, parseInt(tableNumber, 10));
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+    await sendTranscriptExport(req, res, { sessionId, tableId: table.id });
+  } catch (error) {
+    console.error('Error exporting table transcripts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/recordings/:recordingId/export', requireCapability('transcript:export', scopeFromRecording), async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    await sendTranscriptExport(req, res, { sessionId: recording.session_id, tableId: recording.table_id, recordingId: recording.id });
+  } catch (error) {
+    console.error('Error exporting recording transcript:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 
 // Public configuration endpoints
 app.get('/api/config/transcription', (req, res) => {
   res.json({
+    provider: transcriptionService.getProviderName(),
     model: process.env.DEEPGRAM_MODEL || DEFAULT_DEEPGRAM_MODEL,
     available_models: DEEPGRAM_MODELS
   });
@@ -2147,16 +3074,185 @@ app.post('/api/admin/settings/api-keys', async (req, res) => {
   }
 });
 
+app.get('/api/admin/settings/transcription', async (req, res) => {
+  try {
+    res.json({
+      ...transcriptionService.getStatus(),
+      audio: await audioProcessor.getStatus(),
+      queue: await transcriptionQueue.getStatus().catch(() => null)
+    });
+  } catch (error) {
+    console.error('Error fetching transcription settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/settings/transcription', async (req, res) => {
+  try {
+    const {
+      provider = null,
+      local_stt_binary = null,
+      local_stt_model = null,
+      local_stt_threads = null,
+      local_stt_tinydiarize = null,
+      transcription_workers = null,
+      transcription_max_attempts = null,
+      audio_normalize = null,
+      audio_keep_original = null
+    } = req.body || {};
+
+    if (provider !== null && !stt.isKnownProvider(provider)) {
+      return res.status(400).json({ error: 'Unsupported transcription provider requested' });
+    }
+
+    if (local_stt_threads !== null && local_stt_threads !== '' && !(parseInt(local_stt_threads, 10) > 0)) {
+      return res.status(400).json({ error: 'Thread count must be a positive number' });
+    }
+
+    if (transcription_workers !== null && transcription_workers !== '' && !(parseInt(transcription_workers, 10) > 0)) {
+      return res.status(400).json({ error: 'Worker count must be a positive number' });
+    }
+
+    if (transcription_max_attempts !== null && transcription_max_attempts !== '' && !(parseInt(transcription_max_attempts, 10) > 0)) {
+      return res.status(400).json({ error: 'Max attempts must be a positive number' });
+    }
+
+    const transcriptionSettings = {
+      stt_provider: provider,
+      local_stt_binary: local_stt_binary === null ? null : String(local_stt_binary).trim(),
+      local_stt_model: local_stt_model === null ? null : String(local_stt_model).trim(),
+      local_stt_threads,
+      local_stt_tinydiarize: local_stt_tinydiarize === null ? null : Boolean(local_stt_tinydiarize),
+      transcription_workers,
+      transcription_max_attempts,
+      audio_normalize: audio_normalize === null ? null : Boolean(audio_normalize),
+      audio_keep_original: audio_keep_original === null ? null : Boolean(audio_keep_original)
+    };
+
+    const settings = new Settings(db);
+    if (!await settings.setTranscriptionSettings(transcriptionSettings)) {
+      return res.status(500).json({ error: 'Failed to save transcription settings to database' });
+    }
+
+    Settings.applyTranscriptionSettings(transcriptionSettings);
+    console.log(`🗣️ Transcription provider set to ${transcriptionService.getProviderName()}`);
+
+    res.json({
+      success: true,
+      message: 'Transcription settings saved successfully',
+      ...transcriptionService.getStatus(),
+      audio: await audioProcessor.getStatus(),
+      queue: await transcriptionQueue.getStatus().catch(() => null)
+    });
+  } catch (error) {
+    console.error('Error updating transcription settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/settings/llm', (req, res) => {
+  try {
+    res.json(llmService.getStatus());
+  } catch (error) {
+    console.error('Error fetching LLM settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/settings/llm', async (req, res) => {
+  try {
+    const {
+      provider = null,
+      base_url = null,
+      model = null,
+      api_key = null,
+      context_tokens = null,
+      embedding_model = null
+    } = req.body || {};
+
+    if (provider !== null && !llm.isKnownProvider(provider)) {
+      return res.status(400).json({ error: 'Unsupported LLM provider requested' });
+    }
+
+    const baseUrl = base_url === null ? null : String(base_url).trim();
+    if (baseUrl && !/^https?:\/\/\S+$/i.test(baseUrl)) {
+      return res.status(400).json({ error: 'Base URL must start with http:// or https://' });
+    }
+
+    if (context_tokens !== null && context_tokens !== '' && !(parseInt(context_tokens, 10) >= 1024)) {
+      return res.status(400).json({ error: 'Context window must be at least 1024 tokens' });
+    }
+
+    const llmSettings = {
+      llm_provider: provider,
+      llm_base_url: baseUrl,
+      llm_model: model === null ? null : String(model).trim(),
+      // A blank key keeps the stored one; keys are never sent back to the browser
+      llm_api_key: api_key ? String(api_key).trim() : null,
+      llm_context_tokens: context_tokens === null ? null : String(context_tokens).trim(),
+      llm_embedding_model: embedding_model === null ? null : String(embedding_model).trim()
+    };
+
+    const settings = new Settings(db);
+    if (!await settings.setLLMSettings(llmSettings)) {
+      return res.status(500).json({ error: 'Failed to save language model settings to database' });
+    }
+
+    Settings.applyLLMSettings(llmSettings);
+    console.log(`🤖 Language model provider set to ${llmService.getProviderName()}`);
+
+    res.json({
+      success: true,
+      message: 'Language model settings saved successfully',
+      ...llmService.getStatus()
+    });
+  } catch (error) {
+    console.error('Error updating LLM settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/settings/llm/test', async (req, res) => {
+  try {
+    res.json({ success: true, ...await llmService.test() });
+  } catch (error) {
+    console.error('Error testing LLM provider:', error.message);
+    res.status(502).json({ success: false, error: error.message, type: error.type || null });
+  }
+});
+
+app.get('/api/admin/transcription-jobs', async (req, res) => {
+  try {
+    const status = req.query.status || 'dead';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const [jobs, queue] = await Promise.all([
+      TranscriptionJob.findByStatus(status, limit),
+      transcriptionQueue.getStatus()
+    ]);
+    res.json({ queue, jobs });
+  } catch (error) {
+    console.error('Error fetching transcription jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/transcription-jobs/:jobId/retry', async (req, res) => {
+  try {
+    const job = await transcriptionQueue.retry(parseInt(req.params.jobId, 10));
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error retrying transcription job:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 app.post('/api/admin/settings/change-password', async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     
-    // Get current password from database
+    // Check current password against the stored hash
     const settings = new Settings(db);
-    const currentDbPassword = await settings.getAdminPassword();
-    
-    // Check current password
-    if (currentPassword !== currentDbPassword) {
+    if (!await settings.verifyAdminPassword(currentPassword)) {
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
     
@@ -2172,9 +3268,6 @@ app.post('/api/admin/settings/change-password', async (req, res) => {
       return res.status(500).json({ error: 'Failed to save password to database' });
     }
     
-    // Update environment variable
-    process.env.ADMIN_PASSWORD = newPassword;
-    
     res.json({ 
       success: true, 
       message: 'Admin password changed and saved to database successfully' 
@@ -2190,11 +3283,11 @@ app.get('/api/admin/settings/platform-protection', async (req, res) => {
   try {
     const settings = new Settings(db);
     const enabled = await settings.getPlatformPasswordEnabled();
-    const password = await settings.getPlatformPassword();
     
+    // Only whether a password exists; the stored value is a hash and stays here
     res.json({ 
       enabled: enabled,
-      password: password 
+      passwordSet: await settings.hasPlatformPassword()
     });
   } catch (error) {
     console.error('Error getting platform protection settings:', error);
@@ -2205,14 +3298,19 @@ app.get('/api/admin/settings/platform-protection', async (req, res) => {
 app.post('/api/admin/settings/platform-protection', async (req, res) => {
   try {
     const { enabled, password } = req.body;
+    const newPassword = typeof password === 'string' ? password.trim() : '';
+    const settings = new Settings(db);
     
-    if (enabled && (!password || password.trim().length < 6)) {
+    // A blank password keeps the current one
+    if (newPassword && newPassword.length < 6) {
       return res.status(400).json({ error: 'Password must be at least 6 characters long' });
     }
+    if (enabled && !newPassword && !await settings.hasPlatformPassword()) {
+      return res.status(400).json({ error: 'Set a platform password before enabling protection' });
+    }
     
-    const settings = new Settings(db);
-    const enabledSuccess = await settings.setPlatformPasswordEnabled(enabled);
-    const passwordSuccess = await settings.setPlatformPassword(password.trim());
+    const enabledSuccess = await settings.setPlatformPasswordEnabled(Boolean(enabled));
+    const passwordSuccess = newPassword ? await settings.setPlatformPassword(newPassword) : true;
     
     if (!enabledSuccess || !passwordSuccess) {
       return res.status(500).json({ error: 'Failed to save platform protection settings' });
@@ -2235,9 +3333,8 @@ app.post('/api/platform/verify-password', async (req, res) => {
     }
     
     const settings = new Settings(db);
-    const correctPassword = await settings.getPlatformPassword();
     
-    if (password === correctPassword) {
+    if (await settings.verifyPlatformPassword(password)) {
       req.session.platformPasswordVerified = true;
       res.json({ success: true, message: 'Password verified' });
     } else {
@@ -2253,8 +3350,31 @@ app.get('/api/admin/settings/test-apis', async (req, res) => {
   try {
     const results = {
       deepgram: { configured: false, working: false, error: null },
-      groq: { configured: false, working: false, error: null }
+      local: { configured: false, working: false, error: null },
+      llm: { configured: false, working: false, error: null, provider: llmService.getProviderName() }
     };
+
+    // Test the local engine: the model file must exist and the binary must run
+    const localProvider = transcriptionService.getProvider('local');
+    results.local.configured = localProvider.isConfigured();
+    if (results.local.configured) {
+      try {
+        await new Promise((resolve, reject) => {
+          execFile(localProvider.getConfig().binary, ['--help'], { timeout: 10000 }, (error) => {
+            if (error && error.code === 'ENOENT') {
+              reject(new Error('whisper.cpp binary not found'));
+            } else {
+              resolve();
+            }
+          });
+        });
+        results.local.working = true;
+      } catch (error) {
+        results.local.error = error.message;
+      }
+    } else {
+      results.local.error = 'whisper.cpp model file not found';
+    }
     
     // Test Deepgram API
     if (process.env.DEEPGRAM_API_KEY) {
@@ -2274,9 +3394,18 @@ app.get('/api/admin/settings/test-apis', async (req, res) => {
       results.deepgram.error = 'API key not configured';
     }
     
-    // Groq API removed (AI analysis disabled)
-    results.groq.configured = false;
-    results.groq.error = 'AI analysis features disabled';
+    // Language model used by session chat
+    results.llm.configured = llmService.isConfigured();
+    if (results.llm.configured) {
+      try {
+        await llmService.test();
+        results.llm.working = true;
+      } catch (error) {
+        results.llm.error = error.message;
+      }
+    } else {
+      results.llm.error = 'Language model provider not configured';
+    }
     
     res.json(results);
     
@@ -2295,15 +3424,17 @@ app.post('/api/admin/login', async (req, res) => {
       return res.status(400).json({ error: 'Password is required' });
     }
     
-    // Get current admin password from database
     const settings = new Settings(db);
-    const currentAdminPassword = await settings.getAdminPassword();
-    
-    if (password === currentAdminPassword) {
-      res.json({ success: true, message: 'Admin authentication successful' });
-    } else {
-      res.status(401).json({ error: 'Invalid admin password' });
+    if (!await settings.verifyAdminPassword(password)) {
+      return res.status(401).json({ error: 'Invalid admin password' });
     }
+
+    // There is one shared admin password, so nothing tells admins apart;
+    // a name typed at login would be unverified and could impersonate anyone
+    const admin = await startAdminSession(req, 'admin');
+    console.log('🔐 Admin logged in');
+
+    res.json({ success: true, message: 'Admin authentication successful', ...describeAdmin(admin) });
     
   } catch (error) {
     console.error('Error during admin login:', error);
@@ -2311,6 +3442,21 @@ app.post('/api/admin/login', async (req, res) => {
   }
 });
 
+app.post('/api/admin/logout', (req, res) => {
+  const admin = getAdmin(req);
+  endAdminSession(req);
+  if (admin) {
+    console.log(`🔐 Admin "${admin.user}" logged out`);
+  }
+  res.json({ success: true });
+});
+
+// Lets the admin panel restore itself after a reload
+app.get('/api/admin/session', (req, res) => {
+  const admin = getAdmin(req);
+  res.json(admin ? describeAdmin(admin) : { authenticated: false });
+});
+
 app.get('/api/admin/settings/status', async (req, res) => {
   try {
     const dbHealthy = await db.isHealthy();
@@ -2332,12 +3478,14 @@ app.get('/api/admin/settings/status', async (req, res) => {
         }
       },
       llm_service: {
-        available: false,
-        status: 'Disabled (AI analysis removed)'
+        ...llmService.getStatus(),
+        available: llmService.isConfigured(),
+        status: llmService.isConfigured() ? 'Available' : 'Not Configured'
       },
       transcription_service: {
-        available: !!transcriptionService,
-        status: transcriptionService ? 'Available' : 'Unavailable'
+        ...transcriptionService.getStatus(),
+        available: transcriptionService.getProvider().isConfigured(),
+        status: transcriptionService.getProvider().isConfigured() ? 'Available' : 'Not Configured'
       },
       server: {
         uptime: Math.floor(process.uptime()),
@@ -2354,8 +3502,6 @@ app.get('/api/admin/settings/status', async (req, res) => {
   }
 });
 
-// Admin routes - Analysis prompts removed (AI analysis disabled)
-
 // Database status endpoint
 app.get('/api/admin/database/status', async (req, res) => {
   try {
@@ -2370,7 +3516,7 @@ app.get('/api/admin/database/status', async (req, res) => {
 
 
 // Session Chat API endpoints
-app.post('/api/sessions/:sessionId/chat', async (req, res) => {
+app.post('/api/sessions/:sessionId/chat', requireCapability('session:analyze'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { message } = req.body;
@@ -2380,10 +3526,10 @@ app.post('/api/sessions/:sessionId/chat', async (req, res) => {
     }
 
     // Check if chat service is available
-    if (!sessionChatService) {
+    if (!sessionChatService.isAvailable()) {
       return res.status(503).json({ 
         error: 'Chat service not available',
-        message: 'The chat feature requires an AI service. Please check if the GROQ_API_KEY is configured.'
+        message: 'The chat feature requires a language model. An admin can configure one under Settings → AI Assistant.'
       });
     }
     
@@ -2417,9 +3563,10 @@ app.post('/api/sessions/:sessionId/chat', async (req, res) => {
     const result = await sessionChatService.chatWithSession(sessionId, message, sessionData);
     
     if (result.error) {
-      return res.status(400).json({
+      return res.status(result.type === 'rate_limit' ? 429 : 400).json({
         error: result.message,
-        suggestion: result.suggestion,
+        type: result.type,
+        suggestions: result.suggestions,
         details: result.details
       });
     }
@@ -2436,7 +3583,7 @@ app.post('/api/sessions/:sessionId/chat', async (req, res) => {
 });
 
 // Get chat availability status
-app.get('/api/sessions/:sessionId/chat/status', async (req, res) => {
+app.get('/api/sessions/:sessionId/chat/status', requireCapability('session:analyze'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -2450,7 +3597,8 @@ app.get('/api/sessions/:sessionId/chat/status', async (req, res) => {
     const transcriptions = await Transcription.findBySessionId(sessionId);
     
     res.json({
-      available: !!sessionChatService,
+      available: sessionChatService.isAvailable(),
+      provider: llmService.getProviderName(),
       hasTranscriptions: transcriptions.length > 0,
       transcriptionCount: transcriptions.length,
       sessionTitle: session.title
@@ -2461,6 +3609,142 @@ app.get('/api/sessions/:sessionId/chat/status', async (req, res) => {
   }
 });
 
+// Session analyses: stored results with an outdated flag, plus queued or failed jobs
+app.get('/api/sessions/:sessionId/analyses', requireCapability('session:analyze'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const [analyses, jobs, transcriptions, tables] = await Promise.all([
+      SessionAnalysis.findBySessionId(sessionId),
+      AnalysisJob.findCurrentBySession(sessionId),
+      Transcription.findBySessionId(sessionId),
+      Table.findBySessionId(sessionId)
+    ]);
+
+    const sourcesFor = tableId => (tableId ? transcriptions.filter(transcription => transcription.table_id === tableId) : transcriptions);
+
+    res.json({
+      available: analysisService.isAvailable(),
+      provider: llmService.getProviderName(),
+      types: ANALYSIS_TYPES,
+      tables: tables
+        .map(table => ({
+          id: table.id,
+          tableNumber: table.table_number,
+          name: table.name,
+          transcriptionCount: sourcesFor(table.id).length
+        }))
+        .filter(table => table.transcriptionCount > 0),
+      analyses: analyses
+        .filter(analysis => ANALYSIS_TYPES.includes(analysis.analysis_type))
+        .map(analysis => ({
+          id: analysis.id,
+          scope: analysis.analysis_scope,
+          tableId: analysis.table_id,
+          type: analysis.analysis_type,
+          data: analysis.analysis_data,
+          metadata: analysis.metadata,
+          updatedAt: analysis.updated_at,
+          stale: analysisService.isStale(analysis, sourcesFor(analysis.table_id))
+        })),
+      jobs: jobs.map(job => ({
+        id: job.id,
+        tableId: job.table_id,
+        type: job.analysis_type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        runAfter: job.run_after,
+        error: job.last_error
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching session analyses:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:sessionId/analyses', requireCapability('session:analyze'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { scope = 'session', tableId = null, types = ANALYSIS_TYPES } = req.body || {};
+
+    if (!['session', 'table', 'all'].includes(scope)) {
+      return res.status(400).json({ error: 'Scope must be session, table or all' });
+    }
+    if (!Array.isArray(types) || types.length === 0 || !types.every(type => analysisService.isValidType(type))) {
+      return res.status(400).json({ error: `Analysis types must be any of: ${ANALYSIS_TYPES.join(', ')}` });
+    }
+    if (!analysisService.isAvailable()) {
+      return res.status(503).json({
+        error: 'Analysis not available',
+        message: 'Analyses require a language model. An admin can configure one under Settings → AI Assistant.'
+      });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    let table = null;
+    if (scope === 'table') {
+      table = tableId ? await Table.findById(parseInt(tableId, 10)) : null;
+      if (!table || table.session_id !== sessionId) {
+        return res.status(404).json({ error: 'Table not found in this session' });
+      }
+    }
+
+    const jobs = await analysisQueue.enqueueSession(sessionId, { scope, tableId: table?.id || null, types });
+    res.status(202).json({
+      success: true,
+      message: `${jobs.length} analysis job(s) queued`,
+      jobs: jobs.map(job => ({ id: job.id, tableId: job.table_id, type: job.analysis_type, status: job.status }))
+    });
+  } catch (error) {
+    console.error('Error queueing session analyses:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compare two or more tables side by side (?tables=<id>,<id>,...)
+app.get('/api/sessions/:sessionId/compare', requireCapability('session:analyze'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const requested = [...new Set(String(req.query.tables || '').split(',').map(id => parseInt(id, 10)).filter(Number.isInteger))];
+    const roster = await Transcription.getSessionCombinedTranscripts(sessionId);
+    const tables = roster.filter(table => requested.includes(table.table_id));
+    if (tables.length < 2) {
+      return res.status(400).json({ error: 'Select at least two tables from this session to compare' });
+    }
+
+    const comparison = await tableComparisonService.compare(sessionId, tables);
+    res.json({
+      ...comparison,
+      availableTables: roster.map(table => ({
+        id: table.table_id,
+        tableNumber: table.table_number,
+        name: table.table_name,
+        transcriptCount: Number(table.transcript_count) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error comparing tables:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Serve frontend (only for non-API routes)
 app.get('*', (req, res) => {
   // Don't serve HTML for API routes
@@ -2478,8 +3762,17 @@ async function startServer() {
   const dbConnected = await initializeDatabase();
   if (!dbConnected) {
     console.warn('Database connection failed, some features may not work properly');
+  } else {
+    await rotationManager.restore();
+    await transcriptionQueue.restore();
+    await analysisQueue.restore();
+    resumableUploads.start();
+
+    if (!await new Settings(db).hasAdminPassword()) {
+      console.warn('⚠️ No admin password is set; set ADMIN_PASSWORD to log in to the admin panel');
+    }
   }
-  
+
   const PORT = process.env.PORT || 3002;
   const HOST = process.env.HOST || '0.0.0.0';
   
@@ -2488,13 +3781,17 @@ async function startServer() {
     console.log(`LAN Access: http://192.168.1.140:${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`Database: ${dbConnected ? 'Connected' : 'Disconnected'}`);
-    console.log(`AI Analysis: Disabled`);
+    console.log(`AI Analysis: ${analysisService.isAvailable() ? `Enabled (${llmService.getProviderName()})` : 'Disabled (no language model configured)'}`);
   });
 }
 
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('Shutting down gracefully...');
+  rotationManager.stop();
+  transcriptionQueue.stop();
+  analysisQueue.stop();
+  resumableUploads.stop();
   await db.close();
   server.close(() => {
     console.log('Server closed');
@@ -2504,6 +3801,10 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
+  rotationManager.stop();
+  transcriptionQueue.stop();
+  analysisQueue.stop();
+  resumableUploads.stop();
   await db.close();
   server.close(() => {
     console.log('Server closed');
@@ -2511,4 +3812,9 @@ process.on('SIGINT', async () => {
   });
 });
 
-startServer().catch(console.error);
+// Tests load the app without starting it
+if (require.main === module) {
+  startServer().catch(console.error);
+}
+
+module.exports = { app, server, transcriptionQueue };
@@ -0,0 +1,621 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database/connection');
+const { Session, QRCode } = require('./database/models');
+
+const ARCHIVE_FORMAT = 'world-cafe-session-archive';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_PATH = 'manifest.json';
+// data/*.json entries are read into memory, audio is streamed to disk
+const MAX_DATA_ENTRY_BYTES = 512 * 1024 * 1024;
+
+// Archive entry name -> rows it holds, in the order they are restored
+const DATA_FILES = {
+  session: 'data/session.json',
+  tables: 'data/tables.json',
+  participants: 'data/participants.json',
+  rounds: 'data/rounds.json',
+  seatings: 'data/seatings.json',
+  recordings: 'data/recordings.json',
+  transcriptions: 'data/transcriptions.json',
+  revisions: 'data/revisions.json',
+  speakerLabels: 'data/speaker-labels.json',
+  vocabulary: 'data/vocabulary.json',
+  analyses: 'data/analyses.json',
+  history: 'data/history.json',
+  qrCodes: 'data/qr-codes.json'
+};
+
+// Data sets added after the first archive version; older archives lack them
+const OPTIONAL_DATA = ['revisions', 'speakerLabels', 'vocabulary'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.status = 400;
+  }
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function fileExists(filePath) {
+  try {
+    return Boolean(filePath) && fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseJson(value) {
+  if (!value || typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// JSON turned DATETIME values into ISO strings; hand them back to mysql2 as dates
+function toColumnValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    return new Date(value);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Complete, portable copy of one session as a ZIP file.
+ *
+ * The archive holds the session rows as JSON under data/, the recordings'
+ * audio under audio/ and the QR images under qr/. manifest.json lists every
+ * entry with its size and SHA-256 so an import can reject a truncated or
+ * altered archive before touching the database. Password hashes stay behind:
+ * their lookup keys are tied to this server's secret.
+ *
+ * Importing restores the session under its original id when it is free,
+ * keeps table numbers, rounds, timestamps, statuses, transcript revisions,
+ * speaker names and the glossary, and gives every other row a fresh id. QR
+ * codes encode this server's address, so they are generated again rather
+ * than copied.
+ */
+class SessionArchive {
+  constructor({ uploadDir }) {
+    this.uploadDir = uploadDir;
+  }
+
+  async collect(sessionId) {
+    const session = await db.queryOne('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return null;
+    }
+
+    const tables = await db.query('SELECT * FROM tables WHERE session_id = ? ORDER BY table_number', [sessionId]);
+    const data = {
+      session: Session.withoutSecrets(session),
+      tables: tables.map(({ password_hash, password_lookup, ...table }) => table),
+      participants: await db.query('SELECT * FROM participants WHERE session_id = ? ORDER BY joined_at', [sessionId]),
+      rounds: await db.query('SELECT * FROM session_rounds WHERE session_id = ? ORDER BY round_number', [sessionId]),
+      seatings: await db.query('SELECT * FROM participant_seatings WHERE session_id = ? ORDER BY id', [sessionId]),
+      recordings: await db.query('SELECT * FROM recordings WHERE session_id = ? ORDER BY created_at', [sessionId]),
+      transcriptions: await db.query('SELECT * FROM transcriptions WHERE session_id = ? ORDER BY created_at', [sessionId]),
+      revisions: await db.query(
+        `SELECT tr.* FROM transcription_revisions tr
+         JOIN transcriptions t ON tr.transcription_id = t.id
+         WHERE t.session_id = ?
+         ORDER BY tr.transcription_id, tr.revision_number`,
+        [sessionId]
+      ),
+      speakerLabels: await db.query('SELECT * FROM speaker_labels WHERE session_id = ? ORDER BY recording_id, speaker_index', [sessionId]),
+      vocabulary: await db.query('SELECT * FROM session_vocabulary WHERE session_id = ? ORDER BY term', [sessionId]),
+      analyses: await db.query('SELECT * FROM session_analyses WHERE session_id = ? ORDER BY created_at', [sessionId]),
+      history: await db.query('SELECT * FROM session_history WHERE session_id = ? ORDER BY id', [sessionId]),
+      qrCodes: await db.query(
+        `SELECT * FROM qr_codes
+         WHERE (entity_type = 'session' AND entity_id = ?)
+            OR (entity_type = 'table' AND entity_id IN (SELECT CAST(id AS CHAR) FROM tables WHERE session_id = ?))`,
+        [sessionId, sessionId]
+      )
+    };
+
+    const files = [];
+    // The retained original upload stays on this server; the transcribed
+    // file and its playback copy are enough to work with the session
+    data.recordings = data.recordings.map(({ original_path, ...recording }) => {
+      if (!fileExists(recording.file_path)) {
+        return { ...recording, archive_path: null, playback_archive_path: null };
+      }
+      const archivePath = `audio/${recording.id}${path.extname(recording.file_path)}`;
+      files.push({ path: archivePath, source: recording.file_path });
+
+      let playbackArchivePath = null;
+      if (fileExists(recording.playback_path)) {
+        playbackArchivePath = `audio/${recording.id}-playback${path.extname(recording.playback_path)}`;
+        files.push({ path: playbackArchivePath, source: recording.playback_path });
+      }
+      return { ...recording, archive_path: archivePath, playback_archive_path: playbackArchivePath };
+    });
+    data.qrCodes = data.qrCodes.map((qr) => {
+      if (!fileExists(qr.image_path)) {
+        return { ...qr, archive_path: null };
+      }
+      const archivePath = `qr/${path.basename(qr.image_path)}`;
+      files.push({ path: archivePath, source: qr.image_path });
+      return { ...qr, archive_path: archivePath };
+    });
+
+    return { session: data.session, data, files };
+  }
+
+  getFilename(session) {
+    const slug = String(session.title || 'session')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60) || 'session';
+    return `${slug}-${new Date().toISOString().slice(0, 10)}.zip`;
+  }
+
+  /**
+   * Stream the archive of a collected session into `output`. Files are hashed
+   * up front so the manifest can be the first entry.
+   */
+  async write(collected, output) {
+    const entries = Object.entries(DATA_FILES).map(([key, entryPath]) => ({
+      path: entryPath,
+      buffer: Buffer.from(JSON.stringify(collected.data[key], null, 2))
+    }));
+
+    const files = [];
+    for (const entry of entries) {
+      files.push({
+        path: entry.path,
+        size: entry.buffer.length,
+        sha256: crypto.createHash('sha256').update(entry.buffer).digest('hex')
+      });
+    }
+    for (const file of collected.files) {
+      files.push({
+        path: file.path,
+        size: fs.statSync(file.source).size,
+        sha256: await sha256File(file.source)
+      });
+    }
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      session: { id: collected.session.id, title: collected.session.title },
+      counts: Object.fromEntries(Object.keys(DATA_FILES)
+        .filter(key => key !== 'session')
+        .map(key => [key, collected.data[key].length])),
+      files
+    };
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const finished = new Promise((resolve, reject) => {
+      archive.on('error', reject);
+      archive.on('warning', reject);
+      output.on('close', resolve);
+      output.on('finish', resolve);
+      output.on('error', reject);
+    });
+
+    archive.pipe(output);
+    archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_PATH });
+    entries.forEach(entry => archive.append(entry.buffer, { name: entry.path }));
+    // Audio is already compressed, deflating it again only costs time
+    collected.files.forEach(file => archive.file(file.source, { name: file.path, store: file.path.startsWith('audio/') }));
+    await archive.finalize();
+    await finished;
+
+    return manifest;
+  }
+
+  /**
+   * Read and verify an archive file. Returns the manifest, the parsed data
+   * sets and the audio entries copied to temporary files in the upload
+   * directory. Anything that does not match the manifest aborts the import.
+   */
+  async read(archivePath) {
+    fs.mkdirSync(this.uploadDir, { recursive: true });
+    const zip = await new Promise((resolve, reject) => {
+      yauzl.open(archivePath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+        if (error) {
+          reject(new ArchiveError(`Not a valid ZIP archive: ${error.message}`));
+        } else {
+          resolve(zipfile);
+        }
+      });
+    });
+
+    const extracted = new Map();
+    try {
+      const entries = await this.listEntries(zip);
+      const manifestEntry = entries.get(MANIFEST_PATH);
+      if (!manifestEntry) {
+        throw new ArchiveError('The archive has no manifest.json');
+      }
+
+      const manifest = parseJson((await this.readEntry(zip, manifestEntry)).buffer.toString('utf8'));
+      if (!manifest || manifest.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.files)) {
+        throw new ArchiveError('This is not a World Café session archive');
+      }
+      if (manifest.version > ARCHIVE_VERSION) {
+        throw new ArchiveError(`Archive version ${manifest.version} is newer than this server supports (${ARCHIVE_VERSION})`);
+      }
+
+      const data = {};
+      for (const file of manifest.files) {
+        const entry = entries.get(file.path);
+        if (!entry) {
+          throw new ArchiveError(`The archive is missing ${file.path}`);
+        }
+
+        const isData = file.path.startsWith('data/');
+        const target = isData ? null : path.join(this.uploadDir, `import-${uuidv4()}${path.extname(file.path)}`);
+        if (target) {
+          extracted.set(file.path, target);
+        }
+
+        const { buffer, size, sha256 } = await this.readEntry(zip, entry, target);
+        if (size !== file.size || sha256 !== file.sha256) {
+          throw new ArchiveError(`Checksum mismatch for ${file.path}; the archive is damaged`);
+        }
+        if (isData) {
+          const key = Object.keys(DATA_FILES).find(name => DATA_FILES[name] === file.path);
+          if (key) {
+            data[key] = JSON.parse(buffer.toString('utf8'));
+          }
+        }
+      }
+
+      OPTIONAL_DATA.forEach((key) => {
+        data[key] = data[key] || [];
+      });
+      const missing = Object.keys(DATA_FILES).filter(key => data[key] === undefined);
+      if (missing.length > 0) {
+        throw new ArchiveError(`The archive is missing ${missing.map(key => DATA_FILES[key]).join(', ')}`);
+      }
+
+      return { manifest, data, extracted };
+    } catch (error) {
+      this.discard(extracted);
+      throw error;
+    } finally {
+      zip.close();
+    }
+  }
+
+  listEntries(zip) {
+    return new Promise((resolve, reject) => {
+      const entries = new Map();
+      zip.on('entry', (entry) => {
+        if (!entry.fileName.endsWith('/')) {
+          entries.set(entry.fileName, entry);
+        }
+        zip.readEntry();
+      });
+      zip.on('end', () => resolve(entries));
+      zip.on('error', error => reject(new ArchiveError(`Could not read the archive: ${error.message}`)));
+      zip.readEntry();
+    });
+  }
+
+  // Hash one entry while copying it to `target`, or into memory without one
+  readEntry(zip, entry, target = null) {
+    if (!target && entry.uncompressedSize > MAX_DATA_ENTRY_BYTES) {
+      return Promise.reject(new ArchiveError(`${entry.fileName} is too large`));
+    }
+
+    return new Promise((resolve, reject) => {
+      zip.openReadStream(entry, (error, stream) => {
+        if (error) {
+          reject(new ArchiveError(`Could not read ${entry.fileName}: ${error.message}`));
+          return;
+        }
+
+        const hash = crypto.createHash('sha256');
+        const chunks = [];
+        let size = 0;
+        stream.on('data', (chunk) => {
+          hash.update(chunk);
+          size += chunk.length;
+          if (!target) {
+            chunks.push(chunk);
+          }
+        });
+        stream.on('error', streamError => reject(new ArchiveError(`Could not read ${entry.fileName}: ${streamError.message}`)));
+
+        const done = () => resolve({ buffer: target ? null : Buffer.concat(chunks), size, sha256: hash.digest('hex') });
+        if (target) {
+          const output = fs.createWriteStream(target);
+          output.on('error', reject);
+          output.on('finish', done);
+          stream.pipe(output);
+        } else {
+          stream.on('end', done);
+        }
+      });
+    });
+  }
+
+  discard(extracted) {
+    extracted.forEach((filePath) => {
+      fs.unlink(filePath, () => {});
+    });
+  }
+
+  /**
+   * Restore a verified archive. Everything is written in one transaction;
+   * the returned report lists what was restored and what could not be.
+   */
+  async restore({ manifest, data, extracted }, { adminPassword, baseUrl }) {
+    const source = data.session;
+    if (!source || !source.id || !Array.isArray(data.tables)) {
+      throw new ArchiveError('The archive does not contain a session');
+    }
+
+    const taken = await db.queryOne('SELECT id FROM sessions WHERE id = ?', [source.id]);
+    const sessionId = taken ? uuidv4() : source.id;
+    const { adminPasswordHash, adminPasswordLookup } = await Session.hashAdminPassword(adminPassword);
+    const columns = await this.getColumns(['sessions', 'tables', 'participants', 'session_rounds', 'participant_seatings', 'recordings', 'transcriptions', 'transcription_revisions', 'speaker_labels', 'session_vocabulary', 'session_analyses', 'session_history']);
+
+    const tableIds = new Map();
+    const participantIds = new Map();
+    const recordingIds = new Map();
+    const transcriptionIds = new Map();
+    const moved = [];
+    const report = {
+      sessionId,
+      keptOriginalId: !taken,
+      tables: 0,
+      participants: 0,
+      rounds: 0,
+      recordings: 0,
+      audioFiles: 0,
+      transcriptions: 0,
+      revisions: 0,
+      speakerLabels: 0,
+      vocabulary: 0,
+      analyses: 0,
+      history: 0,
+      passwordProtectedTables: []
+    };
+
+    try {
+      await db.transaction(async (query) => {
+        const insert = async (table, row) => {
+          const keys = Object.keys(row).filter(key => columns[table].has(key));
+          const result = await query(
+            `INSERT INTO ${table} (${keys.map(key => `\`${key}\``).join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`,
+            keys.map(key => toColumnValue(row[key]))
+          );
+          return result.insertId;
+        };
+
+        await insert('sessions', {
+          ...source,
+          id: sessionId,
+          table_count: data.tables.length || source.table_count,
+          admin_password_hash: adminPasswordHash,
+          admin_password_lookup: adminPasswordLookup
+        });
+
+        // Tables and their facilitators point at each other; link them once both exist
+        for (const { id, facilitator_id, qr_code_url, is_password_protected, ...table } of data.tables) {
+          tableIds.set(id, await insert('tables', { ...table, session_id: sessionId, is_password_protected: 0 }));
+          if (is_password_protected) {
+            report.passwordProtectedTables.push(table.table_number);
+          }
+          report.tables++;
+        }
+
+        for (const participant of data.participants) {
+          const newId = uuidv4();
+          participantIds.set(participant.id, newId);
+          await insert('participants', {
+            ...participant,
+            id: newId,
+            session_id: sessionId,
+            table_id: tableIds.get(participant.table_id) || null
+          });
+          report.participants++;
+        }
+
+        for (const table of data.tables) {
+          if (table.facilitator_id && participantIds.has(table.facilitator_id)) {
+            await query('UPDATE tables SET facilitator_id = ? WHERE id = ?', [participantIds.get(table.facilitator_id), tableIds.get(table.id)]);
+          }
+        }
+
+        for (const { id, ...round } of data.rounds) {
+          await insert('session_rounds', { ...round, session_id: sessionId });
+          report.rounds++;
+        }
+
+        for (const { id, ...seating } of data.seatings) {
+          if (participantIds.has(seating.participant_id) && tableIds.has(seating.table_id)) {
+            await insert('participant_seatings', {
+              ...seating,
+              session_id: sessionId,
+              participant_id: participantIds.get(seating.participant_id),
+              table_id: tableIds.get(seating.table_id)
+            });
+          }
+        }
+
+        for (const { archive_path, playback_archive_path, ...recording } of data.recordings) {
+          if (!tableIds.has(recording.table_id)) {
+            continue;
+          }
+          const newId = uuidv4();
+          recordingIds.set(recording.id, newId);
+
+          let file = { filename: recording.filename, file_path: null, playback_path: null, status: 'file_deleted' };
+          const temporary = archive_path ? extracted.get(archive_path) : null;
+          if (temporary) {
+            const name = `${Date.now()}-${uuidv4()}`;
+            const filename = `${name}${path.extname(archive_path)}`;
+            const filePath = path.join(this.uploadDir, filename);
+            fs.renameSync(temporary, filePath);
+            extracted.delete(archive_path);
+            moved.push(filePath);
+            file = { filename, file_path: filePath, playback_path: null, status: recording.status === 'file_deleted' ? 'completed' : recording.status };
+            report.audioFiles++;
+
+            const playbackTemporary = playback_archive_path ? extracted.get(playback_archive_path) : null;
+            if (playbackTemporary) {
+              file.playback_path = path.join(this.uploadDir, `${name}-playback${path.extname(playback_archive_path)}`);
+              fs.renameSync(playbackTemporary, file.playback_path);
+              extracted.delete(playback_archive_path);
+              moved.push(file.playback_path);
+            }
+          }
+
+          await insert('recordings', {
+            ...recording,
+            ...file,
+            original_path: null,
+            id: newId,
+            session_id: sessionId,
+            table_id: tableIds.get(recording.table_id),
+            participant_id: participantIds.get(recording.participant_id) || null
+          });
+          report.recordings++;
+        }
+
+        for (const transcription of data.transcriptions) {
+          if (!tableIds.has(transcription.table_id)) {
+            continue;
+          }
+          const newId = uuidv4();
+          transcriptionIds.set(transcription.id, newId);
+          await insert('transcriptions', {
+            ...transcription,
+            id: newId,
+            session_id: sessionId,
+            table_id: tableIds.get(transcription.table_id),
+            recording_id: recordingIds.get(transcription.recording_id) || null
+          });
+          report.transcriptions++;
+        }
+
+        for (const { id, ...revision } of data.revisions) {
+          if (transcriptionIds.has(revision.transcription_id)) {
+            await insert('transcription_revisions', { ...revision, transcription_id: transcriptionIds.get(revision.transcription_id) });
+            report.revisions++;
+          }
+        }
+
+        for (const { id, ...label } of data.speakerLabels) {
+          if (recordingIds.has(label.recording_id) && tableIds.has(label.table_id)) {
+            await insert('speaker_labels', {
+              ...label,
+              session_id: sessionId,
+              recording_id: recordingIds.get(label.recording_id),
+              table_id: tableIds.get(label.table_id),
+              participant_id: participantIds.get(label.participant_id) || null
+            });
+            report.speakerLabels++;
+          }
+        }
+
+        for (const { id, ...entry } of data.vocabulary) {
+          await insert('session_vocabulary', { ...entry, session_id: sessionId });
+          report.vocabulary++;
+        }
+
+        const remap = { tableId: tableIds, recordingId: recordingIds, transcriptionId: transcriptionIds };
+        for (const analysis of data.analyses) {
+          if (analysis.table_id && !tableIds.has(analysis.table_id)) {
+            continue;
+          }
+          const metadata = parseJson(analysis.metadata);
+          if (metadata && Array.isArray(metadata.source_transcription_ids)) {
+            metadata.source_transcription_ids = metadata.source_transcription_ids
+              .map(id => transcriptionIds.get(id) || id)
+              .sort();
+          }
+          await insert('session_analyses', {
+            ...analysis,
+            id: uuidv4(),
+            session_id: sessionId,
+            table_id: analysis.table_id ? tableIds.get(analysis.table_id) : null,
+            analysis_data: this.remapIds(parseJson(analysis.analysis_data), remap),
+            metadata
+          });
+          report.analyses++;
+        }
+
+        for (const { id, ...entry } of data.history) {
+          await insert('session_history', { ...entry, session_id: sessionId });
+          report.history++;
+        }
+      });
+    } catch (error) {
+      this.discard(new Map(moved.map(filePath => [filePath, filePath])));
+      throw error;
+    } finally {
+      this.discard(extracted);
+    }
+
+    // Recreate the codes (not just the images) so they point at this server
+    await QRCode.generateSessionQRs(sessionId, Math.max(0, ...data.tables.map(table => table.table_number)), baseUrl);
+
+    report.originalSessionId = source.id;
+    report.exportedAt = manifest.exportedAt;
+    return report;
+  }
+
+  // Citations in analysis results refer to tables, recordings and transcriptions by id
+  remapIds(value, maps) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.remapIds(item, maps));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      maps[key] && maps[key].has(item) ? maps[key].get(item) : this.remapIds(item, maps)
+    ]));
+  }
+
+  // Columns of this server's schema; archive fields it does not know are skipped
+  async getColumns(tables) {
+    const columns = {};
+    for (const table of tables) {
+      const rows = await db.query(`SHOW COLUMNS FROM ${table}`);
+      columns[table] = new Set(rows.map(row => row.Field));
+    }
+    return columns;
+  }
+}
+
+module.exports = SessionArchive;
+module.exports.ArchiveError = ArchiveError;
+module.exports.ARCHIVE_FORMAT = ARCHIVE_FORMAT;
@@ -0,0 +1,263 @@
+const { formatSpeakerLabel } = require('../utils/speakers');
+
+/**
+ * Common surface for speech-to-text providers.
+ *
+ * Every provider returns results in the Deepgram prerecorded shape
+ * ({ results: { channels, utterances } }) so the extraction helpers below and
+ * the rest of the server work the same regardless of where audio is processed.
+ *
+ * transcribeFile and startLiveTranscription accept `options.vocabulary`, the
+ * session glossary ([{ term, boost, replacements }]). Providers use what they
+ * can of it; the replacements are applied to every result afterwards by
+ * stt/vocabulary.js.
+ */
+class BaseSTTProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    getStatus() {
+        return {
+            provider: this.name,
+            configured: this.isConfigured()
+        };
+    }
+
+    async transcribeFile(audioFilePath, options = {}) {
+        throw new Error(`${this.name} provider does not support file transcription`);
+    }
+
+    async transcribeUrl(audioUrl, options = {}) {
+        throw new Error(`${this.name} provider does not support URL transcription`);
+    }
+
+    async startLiveTranscription(options = {}) {
+        throw new Error(`${this.name} provider does not support live transcription`);
+    }
+
+    detectAudioFormat(buffer) {
+        if (!buffer || buffer.length < 4) {
+            return 'unknown';
+        }
+
+        const firstFour = buffer.subarray(0, 4);
+        const ascii = firstFour.toString('ascii');
+
+        if (ascii === 'RIFF') {
+            return 'wav';
+        }
+        if (ascii === 'OggS') {
+            return 'ogg';
+        }
+        if (ascii === 'fLaC') {
+            return 'flac';
+        }
+        if (ascii === 'ID3') {
+            return 'mp3';
+        }
+
+        if (firstFour.length === 4) {
+            const signature = firstFour.readUInt32BE(0);
+            if (signature === 0x1A45DFA3) {
+                return 'webm';
+            }
+        }
+
+        if (buffer.length >= 12) {
+            const brand = buffer.subarray(4, 8).toString('ascii');
+            if (brand === 'ftyp') {
+                return 'mp4';
+            }
+        }
+
+        const byte0 = buffer[0];
+        const byte1 = buffer[1];
+        if (byte0 === 0xFF && (byte1 & 0xE0) === 0xE0) {
+            return 'mp3';
+        }
+
+        return 'unknown';
+    }
+
+    getMimeTypeForFormat(format) {
+        switch (format) {
+            case 'webm':
+                return 'audio/webm';
+            case 'ogg':
+                return 'audio/ogg';
+            case 'wav':
+                return 'audio/wav';
+            case 'mp3':
+                return 'audio/mpeg';
+            case 'mp4':
+                return 'audio/mp4';
+            case 'flac':
+                return 'audio/flac';
+            default:
+                return undefined;
+        }
+    }
+
+    // Build a Deepgram-shaped result from speaker segments
+    // ({ speaker, transcript, start, end, confidence, words }).
+    buildResult(segments, metadata = {}) {
+        const words = segments.flatMap(segment => segment.words || []);
+        const transcript = segments
+            .map(segment => segment.transcript)
+            .filter(Boolean)
+            .join(' ');
+        const confidence = segments.length
+            ? segments.reduce((sum, segment) => sum + (segment.confidence || 0), 0) / segments.length
+            : 0;
+
+        return {
+            metadata: {
+                provider: this.name,
+                duration: segments.length ? segments[segments.length - 1].end : 0,
+                channels: 1,
+                ...metadata
+            },
+            results: {
+                channels: [{
+                    alternatives: [{ transcript, confidence, words }]
+                }],
+                utterances: segments.map(segment => ({
+                    channel: 0,
+                    speaker: segment.speaker || 0,
+                    transcript: segment.transcript,
+                    start: segment.start,
+                    end: segment.end,
+                    confidence: segment.confidence || 0,
+                    words: segment.words || []
+                }))
+            }
+        };
+    }
+
+    // Spread a segment's text over its time span when the engine has no word timings
+    estimateWords(text, start, end, speaker = 0, confidence = 0) {
+        const tokens = text.split(/\s+/).filter(Boolean);
+        const totalChars = tokens.reduce((sum, token) => sum + token.length, 0) || 1;
+        const span = Math.max(0, end - start);
+        let cursor = start;
+
+        return tokens.map(token => {
+            const wordEnd = cursor + span * (token.length / totalChars);
+            const word = {
+                word: token.toLowerCase().replace(/[^\p{L}\p{N}'-]/gu, '') || token,
+                punctuated_word: token,
+                start: Number(cursor.toFixed(3)),
+                end: Number(wordEnd.toFixed(3)),
+                confidence,
+                speaker
+            };
+            cursor = wordEnd;
+            return word;
+        });
+    }
+
+    extractTranscript(result) {
+        if (!result || !result.results || !result.results.channels) {
+            return '';
+        }
+
+        return result.results.channels[0]?.alternatives?.[0]?.transcript || '';
+    }
+
+    extractWords(result) {
+        if (!result || !result.results || !result.results.channels) {
+            return [];
+        }
+
+        return result.results.channels[0]?.alternatives?.[0]?.words || [];
+    }
+
+    extractUtterances(result) {
+        if (!result || !result.results || !result.results.utterances) {
+            return [];
+        }
+
+        return result.results.utterances || [];
+    }
+
+    extractSpeakerSegments(result) {
+        const utterances = this.extractUtterances(result);
+        if (!utterances.length) {
+            return [];
+        }
+
+        // Only use speaker labels reported by the provider; single-speaker
+        // recordings are not split into artificial speakers
+        return utterances.map(utterance => ({
+            speaker: utterance.speaker !== undefined ? utterance.speaker : 0,
+            transcript: utterance.transcript,
+            start: utterance.start,
+            end: utterance.end,
+            confidence: utterance.confidence,
+            words: utterance.words || []
+        }));
+    }
+
+    createArtificialSpeakerTurns(segments) {
+        // Create speaker turns based on longer pauses between utterances
+        const artificialSegments = [];
+        let currentSpeaker = 0;
+
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const nextSegment = segments[i + 1];
+
+            // If there's a pause of more than 1 second, switch speaker
+            if (nextSegment && (nextSegment.start - segment.end) > 1.0) {
+                currentSpeaker = currentSpeaker === 0 ? 1 : 0;
+            }
+
+            artificialSegments.push({
+                ...segment,
+                speaker: currentSpeaker
+            });
+        }
+
+        return artificialSegments;
+    }
+
+    formatDiarizedTranscript(result) {
+        const segments = this.extractSpeakerSegments(result);
+        if (!segments.length) {
+            return this.extractTranscript(result);
+        }
+
+        return segments
+            .map(segment => `${formatSpeakerLabel(segment.speaker)}: ${segment.transcript}`)
+            .join('\n');
+    }
+
+    formatDiarizedTranscriptWithTimestamps(result) {
+        const segments = this.extractSpeakerSegments(result);
+        if (!segments.length) {
+            return this.extractTranscript(result);
+        }
+
+        return segments
+            .map(segment => {
+                const startTime = segment.start ? ` [${Math.floor(segment.start)}s` : '';
+                const endTime = segment.end ? `-${Math.floor(segment.end)}s]` : '';
+                const timestamp = startTime && endTime ? `${startTime}${endTime}` : '';
+                return `${formatSpeakerLabel(segment.speaker)}${timestamp}: ${segment.transcript}`;
+            })
+            .join('\n');
+    }
+
+    getSpeakerCount(result) {
+        const segments = this.extractSpeakerSegments(result);
+        const speakers = new Set(segments.map(s => s.speaker));
+        return speakers.size;
+    }
+}
+
+module.exports = BaseSTTProvider;
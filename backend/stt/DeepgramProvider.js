@@ -0,0 +1,264 @@
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+const fs = require('fs');
+const BaseSTTProvider = require('./BaseSTTProvider');
+const LiveSession = require('./LiveSession');
+
+const DEFAULT_MODEL = 'nova-3-general';
+
+class DeepgramLiveSession extends LiveSession {
+    constructor(connection) {
+        super();
+        this.connection = connection;
+
+        const forwardTranscript = (payload) => this.emit('transcript', payload);
+        connection.on(LiveTranscriptionEvents.Transcript, forwardTranscript);
+        // Fallback for legacy lowercase event names emitted by older SDK versions
+        connection.on('results', forwardTranscript);
+
+        connection.on(LiveTranscriptionEvents.Open, () => this.emit('open'));
+        connection.on(LiveTranscriptionEvents.Close, (event) => {
+            console.log('🔌 Close event details:', event);
+            this.emit('close');
+        });
+        connection.on(LiveTranscriptionEvents.Error, (error) => this.emit('error', error));
+
+        connection.on(LiveTranscriptionEvents.Metadata, (data) => {
+            console.log('📊 Deepgram metadata:', data);
+        });
+        connection.on(LiveTranscriptionEvents.UtteranceEnd, (data) => {
+            console.log('🛑 Deepgram utterance end:', data?.utterance_id || 'unknown');
+        });
+        connection.on(LiveTranscriptionEvents.SpeechStarted, () => {
+            console.log('🎙️ Deepgram detected speech start');
+        });
+        connection.on(LiveTranscriptionEvents.Unhandled, (data) => {
+            console.warn('⚠️ Deepgram emitted unhandled event:', data?.type || data);
+        });
+        // Legacy warning event
+        connection.on('warning', (warning) => this.emit('warning', warning));
+    }
+
+    send(audioChunk) {
+        this.connection.send(audioChunk);
+    }
+
+    finish() {
+        this.connection.finish();
+    }
+}
+
+class DeepgramProvider extends BaseSTTProvider {
+    constructor() {
+        super('deepgram');
+        this.client = null;
+        this.clientKey = null;
+        this.defaultModel = process.env.DEEPGRAM_MODEL || DEFAULT_MODEL;
+    }
+
+    isConfigured() {
+        return Boolean(process.env.DEEPGRAM_API_KEY);
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            model: this.getModel()
+        };
+    }
+
+    // The key can be changed from the admin settings at runtime, so the client
+    // is created lazily and rebuilt whenever the key changes.
+    getClient() {
+        const apiKey = process.env.DEEPGRAM_API_KEY;
+        if (!apiKey) {
+            throw new Error('DEEPGRAM_API_KEY is not configured. Add it in the admin settings or choose another transcription provider.');
+        }
+
+        if (!this.client || this.clientKey !== apiKey) {
+            this.client = createClient(apiKey);
+            this.clientKey = apiKey;
+        }
+
+        return this.client;
+    }
+
+    getModel(preferredModel) {
+        return preferredModel || process.env.DEEPGRAM_MODEL || this.defaultModel;
+    }
+
+    // Session glossary as Deepgram options: Nova-3 models take whole phrases
+    // as `keyterm`, older models take single-word `keywords` with an optional
+    // intensifier, so phrases are split into their words there
+    getVocabularyOptions(vocabulary, model) {
+        if (!Array.isArray(vocabulary) || vocabulary.length === 0) {
+            return {};
+        }
+        if (model.startsWith('nova-3')) {
+            return { keyterm: vocabulary.map(entry => entry.term) };
+        }
+        const keywords = vocabulary.flatMap(entry => entry.term.split(/\s+/)
+            .map(word => (entry.boost ? `${word}:${entry.boost}` : word)));
+        return { keywords: [...new Set(keywords)] };
+    }
+
+    async transcribeFile(audioFilePath, options = {}, retries = 2) {
+        try {
+            if (!fs.existsSync(audioFilePath)) {
+                throw new Error(`Audio file not found: ${audioFilePath}`);
+            }
+
+            const deepgram = this.getClient();
+            const audioBuffer = fs.readFileSync(audioFilePath);
+            const detectedFormat = this.detectAudioFormat(audioBuffer);
+
+            console.log(`🎧 Detected audio format: ${detectedFormat}`);
+
+            if (detectedFormat === 'unknown') {
+                throw new Error('Audio file appears to be corrupt or uses an unsupported format');
+            }
+
+            const { vocabulary, recording, window, ...requestOptions } = options;
+            const model = this.getModel(requestOptions.model);
+            const defaultOptions = {
+                language: requestOptions.language || 'en-US',
+                smart_format: true,
+                punctuate: true,
+                diarize: true,
+                utterances: true,
+                paragraphs: true,
+                utt_split: 0.8,
+                multichannel: false,
+                mimetype: this.getMimeTypeForFormat(detectedFormat),
+                ...this.getEncodingHintsForFormat(detectedFormat),
+                ...requestOptions,
+                ...this.getVocabularyOptions(vocabulary, model),
+                model
+            };
+
+            console.log(`🌍 Backend transcription language: ${defaultOptions.language}`);
+            console.log(`🔍 Audio buffer size: ${audioBuffer.length} bytes`);
+            console.log(`🔧 Transcription options:`, JSON.stringify(defaultOptions, null, 2));
+
+            try {
+                const { result, error } = await deepgram.listen.prerecorded.transcribeFile(
+                    audioBuffer,
+                    defaultOptions
+                );
+
+                if (error) {
+                    console.error(`❌ Deepgram API returned error:`, error);
+                    throw error;
+                }
+
+                console.log(`✅ Transcription successful`);
+                return result;
+
+            } catch (apiError) {
+                console.error(`💥 Deepgram API call failed:`, apiError);
+
+                // Check if this is the HTML response error and we have retries left
+                if (apiError.message && apiError.message.includes('Unexpected token') && retries > 0) {
+                    console.warn(`🔄 HTML response detected, retrying... (${retries} attempts left)`);
+                    await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
+                    return this.transcribeFile(audioFilePath, options, retries - 1);
+                }
+
+                if (apiError.message && apiError.message.includes('Unexpected token')) {
+                    console.error(`🔍 Looks like we got HTML instead of JSON. This usually indicates:
+                    1. Network proxy interfering with the request
+                    2. Firewall blocking the request
+                    3. Rate limiting from Deepgram
+                    4. API endpoint issues`);
+                }
+
+                throw apiError;
+            }
+        } catch (error) {
+            console.error('Error transcribing file:', error);
+            throw error;
+        }
+    }
+
+    getEncodingHintsForFormat(format) {
+        switch (format) {
+            case 'webm':
+            case 'ogg':
+                return { encoding: 'opus', sample_rate: 48000, channels: 1 };
+            case 'wav':
+                return { encoding: 'linear16' };
+            case 'mp3':
+                return { encoding: 'mp3' };
+            case 'mp4':
+                return { encoding: 'aac' };
+            case 'flac':
+                return { encoding: 'flac' };
+            default:
+                return {};
+        }
+    }
+
+    async transcribeUrl(audioUrl, options = {}) {
+        try {
+            const { vocabulary, ...requestOptions } = options;
+            const model = this.getModel(requestOptions.model);
+            const defaultOptions = {
+                language: requestOptions.language || 'en-US',
+                smart_format: true,
+                punctuate: true,
+                diarize: true,
+                utterances: true,
+                paragraphs: true,
+                utt_split: 0.8,
+                multichannel: false,
+                ...requestOptions,
+                ...this.getVocabularyOptions(vocabulary, model),
+                model
+            };
+
+            const { result, error } = await this.getClient().listen.prerecorded.transcribeUrl(
+                { url: audioUrl },
+                defaultOptions
+            );
+
+            if (error) {
+                throw error;
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error transcribing URL:', error);
+            throw error;
+        }
+    }
+
+    async startLiveTranscription(options = {}) {
+        try {
+            const { vocabulary, ...requestOptions } = options;
+            const model = this.getModel(requestOptions.model);
+            const defaultOptions = {
+                language: requestOptions.language || 'en-US',
+                smart_format: true,
+                punctuate: true,
+                interim_results: true,
+                diarize: true,
+                utterance_end_ms: 1000,
+                ...requestOptions,
+                ...this.getVocabularyOptions(vocabulary, model),
+                model
+            };
+
+            console.log(`🚀 Starting live transcription with options:`, JSON.stringify(defaultOptions, null, 2));
+
+            const connection = this.getClient().listen.live(defaultOptions);
+
+            return new DeepgramLiveSession(connection);
+        } catch (error) {
+            console.error('Error starting live transcription:', error);
+            throw error;
+        }
+    }
+}
+
+DeepgramProvider.DEFAULT_MODEL = DEFAULT_MODEL;
+
+module.exports = DeepgramProvider;
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const BaseSTTProvider = require('./BaseSTTProvider');
+const LiveSession = require('./LiveSession');
+
+const SENTENCES = [
+    'I think the main question is how we keep everyone involved.',
+    'That connects to what the previous table said about trust.',
+    'We should write that down for the harvest.',
+    'In my neighbourhood the library became the meeting place.',
+    'What would it look like if the young people led this?',
+    'I agree, but funding is the part nobody wants to talk about.',
+    'Maybe we start small and invite people to a second round.',
+    'The pattern I keep hearing is that people want to be asked.',
+    'Let me build on that with an example from our school.',
+    'We disagree on the timeline, not on the goal.',
+    'Can we capture the idea about shared spaces on the paper?',
+    'That is exactly why the host should stay and connect the rounds.'
+];
+
+const DEFAULT_SPEAKERS = 3;
+const DEFAULT_LIVE_WORD_MS = 350;
+const SECONDS_PER_WORD = 0.4;
+
+// Small seeded PRNG (mulberry32) so the same seed always yields the same script
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function seedFrom(value) {
+    return crypto.createHash('sha1').update(String(value)).digest().readUInt32BE(0);
+}
+
+/**
+ * Deterministic provider for development and automated tests; never touches
+ * the network.
+ *
+ * Files: a sidecar script is returned as the result. It is the file named by
+ * FAKE_STT_SIDECAR, or `<name>.transcript.json` in FAKE_STT_SIDECAR_DIR or
+ * next to the audio, where name is the recording id or the file name it was
+ * uploaded under (uploads are renamed on arrival). It may be a Deepgram
+ * result, a `{ "segments": [{ "speaker", "text", "start", "end" }] }` script,
+ * or `{ "error": "..." }` to simulate a failed transcription. A window cut
+ * from a long recording (`options.window`) gets only the part of the script
+ * inside it, in window time, so the stitched result reads it once. Without a
+ * sidecar, segments are generated from FAKE_STT_SEED and the file contents.
+ *
+ * Live: every FAKE_STT_LIVE_WORD_MS a word is added to the current utterance
+ * and sent as an interim result; each finished sentence is sent as final.
+ */
+class FakeProvider extends BaseSTTProvider {
+    constructor() {
+        super('fake');
+    }
+
+    getConfig() {
+        return {
+            seed: process.env.FAKE_STT_SEED || 'world-cafe',
+            speakers: parseInt(process.env.FAKE_STT_SPEAKERS, 10) || DEFAULT_SPEAKERS,
+            latencyMs: parseInt(process.env.FAKE_STT_LATENCY_MS, 10) || 0,
+            liveWordMs: parseInt(process.env.FAKE_STT_LIVE_WORD_MS, 10) || DEFAULT_LIVE_WORD_MS,
+            sidecar: process.env.FAKE_STT_SIDECAR || null,
+            sidecarDir: process.env.FAKE_STT_SIDECAR_DIR || null
+        };
+    }
+
+    getStatus() {
+        const config = this.getConfig();
+        return {
+            ...super.getStatus(),
+            seed: config.seed,
+            speakers: config.speakers
+        };
+    }
+
+    async transcribeFile(audioFilePath, options = {}) {
+        if (!fs.existsSync(audioFilePath)) {
+            throw new Error(`Audio file not found: ${audioFilePath}`);
+        }
+
+        const config = this.getConfig();
+        if (config.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, config.latencyMs));
+        }
+
+        const sidecar = this.loadSidecar(audioFilePath, options.recording);
+        if (sidecar) {
+            console.log(`🧪 Fake transcription using sidecar script for ${path.basename(audioFilePath)}`);
+            const result = this.resultFromScript(sidecar, options);
+            return options.window ? this.sliceToWindow(result, options.window, options) : result;
+        }
+
+        const fileHash = crypto.createHash('sha1').update(fs.readFileSync(audioFilePath)).digest('hex');
+        const { size } = fs.statSync(audioFilePath);
+        // Roughly 16 kB per second of compressed speech, capped to keep results readable
+        const durationSeconds = Math.min(300, Math.max(5, Math.round(size / 16000)));
+
+        console.log(`🧪 Fake transcription generated for ${path.basename(audioFilePath)} (${durationSeconds}s)`);
+        return this.buildResult(
+            this.generateSegments(seedFrom(`${config.seed}:${fileHash}`), durationSeconds, config.speakers),
+            { model: 'fake', language: options.language || 'en-US' }
+        );
+    }
+
+    async transcribeUrl(audioUrl, options = {}) {
+        const config = this.getConfig();
+        return this.buildResult(
+            this.generateSegments(seedFrom(`${config.seed}:${audioUrl}`), 30, config.speakers),
+            { model: 'fake', language: options.language || 'en-US' }
+        );
+    }
+
+    // The queue transcribes a normalized copy or a window cut from the
+    // upload, so the audio path alone rarely finds the sidecar
+    loadSidecar(audioFilePath, recording = null) {
+        const config = this.getConfig();
+        const names = [
+            recording?.id,
+            recording?.originalName && path.basename(recording.originalName),
+            recording?.originalName && path.parse(recording.originalName).name,
+            path.basename(audioFilePath),
+            path.parse(audioFilePath).name
+        ].filter(Boolean);
+        const dirs = [config.sidecarDir, path.dirname(audioFilePath)].filter(Boolean);
+
+        const candidates = [
+            config.sidecar,
+            ...dirs.flatMap(dir => names.map(name => path.join(dir, `${name}.transcript.json`)))
+        ].filter(Boolean);
+
+        const sidecarPath = candidates.find(candidate => fs.existsSync(candidate));
+        if (!sidecarPath) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid fake transcription sidecar ${sidecarPath}: ${error.message}`);
+        }
+    }
+
+    resultFromScript(script, options = {}) {
+        if (script.error) {
+            throw new Error(script.error);
+        }
+
+        if (script.results) {
+            return script;
+        }
+
+        const entries = Array.isArray(script) ? script : (script.segments || []);
+        let cursor = 0;
+
+        const segments = entries.map(entry => {
+            const text = String(entry.text || entry.transcript || '').trim();
+            const start = typeof entry.start === 'number' ? entry.start : cursor;
+            const end = typeof entry.end === 'number'
+                ? entry.end
+                : start + Math.max(1, text.split(/\s+/).length * SECONDS_PER_WORD);
+            const speaker = Number.isInteger(entry.speaker) ? entry.speaker : 0;
+            const confidence = typeof entry.confidence === 'number' ? entry.confidence : 0.95;
+            cursor = end;
+
+            return {
+                speaker,
+                transcript: text,
+                start,
+                end,
+                confidence,
+                words: this.estimateWords(text, start, end, speaker, confidence)
+            };
+        });
+
+        return this.buildResult(segments, { model: 'fake', language: options.language || 'en-US' });
+    }
+
+    // Keep the words whose middle falls inside the window, shifted to window
+    // time the way a provider would report them for the cut file
+    sliceToWindow(result, window, options = {}) {
+        const windowEnd = window.start + window.duration;
+        const utterances = result.results.utterances
+            || [{ speaker: 0, confidence: 0, words: this.extractWords(result) }];
+
+        const segments = utterances.map(utterance => {
+            const words = (utterance.words || [])
+                .filter(word => {
+                    const middle = (word.start + word.end) / 2;
+                    return middle >= window.start && middle < windowEnd;
+                })
+                .map(word => ({
+                    ...word,
+                    start: Number((word.start - window.start).toFixed(3)),
+                    end: Number((word.end - window.start).toFixed(3))
+                }));
+
+            return words.length === 0 ? null : {
+                speaker: utterance.speaker || 0,
+                transcript: words.map(word => word.punctuated_word || word.word).join(' '),
+                start: words[0].start,
+                end: words[words.length - 1].end,
+                confidence: utterance.confidence || 0,
+                words
+            };
+        }).filter(Boolean);
+
+        return this.buildResult(segments, { model: 'fake', language: options.language || 'en-US' });
+    }
+
+    generateSegments(seed, durationSeconds, speakerCount) {
+        const random = createRandom(seed);
+        const segments = [];
+        let cursor = 0.5;
+        let speaker = 0;
+
+        while (cursor < durationSeconds) {
+            const sentence = SENTENCES[Math.floor(random() * SENTENCES.length)];
+            const end = cursor + sentence.split(/\s+/).length * SECONDS_PER_WORD;
+            const confidence = Number((0.85 + random() * 0.14).toFixed(3));
+
+            segments.push({
+                speaker,
+                transcript: sentence,
+                start: Number(cursor.toFixed(3)),
+                end: Number(end.toFixed(3)),
+                confidence,
+                words: this.estimateWords(sentence, cursor, end, speaker, confidence)
+            });
+
+            cursor = end + 0.3 + random();
+            if (speakerCount > 1 && random() < 0.7) {
+                speaker = (speaker + 1 + Math.floor(random() * (speakerCount - 1))) % speakerCount;
+            }
+        }
+
+        return segments;
+    }
+
+    async startLiveTranscription(options = {}) {
+        return new FakeLiveSession(this, options);
+    }
+}
+
+class FakeLiveSession extends LiveSession {
+    constructor(provider, options = {}) {
+        super();
+        const config = provider.getConfig();
+        this.provider = provider;
+        this.random = createRandom(seedFrom(`${config.seed}:live`));
+        this.speakers = config.speakers;
+        this.wordMs = config.liveWordMs;
+        this.speaker = 0;
+        this.clock = 0;
+        this.utterance = null;
+        this.receivedAudio = false;
+        this.finished = false;
+
+        this.timer = setInterval(() => this.tick(), this.wordMs);
+        setImmediate(() => this.emit('open'));
+    }
+
+    send(audioChunk) {
+        this.receivedAudio = true;
+    }
+
+    finish() {
+        if (this.finished) {
+            return;
+        }
+        this.finished = true;
+        clearInterval(this.timer);
+
+        if (this.utterance && this.utterance.words.length > 0) {
+            this.emitResult(true);
+        }
+        setImmediate(() => this.emit('close'));
+    }
+
+    // Only "hear" speech while the client is actually sending audio
+    tick() {
+        if (!this.receivedAudio) {
+            return;
+        }
+        this.receivedAudio = false;
+
+        if (!this.utterance) {
+            const sentence = SENTENCES[Math.floor(this.random() * SENTENCES.length)];
+            this.utterance = { tokens: sentence.split(/\s+/), words: [] };
+        }
+
+        const token = this.utterance.tokens[this.utterance.words.length];
+        const start = this.clock;
+        const end = start + this.wordMs / 1000;
+        this.clock = end;
+
+        this.utterance.words.push({
+            word: token.toLowerCase().replace(/[^\p{L}\p{N}'-]/gu, ''),
+            punctuated_word: token,
+            start: Number(start.toFixed(3)),
+            end: Number(end.toFixed(3)),
+            confidence: Number((0.85 + this.random() * 0.14).toFixed(3)),
+            speaker: this.speaker
+        });
+
+        const isFinal = this.utterance.words.length === this.utterance.tokens.length;
+        this.emitResult(isFinal);
+
+        if (isFinal) {
+            this.utterance = null;
+            this.clock += 0.5;
+            if (this.speakers > 1 && this.random() < 0.7) {
+                this.speaker = (this.speaker + 1) % this.speakers;
+            }
+        }
+    }
+
+    emitResult(isFinal) {
+        const words = this.utterance.words.map(word => ({ ...word }));
+        this.emit('transcript', {
+            type: 'Results',
+            is_final: isFinal,
+            speech_final: isFinal,
+            start: words[0].start,
+            duration: Number((words[words.length - 1].end - words[0].start).toFixed(3)),
+            channel: {
+                alternatives: [{
+                    transcript: words.map(word => word.punctuated_word).join(' '),
+                    confidence: words.reduce((sum, word) => sum + word.confidence, 0) / words.length,
+                    words
+                }]
+            }
+        });
+    }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,33 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Provider-neutral handle for a streaming transcription.
+ *
+ * Events:
+ *   'open'                 the provider is ready for audio
+ *   'transcript' (payload) a Deepgram-shaped live result
+ *                          ({ channel: { alternatives: [{ transcript, words }] }, is_final })
+ *   'close'                the stream has ended
+ *   'error' (error)        the provider failed
+ *   'warning' (warning)    non-fatal provider notice
+ */
+class LiveSession extends EventEmitter {
+    send(audioChunk) {
+        throw new Error('send() is not implemented by this transcription provider');
+    }
+
+    finish() {
+        throw new Error('finish() is not implemented by this transcription provider');
+    }
+
+    // Unhandled 'error' events would crash the process; route them to the log instead
+    emit(event, ...args) {
+        if (event === 'error' && this.listenerCount('error') === 0) {
+            console.error('❌ Live transcription error (no listener):', args[0]);
+            return false;
+        }
+        return super.emit(event, ...args);
+    }
+}
+
+module.exports = LiveSession;
@@ -0,0 +1,288 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const BaseSTTProvider = require('./BaseSTTProvider');
+const LiveSession = require('./LiveSession');
+
+const DEFAULT_BINARY = 'whisper-cli';
+const DEFAULT_MODEL_PATH = path.join(__dirname, '..', 'models', 'ggml-base.bin');
+const DEFAULT_LIVE_INTERVAL_MS = 8000;
+// Audio at the end of a live window may cut a word in half; hold it back
+// until the next pass unless the stream is finishing.
+const LIVE_TAIL_HOLDBACK_SECONDS = 1.5;
+const SAMPLE_RATE = 16000;
+const PROCESS_TIMEOUT_MS = 30 * 60 * 1000;
+
+function runProcess(command, args, timeout = PROCESS_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                if (error.code === 'ENOENT') {
+                    return reject(new Error(`${command} was not found. Install it or set its path in the admin transcription settings.`));
+                }
+                const detail = (stderr || '').toString().trim().split('\n').slice(-3).join(' ');
+                return reject(new Error(`${path.basename(command)} failed: ${detail || error.message}`));
+            }
+            resolve({ stdout, stderr });
+        });
+    });
+}
+
+/**
+ * Offline transcription through a whisper.cpp subprocess.
+ *
+ * Audio is converted to 16 kHz mono WAV with ffmpeg and handed to the
+ * whisper.cpp CLI; nothing leaves the machine. whisper.cpp has no real
+ * diarization, so speakers are only separated when a tinydiarize model is
+ * configured (speaker turns alternate between Speaker 1 and Speaker 2).
+ */
+class WhisperCppProvider extends BaseSTTProvider {
+    constructor() {
+        super('local');
+    }
+
+    getConfig() {
+        return {
+            binary: process.env.LOCAL_STT_BINARY || DEFAULT_BINARY,
+            modelPath: process.env.LOCAL_STT_MODEL || DEFAULT_MODEL_PATH,
+            threads: parseInt(process.env.LOCAL_STT_THREADS, 10) || Math.max(1, Math.min(4, os.cpus().length)),
+            tinydiarize: process.env.LOCAL_STT_TINYDIARIZE === 'true',
+            ffmpeg: process.env.FFMPEG_PATH || 'ffmpeg',
+            liveIntervalMs: parseInt(process.env.LOCAL_STT_LIVE_INTERVAL_MS, 10) || DEFAULT_LIVE_INTERVAL_MS
+        };
+    }
+
+    isConfigured() {
+        return fs.existsSync(this.getConfig().modelPath);
+    }
+
+    getStatus() {
+        const config = this.getConfig();
+        return {
+            ...super.getStatus(),
+            binary: config.binary,
+            model_path: config.modelPath,
+            threads: config.threads,
+            tinydiarize: config.tinydiarize
+        };
+    }
+
+    // whisper.cpp takes ISO 639-1 codes ("en"), the app stores locales ("en-US")
+    toWhisperLanguage(language) {
+        if (!language || language === 'multi') {
+            return 'auto';
+        }
+        return language.split('-')[0].toLowerCase();
+    }
+
+    async transcribeFile(audioFilePath, options = {}) {
+        if (!fs.existsSync(audioFilePath)) {
+            throw new Error(`Audio file not found: ${audioFilePath}`);
+        }
+
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldcafe-stt-'));
+        try {
+            const wavPath = path.join(workDir, 'input.wav');
+            await this.convertToWav(audioFilePath, wavPath);
+
+            const segments = await this.runWhisper(wavPath, workDir, options);
+            console.log(`✅ Local transcription produced ${segments.length} segments`);
+
+            return this.buildResult(segments, {
+                model: path.basename(this.getConfig().modelPath),
+                language: options.language || 'en-US'
+            });
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+
+    async convertToWav(inputPath, outputPath, startSeconds = 0) {
+        const { ffmpeg } = this.getConfig();
+        const args = ['-hide_banner', '-loglevel', 'error', '-y', '-i', inputPath];
+        if (startSeconds > 0) {
+            // Seek after -i: streamed WebM from live capture has no cues to seek on
+            args.push('-ss', startSeconds.toFixed(3));
+        }
+        args.push('-ar', String(SAMPLE_RATE), '-ac', '1', '-c:a', 'pcm_s16le', outputPath);
+
+        await runProcess(ffmpeg, args);
+    }
+
+    getWavDuration(wavPath) {
+        const { size } = fs.statSync(wavPath);
+        // 16-bit mono PCM after the 44-byte header
+        return Math.max(0, (size - 44) / (SAMPLE_RATE * 2));
+    }
+
+    async runWhisper(wavPath, workDir, options = {}, offsetSeconds = 0) {
+        const config = this.getConfig();
+        if (!fs.existsSync(config.modelPath)) {
+            throw new Error(`whisper.cpp model not found at ${config.modelPath}`);
+        }
+
+        const outputBase = path.join(workDir, `whisper-${uuidv4()}`);
+        const args = [
+            '-m', config.modelPath,
+            '-f', wavPath,
+            '-l', this.toWhisperLanguage(options.language),
+            '-t', String(config.threads),
+            '-oj',
+            '-of', outputBase,
+            '-np'
+        ];
+        if (config.tinydiarize) {
+            args.push('-tdrz');
+        }
+        // whisper has no keyword boosting; glossary terms in the initial
+        // prompt make it more likely to spell them the same way
+        if (Array.isArray(options.vocabulary) && options.vocabulary.length > 0) {
+            args.push('--prompt', `${options.vocabulary.map(entry => entry.term).join(', ')}.`);
+        }
+
+        await runProcess(config.binary, args);
+
+        const output = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'));
+        return this.parseWhisperOutput(output, offsetSeconds);
+    }
+
+    parseWhisperOutput(output, offsetSeconds = 0) {
+        const entries = Array.isArray(output?.transcription) ? output.transcription : [];
+        let speaker = 0;
+
+        return entries.reduce((segments, entry) => {
+            const text = (entry.text || '').trim();
+            const start = offsetSeconds + (entry.offsets?.from || 0) / 1000;
+            const end = offsetSeconds + (entry.offsets?.to || 0) / 1000;
+
+            if (text && !/^\[.*\]$/.test(text)) {
+                segments.push({
+                    speaker,
+                    transcript: text,
+                    start: Number(start.toFixed(3)),
+                    end: Number(end.toFixed(3)),
+                    confidence: 0,
+                    words: this.estimateWords(text, start, end, speaker)
+                });
+            }
+
+            if (entry.speaker_turn_next) {
+                speaker = speaker === 0 ? 1 : 0;
+            }
+
+            return segments;
+        }, []);
+    }
+
+    async startLiveTranscription(options = {}) {
+        if (!fs.existsSync(this.getConfig().modelPath)) {
+            throw new Error(`whisper.cpp model not found at ${this.getConfig().modelPath}`);
+        }
+
+        return new WhisperLiveSession(this, options);
+    }
+}
+
+/**
+ * Near-live transcription for the local provider.
+ *
+ * The browser streams WebM/Opus fragments that only decode as one file, so
+ * chunks are appended to a temporary recording and re-transcribed from the
+ * last committed position every few seconds. Results are emitted as final
+ * Deepgram-shaped payloads.
+ */
+class WhisperLiveSession extends LiveSession {
+    constructor(provider, options = {}) {
+        super();
+        this.provider = provider;
+        this.options = options;
+        this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldcafe-live-'));
+        this.recordingPath = path.join(this.workDir, 'live.webm');
+        this.committedSeconds = 0;
+        this.pendingBytes = 0;
+        this.processing = null;
+        this.finished = false;
+
+        this.timer = setInterval(() => this.processWindow(false), provider.getConfig().liveIntervalMs);
+        setImmediate(() => this.emit('open'));
+    }
+
+    send(audioChunk) {
+        if (this.finished) {
+            return;
+        }
+        fs.appendFileSync(this.recordingPath, audioChunk);
+        this.pendingBytes += audioChunk.length;
+    }
+
+    finish() {
+        if (this.finished) {
+            return;
+        }
+        this.finished = true;
+        clearInterval(this.timer);
+
+        Promise.resolve(this.processing)
+            .then(() => this.processWindow(true))
+            .finally(() => {
+                fs.rmSync(this.workDir, { recursive: true, force: true });
+                this.emit('close');
+            });
+    }
+
+    async processWindow(flush) {
+        if (this.processing || (!flush && (this.finished || this.pendingBytes === 0))) {
+            return this.processing;
+        }
+        if (!fs.existsSync(this.recordingPath)) {
+            return null;
+        }
+
+        this.processing = this.transcribeWindow(flush)
+            .catch(error => this.emit('error', error))
+            .finally(() => {
+                this.processing = null;
+            });
+        return this.processing;
+    }
+
+    async transcribeWindow(flush) {
+        const bytesAtStart = this.pendingBytes;
+        const wavPath = path.join(this.workDir, 'window.wav');
+        await this.provider.convertToWav(this.recordingPath, wavPath, this.committedSeconds);
+
+        const windowSeconds = this.provider.getWavDuration(wavPath);
+        if (windowSeconds <= 0) {
+            return;
+        }
+
+        const segments = await this.provider.runWhisper(wavPath, this.workDir, this.options, this.committedSeconds);
+        const cutoff = flush ? Infinity : this.committedSeconds + windowSeconds - LIVE_TAIL_HOLDBACK_SECONDS;
+        const committed = segments.filter(segment => segment.end <= cutoff);
+
+        if (committed.length > 0) {
+            const words = committed.flatMap(segment => segment.words);
+            this.emit('transcript', {
+                type: 'Results',
+                is_final: true,
+                start: this.committedSeconds,
+                channel: {
+                    alternatives: [{
+                        transcript: committed.map(segment => segment.transcript).join(' '),
+                        words
+                    }]
+                }
+            });
+            this.committedSeconds = committed[committed.length - 1].end;
+        } else if (!flush && windowSeconds > LIVE_TAIL_HOLDBACK_SECONDS * 4) {
+            // A long stretch without speech: move on rather than re-reading silence
+            this.committedSeconds += windowSeconds - LIVE_TAIL_HOLDBACK_SECONDS;
+        }
+
+        this.pendingBytes = Math.max(0, this.pendingBytes - bytesAtStart);
+    }
+}
+
+module.exports = WhisperCppProvider;
@@ -0,0 +1,43 @@
+const DeepgramProvider = require('./DeepgramProvider');
+const WhisperCppProvider = require('./WhisperCppProvider');
+const FakeProvider = require('./FakeProvider');
+
+const DEFAULT_PROVIDER = 'deepgram';
+
+// Speech-to-text providers selectable from the admin settings
+const PROVIDERS = {
+    deepgram: {
+        label: 'Deepgram (cloud)',
+        create: () => new DeepgramProvider()
+    },
+    local: {
+        label: 'whisper.cpp (local, offline)',
+        create: () => new WhisperCppProvider()
+    },
+    fake: {
+        label: 'Fake (development and testing)',
+        create: () => new FakeProvider()
+    }
+};
+
+function isKnownProvider(name) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+function createProvider(name) {
+    if (!isKnownProvider(name)) {
+        throw new Error(`Unknown transcription provider: ${name}`);
+    }
+    return PROVIDERS[name].create();
+}
+
+function listProviders() {
+    return Object.entries(PROVIDERS).map(([id, provider]) => ({ id, label: provider.label }));
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    isKnownProvider,
+    createProvider,
+    listProviders
+};
@@ -0,0 +1,204 @@
+// A stitched utterance ends at a change of speaker or a pause longer than this
+const UTTERANCE_GAP_SECONDS = 1.0;
+
+function round(value) {
+    return Number(value.toFixed(3));
+}
+
+/**
+ * Split `duration` seconds into windows of `windowSeconds` that overlap by
+ * `overlapSeconds`. Every window owns the part of the timeline between the
+ * middles of its overlaps with the previous and next window
+ * (`keepFrom`..`keepTo`), so each moment is taken from exactly one window and
+ * never from the edge of one, where a word may be cut in half.
+ */
+function planWindows(duration, { windowSeconds, overlapSeconds }) {
+    const overlap = Math.max(0, Math.min(overlapSeconds, windowSeconds / 2));
+    const step = windowSeconds - overlap;
+    const windows = [];
+
+    for (let start = 0; start < duration; start += step) {
+        const end = Math.min(duration, start + windowSeconds);
+        windows.push({ index: windows.length, start, end });
+        if (end >= duration) {
+            break;
+        }
+    }
+
+    return windows.map((window, index) => {
+        const previous = windows[index - 1];
+        const next = windows[index + 1];
+        return {
+            ...window,
+            keepFrom: previous ? (window.start + previous.end) / 2 : 0,
+            keepTo: next ? (next.start + window.end) / 2 : Infinity
+        };
+    });
+}
+
+// Words of one window on the recording's timeline, with the speaker the
+// provider gave them (utterance speakers cover engines without word speakers)
+function collectWords(result, window) {
+    const utterances = result?.results?.utterances || [];
+    const source = utterances.length > 0
+        ? utterances.flatMap(utterance => (utterance.words || []).map(word => ({
+            ...word,
+            speaker: word.speaker ?? utterance.speaker ?? 0
+        })))
+        : (result?.results?.channels?.[0]?.alternatives?.[0]?.words || []);
+
+    return source
+        .map(word => ({
+            ...word,
+            speaker: word.speaker ?? 0,
+            start: (Number(word.start) || 0) + window.start,
+            end: (Number(word.end) || 0) + window.start
+        }))
+        .sort((a, b) => a.start - b.start);
+}
+
+// Speaker number -> seconds of speech, most talkative first
+function rankSpeakers(words) {
+    const talk = new Map();
+    words.forEach((word) => {
+        talk.set(word.speaker, (talk.get(word.speaker) || 0) + (word.end - word.start));
+    });
+    return [...talk.entries()].sort((a, b) => b[1] - a[1]).map(([speaker]) => speaker);
+}
+
+/**
+ * Map the speaker numbers of a window onto the ones used so far. Diarization
+ * starts numbering from 0 in every window, so speakers are matched by how
+ * long they talk at the same time in the overlap: both windows heard the same
+ * audio there. A speaker who is silent in the overlap is paired with someone
+ * from the previous window who was not matched either, the most talkative
+ * with the most talkative, since a table keeps its people for a round. Only
+ * speakers left over after that get new numbers.
+ */
+function reconcileSpeakers(previousWords, words, overlapStart, overlapEnd, nextSpeaker) {
+    const inOverlap = word => word.end > overlapStart && word.start < overlapEnd;
+    const previous = previousWords.filter(inOverlap);
+    const shared = new Map();
+
+    words.filter(inOverlap).forEach((word) => {
+        previous.forEach((other) => {
+            const together = Math.min(word.end, other.end) - Math.max(word.start, other.start);
+            if (together > 0) {
+                const key = `${word.speaker}|${other.speaker}`;
+                shared.set(key, (shared.get(key) || 0) + together);
+            }
+        });
+    });
+
+    const mapping = new Map();
+    const taken = new Set();
+    [...shared.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([key]) => {
+            const [local, global] = key.split('|').map(Number);
+            if (!mapping.has(local) && !taken.has(global)) {
+                mapping.set(local, global);
+                taken.add(global);
+            }
+        });
+
+    const absent = rankSpeakers(previousWords).filter(global => !taken.has(global));
+    let next = nextSpeaker;
+    rankSpeakers(words).forEach((local) => {
+        if (!mapping.has(local)) {
+            mapping.set(local, absent.length > 0 ? absent.shift() : next++);
+        }
+    });
+
+    return { mapping, nextSpeaker: next };
+}
+
+function buildUtterances(words) {
+    const utterances = [];
+    words.forEach((word) => {
+        const current = utterances[utterances.length - 1];
+        if (current && current.speaker === word.speaker && word.start - current.end <= UTTERANCE_GAP_SECONDS) {
+            current.words.push(word);
+            current.end = word.end;
+        } else {
+            utterances.push({ channel: 0, speaker: word.speaker, start: word.start, end: word.end, words: [word] });
+        }
+    });
+
+    return utterances.map(utterance => ({
+        ...utterance,
+        transcript: utterance.words.map(word => word.punctuated_word || word.word).join(' '),
+        confidence: utterance.words.reduce((sum, word) => sum + (word.confidence || 0), 0) / utterance.words.length
+    }));
+}
+
+/**
+ * Combine the results of `planWindows` windows (Deepgram-shaped, timed from
+ * the start of each window) into one result for the whole recording. Words
+ * keep their own timings shifted onto the recording's timeline and are
+ * forced into ascending order; utterances are rebuilt from them because the
+ * provider's utterances end wherever a window was cut.
+ */
+function stitchWindows(windows, results, metadata = {}) {
+    const words = [];
+    let nextSpeaker = 0;
+    let previousWords = [];
+
+    windows.forEach((window, index) => {
+        const windowWords = collectWords(results[index], window);
+        const previousWindow = windows[index - 1];
+
+        const overlapEnd = previousWindow ? previousWindow.end : window.start;
+        const reconciled = reconcileSpeakers(previousWords, windowWords, window.start, overlapEnd, nextSpeaker);
+        const { mapping } = reconciled;
+        nextSpeaker = reconciled.nextSpeaker;
+
+        const mapped = windowWords.map(word => ({ ...word, speaker: mapping.get(word.speaker) }));
+        mapped
+            .filter((word) => {
+                const middle = (word.start + word.end) / 2;
+                return middle >= window.keepFrom && middle < window.keepTo;
+            })
+            .forEach(word => words.push(word));
+        previousWords = mapped;
+    });
+
+    let lastStart = 0;
+    const ordered = words.map((word) => {
+        const start = round(Math.max(word.start, lastStart));
+        const end = round(Math.max(word.end, start));
+        lastStart = start;
+        return { ...word, start, end };
+    });
+
+    const utterances = buildUtterances(ordered);
+    const confidence = ordered.length
+        ? ordered.reduce((sum, word) => sum + (word.confidence || 0), 0) / ordered.length
+        : 0;
+    const duration = windows.length ? windows[windows.length - 1].end : 0;
+
+    return {
+        metadata: {
+            duration,
+            channels: 1,
+            windows: windows.length,
+            ...metadata
+        },
+        results: {
+            channels: [{
+                alternatives: [{
+                    transcript: utterances.map(utterance => utterance.transcript).join(' '),
+                    confidence,
+                    words: ordered
+                }]
+            }],
+            utterances
+        }
+    };
+}
+
+module.exports = {
+    planWindows,
+    reconcileSpeakers,
+    stitchWindows
+};
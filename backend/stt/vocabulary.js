@@ -0,0 +1,61 @@
+const WORD = '[\\p{L}\\p{N}]';
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalize(value) {
+    return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Build a function that rewrites text with a session glossary
+ * ([{ term, boost, replacements }]). Every listed replacement becomes its
+ * term, and the term itself is restored to the glossary spelling. Matching
+ * ignores case and runs of whitespace and only hits whole words; longer
+ * phrases win over shorter ones. Returns null when there is nothing to do.
+ */
+function createReplacer(vocabulary) {
+    const targets = new Map();
+    (vocabulary || []).forEach((entry) => {
+        [entry.term, ...(entry.replacements || [])].forEach((source) => {
+            const key = normalize(source || '');
+            if (key && !targets.has(key)) {
+                targets.set(key, entry.term);
+            }
+        });
+    });
+    if (targets.size === 0) {
+        return null;
+    }
+
+    const alternatives = [...targets.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(key => key.split(' ').map(escapeRegExp).join('\\s+'));
+    const pattern = new RegExp(`(?<!${WORD})(?:${alternatives.join('|')})(?!${WORD})`, 'giu');
+
+    return text => String(text).replace(pattern, match => targets.get(normalize(match)) ?? match);
+}
+
+function applyVocabulary(text, vocabulary) {
+    const replace = createReplacer(vocabulary);
+    return replace && text ? replace(text) : text;
+}
+
+// Rewrites segment text only. Word timings keep what the provider heard, so
+// exports and chunking fall back to segment timings where the counts differ.
+function applyVocabularyToSegments(segments, vocabulary) {
+    const replace = createReplacer(vocabulary);
+    if (!replace || !Array.isArray(segments)) {
+        return segments;
+    }
+    return segments.map(segment => (typeof segment.transcript === 'string'
+        ? { ...segment, transcript: replace(segment.transcript) }
+        : segment));
+}
+
+module.exports = {
+    createReplacer,
+    applyVocabulary,
+    applyVocabularyToSegments
+};
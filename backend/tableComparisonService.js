@@ -0,0 +1,200 @@
+const { Transcription, SessionAnalysis } = require('./database/models');
+const { STOP_WORDS, tokenize } = require('./retrieval/bm25');
+const { toTurns } = require('./retrieval/chunker');
+
+const KEYWORD_LIMIT = 25;
+const SHARED_KEYWORD_LIMIT = 30;
+const PHRASE_LENGTH = 3;
+const PHRASE_LIMIT = 20;
+const THEME_MATCH_THRESHOLD = 0.5;
+
+function jaccard(a, b) {
+  const union = new Set([...a, ...b]);
+  const overlap = [...a].filter(token => b.has(token)).length;
+  return union.size ? overlap / union.size : 0;
+}
+
+// 1 when everyone spoke equally, towards 0 as one voice dominates
+function balanceIndex(shares) {
+  if (shares.length < 2) {
+    return null;
+  }
+  const entropy = shares.filter(share => share > 0).reduce((sum, share) => sum - share * Math.log(share), 0);
+  return Math.round((entropy / Math.log(shares.length)) * 100) / 100;
+}
+
+/**
+ * Side-by-side comparison of two or more tables in a session: keywords they
+ * share or own, the themes from their table analyses, how evenly speaking
+ * time was spread, and phrases that turned up at other tables in later
+ * rounds, which is how ideas travel in a World Café.
+ *
+ * Everything is computed from the stored transcripts on request; only the
+ * themes depend on analyses having been generated.
+ */
+class TableComparisonService {
+  async compare(sessionId, tables) {
+    const [frequencies, transcriptions, analyses] = await Promise.all([
+      Promise.all(tables.map(table => Transcription.getWordFrequency(sessionId, 1, table.table_id))),
+      Promise.all(tables.map(table => Transcription.findByTableId(table.table_id))),
+      SessionAnalysis.findBySessionId(sessionId, 'table')
+    ]);
+
+    const counts = frequencies.map(list => new Map(list.map(({ word, count }) => [word, count])));
+    const themes = tables.map(table => this.getThemes(analyses, table.table_id));
+    const themeGroups = this.groupThemes(tables, themes);
+
+    return {
+      tables: tables.map((table, index) => ({
+        id: table.table_id,
+        tableNumber: table.table_number,
+        name: table.table_name,
+        transcriptCount: Number(table.transcript_count) || 0,
+        wordCount: Number(table.total_words) || 0,
+        keywords: frequencies[index].filter(({ count }) => count >= 2).slice(0, KEYWORD_LIMIT),
+        uniqueKeywords: frequencies[index]
+          .filter(({ word, count }) => count >= 2 && counts.every((other, otherIndex) => otherIndex === index || !other.has(word)))
+          .slice(0, KEYWORD_LIMIT),
+        uniqueThemes: themeGroups
+          .filter(group => group.tables.length === 1 && group.tables[0] === table.table_id)
+          .map(group => group.name),
+        ...this.getSpeakingTime(transcriptions[index])
+      })),
+      sharedKeywords: this.getSharedKeywords(tables, counts),
+      sharedThemes: themeGroups.filter(group => group.tables.length > 1),
+      themesAvailable: themes.some(list => list.length > 0),
+      travellingPhrases: this.getTravellingPhrases(tables, transcriptions),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // Keywords used at least twice at two or more of the tables
+  getSharedKeywords(tables, counts) {
+    const words = new Set(counts.flatMap(map => [...map.keys()]));
+    return [...words]
+      .map(word => ({
+        word,
+        counts: Object.fromEntries(tables.map((table, index) => [table.table_id, counts[index].get(word) || 0]))
+      }))
+      .filter(entry => Object.values(entry.counts).filter(count => count >= 2).length >= 2)
+      .map(entry => ({ ...entry, total: Object.values(entry.counts).reduce((sum, count) => sum + count, 0) }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, SHARED_KEYWORD_LIMIT);
+  }
+
+  getThemes(analyses, tableId) {
+    const analysis = analyses.find(item => item.analysis_type === 'themes' && item.table_id === tableId);
+    const themes = analysis?.analysis_data?.themes;
+    return Array.isArray(themes) ? themes.filter(theme => theme?.name).map(theme => theme.name) : [];
+  }
+
+  // Theme names are free text from the model, so tables are matched on
+  // overlapping words rather than exact labels
+  groupThemes(tables, themes) {
+    const groups = [];
+    tables.forEach((table, index) => {
+      themes[index].forEach((name) => {
+        const tokens = new Set(tokenize(name));
+        const group = groups.find(candidate => jaccard(candidate.tokens, tokens) >= THEME_MATCH_THRESHOLD);
+        if (!group) {
+          groups.push({ name, tokens, tables: [table.table_id] });
+        } else if (!group.tables.includes(table.table_id)) {
+          group.tables.push(table.table_id);
+        }
+      });
+    });
+    return groups.map(({ name, tables: tableIds }) => ({ name, tables: tableIds }));
+  }
+
+  // Speaker numbers come from diarization and are only meaningful within a
+  // table; speakers a facilitator named are counted by name across the
+  // table's recordings. Time is measured from segment timings; transcripts
+  // without them fall back to word counts.
+  getSpeakingTime(transcriptions) {
+    const speakers = new Map();
+    let timed = true;
+
+    transcriptions.forEach((transcription) => {
+      toTurns(transcription).forEach((turn) => {
+        if (turn.speaker === null) {
+          return;
+        }
+        const key = turn.label ? `name:${turn.label}` : `speaker:${turn.speaker}`;
+        const entry = speakers.get(key) || { speaker: turn.speaker, name: turn.label, seconds: 0, words: 0 };
+        entry.words += turn.words;
+        if (turn.start !== null && turn.end !== null && turn.end >= turn.start) {
+          entry.seconds += turn.end - turn.start;
+        } else {
+          timed = false;
+        }
+        speakers.set(key, entry);
+      });
+    });
+
+    const list = [...speakers.values()].sort((a, b) => a.speaker - b.speaker);
+    const basis = timed && list.some(entry => entry.seconds > 0) ? 'time' : 'words';
+    const measure = entry => (basis === 'time' ? entry.seconds : entry.words);
+    const total = list.reduce((sum, entry) => sum + measure(entry), 0);
+    const shares = list.map(entry => (total ? measure(entry) / total : 0));
+
+    return {
+      speakingBasis: basis,
+      speakers: list.map((entry, index) => ({
+        speaker: entry.speaker,
+        name: entry.name,
+        seconds: Math.round(entry.seconds),
+        words: entry.words,
+        share: Math.round(shares[index] * 1000) / 10
+      })),
+      balance: balanceIndex(shares)
+    };
+  }
+
+  // Three-word phrases that open and close on a content word and occur at
+  // more than one of the tables in more than one round. The earliest round
+  // a phrase appeared in is reported as where it started.
+  getTravellingPhrases(tables, transcriptions) {
+    const phrases = new Map();
+
+    tables.forEach((table, index) => {
+      transcriptions[index].forEach((transcription) => {
+        const round = transcription.round_number ? Number(transcription.round_number) : null;
+        if (!round) {
+          return;
+        }
+        const words = String(transcription.transcript_text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+        for (let i = 0; i + PHRASE_LENGTH <= words.length; i++) {
+          const gram = words.slice(i, i + PHRASE_LENGTH);
+          if (STOP_WORDS.has(gram[0]) || STOP_WORDS.has(gram[PHRASE_LENGTH - 1]) || gram.some(word => word.length < 2)) {
+            continue;
+          }
+          const phrase = gram.join(' ');
+          const key = `${table.table_id}:${round}`;
+          const occurrences = phrases.get(phrase) || new Map();
+          const occurrence = occurrences.get(key) || { tableId: table.table_id, tableNumber: table.table_number, roundNumber: round, count: 0 };
+          occurrence.count += 1;
+          occurrences.set(key, occurrence);
+          phrases.set(phrase, occurrences);
+        }
+      });
+    });
+
+    return [...phrases.entries()]
+      .map(([phrase, occurrences]) => {
+        const list = [...occurrences.values()].sort((a, b) => a.roundNumber - b.roundNumber || a.tableNumber - b.tableNumber);
+        return {
+          phrase,
+          origin: list[0],
+          occurrences: list,
+          tableCount: new Set(list.map(item => item.tableId)).size,
+          roundCount: new Set(list.map(item => item.roundNumber)).size,
+          total: list.reduce((sum, item) => sum + item.count, 0)
+        };
+      })
+      .filter(entry => entry.tableCount >= 2 && entry.roundCount >= 2)
+      .sort((a, b) => b.tableCount - a.tableCount || b.roundCount - a.roundCount || b.total - a.total)
+      .slice(0, PHRASE_LIMIT);
+  }
+}
+
+module.exports = TableComparisonService;
@@ -0,0 +1,133 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sidecarDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldcafe-sidecars-'));
+process.env.STT_PROVIDER = 'fake';
+process.env.FAKE_STT_SIDECAR_DIR = sidecarDir;
+process.env.AUDIO_NORMALIZE = 'false';
+process.env.TRANSCRIPTION_SPLIT_MINUTES = '0';
+
+// Loading the server logs warnings; keep them out of the test runner's output
+for (const method of ['log', 'warn', 'error']) {
+  mock.method(console, method, () => {});
+}
+
+const { Settings, Session, Table, Recording, Transcription, TranscriptionJob, SessionVocabulary } = require('../database/models');
+const { app, transcriptionQueue } = require('../server');
+
+const session = { id: 'session-1', language: 'en-US', current_round: null };
+const table = { id: 7, session_id: session.id, table_number: 3 };
+
+// Just enough of the database for an upload to go through the queue
+function useStore() {
+  const store = { recording: null, job: null, transcription: null };
+  const saved = new Promise(resolve => { store.resolveSaved = resolve; });
+
+  mock.method(Settings.prototype, 'getPlatformPasswordEnabled', async () => false);
+  mock.method(Settings.prototype, 'verifyAdminPassword', async () => true);
+  mock.method(Session, 'findById', async () => session);
+  mock.method(Table, 'findBySessionAndNumber', async () => table);
+  mock.method(Table, 'findById', async () => table);
+  mock.method(Recording, 'create', async (data) => {
+    store.recording = {
+      id: 'rec-1',
+      session_id: data.sessionId,
+      table_id: data.tableId,
+      round_number: data.roundNumber,
+      filename: data.filename,
+      original_name: data.originalName,
+      file_path: data.filePath,
+      transcription_id: null,
+      audio_processed_at: null
+    };
+    return store.recording;
+  });
+  mock.method(Recording, 'findWithTranscription', async () => store.recording);
+  mock.method(Recording, 'markProcessing', async () => {});
+  mock.method(Recording, 'markCompleted', async () => {});
+  mock.method(Recording, 'updateDuration', async () => {});
+  mock.method(SessionVocabulary, 'findBySessionId', async () => []);
+  mock.method(TranscriptionJob, 'findActiveByRecording', async () => null);
+  mock.method(TranscriptionJob, 'create', async (data) => {
+    store.job = { id: 1, recording_id: data.recordingId, session_id: data.sessionId, table_id: data.tableId, job_type: data.jobType, source: data.source, status: 'queued', attempts: 0, max_attempts: data.maxAttempts };
+    return store.job;
+  });
+  mock.method(TranscriptionJob, 'claimNext', async () => {
+    if (!store.job || store.job.status !== 'queued') {
+      return null;
+    }
+    Object.assign(store.job, { status: 'running', attempts: store.job.attempts + 1 });
+    return { ...store.job };
+  });
+  mock.method(TranscriptionJob, 'markCompleted', async () => {
+    store.job.status = 'completed';
+  });
+  mock.method(TranscriptionJob, 'markDead', async (jobId, message) => {
+    store.job.status = 'dead';
+    store.resolveSaved(new Error(message));
+  });
+  mock.method(TranscriptionJob, 'scheduleRetry', async (jobId, message) => {
+    store.job.status = 'retrying';
+    store.resolveSaved(new Error(message));
+  });
+  mock.method(Transcription, 'create', async (data) => {
+    store.transcription = { id: 'tr-1', ...data };
+    store.resolveSaved(store.transcription);
+    return store.transcription;
+  });
+
+  return { store, saved };
+}
+
+async function login(baseUrl) {
+  const response = await fetch(`${baseUrl}/api/admin/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password: 'secret' })
+  });
+  assert.strictEqual(response.status, 200);
+  return response.headers.get('set-cookie').split(';')[0];
+}
+
+test('an upload is transcribed from the sidecar named after the file the client sent', async (t) => {
+  const { store, saved } = useStore();
+  fs.writeFileSync(path.join(sidecarDir, 'table-3.transcript.json'), JSON.stringify({
+    segments: [
+      { speaker: 0, text: 'Welcome to table three.' },
+      { speaker: 1, text: 'Thanks, let us start with the question.' }
+    ]
+  }));
+
+  const listener = app.listen(0);
+  t.after(() => {
+    transcriptionQueue.stop();
+    listener.close();
+    if (store.recording) {
+      fs.rmSync(store.recording.file_path, { force: true });
+    }
+    fs.rmSync(sidecarDir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  const cookie = await login(baseUrl);
+
+  transcriptionQueue.start();
+  const form = new FormData();
+  form.append('audio', new Blob([Buffer.alloc(2048, 1)], { type: 'audio/webm' }), 'table-3.webm');
+  const response = await fetch(`${baseUrl}/api/sessions/${session.id}/tables/${table.table_number}/upload-audio`, {
+    method: 'POST',
+    headers: { cookie },
+    body: form
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(store.recording.original_name, 'table-3.webm');
+  assert.notStrictEqual(path.basename(store.recording.file_path), 'table-3.webm');
+
+  const transcription = await saved;
+  assert.ok(!(transcription instanceof Error), transcription.message);
+  assert.strictEqual(transcription.transcriptText, 'Welcome to table three. Thanks, let us start with the question.');
+  assert.deepStrictEqual(transcription.speakerSegments.map(segment => segment.speaker), [0, 1]);
+});
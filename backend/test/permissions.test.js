@@ -0,0 +1,124 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Participant, Table } = require('../database/models');
+const { resolveRole, requireCapability, scopeFromParticipant, grantHost, grantFacilitator, rememberParticipant } = require('../permissions');
+
+const SESSION = 'session-1';
+
+afterEach(() => mock.restoreAll());
+
+function request({ admin = false } = {}) {
+  const now = Date.now();
+  return {
+    session: admin ? { admin: { user: 'admin', loggedInAt: now, lastSeenAt: now } } : {},
+    params: {},
+    body: {}
+  };
+}
+
+function useParticipants(...participants) {
+  mock.method(Participant, 'findById', async (id) => participants.find(participant => participant.id === id) || null);
+}
+
+function respond(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+    middleware(req, res, () => resolve({ status: 'next', role: req.role }));
+  });
+}
+
+test('visitors without a grant have no role', async () => {
+  assert.strictEqual(await resolveRole(request(), { sessionId: SESSION, tableId: 1 }), null);
+});
+
+test('grants resolve to the highest role', async () => {
+  const admin = request({ admin: true });
+  assert.strictEqual(await resolveRole(admin, { sessionId: SESSION }), 'admin');
+
+  const host = request();
+  grantHost(host.session, SESSION);
+  assert.strictEqual(await resolveRole(host, { sessionId: SESSION, tableId: 1 }), 'host');
+  assert.strictEqual(await resolveRole(host, { sessionId: 'session-2' }), null);
+
+  const facilitator = request();
+  grantFacilitator(facilitator.session, 1);
+  assert.strictEqual(await resolveRole(facilitator, { sessionId: SESSION, tableId: 1 }), 'facilitator');
+  assert.strictEqual(await resolveRole(facilitator, { sessionId: SESSION, tableId: 2 }), null);
+});
+
+test('seated participants host only the table they are host of', async () => {
+  useParticipants(
+    { id: 'p-host', session_id: SESSION, table_id: 1, is_facilitator: 1, left_at: null },
+    { id: 'p-guest', session_id: SESSION, table_id: 1, is_facilitator: 0, left_at: null },
+    { id: 'p-left', session_id: SESSION, table_id: 1, is_facilitator: 1, left_at: new Date() }
+  );
+  const seated = (participantId) => {
+    const req = request();
+    rememberParticipant(req.session, SESSION, participantId);
+    return req;
+  };
+
+  assert.strictEqual(await resolveRole(seated('p-host'), { sessionId: SESSION, tableId: 1 }), 'facilitator');
+  assert.strictEqual(await resolveRole(seated('p-host'), { sessionId: SESSION, tableId: 2 }), 'participant');
+  assert.strictEqual(await resolveRole(seated('p-guest'), { sessionId: SESSION, tableId: 1 }), 'participant');
+  assert.strictEqual(await resolveRole(seated('p-left'), { sessionId: SESSION, tableId: 1 }), 'participant');
+  assert.strictEqual(await resolveRole(seated('p-host'), { sessionId: 'session-2', tableId: 1 }), null);
+});
+
+test('requireCapability answers 401 without a role and 403 without the capability', async () => {
+  mock.method(Table, 'findBySessionAndNumber', async () => ({ id: 1, session_id: SESSION, table_number: 1 }));
+  useParticipants({ id: 'p-guest', session_id: SESSION, table_id: 1, is_facilitator: 0, left_at: null });
+  const record = requireCapability('recording:control');
+  const withTable = (req) => Object.assign(req, { params: { sessionId: SESSION, tableNumber: '1' } });
+
+  const visitor = await respond(record, withTable(request()));
+  assert.strictEqual(visitor.status, 401);
+
+  const guest = withTable(request());
+  rememberParticipant(guest.session, SESSION, 'p-guest');
+  const denied = await respond(record, guest);
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.body.role, 'participant');
+
+  const facilitator = withTable(request());
+  grantFacilitator(facilitator.session, 1);
+  assert.deepStrictEqual(await respond(record, facilitator), { status: 'next', role: 'facilitator' });
+});
+
+test('participant lookups are scoped to the session the participant belongs to', async () => {
+  useParticipants({ id: 'p-other', session_id: 'session-2', table_id: 9, is_facilitator: 0, left_at: null });
+  const view = requireCapability('session:view', scopeFromParticipant);
+
+  const outsider = request();
+  grantHost(outsider.session, SESSION);
+  outsider.params = { participantId: 'p-other' };
+  assert.strictEqual((await respond(view, outsider)).status, 401);
+
+  const host = request();
+  grantHost(host.session, 'session-2');
+  host.params = { participantId: 'p-other' };
+  assert.deepStrictEqual(await respond(view, host), { status: 'next', role: 'host' });
+});
+
+test('joining an empty table does not make the first arrival its host', async () => {
+  const participant = { id: 'p-1', session_id: SESSION, table_id: 1, is_facilitator: 0, left_at: null };
+  mock.method(Participant, 'findById', async () => null);
+  mock.method(Participant, 'joinTable', async () => ({ ...participant }));
+  mock.method(Participant, 'getFacilitator', async () => null);
+  const makeFacilitator = mock.method(Participant, 'makeFacilitator', async () => ({ ...participant, is_facilitator: 1 }));
+
+  const traveller = await Participant.enterTable(SESSION, 1, {});
+  assert.strictEqual(Boolean(traveller.is_facilitator), false);
+  assert.strictEqual(makeFacilitator.mock.callCount(), 0);
+
+  const withPassword = await Participant.enterTable(SESSION, 1, { canHost: true });
+  assert.strictEqual(Boolean(withPassword.is_facilitator), true);
+});
@@ -0,0 +1,120 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MediaUpload } = require('../database/models');
+const ResumableUploads = require('../resumableUploads');
+
+let uploadDir;
+let uploads;
+let rows;
+
+// MediaUpload rows kept in memory; advance() only moves from the stored offset
+beforeEach(() => {
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldcafe-uploads-'));
+  uploads = new ResumableUploads({ uploadDir });
+  rows = new Map();
+
+  mock.method(MediaUpload, 'create', async (data) => {
+    const row = {
+      id: `upload-${rows.size + 1}`,
+      session_id: data.sessionId,
+      table_id: data.tableId,
+      original_name: data.originalName,
+      mime_type: data.mimeType,
+      total_size: data.totalSize,
+      received_bytes: 0,
+      chunk_size: data.chunkSize,
+      temp_path: data.tempPath,
+      options: data.options,
+      status: 'uploading',
+      recording_id: null
+    };
+    rows.set(row.id, row);
+    return { ...row };
+  });
+  mock.method(MediaUpload, 'findById', async (id) => (rows.has(id) ? { ...rows.get(id) } : null));
+  mock.method(MediaUpload, 'advance', async (id, fromOffset, toOffset) => {
+    const row = rows.get(id);
+    if (!row || row.status !== 'uploading' || row.received_bytes !== fromOffset) {
+      return false;
+    }
+    row.received_bytes = toOffset;
+    return true;
+  });
+  mock.method(MediaUpload, 'markCompleted', async (id, recordingId) => {
+    Object.assign(rows.get(id), { status: 'completed', recording_id: recordingId });
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+function sha256(buffer) {
+  return `sha256 ${crypto.createHash('sha256').update(buffer).digest('base64')}`;
+}
+
+test('chunks are written at the stored offset and assembled on completion', async () => {
+  const file = crypto.randomBytes(10);
+  let upload = await uploads.create({ sessionId: 's', tableId: 1, originalName: 'table-1.webm', size: file.length });
+
+  upload = await uploads.writeChunk(upload, 0, file.subarray(0, 4), sha256(file.subarray(0, 4)));
+  upload = await uploads.writeChunk(upload, 4, file.subarray(4));
+  assert.strictEqual(uploads.describe(upload).offset, 10);
+
+  let registered = null;
+  const result = await uploads.complete(upload, 'stored.webm', async (stored) => {
+    registered = stored;
+    return { recordingId: 'rec-1' };
+  });
+
+  assert.deepStrictEqual(result, { recordingId: 'rec-1' });
+  assert.strictEqual(registered.originalname, 'table-1.webm');
+  assert.deepStrictEqual(fs.readFileSync(path.join(uploadDir, 'stored.webm')), file);
+  assert.strictEqual(rows.get(upload.id).status, 'completed');
+});
+
+test('a chunk at the wrong offset is refused with the offset the server has', async () => {
+  const upload = await uploads.create({ sessionId: 's', tableId: 1, originalName: 'a.webm', size: 8 });
+  const written = await uploads.writeChunk(upload, 0, Buffer.alloc(4, 1));
+
+  // A client that lost the response sends the same chunk again
+  await assert.rejects(uploads.writeChunk(written, 0, Buffer.alloc(4, 1)), { status: 409, offset: 4 });
+  await assert.rejects(uploads.writeChunk(written, 6, Buffer.alloc(2, 1)), { status: 409, offset: 4 });
+
+  // A stale copy of the row is caught by the stored offset
+  await assert.rejects(uploads.writeChunk(upload, 0, Buffer.alloc(4, 1)), { status: 409, offset: 4 });
+  assert.strictEqual(rows.get(upload.id).received_bytes, 4);
+});
+
+test('a damaged chunk is refused with 460 and leaves the offset alone', async () => {
+  const upload = await uploads.create({ sessionId: 's', tableId: 1, originalName: 'a.webm', size: 4 });
+  await assert.rejects(uploads.writeChunk(upload, 0, Buffer.from('abcd'), sha256(Buffer.from('abce'))), { status: 460 });
+  assert.strictEqual(rows.get(upload.id).received_bytes, 0);
+});
+
+test('chunks may not run past the declared size, and completion waits for every byte', async () => {
+  const upload = await uploads.create({ sessionId: 's', tableId: 1, originalName: 'a.webm', size: 4 });
+  await assert.rejects(uploads.writeChunk(upload, 0, Buffer.alloc(5)), { status: 400 });
+
+  const partial = await uploads.writeChunk(upload, 0, Buffer.alloc(2));
+  await assert.rejects(uploads.complete(partial, 'stored.webm', async () => ({ recordingId: 'rec-1' })), { status: 409, offset: 2 });
+});
+
+test('a failed registration leaves the upload ready to be completed again', async () => {
+  let upload = await uploads.create({ sessionId: 's', tableId: 1, originalName: 'a.webm', size: 4 });
+  upload = await uploads.writeChunk(upload, 0, Buffer.from('abcd'));
+
+  await assert.rejects(uploads.complete(upload, 'stored.webm', async () => {
+    throw new Error('database went away');
+  }), /database went away/);
+  assert.ok(fs.existsSync(upload.temp_path));
+  assert.ok(!fs.existsSync(path.join(uploadDir, 'stored.webm')));
+
+  const result = await uploads.complete(upload, 'stored.webm', async () => ({ recordingId: 'rec-1' }));
+  assert.strictEqual(result.recordingId, 'rec-1');
+});
@@ -0,0 +1,45 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Settings } = require('../database/models');
+const PasswordUtils = require('../passwordUtils');
+
+afterEach(() => {
+  delete process.env.ADMIN_PASSWORD;
+});
+
+// Just the global_settings queries Settings.get/set make
+function useSettings(rows = {}) {
+  const stored = new Map(Object.entries(rows));
+  const db = {
+    queryOne: async (sql, [key]) => (stored.has(key) ? { setting_value: stored.get(key) } : null),
+    query: async (sql, [key, value]) => {
+      stored.set(key, value);
+    }
+  };
+  return { settings: new Settings(db), stored };
+}
+
+test('no password verifies when none is stored or configured', async () => {
+  const { settings } = useSettings();
+  for (const candidate of ['admin123', 'testtesttest', 'changeme123!']) {
+    assert.strictEqual(await settings.verifyAdminPassword(candidate), false);
+    assert.strictEqual(await settings.verifyPlatformPassword(candidate), false);
+  }
+  assert.strictEqual(await settings.hasAdminPassword(), false);
+});
+
+test('ADMIN_PASSWORD is accepted on first run and stored as a hash', async () => {
+  process.env.ADMIN_PASSWORD = 'first-run-secret';
+  const { settings, stored } = useSettings();
+
+  assert.strictEqual(await settings.verifyAdminPassword('wrong'), false);
+  assert.ok(!stored.has('admin_password'));
+
+  assert.strictEqual(await settings.verifyAdminPassword('first-run-secret'), true);
+  assert.ok(PasswordUtils.isHash(stored.get('admin_password')));
+
+  // A password changed in the admin panel takes precedence over the variable
+  await settings.setAdminPassword('changed-later');
+  assert.strictEqual(await settings.verifyAdminPassword('first-run-secret'), false);
+  assert.strictEqual(await settings.verifyAdminPassword('changed-later'), true);
+});
@@ -0,0 +1,190 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TranscriptionJob, Recording } = require('../database/models');
+const TranscriptionQueue = require('../transcriptionQueue');
+const FakeProvider = require('../stt/FakeProvider');
+
+const io = { to: () => ({ emit() {} }) };
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const SETTINGS = ['TRANSCRIPTION_RETRY_BASE_MS', 'TRANSCRIPTION_SPLIT_MINUTES', 'TRANSCRIPTION_WINDOW_MINUTES', 'TRANSCRIPTION_WINDOW_OVERLAP_SECONDS', 'FAKE_STT_SIDECAR_DIR'];
+
+// Keep the queue's progress logging out of the test runner's output
+beforeEach(() => {
+  for (const method of ['log', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  SETTINGS.forEach(name => delete process.env[name]);
+});
+
+// In-memory stand-ins for the queries the queue makes
+function useStore({ jobs, recordings }) {
+  mock.method(TranscriptionJob, 'claimNext', async (workerId) => {
+    const job = jobs.find(row => ['queued', 'retrying'].includes(row.status) && row.attempts < row.max_attempts);
+    if (!job) {
+      return null;
+    }
+    Object.assign(job, { status: 'running', attempts: job.attempts + 1, locked_by: workerId, is_stale: 0 });
+    return { ...job };
+  });
+  mock.method(TranscriptionJob, 'findRunning', async () => jobs.filter(row => row.status === 'running').map(row => ({ ...row })));
+  mock.method(TranscriptionJob, 'renewLocks', async () => {});
+  mock.method(TranscriptionJob, 'releaseInterrupted', async (jobId, lockedBy, { dead = false, errorMessage = null } = {}) => {
+    const job = jobs.find(row => row.id === jobId && row.status === 'running' && row.locked_by === lockedBy);
+    if (!job) {
+      return false;
+    }
+    Object.assign(job, { status: dead ? 'dead' : 'queued', locked_by: null, last_error: errorMessage || job.last_error });
+    return true;
+  });
+  mock.method(Recording, 'findUnqueuedPending', async () => recordings.filter(recording =>
+    ['uploaded', 'processing'].includes(recording.status)
+    && !jobs.some(row => row.recording_id === recording.id && ['queued', 'running', 'retrying'].includes(row.status))
+  ));
+  mock.method(Recording, 'markFailed', async (recordingId) => {
+    recordings.find(recording => recording.id === recordingId).status = 'failed';
+  });
+}
+
+function makeJob(overrides = {}) {
+  return {
+    id: 1,
+    recording_id: 'rec-1',
+    session_id: 'session-1',
+    table_id: 1,
+    job_type: 'upload',
+    status: 'queued',
+    attempts: 0,
+    max_attempts: 3,
+    locked_by: null,
+    is_stale: 0,
+    last_error: null,
+    ...overrides
+  };
+}
+
+test('a recording that crashes the server is given up after its attempts', async () => {
+  const jobs = [makeJob()];
+  const recordings = [{ id: 'rec-1', status: 'processing', file_path: __filename }];
+  useStore({ jobs, recordings });
+
+  // Every boot runs as pid 1 in the same container and dies mid-job
+  for (let boot = 1; boot <= 5; boot++) {
+    const queue = new TranscriptionQueue(io, null);
+    queue.workerId = 'container:1';
+    queue.processJob = () => new Promise(() => {});
+    await queue.restore();
+    await settle();
+    queue.stop();
+  }
+
+  assert.strictEqual(jobs[0].status, 'dead');
+  assert.strictEqual(jobs[0].attempts, 3);
+  assert.strictEqual(recordings[0].status, 'failed');
+  assert.strictEqual(await TranscriptionJob.claimNext('container:1'), null);
+});
+
+test('an interrupted job with attempts left is queued again', async () => {
+  const jobs = [makeJob({ status: 'running', attempts: 1, locked_by: 'container:1' })];
+  useStore({ jobs, recordings: [] });
+
+  const queue = new TranscriptionQueue(io, null);
+  queue.workerId = 'container:1';
+  assert.strictEqual(await queue.recoverInterrupted({ booting: true }), 1);
+  assert.strictEqual(jobs[0].status, 'queued');
+});
+
+test('jobs held by live workers are left alone', async () => {
+  const jobs = [
+    makeJob({ id: 1, status: 'running', attempts: 3, locked_by: 'other-host:1' }),
+    makeJob({ id: 2, status: 'running', attempts: 1, locked_by: `${os.hostname()}:${process.ppid}` }),
+    makeJob({ id: 3, status: 'running', attempts: 1, locked_by: 'other-host:2', is_stale: 1 })
+  ];
+  useStore({ jobs, recordings: [] });
+
+  const queue = new TranscriptionQueue(io, null);
+  assert.strictEqual(await queue.recoverInterrupted({ booting: true }), 1);
+  assert.deepStrictEqual(jobs.map(job => job.status), ['running', 'running', 'queued']);
+});
+
+test('failed attempts are retried with backoff until the job is dead', async () => {
+  const job = makeJob({ status: 'running', attempts: 1 });
+  const recordings = [{ id: 'rec-1', status: 'processing' }];
+  useStore({ jobs: [job], recordings });
+  const retries = [];
+  mock.method(TranscriptionJob, 'scheduleRetry', async (jobId, message, retryAt) => {
+    retries.push(retryAt.getTime() - Date.now());
+    Object.assign(job, { status: 'retrying', last_error: message });
+  });
+  mock.method(TranscriptionJob, 'markDead', async (jobId, message) => {
+    Object.assign(job, { status: 'dead', last_error: message });
+  });
+  process.env.TRANSCRIPTION_RETRY_BASE_MS = '1000';
+  const queue = new TranscriptionQueue(io, null);
+
+  await queue.handleFailure({ ...job }, new Error('provider timed out'));
+  assert.strictEqual(job.status, 'retrying');
+
+  job.attempts = 2;
+  await queue.handleFailure({ ...job }, new Error('provider timed out'));
+  assert.strictEqual(job.status, 'retrying');
+  assert.ok(retries[0] <= 1000 && retries[1] > 1000 && retries[1] <= 2000, `delays ${retries}`);
+
+  job.attempts = 3;
+  await queue.handleFailure({ ...job }, new Error('provider timed out'));
+  assert.strictEqual(job.status, 'dead');
+  assert.strictEqual(recordings[0].status, 'failed');
+
+  // Errors that cannot go away are not retried at all
+  Object.assign(job, { status: 'running', attempts: 1 });
+  recordings[0].status = 'processing';
+  const missing = Object.assign(new Error('Audio file not found on disk'), { permanent: true });
+  await queue.handleFailure({ ...job }, missing);
+  assert.strictEqual(job.status, 'dead');
+  assert.strictEqual(retries.length, 2);
+});
+
+test('a long recording split into windows reads the sidecar script once', async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldcafe-split-'));
+  const sidecar = path.join(workDir, 'rec-1.transcript.json');
+  const lines = Array.from({ length: 12 }, (_, index) => ({
+    speaker: index % 2,
+    text: `Line ${index + 1} of the table conversation.`,
+    start: index * 15,
+    end: index * 15 + 4
+  }));
+  fs.writeFileSync(sidecar, JSON.stringify({ segments: lines }));
+  Object.assign(process.env, {
+    FAKE_STT_SIDECAR_DIR: workDir,
+    TRANSCRIPTION_SPLIT_MINUTES: '1',
+    TRANSCRIPTION_WINDOW_MINUTES: '1',
+    TRANSCRIPTION_WINDOW_OVERLAP_SECONDS: '10'
+  });
+
+  try {
+    const provider = new FakeProvider();
+    const transcriptionService = {
+      transcribeFile: (filePath, options) => provider.transcribeFile(filePath, options),
+      getProviderName: () => 'fake'
+    };
+    const audioProcessor = {
+      isAvailable: async () => true,
+      probe: async () => ({ duration: 180 }),
+      cutWindow: async (input, output) => fs.writeFileSync(output, 'window')
+    };
+    const queue = new TranscriptionQueue(io, transcriptionService, { audioProcessor });
+
+    const result = await queue.transcribe({ id: 1 }, { file_path: sidecar }, { recording: { id: 'rec-1' } });
+    const transcript = result.results.channels[0].alternatives[0].transcript;
+    assert.strictEqual(transcript, lines.map(line => line.text).join(' '));
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
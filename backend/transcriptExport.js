@@ -0,0 +1,415 @@
+const fs = require('fs');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
+const PDFDocument = require('pdfkit');
+const { Session, Transcription } = require('./database/models');
+const { formatSpeakerLabel } = require('./utils/speakers');
+
+const EXPORT_FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8', recordingOnly: true },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8', recordingOnly: true },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+const SOURCE_LABELS = {
+  'start-recording': 'Recording',
+  'upload-media': 'Uploaded media',
+  'live-transcription': 'Live transcription',
+  'live-audio': 'Live audio',
+  'reprocess': 'Reprocessed'
+};
+
+// Subtitle cues longer than this are split so they fit on screen
+const MAX_CUE_WORDS = 14;
+// Speaking rate used to place cues when a transcript has no timings
+const SECONDS_PER_WORD = 0.4;
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function parseSegments(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const segments = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(segments) ? segments : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Speaker turns of one transcription; undiarized text becomes a single turn.
+// `name` is the label a facilitator gave the speaker, if any
+function normalizeSegments(row) {
+  const names = row.speaker_names || {};
+  const segments = parseSegments(row.speaker_segments)
+    .map(segment => ({
+      speaker: typeof segment.speaker === 'number' ? segment.speaker : null,
+      name: typeof segment.speaker === 'number' ? names[segment.speaker] || null : null,
+      start: toNumber(segment.start),
+      end: toNumber(segment.end),
+      text: String(segment.transcript || segment.text || '').trim(),
+      words: Array.isArray(segment.words) ? segment.words : null
+    }))
+    .filter(segment => segment.text);
+
+  if (segments.length === 0 && row.transcript_text) {
+    segments.push({ speaker: null, name: null, start: null, end: null, text: String(row.transcript_text).trim(), words: null });
+  }
+  return segments;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function formatClock(seconds, separator = null) {
+  const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const clock = `${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
+  return separator ? `${clock}${separator}${pad(totalMs % 1000, 3)}` : clock;
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const minutes = Math.floor(total / 60);
+  return minutes > 0 ? `${minutes}m ${pad(total % 60)}s` : `${total}s`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '';
+}
+
+// Takes a segment, cue or speaker entry
+function speakerLabel({ speaker, name }) {
+  if (speaker === null) {
+    return null;
+  }
+  return name || formatSpeakerLabel(speaker);
+}
+
+function transcriptionHeading(transcription) {
+  return [
+    transcription.roundNumber ? `Round ${transcription.roundNumber}` : null,
+    formatDate(transcription.createdAt),
+    SOURCE_LABELS[transcription.source] || transcription.source
+  ].filter(Boolean).join(' · ');
+}
+
+function tableHeading(table) {
+  return table.tableName ? `Table ${table.tableNumber} · ${table.tableName}` : `Table ${table.tableNumber}`;
+}
+
+/**
+ * Transcript exports for a recording, a table or a whole session: subtitles
+ * (SRT, WebVTT) for a single recording, Markdown and a CSV of speaker
+ * segments, and a "harvest report" as DOCX or PDF that facilitators hand
+ * over after an event.
+ */
+class TranscriptExport {
+  getFormat(format) {
+    return EXPORT_FORMATS[format] || null;
+  }
+
+  // scope: { sessionId, tableId?, recordingId? }
+  async load({ sessionId, tableId = null, recordingId = null }) {
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const rows = (await Transcription.findBySessionId(sessionId))
+      .filter(row => !tableId || row.table_id === tableId)
+      .filter(row => !recordingId || row.recording_id === recordingId)
+      .sort((a, b) => a.table_number - b.table_number
+        || (a.round_number || 0) - (b.round_number || 0)
+        || new Date(a.created_at) - new Date(b.created_at));
+
+    const transcriptions = rows.map(row => ({
+      id: row.id,
+      recordingId: row.recording_id,
+      tableId: row.table_id,
+      tableNumber: row.table_number,
+      tableName: row.table_name,
+      roundNumber: row.round_number,
+      source: row.source,
+      language: row.language,
+      createdAt: row.created_at,
+      durationSeconds: toNumber(row.duration_seconds),
+      wordCount: row.word_count || 0,
+      segments: normalizeSegments(row)
+    }));
+
+    const scope = recordingId ? 'recording' : tableId ? 'table' : 'session';
+    return { session, scope, transcriptions, tables: this.groupByTable(transcriptions), exportedAt: new Date() };
+  }
+
+  groupByTable(transcriptions) {
+    const tables = new Map();
+    transcriptions.forEach((transcription) => {
+      if (!tables.has(transcription.tableId)) {
+        tables.set(transcription.tableId, {
+          tableId: transcription.tableId,
+          tableNumber: transcription.tableNumber,
+          tableName: transcription.tableName,
+          transcriptions: []
+        });
+      }
+      tables.get(transcription.tableId).transcriptions.push(transcription);
+    });
+
+    return [...tables.values()].map(table => ({ ...table, speakers: this.getSpeakers(table.transcriptions) }));
+  }
+
+  // Speaking time per speaker at one table, measured from segment timings
+  // when present. Named speakers are counted across recordings; unnamed ones
+  // by their number
+  getSpeakers(transcriptions) {
+    const speakers = new Map();
+    transcriptions.forEach(transcription => transcription.segments.forEach((segment) => {
+      if (segment.speaker === null) {
+        return;
+      }
+      const key = segment.name ? `name:${segment.name}` : `speaker:${segment.speaker}`;
+      const entry = speakers.get(key) || { speaker: segment.speaker, name: segment.name, seconds: 0, words: 0 };
+      entry.words += segment.text.split(/\s+/).length;
+      if (segment.start !== null && segment.end !== null && segment.end > segment.start) {
+        entry.seconds += segment.end - segment.start;
+      }
+      speakers.set(key, entry);
+    }));
+
+    const list = [...speakers.values()].sort((a, b) => a.speaker - b.speaker);
+    const totalWords = list.reduce((sum, entry) => sum + entry.words, 0);
+    return list.map(entry => ({ ...entry, share: totalWords ? Math.round((entry.words / totalWords) * 100) : 0 }));
+  }
+
+  getFilename(data, format) {
+    const slug = String(data.session.title || 'session').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'session';
+    const table = data.scope !== 'session' && data.tables[0] ? `-table-${data.tables[0].tableNumber}` : '';
+    const recording = data.scope === 'recording' && data.transcriptions[0] ? `-${String(data.transcriptions[0].recordingId).slice(0, 8)}` : '';
+    return `${slug}${table}${recording}-transcript.${EXPORT_FORMATS[format].extension}`;
+  }
+
+  async render(format, data) {
+    switch (format) {
+      case 'srt': return this.toSubtitles(data, 'srt');
+      case 'vtt': return this.toSubtitles(data, 'vtt');
+      case 'md': return this.toMarkdown(data);
+      case 'csv': return this.toCsv(data);
+      case 'docx': return this.toDocx(data);
+      case 'pdf': return this.toPdf(data);
+      default: throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  // Cues of at most MAX_CUE_WORDS, timed from word timings when the
+  // provider returned them and interpolated across the segment otherwise
+  getCues(transcription) {
+    const cues = [];
+    let cursor = 0;
+
+    transcription.segments.forEach((segment) => {
+      const tokens = segment.text.split(/\s+/);
+      const start = segment.start ?? cursor;
+      const end = segment.end !== null && segment.end > start ? segment.end : start + tokens.length * SECONDS_PER_WORD;
+      const words = segment.words && segment.words.length === tokens.length ? segment.words : null;
+      const timeAt = index => start + ((end - start) * index) / tokens.length;
+
+      for (let offset = 0; offset < tokens.length; offset += MAX_CUE_WORDS) {
+        const last = Math.min(offset + MAX_CUE_WORDS, tokens.length);
+        cues.push({
+          speaker: segment.speaker,
+          name: segment.name,
+          start: toNumber(words?.[offset]?.start) ?? timeAt(offset),
+          end: toNumber(words?.[last - 1]?.end) ?? timeAt(last),
+          text: tokens.slice(offset, last).join(' ')
+        });
+      }
+      cursor = end;
+    });
+
+    return cues;
+  }
+
+  toSubtitles(data, format) {
+    const cues = data.transcriptions.flatMap(transcription => this.getCues(transcription));
+    const separator = format === 'srt' ? ',' : '.';
+
+    const blocks = cues.map((cue, index) => {
+      const timing = `${formatClock(cue.start, separator)} --> ${formatClock(cue.end, separator)}`;
+      const text = format === 'vtt' && cue.speaker !== null
+        ? `<v ${speakerLabel(cue)}>${cue.text}`
+        : `${cue.speaker !== null ? `${speakerLabel(cue)}: ` : ''}${cue.text}`;
+      return format === 'srt' ? `${index + 1}\n${timing}\n${text}` : `${timing}\n${text}`;
+    });
+
+    return format === 'vtt' ? `WEBVTT\n\n${blocks.join('\n\n')}\n` : `${blocks.join('\n\n')}\n`;
+  }
+
+  toMarkdown(data) {
+    const { session } = data;
+    const lines = [`# ${session.title}`, ''];
+    if (session.description) {
+      lines.push(session.description, '');
+    }
+    lines.push(`_Exported ${formatDate(data.exportedAt)} · ${data.transcriptions.length} transcript(s)_`, '');
+
+    data.tables.forEach((table) => {
+      lines.push(`## ${tableHeading(table)}`, '');
+      if (table.speakers.length > 0) {
+        lines.push(table.speakers.map(entry => `- ${speakerLabel(entry)}: ${entry.share}% of words${entry.seconds ? `, ${formatDuration(entry.seconds)}` : ''}`).join('\n'), '');
+      }
+      table.transcriptions.forEach((transcription) => {
+        lines.push(`### ${transcriptionHeading(transcription)}`, '');
+        transcription.segments.forEach((segment) => {
+          const prefix = [segment.start !== null ? `[${formatClock(segment.start)}]` : null, speakerLabel(segment)]
+            .filter(Boolean)
+            .join(' ');
+          lines.push(prefix ? `**${prefix}:** ${segment.text}` : segment.text, '');
+        });
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  toCsv(data) {
+    const csvValue = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = [
+      'session_title', 'table_number', 'table_name', 'round', 'transcription_id', 'recording_id',
+      'source', 'language', 'segment', 'speaker', 'speaker_name', 'start_seconds', 'end_seconds', 'text'
+    ];
+    const rows = data.transcriptions.flatMap(transcription => transcription.segments.map((segment, index) => [
+      data.session.title, transcription.tableNumber, transcription.tableName, transcription.roundNumber,
+      transcription.id, transcription.recordingId, transcription.source, transcription.language,
+      index + 1, segment.speaker, segment.name, segment.start, segment.end, segment.text
+    ].map(csvValue).join(',')));
+
+    // The byte order mark makes Excel read the file as UTF-8
+    return `\uFEFF${[header.join(','), ...rows].join('\n')}\n`;
+  }
+
+  getReportOverview(data) {
+    const rounds = new Set(data.transcriptions.map(transcription => transcription.roundNumber).filter(Boolean));
+    return [
+      ['Session date', formatDate(data.session.created_at)],
+      ['Tables', data.tables.length],
+      ['Rounds', rounds.size || '—'],
+      ['Transcripts', data.transcriptions.length],
+      ['Words', data.transcriptions.reduce((sum, transcription) => sum + transcription.wordCount, 0).toLocaleString('en')],
+      ['Exported', formatDate(data.exportedAt)]
+    ];
+  }
+
+  async toDocx(data) {
+    const children = [
+      new Paragraph({ text: data.session.title, heading: HeadingLevel.TITLE }),
+      new Paragraph({ children: [new TextRun({ text: 'Harvest report', italics: true })] })
+    ];
+    if (data.session.description) {
+      children.push(new Paragraph({ text: data.session.description }));
+    }
+    this.getReportOverview(data).forEach(([label, value]) => {
+      children.push(new Paragraph({ children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))] }));
+    });
+
+    data.tables.forEach((table) => {
+      children.push(new Paragraph({ text: tableHeading(table), heading: HeadingLevel.HEADING_1, pageBreakBefore: true }));
+      table.speakers.forEach((entry) => {
+        children.push(new Paragraph({
+          text: `${speakerLabel(entry)}: ${entry.share}% of words${entry.seconds ? `, ${formatDuration(entry.seconds)}` : ''}`,
+          bullet: { level: 0 }
+        }));
+      });
+
+      table.transcriptions.forEach((transcription) => {
+        children.push(new Paragraph({ text: transcriptionHeading(transcription), heading: HeadingLevel.HEADING_2 }));
+        transcription.segments.forEach((segment) => {
+          const prefix = [segment.start !== null ? `[${formatClock(segment.start)}]` : null, speakerLabel(segment)]
+            .filter(Boolean)
+            .join(' ');
+          children.push(new Paragraph({
+            spacing: { after: 120 },
+            children: [
+              ...(prefix ? [new TextRun({ text: `${prefix}: `, bold: true })] : []),
+              new TextRun(segment.text)
+            ]
+          }));
+        });
+      });
+    });
+
+    const document = new Document({
+      creator: 'World Café Platform',
+      title: `${data.session.title} – harvest report`,
+      sections: [{ children }]
+    });
+    return Packer.toBuffer(document);
+  }
+
+  // The built-in PDF fonts only cover Latin-1; PDF_FONT_PATH points to a
+  // TrueType font for transcripts in other scripts
+  toPdf(data) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 56, size: 'A4', info: { Title: `${data.session.title} – harvest report` } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const customFont = process.env.PDF_FONT_PATH && fs.existsSync(process.env.PDF_FONT_PATH) ? process.env.PDF_FONT_PATH : null;
+      const regular = customFont || 'Helvetica';
+      const bold = customFont || 'Helvetica-Bold';
+
+      doc.font(bold).fontSize(22).text(data.session.title);
+      doc.font(regular).fontSize(11).fillColor('#555555').text('Harvest report').moveDown();
+      if (data.session.description) {
+        doc.fillColor('#000000').text(data.session.description).moveDown(0.5);
+      }
+      doc.fillColor('#000000');
+      this.getReportOverview(data).forEach(([label, value]) => {
+        doc.font(bold).text(`${label}: `, { continued: true }).font(regular).text(String(value));
+      });
+
+      data.tables.forEach((table) => {
+        doc.addPage();
+        doc.font(bold).fontSize(16).text(tableHeading(table)).moveDown(0.5);
+        doc.font(regular).fontSize(10);
+        table.speakers.forEach((entry) => {
+          doc.text(`• ${speakerLabel(entry)}: ${entry.share}% of words${entry.seconds ? `, ${formatDuration(entry.seconds)}` : ''}`);
+        });
+
+        table.transcriptions.forEach((transcription) => {
+          doc.moveDown().font(bold).fontSize(12).text(transcriptionHeading(transcription)).moveDown(0.3);
+          doc.fontSize(10);
+          transcription.segments.forEach((segment) => {
+            const prefix = [segment.start !== null ? `[${formatClock(segment.start)}]` : null, speakerLabel(segment)]
+              .filter(Boolean)
+              .join(' ');
+            if (prefix) {
+              doc.font(bold).text(`${prefix}: `, { continued: true });
+            }
+            doc.font(regular).text(segment.text, { paragraphGap: 4 });
+          });
+        });
+      });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = TranscriptExport;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
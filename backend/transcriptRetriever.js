@@ -0,0 +1,266 @@
+const { TranscriptChunk } = require('./database/models');
+const { chunkTranscription } = require('./retrieval/chunker');
+const { BM25Index } = require('./retrieval/bm25');
+const { formatSpeakerLabel } = require('./utils/speakers');
+
+// Reciprocal rank fusion constant; 60 is the value from the original paper
+const RRF_K = 60;
+// Prompt tokens per source for its [n] label line
+const SOURCE_LABEL_TOKENS = 30;
+const EXCERPT_LENGTH = 240;
+
+function estimateTokenCount(text) {
+  // Rough estimation: average 4 characters per token
+  return Math.ceil(text.length / 4);
+}
+
+function formatTime(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return null;
+  }
+  const total = Math.floor(seconds);
+  const pad = value => String(value).padStart(2, '0');
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${pad(minutes)}:${pad(total % 60)}`;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function timeOf(value) {
+  return value ? new Date(value).getTime() : 0;
+}
+
+/**
+ * Keeps the transcript_chunks index of a session in step with its
+ * transcriptions and ranks chunks against a chat question.
+ *
+ * Ranking is BM25 over the chunk text. When the language model provider has
+ * an embedding model configured, chunks are embedded as they are indexed and
+ * the question is scored by cosine similarity as well; the two rankings are
+ * merged with reciprocal rank fusion.
+ *
+ * Selected chunks are handed to the model as numbered sources ("[n] Table 3 ·
+ * Round 2 · 04:12–05:30") so answers can cite them and citations can be
+ * mapped back to the table, recording and time they came from.
+ */
+class TranscriptRetriever {
+  constructor(llmService) {
+    this.llm = llmService;
+  }
+
+  // Re-chunks every transcription edited since it was last indexed and
+  // returns all chunks of the session
+  async syncSession(sessionId, transcriptions) {
+    const embeddingModel = this.llm.getEmbeddingModel();
+
+    try {
+      const state = await TranscriptChunk.getIndexState(sessionId);
+      let rebuilt = 0;
+
+      for (const transcription of transcriptions) {
+        const indexed = state.get(transcription.id);
+        const stale = !indexed
+          || timeOf(indexed.source_updated_at) !== timeOf(transcription.updated_at || transcription.created_at);
+        const unembedded = embeddingModel && indexed
+          && (indexed.embedding_model !== embeddingModel || Number(indexed.missing_embeddings) > 0);
+
+        if (stale || unembedded) {
+          const chunks = await this.embedChunks(chunkTranscription(transcription), embeddingModel);
+          await TranscriptChunk.replaceForTranscription(transcription, chunks, embeddingModel);
+          rebuilt++;
+        }
+      }
+
+      await TranscriptChunk.deleteExcept(sessionId, transcriptions.map(transcription => transcription.id));
+      if (rebuilt > 0) {
+        console.log(`🔎 Indexed ${rebuilt} transcription(s) for session ${sessionId}`);
+      }
+      return await TranscriptChunk.findBySessionId(sessionId);
+    } catch (error) {
+      // Chat still works from an in-memory index when the table is unavailable
+      console.warn(`⚠️ Transcript index unavailable, chunking in memory: ${error.message}`);
+      return transcriptions.flatMap(transcription => chunkTranscription(transcription).map(chunk => ({
+        ...chunk,
+        transcription_id: transcription.id,
+        session_id: transcription.session_id,
+        table_id: transcription.table_id,
+        table_number: transcription.table_number,
+        table_name: transcription.table_name,
+        recording_id: transcription.recording_id || null,
+        round_number: transcription.round_number || null,
+        embedding: null
+      })));
+    }
+  }
+
+  async embedChunks(chunks, embeddingModel) {
+    if (!embeddingModel || chunks.length === 0) {
+      return chunks;
+    }
+    try {
+      const vectors = await this.llm.embed(chunks.map(chunk => chunk.content));
+      return chunks.map((chunk, index) => ({ ...chunk, embedding: vectors[index] }));
+    } catch (error) {
+      console.warn(`⚠️ Embedding failed, indexing for keyword search only: ${error.message}`);
+      return chunks;
+    }
+  }
+
+  // "table 3" / "round 2" in a question narrow the search to those chunks
+  parseScope(question) {
+    const numbers = pattern => [...question.matchAll(pattern)].map(match => parseInt(match[1], 10));
+    return {
+      tableNumbers: numbers(/\btable\s*#?(\d+)/gi),
+      roundNumbers: numbers(/\bround\s*#?(\d+)/gi)
+    };
+  }
+
+  applyScope(chunks, { tableNumbers = [], roundNumbers = [] }) {
+    return chunks.filter(chunk =>
+      (tableNumbers.length === 0 || tableNumbers.includes(Number(chunk.table_number)))
+      && (roundNumbers.length === 0 || roundNumbers.includes(Number(chunk.round_number))));
+  }
+
+  /**
+   * Rank chunks for a question. Returns [{ chunk, score }], best first, and
+   * the scope and method used so callers can report them.
+   */
+  async rank(chunks, question, { limit = 40 } = {}) {
+    const scope = this.parseScope(question);
+    const scoped = this.applyScope(chunks, scope);
+    // A scope that matches nothing (e.g. "table 12" in a ten-table session) is ignored
+    const candidates = scoped.length > 0 ? scoped : chunks;
+
+    const rankings = [new BM25Index(candidates).search(question, limit).map(result => result.document)];
+    let method = 'bm25';
+
+    const embeddingModel = this.llm.getEmbeddingModel();
+    const embedded = candidates.filter(chunk => Array.isArray(chunk.embedding)
+      && (!chunk.embedding_model || chunk.embedding_model === embeddingModel));
+    if (embeddingModel && embedded.length > 0) {
+      try {
+        const [queryVector] = await this.llm.embed([question]);
+        rankings.push(embedded
+          .map(chunk => ({ chunk, similarity: cosineSimilarity(queryVector, chunk.embedding) }))
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, limit)
+          .map(result => result.chunk));
+        method = 'hybrid';
+      } catch (error) {
+        console.warn(`⚠️ Query embedding failed, using keyword search only: ${error.message}`);
+      }
+    }
+
+    const scores = new Map();
+    rankings.forEach((ranking) => {
+      ranking.forEach((chunk, position) => {
+        scores.set(chunk, (scores.get(chunk) || 0) + 1 / (RRF_K + position + 1));
+      });
+    });
+
+    return {
+      results: [...scores.entries()]
+        .map(([chunk, score]) => ({ chunk, score }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit),
+      candidates,
+      scoped: scoped.length > 0 && scoped.length < chunks.length,
+      method
+    };
+  }
+
+  // Ranked results first, then the rest of the candidates round-robin across
+  // tables and rounds so broad requests still see every conversation. Small
+  // sessions fit entirely.
+  selectSources({ results = [], candidates = [] }, availableTokens) {
+    const selected = new Set();
+    let used = 0;
+    const add = (chunk) => {
+      const cost = estimateTokenCount(chunk.content) + SOURCE_LABEL_TOKENS;
+      if (selected.has(chunk) || used + cost > availableTokens) {
+        return false;
+      }
+      selected.add(chunk);
+      used += cost;
+      return true;
+    };
+
+    results.forEach(({ chunk }) => add(chunk));
+
+    const groups = new Map();
+    candidates.forEach((chunk) => {
+      const key = `${chunk.table_id}:${chunk.round_number ?? ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(chunk);
+    });
+    const queues = [...groups.values()];
+    while (queues.some(queue => queue.length > 0)) {
+      queues.forEach((queue) => {
+        while (queue.length > 0 && !add(queue.shift())) {
+          // Skip chunks that are already in or too large for what is left
+        }
+      });
+    }
+
+    // Present in conversation order; the numbering is what answers cite
+    return [...selected].sort((a, b) =>
+      (a.table_number - b.table_number)
+      || ((a.round_number || 0) - (b.round_number || 0))
+      || String(a.transcription_id).localeCompare(String(b.transcription_id))
+      || (a.chunk_index - b.chunk_index));
+  }
+
+  formatSourceLabel(chunk) {
+    const parts = [chunk.table_name ? `Table ${chunk.table_number} (${chunk.table_name})` : `Table ${chunk.table_number}`];
+    if (chunk.round_number) {
+      parts.push(`Round ${chunk.round_number}`);
+    }
+    const start = formatTime(chunk.start_time);
+    if (start) {
+      const end = formatTime(chunk.end_time);
+      parts.push(end ? `${start}–${end}` : start);
+    }
+    if (chunk.speakers?.length > 0) {
+      // Named speakers are stored by name, the rest by number
+      parts.push(chunk.speakers.map(speaker => (typeof speaker === 'number' ? formatSpeakerLabel(speaker) : speaker)).join(', '));
+    }
+    return parts.join(' · ');
+  }
+
+  formatSources(sources) {
+    return sources.map((chunk, index) => `\n[${index + 1}] ${this.formatSourceLabel(chunk)}\n${chunk.content}\n`).join('');
+  }
+
+  // Where source [index] was said, for the client to link to
+  toCitation(chunk, index) {
+    return {
+      index,
+      tableId: chunk.table_id,
+      tableNumber: chunk.table_number,
+      tableName: chunk.table_name || null,
+      roundNumber: chunk.round_number || null,
+      recordingId: chunk.recording_id || null,
+      transcriptionId: chunk.transcription_id,
+      start: chunk.start_time,
+      end: chunk.end_time,
+      speakers: chunk.speakers || [],
+      excerpt: chunk.content.length > EXCERPT_LENGTH ? `${chunk.content.slice(0, EXCERPT_LENGTH)}…` : chunk.content
+    };
+  }
+}
+
+module.exports = TranscriptRetriever;
+module.exports.estimateTokenCount = estimateTokenCount;
@@ -0,0 +1,451 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Session, Table, Recording, Transcription, TranscriptionRevision, TranscriptionJob, SessionVocabulary } = require('./database/models');
+const { applyVocabulary, applyVocabularyToSegments } = require('./stt/vocabulary');
+const { planWindows, stitchWindows } = require('./stt/longAudio');
+
+const DEFAULT_WORKERS = 2;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+const POLL_INTERVAL_MS = 5000;
+const LOCK_RENEW_INTERVAL_MS = 60 * 1000;
+const DEFAULT_LOCK_TIMEOUT_SECONDS = 5 * 60;
+const DEFAULT_SPLIT_MINUTES = 30;
+const DEFAULT_WINDOW_MINUTES = 10;
+const DEFAULT_WINDOW_OVERLAP_SECONDS = 15;
+const DEFAULT_WINDOW_WORKERS = 3;
+
+/**
+ * Background transcription of uploaded and reprocessed recordings.
+ *
+ * Jobs live in `transcription_jobs` so nothing is lost when the server
+ * restarts: jobs whose worker died are released (see recoverInterrupted)
+ * and recordings stranded in `uploaded`/`processing` get a fresh job. A
+ * small worker pool claims due jobs, failed attempts are retried with
+ * exponential backoff and jobs that run out of attempts are parked as
+ * `dead` until someone retries them.
+ * Progress is broadcast to the session room through `table-recording-update`
+ * (and `reprocess-status` for reprocess jobs).
+ */
+class TranscriptionQueue {
+  constructor(io, transcriptionService, { audioProcessor = null, onTranscriptionSaved = null } = {}) {
+    this.io = io;
+    this.transcriptionService = transcriptionService;
+    this.audioProcessor = audioProcessor;
+    this.onTranscriptionSaved = onTranscriptionSaved;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.active = new Set(); // job ids being worked on by this process
+    this.timer = null;
+    this.lockTimer = null;
+    this.filling = false;
+  }
+
+  getConfig() {
+    return {
+      workers: parseInt(process.env.TRANSCRIPTION_WORKERS, 10) || DEFAULT_WORKERS,
+      maxAttempts: parseInt(process.env.TRANSCRIPTION_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS,
+      retryBaseMs: parseInt(process.env.TRANSCRIPTION_RETRY_BASE_MS, 10) || DEFAULT_RETRY_BASE_MS,
+      lockTimeoutSeconds: parseInt(process.env.TRANSCRIPTION_LOCK_TIMEOUT_SECONDS, 10) || DEFAULT_LOCK_TIMEOUT_SECONDS,
+      // 0 turns splitting off
+      splitSeconds: (process.env.TRANSCRIPTION_SPLIT_MINUTES === undefined
+        ? DEFAULT_SPLIT_MINUTES
+        : Math.max(0, parseFloat(process.env.TRANSCRIPTION_SPLIT_MINUTES) || 0)) * 60,
+      windowSeconds: (parseFloat(process.env.TRANSCRIPTION_WINDOW_MINUTES) || DEFAULT_WINDOW_MINUTES) * 60,
+      overlapSeconds: parseFloat(process.env.TRANSCRIPTION_WINDOW_OVERLAP_SECONDS) || DEFAULT_WINDOW_OVERLAP_SECONDS,
+      windowWorkers: parseInt(process.env.TRANSCRIPTION_WINDOW_WORKERS, 10) || DEFAULT_WINDOW_WORKERS
+    };
+  }
+
+  async getStatus() {
+    const config = this.getConfig();
+    return {
+      workers: config.workers,
+      max_attempts: config.maxAttempts,
+      active: this.active.size,
+      jobs: await TranscriptionJob.getStats()
+    };
+  }
+
+  // A running job's worker is gone when it is this process in an earlier
+  // life (same host and pid, as in containers where the server is always
+  // pid 1), another process on this host that no longer exists, or a worker
+  // anywhere that stopped renewing its lock. Our own locks only count while
+  // booting, before this process has claimed anything itself.
+  isOrphaned(job, { booting = false } = {}) {
+    if (job.locked_by === this.workerId) {
+      return booting;
+    }
+    const [host, pid] = String(job.locked_by || '').split(':');
+    if (host === os.hostname() && pid) {
+      try {
+        process.kill(Number(pid), 0);
+      } catch (error) {
+        if (error.code === 'ESRCH') {
+          return true;
+        }
+      }
+    }
+    return Boolean(job.is_stale);
+  }
+
+  /**
+   * Release the jobs of workers that died. The attempt they were on still
+   * counts: a job that has used up its attempts is marked dead and its
+   * recording failed, so a file that crashes the server is not picked up
+   * again on every boot.
+   */
+  async recoverInterrupted({ booting = false } = {}) {
+    const running = await TranscriptionJob.findRunning(this.getConfig().lockTimeoutSeconds);
+    let released = 0;
+
+    for (const job of running.filter(candidate => this.isOrphaned(candidate, { booting }))) {
+      const exhausted = job.attempts >= job.max_attempts;
+      const message = `The server stopped during attempt ${job.attempts} of ${job.max_attempts}`;
+      if (!await TranscriptionJob.releaseInterrupted(job.id, job.locked_by, { dead: exhausted, errorMessage: exhausted ? message : null })) {
+        continue;
+      }
+      released++;
+
+      if (exhausted) {
+        console.error(`💀 Job ${job.id} was interrupted on its last attempt; giving up`);
+        await Recording.markFailed(job.recording_id);
+        this.notify(job, 'failed', { message: `Transcription failed: ${message}`, error: message });
+      } else {
+        this.notify(job, 'queued', { message: 'Transcription was interrupted and will resume' });
+      }
+    }
+
+    if (released > 0) {
+      console.log(`♻️ Released ${released} interrupted transcription job(s)`);
+    }
+    return released;
+  }
+
+  async renewLocks() {
+    try {
+      await TranscriptionJob.renewLocks(this.workerId, [...this.active]);
+      await this.recoverInterrupted();
+    } catch (error) {
+      console.error('❌ Failed to renew transcription job locks:', error.message);
+    }
+  }
+
+  async restore() {
+    await this.recoverInterrupted({ booting: true });
+
+    const stranded = await Recording.findUnqueuedPending();
+    for (const recording of stranded) {
+      if (!fs.existsSync(recording.file_path)) {
+        await Recording.markFailed(recording.id);
+        continue;
+      }
+      await this.enqueue(recording);
+    }
+    if (stranded.length > 0) {
+      console.log(`♻️ Re-queued ${stranded.length} recording(s) left unfinished before restart`);
+    }
+
+    this.start();
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.fill(), POLL_INTERVAL_MS);
+    this.lockTimer = setInterval(() => this.renewLocks(), LOCK_RENEW_INTERVAL_MS);
+    this.fill();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearInterval(this.lockTimer);
+    this.timer = null;
+    this.lockTimer = null;
+  }
+
+  async enqueue(recording, { jobType = 'upload', source = null } = {}) {
+    const existing = await TranscriptionJob.findActiveByRecording(recording.id);
+    if (existing) {
+      return existing;
+    }
+
+    const job = await TranscriptionJob.create({
+      recordingId: recording.id,
+      sessionId: recording.session_id,
+      tableId: recording.table_id,
+      jobType,
+      source,
+      maxAttempts: this.getConfig().maxAttempts
+    });
+
+    console.log(`📥 Queued ${jobType} transcription job ${job.id} for recording ${recording.id}`);
+    this.notify(job, 'queued', { message: 'Waiting for a transcription worker...' });
+    setImmediate(() => this.fill());
+    return job;
+  }
+
+  // Give a dead job a fresh set of attempts
+  async retry(jobId) {
+    const job = await TranscriptionJob.findById(jobId);
+    if (!job) {
+      throw new Error('Transcription job not found');
+    }
+    if (job.status !== 'dead') {
+      throw new Error('Only failed jobs can be retried');
+    }
+
+    const requeued = await TranscriptionJob.requeue(jobId, this.getConfig().maxAttempts);
+    await Recording.updateStatus(job.recording_id, 'uploaded');
+    this.notify(requeued, 'queued', { message: 'Transcription queued again' });
+    setImmediate(() => this.fill());
+    return requeued;
+  }
+
+  async fill() {
+    if (this.filling || !this.timer) {
+      return;
+    }
+    this.filling = true;
+
+    try {
+      while (this.active.size < this.getConfig().workers) {
+        const job = await TranscriptionJob.claimNext(this.workerId);
+        if (!job) {
+          break;
+        }
+        this.run(job);
+      }
+    } catch (error) {
+      console.error('❌ Failed to claim transcription jobs:', error.message);
+    } finally {
+      this.filling = false;
+    }
+  }
+
+  run(job) {
+    this.active.add(job.id);
+
+    this.processJob(job)
+      .catch(error => this.handleFailure(job, error))
+      .catch(error => console.error(`❌ Could not record failure of transcription job ${job.id}:`, error))
+      .finally(() => {
+        this.active.delete(job.id);
+        this.fill();
+      });
+  }
+
+  /**
+   * Transcribe a recording in one request, or, when it is longer than
+   * TRANSCRIPTION_SPLIT_MINUTES and ffmpeg is there to cut it, in
+   * overlapping windows that run in parallel and are stitched back into one
+   * result (see stt/longAudio.js).
+   */
+  async transcribe(job, audio, options) {
+    const config = this.getConfig();
+    const canSplit = config.splitSeconds > 0 && this.audioProcessor && await this.audioProcessor.isAvailable();
+    const duration = canSplit ? (await this.audioProcessor.probe(audio.file_path)).duration : null;
+    if (!duration || duration <= config.splitSeconds) {
+      return await this.transcriptionService.transcribeFile(audio.file_path, options);
+    }
+
+    const windows = planWindows(duration, config);
+    const results = new Array(windows.length);
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worldcafe-windows-'));
+    let next = 0;
+    let done = 0;
+
+    console.log(`✂️ Job ${job.id}: splitting ${Math.round(duration / 60)} min into ${windows.length} windows`);
+    const worker = async () => {
+      while (next < windows.length) {
+        const window = windows[next++];
+        const windowPath = path.join(workDir, `window-${window.index}.flac`);
+        await this.audioProcessor.cutWindow(audio.file_path, windowPath, window.start, window.end - window.start);
+        results[window.index] = await this.transcriptionService.transcribeFile(windowPath, {
+          ...options,
+          window: { start: window.start, duration: window.end - window.start }
+        });
+        fs.rmSync(windowPath, { force: true });
+
+        done++;
+        this.notify(job, 'processing', { message: `Transcribing audio (part ${done} of ${windows.length})...` });
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(config.windowWorkers, windows.length) }, worker));
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    return stitchWindows(windows, results, { provider: this.transcriptionService.getProviderName() });
+  }
+
+  async processJob(job) {
+    const recording = await Recording.findWithTranscription(job.recording_id);
+    if (!recording) {
+      await TranscriptionJob.markDead(job.id, 'Recording no longer exists');
+      return;
+    }
+    if (!recording.file_path || !fs.existsSync(recording.file_path)) {
+      const error = new Error('Audio file not found on disk');
+      error.permanent = true;
+      throw error;
+    }
+
+    const session = await Session.findById(recording.session_id);
+    const language = session?.language || 'en-US';
+    const vocabulary = await SessionVocabulary.findBySessionId(recording.session_id);
+
+    await Recording.markProcessing(recording.id);
+
+    let audio = recording;
+    if (this.audioProcessor && !recording.audio_processed_at) {
+      this.notify(job, 'processing', { message: 'Preparing audio...' });
+      audio = await this.audioProcessor.processRecording(recording);
+    }
+
+    this.notify(job, 'processing', {
+      message: job.attempts > 1
+        ? `Transcribing (attempt ${job.attempts} of ${job.max_attempts})...`
+        : 'Transcribing audio...'
+    });
+
+    console.log(`🗣️ Job ${job.id}: transcribing ${audio.filename} (attempt ${job.attempts}/${job.max_attempts}, language: ${language})`);
+    const result = await this.transcribe(job, audio, {
+      language,
+      vocabulary,
+      recording: { id: recording.id, originalName: recording.original_name }
+    });
+
+    // Normalized recordings already carry the duration ffprobe measured; the
+    // end of the last word is only an estimate for files that skipped ffmpeg
+    const duration = result.results?.channels?.[0]?.alternatives?.[0]?.words?.slice(-1)?.[0]?.end || 0;
+    if (!audio.audio_processed_at && duration > 0) {
+      await Recording.updateDuration(recording.id, duration);
+    }
+
+    // Boosting makes glossary terms likelier, not certain, so the
+    // replacements run for every provider
+    const transcriptText = applyVocabulary(this.transcriptionService.extractTranscript(result), vocabulary);
+    const speakerSegments = applyVocabularyToSegments(this.transcriptionService.extractSpeakerSegments(result), vocabulary);
+    const timestamps = this.transcriptionService.extractWords(result);
+    const confidence = result.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0.0;
+    const source = job.job_type === 'reprocess' ? 'reprocess' : (job.source || 'start-recording');
+
+    // A retried upload may already have written its transcription before the
+    // failure, so update instead of creating a duplicate. A manually corrected
+    // transcript gets the new output as a revision so the edits can be restored.
+    const existing = recording.transcription_id ? await Transcription.findById(recording.transcription_id) : null;
+    let transcription;
+    if (existing && existing.revision > 0) {
+      transcription = await TranscriptionRevision.record(existing.id, {
+        transcriptText,
+        speakerSegments,
+        action: 'reprocess',
+        note: 'Transcribed again from the audio'
+      });
+      await Transcription.updateConfidence(existing.id, confidence);
+      await Transcription.update(existing.id, { timestamps: JSON.stringify(timestamps) });
+    } else if (existing) {
+      transcription = await Transcription.update(existing.id, {
+        transcript_text: transcriptText,
+        speaker_segments: JSON.stringify(speakerSegments),
+        timestamps: JSON.stringify(timestamps),
+        confidence_score: confidence,
+        word_count: Transcription.countWords(transcriptText),
+        updated_at: new Date()
+      });
+    } else {
+      transcription = await Transcription.create({
+        recordingId: recording.id,
+        sessionId: recording.session_id,
+        tableId: recording.table_id,
+        roundNumber: recording.round_number,
+        transcriptText,
+        speakerSegments,
+        timestamps,
+        confidenceScore: confidence,
+        source
+      });
+    }
+
+    await Recording.markCompleted(recording.id);
+    await TranscriptionJob.markCompleted(job.id);
+    console.log(`✅ Job ${job.id}: transcription ${transcription.id} saved`);
+    if (this.onTranscriptionSaved) {
+      this.onTranscriptionSaved(transcription);
+    }
+
+    const table = await Table.findById(recording.table_id);
+    this.io.to(recording.session_id).emit('transcription-completed', {
+      sessionId: recording.session_id,
+      tableId: recording.table_id,
+      tableNumber: table?.table_number,
+      roundNumber: transcription.round_number,
+      transcription: {
+        id: transcription.id,
+        transcript: transcription.transcript_text,
+        speakers: speakerSegments,
+        wordCount: transcription.word_count,
+        confidence: transcription.confidence_score,
+        source
+      },
+      source
+    });
+
+    this.notify(job, 'completed', {
+      message: job.job_type === 'reprocess' ? 'Reprocessing completed successfully!' : 'Transcription completed',
+      transcriptionId: transcription.id
+    });
+  }
+
+  async handleFailure(job, error) {
+    const message = error?.message || String(error);
+    const exhausted = error?.permanent || job.attempts >= job.max_attempts;
+
+    if (exhausted) {
+      console.error(`💀 Job ${job.id} failed permanently after ${job.attempts} attempt(s): ${message}`);
+      await TranscriptionJob.markDead(job.id, message);
+      await Recording.markFailed(job.recording_id);
+      this.notify(job, 'failed', { message: `Transcription failed: ${message}`, error: message });
+      return;
+    }
+
+    const delayMs = Math.min(MAX_RETRY_DELAY_MS, this.getConfig().retryBaseMs * 2 ** (job.attempts - 1));
+    const retryAt = new Date(Date.now() + delayMs);
+    console.warn(`🔁 Job ${job.id} attempt ${job.attempts}/${job.max_attempts} failed (${message}); retrying in ${Math.round(delayMs / 1000)}s`);
+
+    await TranscriptionJob.scheduleRetry(job.id, message, retryAt);
+    this.notify(job, 'retrying', {
+      message: `Transcription attempt ${job.attempts} failed, retrying in ${Math.round(delayMs / 1000)}s`,
+      error: message,
+      retryAt
+    });
+  }
+
+  notify(job, status, details = {}) {
+    const payload = {
+      recordingId: job.recording_id,
+      jobId: job.id,
+      status,
+      attempt: job.attempts,
+      maxAttempts: job.max_attempts,
+      ...details
+    };
+
+    this.io.to(job.session_id).emit('table-recording-update', {
+      ...payload,
+      tableId: job.table_id,
+      timestamp: new Date()
+    });
+
+    if (job.job_type === 'reprocess') {
+      this.io.to(job.session_id).emit('reprocess-status', payload);
+    }
+  }
+}
+
+module.exports = TranscriptionQueue;
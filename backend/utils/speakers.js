@@ -0,0 +1,12 @@
+/**
+ * Default name of a diarized speaker. Providers number speakers from 0, but
+ * people count from 1, so speaker 0 is shown as "Speaker 1" everywhere:
+ * the transcript view, exports, search results and LLM context.
+ * @param {number} speaker - Speaker index from the provider
+ * @returns {string}
+ */
+function formatSpeakerLabel(speaker) {
+    return `Speaker ${(Number(speaker) || 0) + 1}`;
+}
+
+module.exports = { formatSpeakerLabel };
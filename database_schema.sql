@@ -18,8 +18,7 @@ CREATE TABLE `global_settings` (
 
 -- Initialize platform settings
 INSERT INTO `global_settings` (`setting_key`, `setting_value`, `encrypted`, `description`) VALUES
-('platform_initialized', 'true', 0, 'Whether the platform has been initialized'),
-('admin_password', 'changeme123!', 0, 'Admin panel password - change this in production');
+('platform_initialized', 'true', 0, 'Whether the platform has been initialized');
 
 -- Table structure for table `migrations`
 CREATE TABLE `migrations` (
@@ -44,7 +43,20 @@ INSERT INTO `migrations` (`filename`) VALUES
 ('010_create_activity_logs.sql'),
 ('011_add_transcription_source_column.sql'),
 ('012_add_file_deleted_status.sql'),
-('013_update_transcription_source_enum.sql');
+('013_update_transcription_source_enum.sql'),
+('014_add_session_rounds.sql'),
+('015_add_participant_seatings.sql'),
+('016_add_transcription_jobs.sql'),
+('017_hash_stored_passwords.js'),
+('018_add_chat_summary_analysis_type.sql'),
+('019_add_transcript_chunks.sql'),
+('020_add_analysis_jobs.sql'),
+('021_add_transcript_fulltext_index.sql'),
+('022_add_transcription_revisions.sql'),
+('023_add_speaker_labels.sql'),
+('024_add_session_vocabulary.sql'),
+('025_add_recording_audio_processing.sql'),
+('026_add_media_uploads.sql');
 
 -- Table structure for table `sessions`
 CREATE TABLE `sessions` (
@@ -55,6 +67,7 @@ CREATE TABLE `sessions` (
   `status` enum('active','paused','closed','completed','archived','deleted') DEFAULT 'active',
   `session_duration` int DEFAULT 120,
   `rotation_enabled` tinyint(1) DEFAULT 0,
+  `current_round` int NOT NULL DEFAULT 0,
   `recording_enabled` tinyint(1) DEFAULT 1,
   `created_at` timestamp NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
@@ -65,11 +78,11 @@ CREATE TABLE `sessions` (
   `admin_notes` text DEFAULT NULL,
   `language` varchar(10) DEFAULT 'en-US',
   `admin_password_hash` varchar(255) DEFAULT NULL,
-  `admin_password` varchar(50) DEFAULT NULL,
+  `admin_password_lookup` char(64) DEFAULT NULL,
   PRIMARY KEY (`id`),
   KEY `idx_sessions_status` (`status`),
   KEY `idx_sessions_deleted_at` (`deleted_at`),
-  KEY `idx_sessions_admin_password` (`admin_password`)
+  KEY `idx_sessions_admin_password_lookup` (`admin_password_lookup`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 
 -- Table structure for table `participants`
@@ -83,6 +96,7 @@ CREATE TABLE `participants` (
   `is_facilitator` tinyint(1) DEFAULT 0,
   `joined_at` timestamp NULL DEFAULT current_timestamp(),
   `left_at` timestamp NULL DEFAULT NULL,
+  `updated_at` timestamp NULL DEFAULT NULL,
   PRIMARY KEY (`id`),
   KEY `session_id` (`session_id`),
   KEY `table_id` (`table_id`),
@@ -103,12 +117,12 @@ CREATE TABLE `tables` (
   `current_topic` varchar(500) DEFAULT NULL,
   `qr_code_url` varchar(500) DEFAULT NULL,
   `password_hash` varchar(255) DEFAULT NULL,
-  `password` varchar(50) DEFAULT NULL,
+  `password_lookup` char(64) DEFAULT NULL,
   `is_password_protected` tinyint(1) DEFAULT 0,
   PRIMARY KEY (`id`),
   UNIQUE KEY `unique_session_table` (`session_id`,`table_number`),
   KEY `tables_facilitator_fk` (`facilitator_id`),
-  KEY `idx_tables_password` (`password`),
+  KEY `idx_tables_password_lookup` (`password_lookup`),
   KEY `idx_tables_protected` (`is_password_protected`),
   CONSTRAINT `tables_ibfk_1` FOREIGN KEY (`session_id`) REFERENCES `sessions` (`id`) ON DELETE CASCADE,
   CONSTRAINT `tables_facilitator_fk` FOREIGN KEY (`facilitator_id`) REFERENCES `participants` (`id`) ON DELETE SET NULL
@@ -122,6 +136,7 @@ CREATE TABLE `recordings` (
   `id` varchar(36) NOT NULL,
   `session_id` varchar(36) NOT NULL,
   `table_id` int(11) NOT NULL,
+  `round_number` int DEFAULT NULL,
   `filename` varchar(255) NOT NULL,
   `duration_seconds` decimal(10,2) DEFAULT 0.00,
   `created_at` timestamp NULL DEFAULT current_timestamp(),
@@ -132,6 +147,10 @@ CREATE TABLE `recordings` (
   `status` enum('uploaded','processing','completed','failed','file_deleted') DEFAULT 'uploaded',
   `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
   `processed_at` timestamp NULL DEFAULT NULL,
+  `original_path` varchar(500) DEFAULT NULL,
+  `playback_path` varchar(500) DEFAULT NULL,
+  `media_info` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`media_info`)),
+  `audio_processed_at` timestamp NULL DEFAULT NULL,
   PRIMARY KEY (`id`),
   KEY `session_id` (`session_id`),
   KEY `table_id` (`table_id`),
@@ -146,6 +165,7 @@ CREATE TABLE `transcriptions` (
   `id` varchar(36) NOT NULL,
   `session_id` varchar(36) NOT NULL,
   `table_id` int(11) NOT NULL,
+  `round_number` int DEFAULT NULL,
   `transcript_text` longtext DEFAULT NULL,
   `confidence_score` decimal(5,4) DEFAULT 0.0000,
   `created_at` timestamp NULL DEFAULT current_timestamp(),
@@ -156,10 +176,13 @@ CREATE TABLE `transcriptions` (
   `speaker_segments` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`speaker_segments`)),
   `timestamps` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`timestamps`)),
   `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  `revision` int NOT NULL DEFAULT 0,
+  `edited_at` timestamp NULL DEFAULT NULL,
   PRIMARY KEY (`id`),
   KEY `session_id` (`session_id`),
   KEY `table_id` (`table_id`),
   KEY `recording_id` (`recording_id`),
+  FULLTEXT KEY `ft_transcriptions_text` (`transcript_text`),
   CONSTRAINT `transcriptions_ibfk_1` FOREIGN KEY (`session_id`) REFERENCES `sessions` (`id`) ON DELETE CASCADE,
   CONSTRAINT `transcriptions_ibfk_2` FOREIGN KEY (`table_id`) REFERENCES `tables` (`id`) ON DELETE CASCADE,
   CONSTRAINT `transcriptions_ibfk_3` FOREIGN KEY (`recording_id`) REFERENCES `recordings` (`id`) ON DELETE CASCADE
@@ -185,7 +208,7 @@ CREATE TABLE `session_analyses` (
   `session_id` varchar(36) NOT NULL,
   `table_id` int(11) DEFAULT NULL,
   `analysis_scope` enum('session','table') DEFAULT 'session',
-  `analysis_type` enum('summary','themes','sentiment','conflicts','agreements') NOT NULL,
+  `analysis_type` enum('summary','themes','sentiment','conflicts','agreements','chat_summary') NOT NULL,
   `analysis_data` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(`analysis_data`)),
   `metadata` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`metadata`)),
   `created_at` timestamp NULL DEFAULT current_timestamp(),
@@ -200,6 +223,196 @@ CREATE TABLE `session_analyses` (
   CONSTRAINT `session_analyses_table_fk` FOREIGN KEY (`table_id`) REFERENCES `tables` (`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
 
+-- Table structure for table `session_rounds`
+CREATE TABLE `session_rounds` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `session_id` varchar(36) NOT NULL,
+  `round_number` int NOT NULL,
+  `question` text DEFAULT NULL,
+  `duration_minutes` int NOT NULL DEFAULT 20,
+  `break_minutes` int NOT NULL DEFAULT 5,
+  `status` enum('pending','active','paused','break','completed') DEFAULT 'pending',
+  `started_at` timestamp NULL DEFAULT NULL,
+  `ends_at` timestamp NULL DEFAULT NULL,
+  `remaining_seconds` int DEFAULT NULL,
+  `completed_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `unique_session_round` (`session_id`,`round_number`),
+  CONSTRAINT `session_rounds_ibfk_1` FOREIGN KEY (`session_id`) REFERENCES `sessions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Table structure for table `participant_seatings`
+CREATE TABLE `participant_seatings` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `participant_id` varchar(36) NOT NULL,
+  `session_id` varchar(36) NOT NULL,
+  `table_id` int NOT NULL,
+  `round_number` int DEFAULT NULL,
+  `role` enum('host','traveller') DEFAULT 'traveller',
+  `joined_at` timestamp NULL DEFAULT current_timestamp(),
+  `left_at` timestamp NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_seatings_participant` (`participant_id`),
+  KEY `idx_seatings_session_table` (`session_id`,`table_id`),
+  CONSTRAINT `participant_seatings_ibfk_1` FOREIGN KEY (`participant_id`) REFERENCES `participants` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `participant_seatings_ibfk_2` FOREIGN KEY (`session_id`) REFERENCES `sessions` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `participant_seatings_ibfk_3` FOREIGN KEY (`table_id`) REFERENCES `tables` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Table structure for table `transcription_jobs`
+CREATE TABLE `transcription_jobs` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `recording_id` varchar(36) NOT NULL,
+  `session_id` varchar(36) NOT NULL,
+  `table_id` int NOT NULL,
+  `job_type` enum('upload','reprocess') DEFAULT 'upload',
+  `source` varchar(50) DEFAULT NULL,
+  `status` enum('queued','running','retrying','completed','dead') DEFAULT 'queued',
+  `attempts` int NOT NULL DEFAULT 0,
+  `max_attempts` int NOT NULL DEFAULT 3,
+  `run_after` timestamp NULL DEFAULT current_timestamp(),
+  `locked_by` varchar(100) DEFAULT NULL,
+  `locked_at` timestamp NULL DEFAULT NULL,
+  `last_error` text DEFAULT NULL,
+  `completed_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_jobs_status_run_after` (`status`,`run_after`),
+  KEY `idx_jobs_recording` (`recording_id`),
+  CONSTRAINT `transcription_jobs_ibfk_1` FOREIGN KEY (`recording_id`) REFERENCES `recordings` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `transcription_jobs_ibfk_2` FOREIGN KEY (`session_id`) REFERENCES `sessions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Table structure for table `analysis_jobs`
+CREATE TABLE `analysis_jobs` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `session_id` varchar(36) NOT NULL,
+  `table_id` int DEFAULT NULL,
+  `analysis_scope` enum('session','table') DEFAULT 'session',
+  `analysis_type` enum('summary','themes','sentiment','conflicts','agreements') NOT NULL,
+  `status` enum('queued','running','retrying','completed','dead') DEFAULT 'queued',
+  `attempts` int NOT NULL DEFAULT 0,
+  `max_attempts` int NOT NULL DEFAULT 3,
+  `run_after` timestamp NULL DEFAULT current_timestamp(),
+  `locked_by` varchar(100) DEFAULT NULL,
+  `locked_at` timestamp NULL DEFAULT NULL,
+  `last_error` text DEFAULT NULL,
+  `completed_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_analysis_jobs_status_run_after` (`status`,`run_after`),
+  KEY `idx_analysis_jobs_session` (`session_id`,`analysis_scope`,`table_id`),
+  CONSTRAINT `analysis_jobs_ibfk_1` FOREIGN KEY (`session_id`) REFERENCES `sessions` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `analysis_jobs_ibfk_2` FOREIGN KEY (`table_id`) REFERENCES `tables` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Table structure for table `transcription_revisions`
+CREATE TABLE `transcription_revisions` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `transcription_id` varchar(36) NOT NULL,
+  `revision_number` int NOT NULL,
+  `action` enum('original','edit','revert','reprocess') NOT NULL DEFAULT 'edit',
+  `reverted_from` int DEFAULT NULL,
+  `transcript_text` longtext DEFAULT NULL,
+  `speaker_segments` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`speaker_segments`)),
+  `word_count` int NOT NULL DEFAULT 0,
+  `author` varchar(255) DEFAULT NULL,
+  `author_role` varchar(20) DEFAULT NULL,
+  `note` varchar(500) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `unique_transcription_revision` (`transcription_id`,`revision_number`),
+  CONSTRAINT `transcription_revisions_ibfk_1` FOREIGN KEY (`transcription_id`) REFERENCES `transcriptions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Table structure for table `session_vocabulary`
+CREATE TABLE `session_vocabulary` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `session_id` varchar(36) NOT NULL,
+  `term` varchar(100) NOT NULL,
+  `boost` decimal(4,1) DEFAULT NULL,
+  `replacements` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`replacements`)),
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_session_vocabulary_session` (`session_id`),
+  CONSTRAINT `session_vocabulary_ibfk_1` FOREIGN KEY (`session_id`) REFERENCES `sessions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Table structure for table `speaker_labels`
+CREATE TABLE `speaker_labels` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `recording_id` varchar(36) NOT NULL,
+  `session_id` varchar(36) NOT NULL,
+  `table_id` int NOT NULL,
+  `speaker_index` int NOT NULL,
+  `label` varchar(255) NOT NULL,
+  `participant_id` varchar(36) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `unique_recording_speaker` (`recording_id`,`speaker_index`),
+  KEY `idx_speaker_labels_session` (`session_id`),
+  KEY `idx_speaker_labels_table` (`table_id`),
+  CONSTRAINT `speaker_labels_ibfk_1` FOREIGN KEY (`recording_id`) REFERENCES `recordings` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `speaker_labels_ibfk_2` FOREIGN KEY (`session_id`) REFERENCES `sessions` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `speaker_labels_ibfk_3` FOREIGN KEY (`participant_id`) REFERENCES `participants` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Table structure for table `media_uploads`
+CREATE TABLE `media_uploads` (
+  `id` varchar(36) NOT NULL,
+  `session_id` varchar(36) NOT NULL,
+  `table_id` int NOT NULL,
+  `original_name` varchar(255) NOT NULL,
+  `mime_type` varchar(100) DEFAULT NULL,
+  `total_size` bigint NOT NULL,
+  `received_bytes` bigint NOT NULL DEFAULT 0,
+  `chunk_size` int NOT NULL,
+  `temp_path` varchar(500) NOT NULL,
+  `options` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`options`)),
+  `status` enum('uploading','completed','aborted') NOT NULL DEFAULT 'uploading',
+  `recording_id` varchar(36) DEFAULT NULL,
+  `expires_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_media_uploads_table` (`table_id`),
+  KEY `idx_media_uploads_expiry` (`status`,`expires_at`),
+  CONSTRAINT `media_uploads_ibfk_1` FOREIGN KEY (`session_id`) REFERENCES `sessions` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `media_uploads_ibfk_2` FOREIGN KEY (`table_id`) REFERENCES `tables` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Table structure for table `transcript_chunks`
+CREATE TABLE `transcript_chunks` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `transcription_id` varchar(36) NOT NULL,
+  `session_id` varchar(36) NOT NULL,
+  `table_id` int NOT NULL,
+  `recording_id` varchar(36) DEFAULT NULL,
+  `round_number` int DEFAULT NULL,
+  `chunk_index` int NOT NULL,
+  `start_time` decimal(10,3) DEFAULT NULL,
+  `end_time` decimal(10,3) DEFAULT NULL,
+  `speakers` json DEFAULT NULL,
+  `content` text NOT NULL,
+  `word_count` int NOT NULL DEFAULT 0,
+  `embedding` longtext DEFAULT NULL,
+  `embedding_model` varchar(100) DEFAULT NULL,
+  `source_updated_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `unique_transcription_chunk` (`transcription_id`,`chunk_index`),
+  KEY `idx_chunks_session` (`session_id`),
+  KEY `idx_chunks_session_table` (`session_id`,`table_id`,`round_number`),
+  CONSTRAINT `transcript_chunks_ibfk_1` FOREIGN KEY (`transcription_id`) REFERENCES `transcriptions` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `transcript_chunks_ibfk_2` FOREIGN KEY (`session_id`) REFERENCES `sessions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
 -- Table structure for table `session_history`
 CREATE TABLE `session_history` (
   `id` int(11) NOT NULL AUTO_INCREMENT,
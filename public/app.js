@@ -16,14 +16,24 @@ let mobileMenuOpen = false;
 const transcriptionRegistry = new Map();
 let transcriptionPreviewEscapeHandler = null;
 let lastFocusedTranscriptionCard = null;
+let transcriptEditor = null; // correction editor state in the transcription preview
+let transcriptPlayback = { recordingId: null, words: [], activeSegment: null }; // audio of the open preview
 let activeTableQrModal = null;
 let previousFocusBeforeQrModal = null;
 let qrModalEscHandler = null;
 let currentInterimBubble = null;
 let liveRecorderMimeType = null;
+let liveServerTranscriptionId = null; // transcript the server is checkpointing for the current stream
+let liveResumeToken = null; // lets a reconnected socket pick the live stream up again
+let liveLastWordEnd = 0;
+let liveResumePending = false;
+let pendingLiveChunks = []; // audio captured while the socket was down
 let liveRecorderStopResolver = null;
 let showAllTableQRCodes = false;
 
+const LIVE_CHUNK_MS = 250;
+const MAX_PENDING_LIVE_CHUNKS = 480;
+
 const DEEPGRAM_MODEL_OPTIONS = [
     'nova-3-general',
     'nova-3-meeting',
@@ -331,6 +341,7 @@ function consolidateSpeakerSegments(speakers) {
     let currentText = '';
     let startTime = null;
     let endTime = null;
+    let edited = false;
     
     speakers.forEach((segment, index) => {
         const speakerNum = segment.speaker !== undefined ? segment.speaker : 0;
@@ -351,7 +362,8 @@ function consolidateSpeakerSegments(speakers) {
                     speaker: currentSpeaker,
                     consolidatedText: currentText.trim(),
                     startTime: startTime,
-                    endTime: endTime
+                    endTime: endTime,
+                    edited
                 });
             }
             
@@ -360,10 +372,12 @@ function consolidateSpeakerSegments(speakers) {
             currentText = segmentText;
             startTime = segment.start;
             endTime = segment.end;
+            edited = Boolean(segment.edited);
         } else {
             // Same speaker, consolidate text
             currentText += ' ' + segmentText;
             endTime = segment.end; // Update end time to latest segment
+            edited = edited || Boolean(segment.edited);
         }
     });
     
@@ -373,13 +387,19 @@ function consolidateSpeakerSegments(speakers) {
             speaker: currentSpeaker,
             consolidatedText: currentText.trim(),
             startTime: startTime,
-            endTime: endTime
+            endTime: endTime,
+            edited
         });
     }
     
     return consolidated;
 }
 
+// Name a facilitator gave a diarized speaker, or its 1-based number
+function getSpeakerName(speakerNames, speaker) {
+    return speakerNames?.[speaker] || `Speaker ${(speaker ?? 0) + 1}`;
+}
+
 // Connection status indicator
 function updateConnectionStatus(status) {
     const statusElement = document.getElementById('connectionStatus');
@@ -401,7 +421,7 @@ async function loadExistingTranscriptions(options = {}) {
     if (!currentSession || !currentTable) return;
     
     try {
-        const response = await fetch(`/api/sessions/${currentSession.id}/tables/${currentTable.table_number}/transcriptions`);
+        const response = await fetch(`/api/sessions/${currentSession.id}/tables/${currentTable.table_number}/transcriptions${getRoundFilterQuery()}`);
         if (response.ok) {
             const transcriptions = await response.json();
             displayExistingTranscriptions(transcriptions, options);
@@ -459,6 +479,7 @@ function displayExistingTranscriptions(transcriptions, options = {}) {
     filteredTranscriptions.forEach((transcription, index) => {
         const transcriptItem = document.createElement('div');
         transcriptItem.className = 'transcript-item';
+        transcriptItem.dataset.transcriptionId = transcription.id;
         
         const speakers = parseSpeakerSegments(transcription);
         
@@ -496,7 +517,12 @@ function displayExistingTranscriptions(transcriptions, options = {}) {
             
             // Create chat bubbles for each speaker segment  
             consolidatedSpeakers.forEach(segment => {
-                createChatBubble(segment.speaker, segment.consolidatedText, transcription.source, transcriptItem);
+                const bubble = createChatBubble(segment.speaker, segment.consolidatedText, transcription.source, transcriptItem);
+                // Chat citations point at a time within the recording
+                if (bubble && typeof segment.startTime === 'number') {
+                    bubble.dataset.start = segment.startTime;
+                    bubble.dataset.end = typeof segment.endTime === 'number' ? segment.endTime : segment.startTime;
+                }
             });
         } else {
             console.log('📝 No speaker segments found, skipping transcription:', transcription.id);
@@ -538,6 +564,8 @@ function displayExistingTranscriptions(transcriptions, options = {}) {
     if (typeof updateTranscriptionTabCounts === 'function') {
         updateTranscriptionTabCounts();
     }
+
+    focusPendingChatCitation();
 }
 
 function prioritizeTranscriptions(transcriptions = []) {
@@ -849,6 +877,10 @@ function initializeSocket() {
             logger.logUserAction('socket_connected', { timestamp: new Date() });
         }
         updateConnectionStatus('connected');
+
+        if (isRecording && liveResumeToken) {
+            resumeLiveTranscription();
+        }
     });
     
     socket.on('disconnect', () => {
@@ -897,14 +929,35 @@ function initializeSocket() {
         updateTableConnectionStatus(data.tableId, data.hasClients, data.clientCount);
     });
     
+    socket.on('analysis-update', (data) => {
+        if (currentSession && data.sessionId === currentSession.id) {
+            scheduleSessionAnalysesRefresh();
+        }
+    });
+
     socket.on('table-recording-update', (data) => {
         console.log('🎙️ Table recording update:', data);
         updateTableRecordingStatus(data.tableId, data.status, data.timestamp);
     });
     
     // Live transcription WebSocket event handlers
-    socket.on('live-transcription-started', () => {
+    socket.on('live-transcription-started', (data) => {
         console.log('🎤 Live transcription started successfully');
+        if (data?.resumeToken) {
+            liveResumeToken = data.resumeToken;
+        }
+    });
+
+    socket.on('live-transcription-reconnecting', (data) => {
+        console.warn('🔁 Live transcription reconnecting:', data);
+        if (data.attempt === 1) {
+            showToast('Transcription connection interrupted, reconnecting...', 'warning');
+        }
+    });
+
+    socket.on('live-transcription-reconnected', () => {
+        console.log('✅ Live transcription reconnected');
+        showToast('Live transcription reconnected', 'success');
     });
     
     socket.on('live-transcription-result', (data) => {
@@ -912,6 +965,11 @@ function initializeSocket() {
         console.log(`📥 Transcript: "${data.transcript}", isFinal: ${data.is_final}, timestamp: ${data.timestamp}`);
 
         const words = Array.isArray(data.words) ? data.words : [];
+        words.forEach(word => {
+            if (typeof word?.end === 'number' && data.is_final) {
+                liveLastWordEnd = Math.max(liveLastWordEnd, word.end);
+            }
+        });
 
         if (words.length > 0) {
             words.forEach(word => {
@@ -936,6 +994,10 @@ function initializeSocket() {
         }
     });
     
+    socket.on('live-transcription-saved', (data) => {
+        liveServerTranscriptionId = data.transcriptionId;
+    });
+    
     socket.on('live-transcription-error', (data) => {
         console.error('❌ Live transcription error:', data.error);
         showToast(`Live transcription error: ${data.error}`, 'error');
@@ -958,6 +1020,55 @@ function initializeSocket() {
         console.log('🔄 Reprocess status update:', data);
         handleReprocessStatus(data);
     });
+
+    // Participant identity and table-hopping updates
+    socket.on('participant-identity', (data) => {
+        rememberParticipant(data.sessionId, data.participantId);
+        refreshTableAccess();
+    });
+
+    socket.on('participant-update', (data) => {
+        scheduleParticipantPathsRefresh(data.sessionId);
+        // The facilitator seat may have moved to or away from this device
+        if (currentTable && String(data.tableId) === String(currentTable.id)) {
+            refreshTableAccess();
+        }
+    });
+
+    socket.on('permission-denied', () => {
+        showToast('You do not have permission to do that at this table.', 'warning');
+    });
+
+    // Round rotation event handlers
+    socket.on('round-state', (data) => {
+        applyRoundState(data);
+    });
+
+    socket.on('round-countdown', (data) => {
+        updateRoundTimer(data.remainingSeconds, data.phase);
+    });
+
+    socket.on('round-ending', (data) => {
+        setRoundEndingFlag(true);
+        showToast(`Round ${data.roundNumber} ends in ${formatCountdown(data.remainingSeconds)}`, 'warning');
+    });
+
+    socket.on('round-move-now', (data) => {
+        setRoundEndingFlag(false);
+        const target = data.nextRoundNumber ? ` to round ${data.nextRoundNumber}` : '';
+        showToast(`Time to move tables${target}!`, 'warning');
+        showMyNextTable(data.sessionId);
+    });
+
+    socket.on('round-started', (data) => {
+        setRoundEndingFlag(false);
+        showToast(`Round ${data.roundNumber} has started`, 'info');
+    });
+
+    socket.on('rounds-completed', () => {
+        setRoundEndingFlag(false);
+        showToast('All rounds completed', 'success');
+    });
     
     // Clean up on page unload
     window.addEventListener('beforeunload', () => {
@@ -980,13 +1091,15 @@ function handleReprocessStatus(data) {
     const reprocessBtn = document.querySelector(`[data-recording-id="${recordingId}"]`);
     
     switch (status) {
+        case 'queued':
         case 'processing':
+        case 'retrying':
             if (reprocessBtn) {
                 reprocessBtn.disabled = true;
-                reprocessBtn.innerHTML = '⏳ Processing...';
+                reprocessBtn.innerHTML = status === 'queued' ? '⏳ Queued...' : '⏳ Processing...';
                 reprocessBtn.classList.add('processing');
             }
-            showToast(message, 'info');
+            showToast(message, status === 'retrying' ? 'warning' : 'info');
             break;
             
         case 'completed':
@@ -1122,6 +1235,24 @@ function setupEventListeners() {
             }
         });
     }
+    initTranscriptPlayer();
+
+    const speakerNamesModal = document.getElementById('speakerNamesModal');
+    if (speakerNamesModal) {
+        speakerNamesModal.addEventListener('click', event => {
+            if (event.target === speakerNamesModal) {
+                closeSpeakerNames();
+            }
+        });
+        // Handled here so Escape does not also close the preview underneath
+        speakerNamesModal.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                closeSpeakerNames();
+            }
+        });
+    }
 }
 
 // Navigation history for back button
@@ -1221,6 +1352,7 @@ function showScreen(screenId) {
         'sessionListScreen': 'Active Sessions',
         'adminDashboard': 'Admin Dashboard',
         'allTranscriptionsScreen': 'Session Transcriptions',
+        'tableComparisonScreen': 'Compare Tables',
     };
     
     document.title = titles[screenId] || 'World Café Platform';
@@ -1296,9 +1428,21 @@ function backToSession() {
     }
 }
 
-function showAdminDashboard() {
-    loadAdminSessions();
+async function showAdminDashboard() {
     showScreen('adminDashboard');
+
+    try {
+        const response = await fetch('/api/admin/session');
+        const status = await response.json();
+        if (status.authenticated) {
+            showAdminPanel();
+        } else {
+            showAdminLoginForm();
+        }
+    } catch (error) {
+        console.error('Error checking admin session:', error);
+        showAdminLoginForm();
+    }
 }
 
 // Mobile Navigation Functions  
@@ -1969,7 +2113,8 @@ async function joinTableWithDetails(sessionId, tableNumber, participantName) {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                participantName: participantName || 'Anonymous'
+                participantName: participantName || 'Anonymous',
+                participantId: getStoredParticipantId(sessionId)
             })
         });
         
@@ -1980,6 +2125,7 @@ async function joinTableWithDetails(sessionId, tableNumber, participantName) {
         
         const joinResult = await joinResponse.json();
         console.log(`[DEBUG] Join successful:`, joinResult);
+        rememberParticipant(sessionId, joinResult.participant?.id);
         
         // Stop any active recording before switching tables
         if (!tablesMatch(currentTable, table)) {
@@ -3204,6 +3350,7 @@ async function viewAllTranscriptions(sessionId) {
         // Display transcriptions
         console.log('Calling displayAwesomeTranscriptions...');
         displayAwesomeTranscriptions(transcriptions, session);
+        setupTranscriptSearch(session);
         
         console.log('Showing isolated transcriptions screen...');
         showScreen('allTranscriptionsScreen');
@@ -3217,6 +3364,209 @@ async function viewAllTranscriptions(sessionId) {
     }
 }
 
+// Transcript search
+const TRANSCRIPT_SOURCE_LABELS = {
+    'start-recording': 'Recording',
+    'upload-media': 'Upload',
+    'live-transcription': 'Live transcription',
+    'live-audio': 'Live audio',
+    'reprocess': 'Reprocessed'
+};
+
+let transcriptSearchOffset = 0;
+
+async function setupTranscriptSearch(session) {
+    const tableSelect = document.getElementById('transcriptSearchTable');
+    if (!tableSelect) return;
+
+    tableSelect.innerHTML = '<option value="">All tables</option>';
+    [...(session.tables || [])]
+        .sort((a, b) => a.table_number - b.table_number)
+        .forEach(table => {
+            const option = document.createElement('option');
+            option.value = table.id;
+            option.textContent = table.name ? `Table ${table.table_number} · ${table.name}` : `Table ${table.table_number}`;
+            tableSelect.appendChild(option);
+        });
+    clearTranscriptSearch();
+
+    // Searching every session is reserved for admins
+    const scopeSelect = document.getElementById('transcriptSearchScope');
+    scopeSelect.value = 'session';
+    try {
+        const response = await fetch('/api/admin/session');
+        const status = await response.json();
+        scopeSelect.classList.toggle('is-hidden', !status.authenticated);
+    } catch (error) {
+        scopeSelect.classList.add('is-hidden');
+    }
+}
+
+function clearTranscriptSearch() {
+    document.getElementById('transcriptSearchInput').value = '';
+    document.getElementById('transcriptSearchStatus').textContent = '';
+    document.getElementById('transcriptSearchResults').replaceChildren();
+    document.getElementById('transcriptSearchMore').classList.add('is-hidden');
+    transcriptSearchOffset = 0;
+}
+
+function buildTranscriptSearchParams() {
+    const query = document.getElementById('transcriptSearchInput').value.trim();
+    const params = new URLSearchParams({ q: query, mode: document.getElementById('transcriptSearchMode').value });
+    const allSessions = document.getElementById('transcriptSearchScope').value === 'all';
+
+    if (!allSessions) {
+        params.set('sessionId', currentSession.id);
+    }
+    const filters = {
+        // Table ids only make sense within the session being viewed
+        tableId: allSessions ? '' : document.getElementById('transcriptSearchTable').value,
+        round: document.getElementById('transcriptSearchRound').value,
+        speaker: document.getElementById('transcriptSearchSpeaker').value,
+        source: document.getElementById('transcriptSearchSource').value,
+        language: document.getElementById('transcriptSearchLanguage').value.trim(),
+        from: document.getElementById('transcriptSearchFrom').value,
+        to: document.getElementById('transcriptSearchTo').value
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== '') {
+            params.set(key, value);
+        }
+    });
+    return params;
+}
+
+async function runTranscriptSearch(loadMore = false) {
+    if (!currentSession) return;
+
+    const status = document.getElementById('transcriptSearchStatus');
+    const results = document.getElementById('transcriptSearchResults');
+    const moreButton = document.getElementById('transcriptSearchMore');
+    const params = buildTranscriptSearchParams();
+    if (!params.get('q')) {
+        showToast('Enter something to search for', 'warning');
+        return;
+    }
+
+    transcriptSearchOffset = loadMore ? transcriptSearchOffset : 0;
+    params.set('offset', transcriptSearchOffset);
+    status.textContent = 'Searching…';
+
+    try {
+        const response = await fetch(`/api/search?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Search failed');
+        }
+
+        if (!loadMore) {
+            results.replaceChildren();
+        }
+        data.results.forEach(result => results.appendChild(createSearchResult(result, !params.has('sessionId'))));
+
+        transcriptSearchOffset = data.offset + data.limit;
+        moreButton.classList.toggle('is-hidden', transcriptSearchOffset >= data.total);
+        status.textContent = data.total === 0
+            ? `No transcripts match "${data.query}"`
+            : `${data.total} transcript${data.total === 1 ? '' : 's'} match "${data.query}"`;
+    } catch (error) {
+        console.error('Error searching transcripts:', error);
+        status.textContent = `Search failed: ${error.message}`;
+        moreButton.classList.add('is-hidden');
+    }
+}
+
+function createSearchResult(result, showSession) {
+    const article = document.createElement('article');
+    article.className = 'transcript-search__result';
+
+    const header = document.createElement('header');
+    header.className = 'session-analysis__panel-header';
+    const title = document.createElement('h3');
+    title.className = 'session-analysis__panel-title';
+    const parts = [result.tableName ? `Table ${result.tableNumber} · ${result.tableName}` : `Table ${result.tableNumber}`];
+    if (result.roundNumber) {
+        parts.push(`Round ${result.roundNumber}`);
+    }
+    if (showSession) {
+        parts.unshift(result.sessionTitle);
+    }
+    title.textContent = parts.join(' · ');
+
+    const source = document.createElement('span');
+    source.className = 'badge badge-neutral';
+    source.textContent = TRANSCRIPT_SOURCE_LABELS[result.source] || result.source;
+    header.append(title, source);
+    article.appendChild(header);
+
+    result.matches.forEach(match => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'transcript-search__match';
+        button.addEventListener('click', () => openSearchResult(result, match));
+
+        const speaker = match.speaker !== null ? getSpeakerName(result.speakerNames, match.speaker) : null;
+        const label = [speaker, formatTimestampRange(match.start, match.end)]
+            .filter(Boolean)
+            .join(' · ');
+        if (label) {
+            const meta = document.createElement('span');
+            meta.className = 'transcript-search__match-meta';
+            meta.textContent = label;
+            button.appendChild(meta);
+        }
+
+        const snippet = document.createElement('span');
+        let position = 0;
+        match.highlights.forEach(([start, end]) => {
+            snippet.append(match.snippet.slice(position, start));
+            const mark = document.createElement('mark');
+            mark.textContent = match.snippet.slice(start, end);
+            snippet.appendChild(mark);
+            position = end;
+        });
+        snippet.append(match.snippet.slice(position));
+        button.appendChild(snippet);
+        article.appendChild(button);
+    });
+
+    const meta = document.createElement('div');
+    meta.className = 'session-analysis__meta';
+    const more = result.matchCount - result.matches.length;
+    meta.textContent = [
+        formatDateTime(new Date(result.createdAt)),
+        result.language,
+        more > 0 ? `${more} more passage${more === 1 ? '' : 's'}` : null
+    ].filter(Boolean).join(' · ');
+    article.appendChild(meta);
+
+    return article;
+}
+
+// Jump to the passage in its table, loading the other session first for
+// results from a cross-session search
+async function openSearchResult(result, match) {
+    try {
+        if (!currentSession || currentSession.id !== result.sessionId) {
+            const response = await fetch(`/api/sessions/${result.sessionId}`);
+            if (!response.ok) {
+                throw new Error('Session not found');
+            }
+            currentSession = await response.json();
+        }
+
+        await openChatCitation({
+            tableId: result.tableId,
+            transcriptionId: result.transcriptionId,
+            start: match.start,
+            end: match.end
+        });
+    } catch (error) {
+        console.error('Error opening search result:', error);
+        showToast(`Could not open this transcript: ${error.message}`, 'error');
+    }
+}
+
 function displayAwesomeTranscriptions(transcriptions, session) {
     console.log('displayAwesomeTranscriptions called with:', transcriptions.length, 'transcriptions');
     
@@ -3470,7 +3820,7 @@ function renderAwesomeTranscriptions(transcriptions) {
 
                         const speakerLabel = document.createElement('p');
                         speakerLabel.className = 'transcription-segment__speaker';
-                        speakerLabel.textContent = `Speaker ${(segment.speaker || 0) + 1}`;
+                        speakerLabel.textContent = getSpeakerName(transcription.speaker_names, segment.speaker || 0);
 
                         const text = document.createElement('p');
                         text.className = 'transcription-segment__text';
@@ -3489,6 +3839,8 @@ function renderAwesomeTranscriptions(transcriptions) {
 
                 transcriptionRegistry.set(transcriptionId, {
                     id: transcriptionId,
+                    recordingId: transcription.recording_id || null,
+                    editable: Boolean(transcription.id),
                     index: index + 1,
                     tableNumber,
                     createdAt,
@@ -3498,11 +3850,17 @@ function renderAwesomeTranscriptions(transcriptions) {
                     source: transcription.source,
                     participantName: transcription.participant_name,
                     filename: transcription.filename,
+                    hasAudio: Boolean(transcription.has_audio),
+                    words: parseTranscriptWords(transcription.timestamps),
                     transcriptText: transcription.transcript_text,
+                    speakerSegments,
+                    speakerNames: transcription.speaker_names || {},
                     consolidatedSegments,
                     confidence: transcription.confidence_score,
                     language: transcription.language,
-                    wordCount: transcription.word_count
+                    wordCount: transcription.word_count,
+                    revision: transcription.revision || 0,
+                    editedAt: transcription.edited_at ? new Date(transcription.edited_at) : null
                 });
 
                 card.addEventListener('click', () => {
@@ -3609,6 +3967,11 @@ function closeTranscriptionPreview() {
     if (!modalOverlay) {
         return;
     }
+    if (transcriptEditor?.dirty && !confirm('Discard your unsaved transcript corrections?')) {
+        return;
+    }
+    transcriptEditor = null;
+    document.getElementById('transcriptionPreviewAudio')?.pause();
 
     hideElement(modalOverlay);
     modalOverlay.dataset.activeTranscriptionId = '';
@@ -3624,139 +3987,861 @@ function closeTranscriptionPreview() {
     }
 }
 
-function populateTranscriptionPreview(entry) {
-    const title = document.getElementById('transcriptionPreviewTitle');
-    const metaContainer = document.getElementById('transcriptionPreviewMeta');
+// ===== TRANSCRIPT PLAYBACK =====
+// The preview plays the recording through a signed media link. Clicking
+// a segment seeks to it, and the segment being spoken is highlighted.
+
+// Pauses between words longer than this are jumped over with "Skip pauses"
+const SKIP_PAUSE_MIN_SECONDS = 1.5;
+// How much of a skipped pause is still played on either side
+const SKIP_PAUSE_MARGIN_SECONDS = 0.3;
+
+function parseTranscriptWords(timestamps) {
+    try {
+        const words = typeof timestamps === 'string' ? JSON.parse(timestamps) : timestamps;
+        return Array.isArray(words)
+            ? words.filter(word => typeof word.start === 'number' && typeof word.end === 'number')
+            : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function initTranscriptPlayer() {
+    const audio = document.getElementById('transcriptionPreviewAudio');
+    const rateSelect = document.getElementById('transcriptionPlaybackRate');
+    const skipToggle = document.getElementById('transcriptionSkipSilence');
     const segmentsContainer = document.getElementById('transcriptionPreviewSegments');
-    const fullTextSection = document.getElementById('transcriptionPreviewFullTextSection');
-    const fullTextContent = document.getElementById('transcriptionPreviewFullText');
+    if (!audio || !segmentsContainer) return;
 
-    if (!title || !metaContainer || !segmentsContainer || !fullTextSection || !fullTextContent) {
-        console.warn('Transcription preview containers missing');
-        return;
+    const savedRate = localStorage.getItem('transcriptPlaybackRate');
+    if (rateSelect && savedRate && [...rateSelect.options].some(option => option.value === savedRate)) {
+        rateSelect.value = savedRate;
+    }
+    if (skipToggle) {
+        skipToggle.checked = localStorage.getItem('transcriptSkipPauses') === 'true';
+        skipToggle.addEventListener('change', () => localStorage.setItem('transcriptSkipPauses', String(skipToggle.checked)));
     }
 
-    title.textContent = `Table ${entry.tableNumber} · Recording ${entry.index}`;
+    // Loading a new source resets the rate, so it is applied on every load
+    const applyRate = () => {
+        audio.playbackRate = parseFloat(rateSelect?.value) || 1;
+    };
+    audio.addEventListener('loadedmetadata', applyRate);
+    rateSelect?.addEventListener('change', () => {
+        localStorage.setItem('transcriptPlaybackRate', rateSelect.value);
+        applyRate();
+    });
 
-    metaContainer.innerHTML = '';
-    const metaItems = [];
+    audio.addEventListener('timeupdate', () => {
+        if (skipToggle?.checked && !audio.paused) {
+            skipTranscriptPause(audio);
+        }
+        highlightPlayingSegment(audio.currentTime);
+    });
 
-    const recordedDate = entry.recordedAt instanceof Date && !Number.isNaN(entry.recordedAt)
-        ? entry.recordedAt
-        : entry.createdAt;
-    const recordedLabel = formatDateTime(recordedDate);
-    if (recordedLabel) {
-        metaItems.push({ label: 'Recorded', value: recordedLabel });
-    }
+    segmentsContainer.addEventListener('click', event => {
+        const segment = event.target.closest('.transcription-preview__segment.is-seekable');
+        if (segment) {
+            seekTranscriptPlayer(Number(segment.dataset.start));
+        }
+    });
+    segmentsContainer.addEventListener('keydown', event => {
+        const segment = event.target.closest('.transcription-preview__segment.is-seekable');
+        if (segment && (event.key === 'Enter' || event.key === ' ')) {
+            event.preventDefault();
+            seekTranscriptPlayer(Number(segment.dataset.start));
+        }
+    });
+}
 
-    if (entry.durationSeconds) {
-        metaItems.push({ label: 'Duration', value: formatDuration(entry.durationSeconds) });
-    }
+function loadTranscriptPlayer(entry) {
+    const section = document.getElementById('transcriptionPreviewPlayerSection');
+    const audio = document.getElementById('transcriptionPreviewAudio');
+    if (!section || !audio) return;
 
-    if (entry.speakerCount) {
-        const speakerLabel = entry.speakerCount === 1
-            ? '1 speaker'
-            : `${entry.speakerCount} speakers`;
-        metaItems.push({ label: 'Speakers', value: speakerLabel });
-    }
+    const playable = Boolean(entry?.recordingId && entry.hasAudio);
+    document.querySelectorAll('#transcriptionPreviewSegments .transcription-preview__segment[data-start]').forEach(segment => {
+        segment.classList.toggle('is-seekable', playable);
+        if (playable) {
+            segment.tabIndex = 0;
+            segment.title = `Play from ${formatTimestampRange(Number(segment.dataset.start), null) || 'here'}`;
+        }
+    });
 
-    const sourceLabel = getSourceLabel(entry.source);
-    if (sourceLabel && sourceLabel !== 'Unknown') {
-        metaItems.push({ label: 'Source', value: sourceLabel });
+    if (!playable) {
+        audio.pause();
+        delete audio.dataset.recordingId;
+        audio.removeAttribute('src');
+        audio.load();
+        transcriptPlayback = { recordingId: null, words: [], activeSegment: null };
+        hideElement(section);
+        return;
     }
 
-    if (entry.participantName) {
-        metaItems.push({ label: 'Recorded By', value: entry.participantName });
+    // Re-rendering after a correction keeps the position of the same recording
+    if (transcriptPlayback.recordingId !== entry.recordingId) {
+        audio.pause();
+        attachRecordingAudio(audio, entry.recordingId)
+            .catch(error => showToast(`The recording cannot be played: ${error.message}`, 'error'));
     }
+    transcriptPlayback = { recordingId: entry.recordingId, words: entry.words || [], activeSegment: null };
+    showElement(section);
+    highlightPlayingSegment(audio.currentTime);
+}
 
-    if (entry.filename) {
-        metaItems.push({ label: 'File Name', value: entry.filename });
-    }
+function seekTranscriptPlayer(seconds) {
+    const audio = document.getElementById('transcriptionPreviewAudio');
+    if (!audio || !transcriptPlayback.recordingId || !Number.isFinite(seconds)) return;
 
-    if (entry.language) {
-        metaItems.push({ label: 'Language', value: entry.language.toUpperCase() });
-    }
+    audio.currentTime = seconds;
+    audio.play().catch(error => console.warn('Playback could not start:', error.message));
+}
 
-    if (typeof entry.wordCount === 'number' && entry.wordCount > 0) {
-        metaItems.push({ label: 'Word Count', value: entry.wordCount.toLocaleString() });
+// Segments are sorted by start time; the spoken one is the last that has started
+function highlightPlayingSegment(seconds) {
+    const segments = [...document.querySelectorAll('#transcriptionPreviewSegments .transcription-preview__segment[data-start]')];
+    const current = segments.filter(segment => Number(segment.dataset.start) <= seconds).pop() || null;
+    const playing = current && seconds <= Number(current.dataset.end) + SKIP_PAUSE_MIN_SECONDS ? current : null;
+    if (playing === transcriptPlayback.activeSegment) return;
+
+    transcriptPlayback.activeSegment?.classList.remove('is-playing');
+    transcriptPlayback.activeSegment = playing;
+    if (playing) {
+        playing.classList.add('is-playing');
+        playing.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
+}
 
-    if (typeof entry.confidence === 'number' && entry.confidence > 0) {
-        metaItems.push({ label: 'Confidence', value: `${Math.round(entry.confidence * 100)}%` });
+// Word timings when the transcription has them, segment edges otherwise
+function skipTranscriptPause(audio) {
+    const spans = transcriptPlayback.words.length > 0
+        ? transcriptPlayback.words
+        : [...document.querySelectorAll('#transcriptionPreviewSegments .transcription-preview__segment[data-start]')]
+            .map(segment => ({ start: Number(segment.dataset.start), end: Number(segment.dataset.end) }));
+
+    const time = audio.currentTime;
+    const nextIndex = spans.findIndex(span => span.start > time);
+    if (nextIndex === -1) return;
+
+    const previousEnd = nextIndex > 0 ? spans[nextIndex - 1].end : 0;
+    const nextStart = spans[nextIndex].start;
+    const inPause = time >= previousEnd + SKIP_PAUSE_MARGIN_SECONDS
+        && time < nextStart - SKIP_PAUSE_MARGIN_SECONDS;
+    if (inPause && nextStart - previousEnd >= SKIP_PAUSE_MIN_SECONDS) {
+        audio.currentTime = nextStart - SKIP_PAUSE_MARGIN_SECONDS;
     }
+}
 
-    if (metaItems.length === 0) {
-        const placeholder = document.createElement('div');
-        placeholder.className = 'transcription-preview__empty';
-        placeholder.textContent = 'No metadata is available for this recording yet.';
-        metaContainer.appendChild(placeholder);
-    } else {
-        metaItems.forEach(item => {
-            const metaItem = document.createElement('div');
-            metaItem.className = 'transcription-preview__meta-item';
+// Transcript corrections: edit segment text, reassign speakers, split and
+// merge segments. Saves go to PATCH /api/transcriptions/:id as a new revision.
 
-            const label = document.createElement('span');
-            label.className = 'transcription-preview__meta-label';
-            label.textContent = item.label;
+function updateTranscriptEditorControls(entry) {
+    const editing = Boolean(transcriptEditor);
+    const editable = Boolean(entry?.editable);
+    document.getElementById('transcriptionEditBtn')?.classList.toggle('is-hidden', !editable || editing);
+    document.getElementById('transcriptionHistoryBtn')?.classList.toggle('is-hidden', !editable || editing || !entry.revision);
+    document.getElementById('transcriptionSpeakersBtn')?.classList.toggle('is-hidden', !editable || editing || !entry.recordingId || entry.speakerCount === 0);
+    document.getElementById('transcriptionSaveEditBtn')?.classList.toggle('is-hidden', !editing);
+    document.getElementById('transcriptionCancelEditBtn')?.classList.toggle('is-hidden', !editing);
+    document.getElementById('transcriptionEditNote')?.classList.toggle('is-hidden', !editing);
+    hideElement(document.getElementById('transcriptionPreviewHistorySection'));
+}
 
-            const value = document.createElement('span');
-            value.className = 'transcription-preview__meta-value';
-            value.textContent = item.value;
+function getActiveTranscriptionEntry() {
+    const modalOverlay = document.getElementById('transcriptionPreviewModal');
+    return transcriptionRegistry.get(modalOverlay?.dataset.activeTranscriptionId || '') || null;
+}
+
+function startTranscriptEdit() {
+    const entry = getActiveTranscriptionEntry();
+    if (!entry) return;
+
+    const segments = (entry.speakerSegments || []).map(segment => ({
+        speaker: Number.isInteger(segment.speaker) ? segment.speaker : 0,
+        text: String(segment.transcript ?? segment.text ?? ''),
+        start: typeof segment.start === 'number' ? segment.start : null,
+        end: typeof segment.end === 'number' ? segment.end : null,
+        words: Array.isArray(segment.words) ? segment.words : null
+    }));
+
+    transcriptEditor = {
+        entry,
+        segments,
+        // Undiarized transcripts are corrected as one block of text
+        plainText: segments.length === 0 ? (entry.transcriptText || '') : null,
+        dirty: false
+    };
+    document.getElementById('transcriptionEditNote').value = '';
+    renderTranscriptEditor();
+    updateTranscriptEditorControls(entry);
+}
 
-            metaItem.append(label, value);
-            metaContainer.appendChild(metaItem);
+function cancelTranscriptEdit() {
+    if (transcriptEditor?.dirty && !confirm('Discard your unsaved transcript corrections?')) {
+        return;
+    }
+    const entry = transcriptEditor?.entry || getActiveTranscriptionEntry();
+    transcriptEditor = null;
+    if (entry) {
+        populateTranscriptionPreview(entry);
+    }
+}
+
+function renderTranscriptEditor() {
+    const container = document.getElementById('transcriptionPreviewSegments');
+    if (!container || !transcriptEditor) return;
+    container.innerHTML = '';
+
+    if (transcriptEditor.plainText !== null) {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'input transcript-editor__text';
+        textarea.rows = 12;
+        textarea.value = transcriptEditor.plainText;
+        textarea.setAttribute('aria-label', 'Transcript text');
+        textarea.addEventListener('input', () => {
+            transcriptEditor.plainText = textarea.value;
+            transcriptEditor.dirty = true;
         });
+        container.appendChild(textarea);
+        return;
     }
 
-    segmentsContainer.innerHTML = '';
+    const speakerCount = Math.max(1, ...transcriptEditor.segments.map(segment => segment.speaker + 1));
 
-    if (entry.consolidatedSegments && entry.consolidatedSegments.length > 0) {
-        entry.consolidatedSegments.forEach(segment => {
-            const segmentCard = document.createElement('article');
-            segmentCard.className = 'transcription-preview__segment';
+    transcriptEditor.segments.forEach((segment, index) => {
+        const row = document.createElement('article');
+        row.className = 'transcription-preview__segment transcript-editor__segment';
 
-            const header = document.createElement('div');
-            header.className = 'transcription-preview__segment-header';
+        const header = document.createElement('div');
+        header.className = 'transcription-preview__segment-header';
 
-            const speaker = document.createElement('p');
-            speaker.className = 'transcription-preview__speaker';
-            speaker.textContent = `Speaker ${(segment.speaker ?? 0) + 1}`;
+        const speakerSelect = document.createElement('select');
+        speakerSelect.className = 'input transcript-editor__speaker';
+        speakerSelect.setAttribute('aria-label', `Speaker of segment ${index + 1}`);
+        // One extra option so a segment can be given to a speaker the transcript missed
+        for (let speaker = 0; speaker <= speakerCount; speaker++) {
+            const option = document.createElement('option');
+            option.value = String(speaker);
+            const name = getSpeakerName(transcriptEditor.entry.speakerNames, speaker);
+            option.textContent = speaker === speakerCount ? `${name} (new)` : name;
+            speakerSelect.appendChild(option);
+        }
+        speakerSelect.value = String(segment.speaker);
+        speakerSelect.addEventListener('change', () => {
+            segment.speaker = parseInt(speakerSelect.value, 10);
+            transcriptEditor.dirty = true;
+            renderTranscriptEditor();
+        });
+        header.appendChild(speakerSelect);
+
+        const timeRange = formatTimestampRange(segment.start, segment.end);
+        if (timeRange) {
+            const timestamp = document.createElement('span');
+            timestamp.className = 'transcription-preview__timestamp';
+            timestamp.textContent = timeRange;
+            header.appendChild(timestamp);
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'input transcript-editor__text';
+        textarea.rows = Math.min(8, Math.max(2, Math.ceil(segment.text.length / 90)));
+        textarea.value = segment.text;
+        textarea.setAttribute('aria-label', `Text of segment ${index + 1}`);
+        textarea.addEventListener('input', () => {
+            segment.text = textarea.value;
+            transcriptEditor.dirty = true;
+        });
 
-            header.appendChild(speaker);
+        const actions = document.createElement('div');
+        actions.className = 'transcript-editor__actions';
 
-            const timeRange = formatTimestampRange(segment.startTime, segment.endTime);
-            if (timeRange) {
-                const timestamp = document.createElement('span');
-                timestamp.className = 'transcription-preview__timestamp';
-                timestamp.textContent = timeRange;
-                header.appendChild(timestamp);
-            }
+        const splitButton = document.createElement('button');
+        splitButton.type = 'button';
+        splitButton.className = 'btn btn-ghost btn-sm';
+        splitButton.textContent = '✂️ Split at cursor';
+        splitButton.addEventListener('click', () => splitEditorSegment(index, textarea.selectionStart));
+        actions.appendChild(splitButton);
 
-            const text = document.createElement('p');
-            text.className = 'transcription-preview__text';
-            text.textContent =
-                (typeof segment.consolidatedText === 'string' && segment.consolidatedText) ||
-                (typeof segment.transcript === 'string' && segment.transcript) ||
-                (typeof segment.text === 'string' && segment.text) ||
-                'No transcript text available for this segment.';
+        if (index < transcriptEditor.segments.length - 1) {
+            const mergeButton = document.createElement('button');
+            mergeButton.type = 'button';
+            mergeButton.className = 'btn btn-ghost btn-sm';
+            mergeButton.textContent = '🔗 Merge with next';
+            mergeButton.addEventListener('click', () => mergeEditorSegment(index));
+            actions.appendChild(mergeButton);
+        }
 
-            segmentCard.append(header, text);
-            segmentsContainer.appendChild(segmentCard);
-        });
-    } else {
-        const emptyState = document.createElement('div');
-        emptyState.className = 'transcription-preview__empty';
-        emptyState.textContent = 'No speaker segments are available for this transcription yet.';
-        segmentsContainer.appendChild(emptyState);
+        row.append(header, textarea, actions);
+        container.appendChild(row);
+    });
+}
+
+// Split where the cursor is. Word timings (when they still match the text)
+// give the exact split time; otherwise it is estimated from the text length.
+function splitEditorSegment(index, cursor) {
+    const segment = transcriptEditor.segments[index];
+    const before = segment.text.slice(0, cursor).trim();
+    const after = segment.text.slice(cursor).trim();
+    if (!before || !after) {
+        showToast('Place the cursor inside the text where the segment should be split', 'warning');
+        return;
     }
 
-    if (entry.transcriptText && entry.transcriptText.trim()) {
-        fullTextContent.textContent = entry.transcriptText.trim();
-        showElement(fullTextSection);
+    const wordsBefore = before.split(/\s+/).length;
+    const words = segment.words && segment.words.length === segment.text.trim().split(/\s+/).length
+        ? segment.words
+        : null;
+
+    let splitTime = null;
+    if (words) {
+        splitTime = words[wordsBefore]?.start ?? null;
+    } else if (segment.start !== null && segment.end !== null) {
+        const ratio = before.length / (before.length + after.length);
+        splitTime = Math.round((segment.start + (segment.end - segment.start) * ratio) * 100) / 100;
+    }
+
+    transcriptEditor.segments.splice(index, 1,
+        { ...segment, text: before, end: splitTime ?? segment.end, words: words ? words.slice(0, wordsBefore) : null },
+        { ...segment, text: after, start: splitTime ?? segment.start, words: words ? words.slice(wordsBefore) : null }
+    );
+    transcriptEditor.dirty = true;
+    renderTranscriptEditor();
+}
+
+function mergeEditorSegment(index) {
+    const [first, second] = transcriptEditor.segments.slice(index, index + 2);
+    if (!second) return;
+
+    transcriptEditor.segments.splice(index, 2, {
+        speaker: first.speaker,
+        text: `${first.text.trim()} ${second.text.trim()}`.trim(),
+        start: first.start ?? second.start,
+        end: second.end ?? first.end,
+        words: first.words && second.words ? [...first.words, ...second.words] : null
+    });
+    transcriptEditor.dirty = true;
+    renderTranscriptEditor();
+}
+
+async function saveTranscriptEdit() {
+    if (!transcriptEditor) return;
+    const { entry } = transcriptEditor;
+
+    const body = { baseRevision: entry.revision, note: document.getElementById('transcriptionEditNote').value };
+    if (transcriptEditor.plainText !== null) {
+        body.text = transcriptEditor.plainText;
+    } else {
+        body.segments = transcriptEditor.segments
+            .map(segment => ({ ...segment, text: segment.text.trim() }))
+            .filter(segment => segment.text);
+    }
+
+    try {
+        const response = await fetch(`/api/transcriptions/${entry.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+
+        transcriptEditor = null;
+        showToast(`Transcript saved as revision ${result.transcription.revision}`, 'success');
+        await reloadTranscriptionPreview(entry.id);
+    } catch (error) {
+        console.error('Error saving transcript correction:', error);
+        showToast(`Could not save the transcript: ${error.message}`, 'error');
+    }
+}
+
+// Re-render the list with the saved text and reopen the same transcript,
+// keeping the table filter the user had chosen
+async function reloadTranscriptionPreview(transcriptionId) {
+    if (!currentSession) return;
+    const tableFilter = document.getElementById('tableFilter');
+    const selectedTable = tableFilter?.value || '';
+
+    const response = await fetch(`/api/sessions/${currentSession.id}/all-transcriptions`);
+    if (!response.ok) {
+        throw new Error('Failed to reload transcriptions');
+    }
+    displayAwesomeTranscriptions(await response.json(), currentSession);
+
+    if (tableFilter && selectedTable && [...tableFilter.options].some(option => option.value === selectedTable)) {
+        tableFilter.value = selectedTable;
+        tableFilter.onchange();
+    }
+
+    const entry = transcriptionRegistry.get(String(transcriptionId));
+    if (entry) {
+        populateTranscriptionPreview(entry);
+    }
+}
+
+async function toggleTranscriptHistory() {
+    const section = document.getElementById('transcriptionPreviewHistorySection');
+    const list = document.getElementById('transcriptionPreviewHistory');
+    const entry = getActiveTranscriptionEntry();
+    if (!section || !list || !entry) return;
+
+    if (!section.classList.contains('is-hidden')) {
+        hideElement(section);
+        return;
+    }
+
+    list.innerHTML = '';
+    showElement(section);
+    try {
+        const response = await fetch(`/api/transcriptions/${entry.id}/revisions`);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        result.revisions.forEach(revision => list.appendChild(createTranscriptRevisionItem(entry, revision, result.revision)));
+    } catch (error) {
+        console.error('Error loading transcript revisions:', error);
+        const item = document.createElement('li');
+        item.className = 'transcription-preview__empty';
+        item.textContent = `Could not load the revision history: ${error.message}`;
+        list.appendChild(item);
+    }
+}
+
+const REVISION_ACTION_LABELS = {
+    original: 'Original transcript',
+    edit: 'Edited',
+    revert: 'Restored',
+    reprocess: 'Transcribed again'
+};
+
+function createTranscriptRevisionItem(entry, revision, currentRevision) {
+    const item = document.createElement('li');
+    item.className = 'transcription-history__item';
+
+    const header = document.createElement('div');
+    header.className = 'transcription-history__header';
+
+    const title = document.createElement('span');
+    title.className = 'transcription-history__title';
+    const action = REVISION_ACTION_LABELS[revision.action] || revision.action;
+    title.textContent = revision.action === 'revert'
+        ? `#${revision.revision_number} · ${action} revision ${revision.reverted_from}`
+        : `#${revision.revision_number} · ${action}`;
+    header.appendChild(title);
+
+    if (revision.revision_number === currentRevision) {
+        const badge = document.createElement('span');
+        badge.className = 'badge badge-success';
+        badge.textContent = 'Current';
+        header.appendChild(badge);
+    }
+
+    const meta = document.createElement('p');
+    meta.className = 'transcription-history__meta';
+    meta.textContent = [
+        revision.author,
+        formatDateTime(new Date(revision.created_at)),
+        `${revision.word_count} words`
+    ].filter(Boolean).join(' · ');
+
+    item.append(header, meta);
+
+    if (revision.note) {
+        const note = document.createElement('p');
+        note.className = 'transcription-history__note';
+        note.textContent = revision.note;
+        item.appendChild(note);
+    }
+
+    const preview = document.createElement('p');
+    preview.className = 'transcription-preview__full-text is-hidden';
+
+    const actions = document.createElement('div');
+    actions.className = 'transcript-editor__actions';
+
+    const viewButton = document.createElement('button');
+    viewButton.type = 'button';
+    viewButton.className = 'btn btn-ghost btn-sm';
+    viewButton.textContent = '👁️ View';
+    viewButton.addEventListener('click', async () => {
+        if (!preview.classList.contains('is-hidden')) {
+            preview.classList.add('is-hidden');
+            return;
+        }
+        try {
+            const response = await fetch(`/api/transcriptions/${entry.id}/revisions/${revision.revision_number}`);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            preview.textContent = result.speaker_segments.length > 0
+                ? result.speaker_segments.map(segment => `${getSpeakerName(entry.speakerNames, segment.speaker ?? 0)}: ${segment.transcript ?? segment.text ?? ''}`).join('\n')
+                : (result.transcript_text || '');
+            preview.classList.remove('is-hidden');
+        } catch (error) {
+            showToast(`Could not load revision ${revision.revision_number}: ${error.message}`, 'error');
+        }
+    });
+    actions.appendChild(viewButton);
+
+    if (revision.revision_number !== currentRevision) {
+        const restoreButton = document.createElement('button');
+        restoreButton.type = 'button';
+        restoreButton.className = 'btn btn-secondary btn-sm';
+        restoreButton.textContent = '↩️ Restore';
+        restoreButton.addEventListener('click', () => revertTranscript(entry, revision.revision_number));
+        actions.appendChild(restoreButton);
+    }
+
+    item.append(actions, preview);
+    return item;
+}
+
+async function revertTranscript(entry, revisionNumber) {
+    if (!confirm(`Restore revision ${revisionNumber}? The current text stays in the history.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/transcriptions/${entry.id}/revert`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ revision: revisionNumber, baseRevision: entry.revision })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(`Revision ${revisionNumber} restored`, 'success');
+        await reloadTranscriptionPreview(entry.id);
+    } catch (error) {
+        console.error('Error restoring transcript revision:', error);
+        showToast(`Could not restore the revision: ${error.message}`, 'error');
+    }
+}
+
+// Speaker names per recording. The labels of the previous recording at the
+// same table are offered as a suggestion, since diarization numbers speakers
+// afresh in every recording.
+
+let speakerNamesState = null;
+
+function openActiveSpeakerNames() {
+    const entry = getActiveTranscriptionEntry();
+    if (entry?.recordingId) {
+        openSpeakerNames(entry.recordingId, entry.id);
+    }
+}
+
+async function openSpeakerNames(recordingId, transcriptionId = null) {
+    const modal = document.getElementById('speakerNamesModal');
+    if (!modal) return;
+
+    try {
+        const response = await fetch(`/api/recordings/${recordingId}/speakers`);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        if (result.speakers.length === 0) {
+            showToast('This recording has no diarized speakers to name', 'info');
+            return;
+        }
+
+        speakerNamesState = { recordingId, transcriptionId, ...result };
+        renderSpeakerNames(new Map(result.labels.map(label => [label.speaker_index, label])));
+        renderSpeakerSuggestion(result.suggestion);
+        showElement(modal);
+        modal.querySelector('.speaker-names__name')?.focus();
+    } catch (error) {
+        console.error('Error loading speaker names:', error);
+        showToast(`Could not load speakers: ${error.message}`, 'error');
+    }
+}
+
+function closeSpeakerNames() {
+    hideElement(document.getElementById('speakerNamesModal'));
+    speakerNamesState = null;
+}
+
+function renderSpeakerNames(labels) {
+    const list = document.getElementById('speakerNamesList');
+    if (!list || !speakerNamesState) return;
+    list.innerHTML = '';
+
+    const participants = speakerNamesState.participants || [];
+
+    speakerNamesState.speakers.forEach(speaker => {
+        const current = labels.get(speaker.speaker) || {};
+        const row = document.createElement('div');
+        row.className = 'speaker-names__row';
+        row.dataset.speaker = String(speaker.speaker);
+
+        const info = document.createElement('div');
+        info.className = 'speaker-names__info';
+        const title = document.createElement('p');
+        title.className = 'speaker-names__title';
+        const stats = [`${speaker.words.toLocaleString()} words`];
+        if (speaker.seconds > 0) {
+            stats.push(formatDuration(speaker.seconds));
+        }
+        title.textContent = `Speaker ${speaker.speaker + 1} · ${stats.join(' · ')}`;
+        const sample = document.createElement('p');
+        sample.className = 'speaker-names__sample';
+        sample.textContent = `“${speaker.sample}”`;
+        info.append(title, sample);
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'input speaker-names__name';
+        nameInput.maxLength = 255;
+        nameInput.placeholder = `Speaker ${speaker.speaker + 1}`;
+        nameInput.value = current.label || '';
+        nameInput.setAttribute('aria-label', `Name of speaker ${speaker.speaker + 1}`);
+
+        const participantSelect = document.createElement('select');
+        participantSelect.className = 'input speaker-names__participant';
+        participantSelect.setAttribute('aria-label', `Participant who is speaker ${speaker.speaker + 1}`);
+        participantSelect.appendChild(new Option('Not linked to a participant', ''));
+        [['At this table', true], ['Other tables', false]].forEach(([groupLabel, atTable]) => {
+            const members = participants.filter(participant => participant.at_table === atTable);
+            if (members.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = groupLabel;
+            members.forEach(participant => group.appendChild(new Option(participant.name, participant.id)));
+            participantSelect.appendChild(group);
+        });
+        participantSelect.value = current.participant_id || '';
+
+        // Picking a participant fills in their name unless one was typed
+        let linkedName = participants.find(participant => participant.id === participantSelect.value)?.name || '';
+        participantSelect.addEventListener('change', () => {
+            const participant = participants.find(candidate => candidate.id === participantSelect.value);
+            if (!nameInput.value.trim() || nameInput.value.trim() === linkedName) {
+                nameInput.value = participant?.name || '';
+            }
+            linkedName = participant?.name || '';
+        });
+
+        row.append(info, nameInput, participantSelect);
+        list.appendChild(row);
+    });
+}
+
+function renderSpeakerSuggestion(suggestion) {
+    const container = document.getElementById('speakerNamesSuggestion');
+    const text = document.getElementById('speakerNamesSuggestionText');
+    if (!container || !text) return;
+
+    if (!suggestion || suggestion.labels.length === 0) {
+        hideElement(container);
+        return;
+    }
+
+    const source = suggestion.roundNumber ? `the round ${suggestion.roundNumber} recording` : 'the previous recording';
+    const names = suggestion.labels.map(label => `${label.label} (Speaker ${label.speaker_index + 1})`).join(', ');
+    text.textContent = `In ${source} at this table: ${names}. Speaker numbers can differ between recordings, so check the samples before saving.`;
+    showElement(container);
+}
+
+function applySpeakerSuggestion() {
+    const suggestion = speakerNamesState?.suggestion;
+    if (!suggestion) return;
+    renderSpeakerNames(new Map(suggestion.labels.map(label => [label.speaker_index, label])));
+}
+
+async function saveSpeakerNames() {
+    if (!speakerNamesState) return;
+    const { recordingId, transcriptionId } = speakerNamesState;
+    const saveButton = document.getElementById('saveSpeakerNamesBtn');
+
+    const labels = [...document.querySelectorAll('#speakerNamesList .speaker-names__row')].map(row => ({
+        speaker: parseInt(row.dataset.speaker, 10),
+        label: row.querySelector('.speaker-names__name').value.trim(),
+        participantId: row.querySelector('.speaker-names__participant').value || null
+    }));
+
+    if (saveButton) saveButton.disabled = true;
+    try {
+        const response = await fetch(`/api/recordings/${recordingId}/speakers`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ labels })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(`Saved ${result.labels.length} speaker name${result.labels.length === 1 ? '' : 's'}`, 'success');
+        closeSpeakerNames();
+        if (transcriptionId && getActiveTranscriptionEntry()?.id === transcriptionId) {
+            await reloadTranscriptionPreview(transcriptionId);
+        }
+    } catch (error) {
+        console.error('Error saving speaker names:', error);
+        showToast(`Could not save speaker names: ${error.message}`, 'error');
+    } finally {
+        if (saveButton) saveButton.disabled = false;
+    }
+}
+
+function populateTranscriptionPreview(entry) {
+    const title = document.getElementById('transcriptionPreviewTitle');
+    const metaContainer = document.getElementById('transcriptionPreviewMeta');
+    const segmentsContainer = document.getElementById('transcriptionPreviewSegments');
+    const fullTextSection = document.getElementById('transcriptionPreviewFullTextSection');
+    const fullTextContent = document.getElementById('transcriptionPreviewFullText');
+
+    if (!title || !metaContainer || !segmentsContainer || !fullTextSection || !fullTextContent) {
+        console.warn('Transcription preview containers missing');
+        return;
+    }
+
+    title.textContent = `Table ${entry.tableNumber} · Recording ${entry.index}`;
+
+    metaContainer.innerHTML = '';
+    const metaItems = [];
+
+    const recordedDate = entry.recordedAt instanceof Date && !Number.isNaN(entry.recordedAt)
+        ? entry.recordedAt
+        : entry.createdAt;
+    const recordedLabel = formatDateTime(recordedDate);
+    if (recordedLabel) {
+        metaItems.push({ label: 'Recorded', value: recordedLabel });
+    }
+
+    if (entry.durationSeconds) {
+        metaItems.push({ label: 'Duration', value: formatDuration(entry.durationSeconds) });
+    }
+
+    if (entry.speakerCount) {
+        const speakerLabel = entry.speakerCount === 1
+            ? '1 speaker'
+            : `${entry.speakerCount} speakers`;
+        metaItems.push({ label: 'Speakers', value: speakerLabel });
+    }
+
+    const sourceLabel = getSourceLabel(entry.source);
+    if (sourceLabel && sourceLabel !== 'Unknown') {
+        metaItems.push({ label: 'Source', value: sourceLabel });
+    }
+
+    if (entry.participantName) {
+        metaItems.push({ label: 'Recorded By', value: entry.participantName });
+    }
+
+    if (entry.filename) {
+        metaItems.push({ label: 'File Name', value: entry.filename });
+    }
+
+    if (entry.language) {
+        metaItems.push({ label: 'Language', value: entry.language.toUpperCase() });
+    }
+
+    if (typeof entry.wordCount === 'number' && entry.wordCount > 0) {
+        metaItems.push({ label: 'Word Count', value: entry.wordCount.toLocaleString() });
+    }
+
+    if (typeof entry.confidence === 'number' && entry.confidence > 0) {
+        metaItems.push({ label: 'Confidence', value: `${Math.round(entry.confidence * 100)}%` });
+    }
+
+    if (entry.editedAt) {
+        metaItems.push({ label: 'Corrected', value: `${formatDateTime(entry.editedAt)} · revision ${entry.revision}` });
+    }
+
+    if (metaItems.length === 0) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'transcription-preview__empty';
+        placeholder.textContent = 'No metadata is available for this recording yet.';
+        metaContainer.appendChild(placeholder);
+    } else {
+        metaItems.forEach(item => {
+            const metaItem = document.createElement('div');
+            metaItem.className = 'transcription-preview__meta-item';
+
+            const label = document.createElement('span');
+            label.className = 'transcription-preview__meta-label';
+            label.textContent = item.label;
+
+            const value = document.createElement('span');
+            value.className = 'transcription-preview__meta-value';
+            value.textContent = item.value;
+
+            metaItem.append(label, value);
+            metaContainer.appendChild(metaItem);
+        });
+    }
+
+    segmentsContainer.innerHTML = '';
+
+    if (entry.consolidatedSegments && entry.consolidatedSegments.length > 0) {
+        entry.consolidatedSegments.forEach(segment => {
+            const segmentCard = document.createElement('article');
+            segmentCard.className = 'transcription-preview__segment';
+
+            const header = document.createElement('div');
+            header.className = 'transcription-preview__segment-header';
+
+            const speaker = document.createElement('p');
+            speaker.className = 'transcription-preview__speaker';
+            speaker.textContent = getSpeakerName(entry.speakerNames, segment.speaker ?? 0);
+
+            header.appendChild(speaker);
+
+            if (segment.edited) {
+                const editedBadge = document.createElement('span');
+                editedBadge.className = 'badge badge-warning transcription-preview__edited';
+                editedBadge.textContent = 'Edited';
+                editedBadge.title = 'Corrected by hand';
+                speaker.appendChild(editedBadge);
+            }
+
+            const timeRange = formatTimestampRange(segment.startTime, segment.endTime);
+            if (timeRange) {
+                const timestamp = document.createElement('span');
+                timestamp.className = 'transcription-preview__timestamp';
+                timestamp.textContent = timeRange;
+                header.appendChild(timestamp);
+            }
+
+            const text = document.createElement('p');
+            text.className = 'transcription-preview__text';
+            text.textContent =
+                (typeof segment.consolidatedText === 'string' && segment.consolidatedText) ||
+                (typeof segment.transcript === 'string' && segment.transcript) ||
+                (typeof segment.text === 'string' && segment.text) ||
+                'No transcript text available for this segment.';
+
+            segmentCard.append(header, text);
+            if (typeof segment.startTime === 'number') {
+                segmentCard.dataset.start = segment.startTime;
+                segmentCard.dataset.end = typeof segment.endTime === 'number' ? segment.endTime : segment.startTime;
+            }
+            segmentsContainer.appendChild(segmentCard);
+        });
+    } else {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'transcription-preview__empty';
+        emptyState.textContent = 'No speaker segments are available for this transcription yet.';
+        segmentsContainer.appendChild(emptyState);
+    }
+
+    if (entry.transcriptText && entry.transcriptText.trim()) {
+        fullTextContent.textContent = entry.transcriptText.trim();
+        showElement(fullTextSection);
     } else {
         fullTextContent.textContent = '';
         hideElement(fullTextSection);
     }
+
+    updateTranscriptEditorControls(entry);
+    loadTranscriptPlayer(entry);
 }
 
 // Refresh transcriptions by reloading the data
@@ -3779,112 +4864,85 @@ async function refreshTranscriptions() {
     }
 }
 
-async function exportAllTranscriptions() {
+// Complete session archive (ZIP with data, audio and QR codes). Linked
+// directly so large archives stream to disk instead of into memory.
+function exportAllTranscriptions() {
     if (!currentSession) {
         alert('No session loaded');
         return;
     }
-    
-    try {
-        showLoading();
-        
-        // Get complete session data with transcriptions
-        const response = await fetch(`/api/sessions/${currentSession.id}`);
-        if (!response.ok) throw new Error('Failed to fetch session data');
-        
-        const sessionData = await response.json();
-        
-        // Get all transcriptions
-        const transcriptionsResponse = await fetch(`/api/sessions/${currentSession.id}/all-transcriptions`);
-        if (!transcriptionsResponse.ok) throw new Error('Failed to fetch transcriptions');
-        
-        const transcriptions = await transcriptionsResponse.json();
-        
-        // Create export object with complete session backup
-        const exportData = {
-            exportVersion: '1.0',
-            exportDate: new Date().toISOString(),
-            session: sessionData,
-            transcriptions: transcriptions,
-            metadata: {
-                totalTranscriptions: transcriptions.length,
-                totalTables: sessionData.tables?.length || 0,
-                totalParticipants: sessionData.total_participants || 0,
-                totalRecordings: sessionData.total_recordings || 0
-            }
-        };
-        
-        // Create and download JSON file
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${currentSession.title.replace(/[^a-z0-9]/gi, '_')}_complete_export_${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        alert(`Session exported successfully!\nIncluded: ${exportData.metadata.totalTranscriptions} transcriptions, ${exportData.metadata.totalTables} tables`);
-        
-    } catch (error) {
-        console.error('Export error:', error);
-        alert('Failed to export session data. Please try again.');
-    } finally {
-        hideLoading();
-    }
+
+    const link = document.createElement('a');
+    link.href = `/api/sessions/${currentSession.id}/archive`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    showToast('Preparing the session archive. Large sessions can take a while to download.', 'info');
 }
 
 async function importSession(event) {
     const file = event.target.files[0];
     if (!file) return;
-    
-    if (!file.name.endsWith('.json')) {
-        alert('Please select a valid JSON export file');
+
+    const name = file.name.toLowerCase();
+    if (!name.endsWith('.zip') && !name.endsWith('.json')) {
+        alert('Please select a session archive (.zip) or a JSON export file');
         return;
     }
-    
+
     try {
-        showLoading();
-        
-        const text = await file.text();
-        const importData = JSON.parse(text);
-        
-        // Validate export format
-        if (!importData.exportVersion || !importData.session || !importData.transcriptions) {
-            alert('Invalid export file format. Please select a valid session export.');
-            return;
+        let request;
+        if (name.endsWith('.zip')) {
+            if (!confirm(`Import the session archive "${file.name}" (${formatFileSize(file.size)})?\n\nThis restores the session with its tables, recordings, transcriptions and analyses.\n\nContinue?`)) return;
+
+            const formData = new FormData();
+            formData.append('archive', file);
+            request = { method: 'POST', body: formData };
+        } else {
+            const importData = JSON.parse(await file.text());
+
+            // Validate export format
+            if (!importData.exportVersion || !importData.session || !importData.transcriptions) {
+                alert('Invalid export file format. Please select a valid session export.');
+                return;
+            }
+
+            const confirmMsg = `Import Session: "${importData.session.title}"?\n\nThis older export has no audio. It will create a new session with:\n• ${importData.transcriptions.length} transcriptions\n• ${importData.metadata?.totalTables || importData.session.table_count} tables\n\nContinue?`;
+            if (!confirm(confirmMsg)) return;
+
+            request = {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(importData)
+            };
         }
-        
-        // Confirm import
-        const confirmMsg = `Import Session: "${importData.session.title}"?\n\nThis will create a new session with:\n• ${importData.metadata.totalTranscriptions} transcriptions\n• ${importData.metadata.totalTables} tables\n• ${importData.metadata.totalParticipants} participants data\n\nContinue?`;
-        
-        if (!confirm(confirmMsg)) return;
-        
-        // Send import request to backend
-        const response = await fetch('/api/sessions/import', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(importData)
-        });
-        
+
+        showLoading();
+        const response = await fetch('/api/sessions/import', request);
+        const result = await response.json().catch(() => ({}));
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Import failed');
+            throw new Error(result.error || `HTTP ${response.status}`);
         }
-        
-        const result = await response.json();
-        
-        alert(`Session imported successfully!\nNew Session ID: ${result.sessionId}\nTitle: "${result.title}"\n\nRedirecting to imported session...`);
-        
-        // Redirect to imported session
+
+        const imported = result.imported || {};
+        const notes = [
+            `${imported.tables || 0} tables, ${imported.transcriptions || 0} transcriptions, ${imported.audioFiles || 0} audio files`
+        ];
+        if (imported.keptOriginalId === false) {
+            notes.push('The original session ID is already in use here, so the session got a new ID.');
+        }
+        if (imported.passwordProtectedTables?.length) {
+            notes.push(`Table passwords cannot be moved between servers. Set them again for tables ${imported.passwordProtectedTables.join(', ')}.`);
+        }
+        alert(`Session imported successfully!\nTitle: "${result.title}"\n${notes.join('\n')}\n\nAdmin password: ${result.admin_password}\nWrite it down now; it will not be shown again.`);
+
+        // Open the imported session
         currentSession = result;
         showScreen('sessionDashboard');
         await loadSessionDashboard(result.sessionId);
         await loadActiveSessions(); // Refresh sessions list
-        
+
     } catch (error) {
         console.error('Import error:', error);
         alert(`Import failed: ${error.message}`);
@@ -4064,6 +5122,9 @@ async function loadSessionDashboard(sessionId) {
     
     // Update language indicator
     updateSessionLanguageIndicator(session.language || 'en');
+
+    loadRoundState(sessionId);
+    loadParticipantPaths(sessionId);
     
     // Load tables if available
     const hasRealTables = Array.isArray(session.tables) && session.tables.some(table => table && (table.id || table.session_id));
@@ -4109,6 +5170,9 @@ async function loadSessionDashboard(sessionId) {
     if (typeof initializeSimpleChat === 'function') {
         initializeSimpleChat();
     }
+
+    loadSessionAnalyses();
+    loadVocabulary();
 }
 
 function displayTables(tables) {
@@ -5105,12 +6169,14 @@ async function joinTable() {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                participantName: participantName
+                participantName: participantName,
+                participantId: getStoredParticipantId(sessionId)
             }),
         });
         
         if (response.ok) {
             const result = await response.json();
+            rememberParticipant(sessionId, result.participant?.id);
             
             // Go directly to the table interface (streamlined!)
             await joinSpecificTable(sessionId, tableNumber);
@@ -5148,7 +6214,8 @@ async function joinCurrentTable() {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                participantName: participantName
+                participantName: participantName,
+                participantId: getStoredParticipantId(currentSession.id)
             }),
         });
         
@@ -5156,7 +6223,7 @@ async function joinCurrentTable() {
             const result = await response.json();
             
             // Store participant ID
-            localStorage.setItem('currentParticipantId', result.participant.id);
+            rememberParticipant(currentSession.id, result.participant.id);
             
             // Simply refresh the current table interface (no redirect needed)
             setupTableInterface();
@@ -5251,12 +6318,14 @@ function setupTableInterface() {
     if (currentSession && currentTable) {
         socket.emit('join-table', {
             tableId: currentTable.id,
-            sessionId: currentSession.id
+            sessionId: currentSession.id,
+            participantId: getStoredParticipantId(currentSession.id)
         });
         console.log(`[DEBUG] Emitted join-table event for table ${currentTable.id} in session ${currentSession.id}`);
 
         // Update previous table reference
         previousTable = { ...currentTable };
+        refreshTableAccess();
     }
 
     // Update session info in header
@@ -5333,6 +6402,9 @@ function setupTableInterface() {
 
     // Participants functionality removed
 
+    // Load round state before the lists so the round filter is populated
+    loadRoundState(currentSession?.id);
+
     // Load existing transcriptions
     loadExistingTranscriptions();
 
@@ -6114,12 +7186,11 @@ async function startLiveTranscription() {
         startAudioWaveVisualization(window.liveTranscriptionStream);
 
         const model = window.deepgramModel || 'nova-2-meeting';
-        socket.emit('start-live-transcription', {
-            sessionId: currentSession?.id,
-            tableId: currentTable?.id,
-            language: currentSession?.language || 'en-US',
-            model
-        });
+        liveServerTranscriptionId = null;
+        liveResumeToken = null;
+        liveLastWordEnd = 0;
+        pendingLiveChunks = [];
+        emitStartLiveTranscription(model);
 
         mediaRecorder.ondataavailable = (event) => {
             if (event.data.size > 0) {
@@ -6131,16 +7202,21 @@ async function startLiveTranscription() {
                     resolve();
                 }
 
-                // Send to backend for transcription pipeline
-                if (socket && socket.connected) {
-                    event.data.arrayBuffer()
-                        .then(buffer => {
+                // Send to backend for transcription pipeline, holding chunks while the socket is down
+                event.data.arrayBuffer()
+                    .then(buffer => {
+                        if (socket && socket.connected && !liveResumePending) {
                             socket.emit('live-audio-chunk', buffer);
-                        })
-                        .catch(error => {
-                            console.error('❌ Error reading audio chunk for live transcription:', error);
-                        });
-                }
+                        } else {
+                            pendingLiveChunks.push(buffer);
+                            if (pendingLiveChunks.length > MAX_PENDING_LIVE_CHUNKS) {
+                                pendingLiveChunks.shift();
+                            }
+                        }
+                    })
+                    .catch(error => {
+                        console.error('❌ Error reading audio chunk for live transcription:', error);
+                    });
             }
         };
 
@@ -6150,7 +7226,7 @@ async function startLiveTranscription() {
             stopLiveTranscription({ skipEmit: true, silent: true });
         };
 
-        mediaRecorder.start(250); // Collect 250ms of audio at a time
+        mediaRecorder.start(LIVE_CHUNK_MS); // Collect 250ms of audio at a time
         isRecording = true;
         recordingStartTime = Date.now();
 
@@ -6192,9 +7268,9 @@ async function stopLiveTranscription(options = {}) {
 
     isRecording = false;
 
-    if (!skipEmit && socket && socket.connected) {
-        socket.emit('stop-live-transcription');
-    }
+    const stopAcknowledged = !skipEmit && socket && socket.connected
+        ? requestLiveTranscriptionStop()
+        : Promise.resolve(null);
 
     const recorderRef = mediaRecorder;
     const initialChunkCount = Array.isArray(window.liveAudioChunks) ? window.liveAudioChunks.length : 0;
@@ -6266,6 +7342,11 @@ async function stopLiveTranscription(options = {}) {
 
     stopAudioWaveVisualization();
 
+    // The server stores final results itself; fall back to posting them only
+    // when it could not (e.g. its database was unavailable)
+    const serverTranscriptionId = (await stopAcknowledged) || liveServerTranscriptionId;
+    liveServerTranscriptionId = null;
+
     let savedRecordingId = null;
     let audioSaved = false;
 
@@ -6275,7 +7356,7 @@ async function stopLiveTranscription(options = {}) {
                 window.liveAudioChunks,
                 recorderRef || { mimeType: liveRecorderMimeType }
             );
-            const audioSaveResult = await saveAudioFileOnly(audioBlob);
+            const audioSaveResult = await saveAudioFileOnly(audioBlob, serverTranscriptionId);
             if (audioSaveResult) {
                 audioSaved = true;
                 savedRecordingId = audioSaveResult.recording?.id || audioSaveResult.recordingId || null;
@@ -6288,7 +7369,9 @@ async function stopLiveTranscription(options = {}) {
         }
     }
 
-    if (window.currentLiveWords && window.currentLiveWords.length > 0) {
+    if (serverTranscriptionId) {
+        console.log(`💾 Live transcript persisted by server as ${serverTranscriptionId}`);
+    } else if (window.currentLiveWords && window.currentLiveWords.length > 0) {
         try {
             await saveLiveTranscriptionData(savedRecordingId);
         } catch (error) {
@@ -6317,6 +7400,65 @@ async function stopLiveTranscription(options = {}) {
     }, 1000);
 }
 
+function emitStartLiveTranscription(model = window.deepgramModel || 'nova-2-meeting') {
+    socket.emit('start-live-transcription', {
+        sessionId: currentSession?.id,
+        tableId: currentTable?.id,
+        language: currentSession?.language || 'en-US',
+        model,
+        chunkMs: LIVE_CHUNK_MS
+    });
+}
+
+// After a socket reconnect, reattach to the server-side stream so the
+// transcript continues instead of starting over
+function resumeLiveTranscription() {
+    liveResumePending = true;
+
+    socket.emit('resume-live-transcription', {
+        resumeToken: liveResumeToken,
+        lastWordEnd: liveLastWordEnd
+    }, async (response) => {
+        if (response?.resumed) {
+            console.log(`🔁 Live transcription resumed, ${response.missedWords.length} missed words`);
+            response.missedWords.forEach(word => {
+                displayLiveTranscriptionWord(typeof word.speaker === 'number' ? word.speaker : 0, word.punctuated_word || word.word);
+                if (typeof word.end === 'number') {
+                    liveLastWordEnd = Math.max(liveLastWordEnd, word.end);
+                }
+            });
+            currentLiveSpeaker = null;
+            currentLiveBubble = null;
+        } else {
+            // The server no longer has the stream; start a new one from the
+            // recording's first chunk, which carries the audio container header
+            console.warn('⚠️ Live transcription could not be resumed, starting a new stream');
+            liveResumeToken = null;
+            emitStartLiveTranscription();
+            const headerChunk = window.liveAudioChunks?.[0];
+            if (headerChunk) {
+                socket.emit('live-audio-chunk', await headerChunk.arrayBuffer());
+            }
+        }
+
+        const queued = pendingLiveChunks;
+        pendingLiveChunks = [];
+        queued.forEach(buffer => socket.emit('live-audio-chunk', buffer));
+        liveResumePending = false;
+    });
+}
+
+// Resolves with the id of the transcript the server finalized for this stream
+function requestLiveTranscriptionStop(timeoutMs = 8000) {
+    return new Promise((resolve) => {
+        const timeoutId = setTimeout(() => resolve(null), timeoutMs);
+        socket.emit('stop-live-transcription', (response) => {
+            clearTimeout(timeoutId);
+            resolve(response?.transcriptionId || null);
+        });
+    });
+}
+
 async function saveLiveTranscriptionData(recordingId = null) {
     console.log('🎯 saveLiveTranscriptionData called');
     console.log('🎯 currentLiveWords:', window.currentLiveWords ? window.currentLiveWords.length : 'undefined');
@@ -6411,7 +7553,7 @@ async function saveLiveTranscriptionData(recordingId = null) {
     window.currentLiveWords = [];
 }
 
-async function saveAudioFileOnly(audioBlob) {
+async function saveAudioFileOnly(audioBlob, transcriptionId = null) {
     if (!currentSession || !currentTable) {
         throw new Error('Missing session or table data for saving audio');
     }
@@ -6446,6 +7588,9 @@ async function saveAudioFileOnly(audioBlob) {
     formData.append('audio', finalBlob, fileName);
     formData.append('skipTranscription', 'true'); // Tell backend not to process transcription
     formData.append('source', 'live-transcription');
+    if (transcriptionId) {
+        formData.append('transcriptionId', transcriptionId);
+    }
     if (recordingStartTime) {
         const durationSeconds = Math.max(0, (Date.now() - recordingStartTime) / 1000);
         formData.append('duration', durationSeconds.toFixed(2));
@@ -6461,10 +7606,154 @@ async function saveAudioFileOnly(audioBlob) {
     if (!response.ok) {
         throw new Error('Failed to save audio file');
     }
-
-    const result = await response.json();
-    console.log('Audio file saved without transcription processing:', result);
-    return result;
+
+    const result = await response.json();
+    console.log('Audio file saved without transcription processing:', result);
+    return result;
+}
+
+// ===== RESUMABLE UPLOADS =====
+
+// Long recordings are sent in chunks so a dropped connection only costs the
+// chunk in flight. Uploads of picked files are remembered per file, so
+// choosing the same file again after a reload continues where it stopped.
+const RESUMABLE_UPLOAD_MAX_RETRIES = 8;
+const RESUMABLE_UPLOAD_MAX_DELAY_MS = 30000;
+
+function getStoredUploadId(resumeKey) {
+    try {
+        return localStorage.getItem(`resumableUpload:${resumeKey}`);
+    } catch (error) {
+        return null;
+    }
+}
+
+function storeUploadId(resumeKey, uploadId) {
+    try {
+        if (uploadId) {
+            localStorage.setItem(`resumableUpload:${resumeKey}`, uploadId);
+        } else {
+            localStorage.removeItem(`resumableUpload:${resumeKey}`);
+        }
+    } catch (error) {
+        console.warn('Unable to remember upload progress:', error);
+    }
+}
+
+// crypto.subtle only exists on HTTPS and localhost; elsewhere chunks are
+// sent without a checksum
+async function computeChunkChecksum(chunk) {
+    if (!window.crypto?.subtle) {
+        return null;
+    }
+    const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-256', await chunk.arrayBuffer()));
+    return btoa(String.fromCharCode(...digest));
+}
+
+async function readUploadResponse(response) {
+    const result = await response.json().catch(() => ({}));
+    if (response.ok) {
+        return result;
+    }
+    const error = new Error(result.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    error.offset = result.offset;
+    // 460 is a checksum mismatch: the chunk was damaged on the way
+    error.retryable = response.status >= 500 || response.status === 460 || response.status === 408 || response.status === 429;
+    throw error;
+}
+
+async function uploadFileResumable(file, fileName, fields = {}, { resumeKey = null, onProgress = null, onRetry = null } = {}) {
+    const tableNumber = currentTable.table_number || currentTable.id;
+    const baseUrl = `/api/sessions/${currentSession.id}/tables/${tableNumber}/uploads`;
+
+    let upload = null;
+    const storedId = resumeKey ? getStoredUploadId(resumeKey) : null;
+    if (storedId) {
+        try {
+            const existing = await readUploadResponse(await fetch(`${baseUrl}/${storedId}`));
+            if (existing.status === 'uploading' && existing.size === file.size) {
+                upload = existing;
+                console.log(`Resuming upload ${storedId} at byte ${existing.offset}`);
+            }
+        } catch (error) {
+            console.warn('Stored upload can no longer be resumed, starting again', error);
+        }
+    }
+    if (!upload) {
+        upload = await readUploadResponse(await fetch(baseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename: fileName, mimeType: file.type || null, size: file.size, ...fields })
+        }));
+        if (resumeKey) {
+            storeUploadId(resumeKey, upload.uploadId);
+        }
+    }
+
+    const uploadUrl = `${baseUrl}/${upload.uploadId}`;
+    let offset = upload.offset;
+    let failures = 0;
+    if (onProgress) {
+        onProgress(offset, file.size);
+    }
+
+    while (true) {
+        try {
+            if (offset >= file.size) {
+                const result = await readUploadResponse(await fetch(`${uploadUrl}/complete`, { method: 'POST' }));
+                if (resumeKey) {
+                    storeUploadId(resumeKey, null);
+                }
+                return result;
+            }
+
+            const chunk = file.slice(offset, Math.min(offset + upload.chunkSize, file.size));
+            const headers = {
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': String(offset)
+            };
+            const checksum = await computeChunkChecksum(chunk);
+            if (checksum) {
+                headers['Upload-Checksum'] = `sha256 ${checksum}`;
+            }
+
+            const result = await readUploadResponse(await fetch(uploadUrl, { method: 'PATCH', headers, body: chunk }));
+            offset = result.offset;
+            failures = 0;
+            if (onProgress) {
+                onProgress(offset, file.size);
+            }
+        } catch (error) {
+            // Network failures have no status; a 409 carries the offset the
+            // server has, e.g. when the response to the last chunk was lost
+            const conflict = error.status === 409 && Number.isFinite(error.offset);
+            if ((error.status && !error.retryable && !conflict) || failures >= RESUMABLE_UPLOAD_MAX_RETRIES) {
+                if (resumeKey && error.status === 404) {
+                    storeUploadId(resumeKey, null);
+                }
+                throw error;
+            }
+
+            failures += 1;
+            const delay = Math.min(1000 * 2 ** (failures - 1), RESUMABLE_UPLOAD_MAX_DELAY_MS);
+            console.warn(`Upload interrupted (${error.message}), retrying in ${delay / 1000}s`);
+            if (onRetry) {
+                onRetry(delay, failures);
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+
+            if (conflict) {
+                offset = error.offset;
+            } else {
+                try {
+                    offset = (await readUploadResponse(await fetch(uploadUrl))).offset;
+                } catch (statusError) {
+                    // Still offline; the next attempt asks again
+                }
+            }
+        }
+    }
 }
 
 async function uploadAudio(audioBlob, filename, source = 'start-recording') {
@@ -6496,45 +7785,32 @@ async function uploadAudio(audioBlob, filename, source = 'start-recording') {
         ? filename
         : getAudioFilename('recording', finalMimeType);
 
-    const formData = new FormData();
-    formData.append('audio', finalBlob, fileNameToUse);
-    formData.append('source', source);
-    
-    const tableNumber = currentTable.table_number || currentTable.id;
-    
-    showLoading('Uploading and transcribing audio...');
+    showLoading('Uploading audio...');
     
     try {
-        const response = await fetch(`/api/sessions/${currentSession.id}/tables/${tableNumber}/upload-audio`, {
-            method: 'POST',
-            body: formData,
+        const result = await uploadFileResumable(finalBlob, fileNameToUse, { source, mimeType: finalMimeType }, {
+            onProgress: (sent, total) => showLoading(`Uploading audio... ${Math.round((sent / total) * 100)}%`),
+            onRetry: delay => showLoading(`Connection lost, retrying in ${Math.round(delay / 1000)}s...`)
         });
+        console.log('Audio uploaded and transcription queued!', result);
         
-        if (response.ok) {
-            const result = await response.json();
-            console.log('Audio uploaded and transcription started!');
-            
-            // Update recording status
-            updateRecordingStatus({ status: 'processing', timestamp: new Date() });
-            
-            // Update recording counter immediately
-            if (currentTable) {
-                updateTableRecordingCount(currentTable.id);
-            }
-            
-            // Refresh the dashboard to update the recording count
-            if (currentSession) {
-                loadSessionDashboard(currentSession.id);
-            }
-            
-            // Refresh recordings list after a delay
-            setTimeout(() => {
-                loadTableRecordings();
-            }, 2000);
-        } else {
-            const error = await response.json();
-            console.error(`Upload failed: ${error.error}`);
+        // Update recording status
+        updateRecordingStatus({ status: 'processing', timestamp: new Date() });
+        
+        // Update recording counter immediately
+        if (currentTable) {
+            updateTableRecordingCount(currentTable.id);
+        }
+        
+        // Refresh the dashboard to update the recording count
+        if (currentSession) {
+            loadSessionDashboard(currentSession.id);
         }
+        
+        // Refresh recordings list after a delay
+        setTimeout(() => {
+            loadTableRecordings();
+        }, 2000);
     } catch (error) {
         console.error('Error uploading audio:', error);
         console.error('Error uploading audio. Please try again.');
@@ -6601,10 +7877,22 @@ function updateTableRecordingStatus(tableId, status, timestamp) {
                 dot.className = 'indicator-dot recording pulsing';
                 text.textContent = 'Recording';
                 break;
+            case 'queued':
+                dot.className = 'indicator-dot processing';
+                text.textContent = 'Queued';
+                break;
             case 'processing':
                 dot.className = 'indicator-dot processing pulsing';
                 text.textContent = 'Processing';
                 break;
+            case 'retrying':
+                dot.className = 'indicator-dot processing';
+                text.textContent = 'Retrying';
+                break;
+            case 'failed':
+                dot.className = 'indicator-dot failed';
+                text.textContent = 'Failed';
+                break;
             case 'completed':
                 dot.className = 'indicator-dot completed';
                 text.textContent = 'Completed';
@@ -6929,7 +8217,7 @@ async function loadTableRecordings() {
     if (!currentSession || !currentTable) return;
 
     try {
-        const response = await fetch(`/api/sessions/${currentSession.id}/tables/${currentTable.table_number}/recordings`);
+        const response = await fetch(`/api/sessions/${currentSession.id}/tables/${currentTable.table_number}/recordings${getRoundFilterQuery()}`);
         if (response.ok) {
             const recordings = await response.json();
             displayTableRecordings(recordings);
@@ -6939,6 +8227,631 @@ async function loadTableRecordings() {
     }
 }
 
+// ===== ROUND ROTATION =====
+
+let currentRoundState = null;
+
+function formatCountdown(totalSeconds) {
+    const seconds = Math.max(0, Math.floor(Number(totalSeconds) || 0));
+    const minutes = Math.floor(seconds / 60);
+    return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function getRoundBanners() {
+    return ['sessionRoundBanner', 'tableRoundBanner']
+        .map(id => document.getElementById(id))
+        .filter(Boolean);
+}
+
+async function loadRoundState(sessionId) {
+    if (!sessionId) return;
+
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/rounds`);
+        if (response.ok) {
+            applyRoundState(await response.json());
+        }
+    } catch (error) {
+        console.error('Error loading round state:', error);
+    }
+}
+
+function applyRoundState(state) {
+    if (!state || (currentSession && state.sessionId !== currentSession.id)) return;
+
+    const previousRoundCount = currentRoundState?.rounds?.length || 0;
+    currentRoundState = state;
+
+    const phaseLabels = {
+        active: 'In progress',
+        paused: 'Paused',
+        break: 'Moving tables',
+        completed: 'Completed',
+        idle: state.totalRounds > 0 ? 'Ready' : 'Not scheduled'
+    };
+    const phaseVariants = {
+        active: 'badge-success',
+        paused: 'badge-warning',
+        break: 'badge-warning',
+        completed: 'badge-neutral',
+        idle: 'badge-neutral'
+    };
+
+    const phaseBadge = document.getElementById('roundPhaseBadge');
+    if (phaseBadge) {
+        phaseBadge.textContent = phaseLabels[state.phase] || state.phase;
+        phaseBadge.className = `badge ${phaseVariants[state.phase] || 'badge-neutral'}`;
+    }
+
+    let label = 'No rounds scheduled';
+    if (state.phase === 'break') {
+        label = `Break after round ${state.currentRound} of ${state.totalRounds}`;
+    } else if (state.phase === 'completed') {
+        label = `All ${state.totalRounds} rounds completed`;
+    } else if (state.currentRound > 0) {
+        label = `Round ${state.currentRound} of ${state.totalRounds}`;
+    } else if (state.totalRounds > 0) {
+        label = `${state.totalRounds} rounds planned`;
+    }
+
+    getRoundBanners().forEach(banner => {
+        banner.dataset.phase = state.phase;
+        banner.querySelector('[data-round-field="label"]').textContent = label;
+
+        const questionElement = banner.querySelector('[data-round-field="question"]');
+        questionElement.textContent = state.question || '';
+        questionElement.hidden = !state.question;
+    });
+
+    const tableBanner = document.getElementById('tableRoundBanner');
+    if (tableBanner) {
+        tableBanner.classList.toggle('is-hidden', !state.rotationEnabled || state.totalRounds === 0);
+    }
+
+    updateRoundTimer(state.remainingSeconds, state.phase);
+    setRoundEndingFlag(state.phase === 'active' && state.remainingSeconds !== null && state.remainingSeconds <= 60);
+    updateRoundControls(state);
+    populateRoundFilter(state.rounds);
+
+    // Keep unsaved edits in the plan editor; only redraw when the plan itself changed
+    const planList = document.getElementById('roundPlanList');
+    if (planList && (!planList.dataset.dirty || state.rounds.length !== previousRoundCount)) {
+        renderRoundPlan(state.rounds);
+    }
+}
+
+function updateRoundTimer(remainingSeconds, phase) {
+    const hasTimer = remainingSeconds !== null && remainingSeconds !== undefined && phase !== 'completed' && phase !== 'idle';
+    getRoundBanners().forEach(banner => {
+        banner.querySelector('[data-round-field="timer"]').textContent = hasTimer ? formatCountdown(remainingSeconds) : '--:--';
+    });
+}
+
+function setRoundEndingFlag(isEnding) {
+    getRoundBanners().forEach(banner => {
+        banner.dataset.ending = isEnding ? 'true' : 'false';
+    });
+}
+
+function updateRoundControls(state) {
+    const hasRounds = state.totalRounds > 0;
+    const isRunning = ['active', 'paused', 'break'].includes(state.phase);
+    const controls = {
+        roundStartBtn: hasRounds && !isRunning,
+        roundPauseBtn: state.phase === 'active',
+        roundResumeBtn: state.phase === 'paused',
+        roundAdvanceBtn: isRunning,
+        roundExtendBtn: isRunning
+    };
+
+    Object.entries(controls).forEach(([id, enabled]) => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = !enabled;
+    });
+}
+
+function renderRoundPlan(rounds = []) {
+    const planList = document.getElementById('roundPlanList');
+    if (!planList) return;
+
+    planList.innerHTML = '';
+    delete planList.dataset.dirty;
+
+    rounds.forEach(round => appendRoundPlanRow(planList, round, round.status !== 'pending'));
+
+    if (rounds.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No rounds yet. Add rounds to rotate participants between tables.';
+        planList.appendChild(emptyState);
+    }
+}
+
+function appendRoundPlanRow(planList, round = {}, locked = false) {
+    planList.querySelector('.empty-state')?.remove();
+
+    const row = document.createElement('div');
+    row.className = 'round-plan__row';
+
+    const number = document.createElement('span');
+    number.className = 'round-plan__number';
+    row.appendChild(number);
+
+    const durationInput = document.createElement('input');
+    durationInput.type = 'number';
+    durationInput.min = '1';
+    durationInput.className = 'input';
+    durationInput.placeholder = 'Minutes';
+    durationInput.title = 'Round duration (minutes)';
+    durationInput.dataset.field = 'durationMinutes';
+    durationInput.value = round.durationMinutes ?? '';
+    row.appendChild(durationInput);
+
+    const breakInput = document.createElement('input');
+    breakInput.type = 'number';
+    breakInput.min = '0';
+    breakInput.className = 'input';
+    breakInput.placeholder = 'Break';
+    breakInput.title = 'Break after this round (minutes)';
+    breakInput.dataset.field = 'breakMinutes';
+    breakInput.value = round.breakMinutes ?? '';
+    row.appendChild(breakInput);
+
+    const questionInput = document.createElement('input');
+    questionInput.type = 'text';
+    questionInput.className = 'input round-plan__question';
+    questionInput.placeholder = 'Question for this round';
+    questionInput.dataset.field = 'question';
+    questionInput.value = round.question || '';
+    row.appendChild(questionInput);
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-secondary btn-sm';
+    removeButton.textContent = '✕';
+    removeButton.title = 'Remove round';
+    removeButton.addEventListener('click', () => removeRoundPlanRow(row));
+    row.appendChild(removeButton);
+
+    [durationInput, breakInput, questionInput, removeButton].forEach(element => {
+        element.disabled = locked;
+    });
+    row.querySelectorAll('input').forEach(input => {
+        input.addEventListener('input', () => {
+            planList.dataset.dirty = 'true';
+        });
+    });
+
+    planList.appendChild(row);
+    renumberRoundPlanRows(planList);
+}
+
+function renumberRoundPlanRows(planList) {
+    planList.querySelectorAll('.round-plan__row').forEach((row, index) => {
+        row.querySelector('.round-plan__number').textContent = `#${index + 1}`;
+    });
+}
+
+function addRoundPlanRow() {
+    const planList = document.getElementById('roundPlanList');
+    if (!planList) return;
+
+    planList.dataset.dirty = 'true';
+    appendRoundPlanRow(planList);
+}
+
+function removeRoundPlanRow(row) {
+    const planList = document.getElementById('roundPlanList');
+    row.remove();
+    if (planList) {
+        planList.dataset.dirty = 'true';
+        renumberRoundPlanRows(planList);
+    }
+}
+
+async function saveRoundPlan() {
+    if (!currentSession) return;
+
+    const planList = document.getElementById('roundPlanList');
+    if (!planList) return;
+
+    const rounds = Array.from(planList.querySelectorAll('.round-plan__row')).map(row => {
+        const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+        return {
+            durationMinutes: value('durationMinutes') ? Number(value('durationMinutes')) : null,
+            breakMinutes: value('breakMinutes') ? Number(value('breakMinutes')) : null,
+            question: value('question') || null
+        };
+    });
+
+    if (rounds.length === 0) {
+        showToast('Add at least one round before saving', 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/sessions/${currentSession.id}/rounds`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rounds })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to save rounds');
+        }
+
+        delete planList.dataset.dirty;
+        applyRoundState(result);
+        renderRoundPlan(result.rounds);
+        showToast(`Saved ${result.totalRounds} rounds`, 'success');
+    } catch (error) {
+        console.error('Error saving rounds:', error);
+        showToast('Failed to save rounds: ' + error.message, 'error');
+    }
+}
+
+// Session glossary, passed to the speech-to-text provider as boosted terms.
+// Only hosts can read it, so the card stays hidden for everyone else.
+async function loadVocabulary() {
+    const section = document.getElementById('vocabularySection');
+    if (!section || !currentSession) return;
+
+    try {
+        const response = await fetch(`/api/sessions/${currentSession.id}/vocabulary`);
+        if (!response.ok) {
+            hideElement(section);
+            return;
+        }
+        const result = await response.json();
+        renderVocabulary(result.entries);
+        showElement(section);
+    } catch (error) {
+        console.error('Error loading glossary:', error);
+        hideElement(section);
+    }
+}
+
+function renderVocabulary(entries = []) {
+    const list = document.getElementById('vocabularyList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    delete list.dataset.dirty;
+    entries.forEach(entry => appendVocabularyRow(list, entry));
+
+    if (entries.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No terms yet. Add place names, people and jargon the transcripts keep getting wrong.';
+        list.appendChild(emptyState);
+    }
+
+    const count = document.getElementById('vocabularyCount');
+    if (count) {
+        count.textContent = String(entries.length);
+    }
+}
+
+function appendVocabularyRow(list, entry = {}) {
+    list.querySelector('.empty-state')?.remove();
+
+    const row = document.createElement('div');
+    row.className = 'vocabulary-list__row';
+
+    const termInput = document.createElement('input');
+    termInput.type = 'text';
+    termInput.className = 'input';
+    termInput.maxLength = 100;
+    termInput.placeholder = 'Term, e.g. Rheinufer';
+    termInput.dataset.field = 'term';
+    termInput.value = entry.term || '';
+
+    const boostInput = document.createElement('input');
+    boostInput.type = 'number';
+    boostInput.min = '-10';
+    boostInput.max = '10';
+    boostInput.step = '0.5';
+    boostInput.className = 'input';
+    boostInput.placeholder = 'Boost';
+    boostInput.title = 'Boost (-10 to 10, optional)';
+    boostInput.dataset.field = 'boost';
+    boostInput.value = entry.boost ?? '';
+
+    const replacementsInput = document.createElement('input');
+    replacementsInput.type = 'text';
+    replacementsInput.className = 'input';
+    replacementsInput.placeholder = 'Misheard as (comma separated)';
+    replacementsInput.dataset.field = 'replacements';
+    replacementsInput.value = (entry.replacements || []).join(', ');
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-secondary btn-sm';
+    removeButton.textContent = '✕';
+    removeButton.title = 'Remove term';
+    removeButton.addEventListener('click', () => {
+        row.remove();
+        list.dataset.dirty = 'true';
+    });
+
+    row.append(termInput, boostInput, replacementsInput, removeButton);
+    row.querySelectorAll('input').forEach(input => {
+        input.addEventListener('input', () => {
+            list.dataset.dirty = 'true';
+        });
+    });
+    list.appendChild(row);
+    return row;
+}
+
+function addVocabularyRow() {
+    const list = document.getElementById('vocabularyList');
+    if (!list) return;
+
+    list.dataset.dirty = 'true';
+    appendVocabularyRow(list).querySelector('[data-field="term"]').focus();
+}
+
+async function saveVocabulary() {
+    if (!currentSession) return;
+
+    const list = document.getElementById('vocabularyList');
+    if (!list) return;
+
+    const entries = Array.from(list.querySelectorAll('.vocabulary-list__row')).map(row => {
+        const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+        return {
+            term: value('term'),
+            boost: value('boost') === '' ? null : Number(value('boost')),
+            replacements: value('replacements').split(',').map(item => item.trim()).filter(Boolean)
+        };
+    });
+
+    try {
+        const response = await fetch(`/api/sessions/${currentSession.id}/vocabulary`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ entries })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to save glossary');
+        }
+
+        renderVocabulary(result.entries);
+        showToast(`Saved ${result.entries.length} glossary term${result.entries.length === 1 ? '' : 's'}. New transcriptions will use them.`, 'success');
+    } catch (error) {
+        console.error('Error saving glossary:', error);
+        showToast('Failed to save glossary: ' + error.message, 'error');
+    }
+}
+
+async function controlRound(action, body = {}) {
+    if (!currentSession) return;
+
+    try {
+        const response = await fetch(`/api/sessions/${currentSession.id}/rounds/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Failed to ${action} round`);
+        }
+
+        applyRoundState(result);
+    } catch (error) {
+        console.error(`Error running round action ${action}:`, error);
+        showToast(error.message, 'error');
+    }
+}
+
+function populateRoundFilter(rounds = []) {
+    const filter = document.getElementById('tableRoundFilter');
+    if (!filter) return;
+
+    const selected = filter.value;
+    filter.innerHTML = '';
+
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'All rounds';
+    filter.appendChild(allOption);
+
+    rounds.forEach(round => {
+        const option = document.createElement('option');
+        option.value = String(round.roundNumber);
+        option.textContent = `Round ${round.roundNumber}`;
+        filter.appendChild(option);
+    });
+
+    filter.value = rounds.some(round => String(round.roundNumber) === selected) ? selected : '';
+    filter.classList.toggle('is-hidden', rounds.length === 0);
+}
+
+function getRoundFilterQuery() {
+    const filter = document.getElementById('tableRoundFilter');
+    return filter && filter.value ? `?round=${encodeURIComponent(filter.value)}` : '';
+}
+
+function handleRoundFilterChange() {
+    loadExistingTranscriptions();
+    loadTableRecordings();
+}
+
+// ===== PARTICIPANT IDENTITY =====
+
+// Participant IDs are remembered per session so a returning browser keeps
+// the same identity (and path) when it moves between tables.
+function getStoredParticipantId(sessionId) {
+    if (!sessionId) return null;
+    try {
+        return localStorage.getItem(`participantId:${sessionId}`);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Role of this browser at the current table; recording controls follow it
+let currentTableAccess = null;
+const TABLE_RECORDING_CONTROL_IDS = ['liveTranscriptionBtn', 'recordAudioBtn', 'showUploadMediaBtn'];
+
+async function refreshTableAccess() {
+    if (!currentSession || !currentTable) {
+        return;
+    }
+
+    try {
+        const tableNumber = currentTable.table_number || currentTable.id;
+        const response = await fetch(`/api/sessions/${currentSession.id}/access?table=${encodeURIComponent(tableNumber)}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        currentTableAccess = await response.json();
+    } catch (error) {
+        console.warn('Unable to load table permissions:', error);
+        currentTableAccess = null;
+    }
+
+    applyTableAccess();
+}
+
+function applyTableAccess() {
+    // Unknown access (e.g. offline) leaves the controls to the server-side checks
+    const canRecord = !currentTableAccess || currentTableAccess.capabilities.includes('recording:control');
+
+    TABLE_RECORDING_CONTROL_IDS.forEach((id) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = !canRecord;
+            button.title = canRecord ? '' : 'Only the table facilitator can record';
+        }
+    });
+
+    const notice = document.getElementById('tableAccessNotice');
+    if (notice) {
+        notice.textContent = canRecord
+            ? ''
+            : 'You are viewing this table as a participant. Only the table facilitator (or someone with the table password) can record.';
+        notice.classList.toggle('is-hidden', canRecord);
+    }
+}
+
+function rememberParticipant(sessionId, participantId) {
+    if (!sessionId || !participantId) return;
+    try {
+        localStorage.setItem(`participantId:${sessionId}`, participantId);
+        localStorage.setItem('currentParticipantId', participantId);
+    } catch (error) {
+        console.warn('Unable to store participant identity:', error);
+    }
+}
+
+async function showMyNextTable(sessionId) {
+    const participantId = getStoredParticipantId(sessionId);
+    if (!participantId || !currentTable) return;
+
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/participants/rotation-plan`);
+        if (!response.ok) return;
+
+        const plan = await response.json();
+        const assignment = plan.find(entry => entry.participantId === participantId);
+        if (!assignment) return;
+
+        if (assignment.role === 'host') {
+            showToast(`You are the host of Table ${assignment.fromTableNumber} — stay to welcome the next group`, 'info');
+        } else if (assignment.toTableNumber !== assignment.fromTableNumber) {
+            showToast(`Please move to Table ${assignment.toTableNumber}`, 'warning');
+        }
+    } catch (error) {
+        console.error('Error loading rotation plan:', error);
+    }
+}
+
+let participantPathsRefreshTimer = null;
+
+function scheduleParticipantPathsRefresh(sessionId) {
+    if (!sessionId || !currentSession || currentSession.id !== sessionId) return;
+
+    const section = document.getElementById('participantPathsSection');
+    if (!section || section.offsetParent === null) return;
+
+    clearTimeout(participantPathsRefreshTimer);
+    participantPathsRefreshTimer = setTimeout(() => loadParticipantPaths(sessionId), 1000);
+}
+
+async function loadParticipantPaths(sessionId = currentSession?.id) {
+    const list = document.getElementById('participantPathsList');
+    if (!list || !sessionId) return;
+
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/participants/export`);
+        if (!response.ok) return;
+
+        const data = await response.json();
+        renderParticipantPaths(data.participants || []);
+    } catch (error) {
+        console.error('Error loading participant paths:', error);
+    }
+}
+
+function renderParticipantPaths(participants) {
+    const list = document.getElementById('participantPathsList');
+    const countBadge = document.getElementById('participantPathsCount');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (countBadge) {
+        countBadge.textContent = String(participants.length);
+    }
+
+    if (participants.length === 0) {
+        const emptyState = document.createElement('p');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = 'No one has joined a table yet.';
+        list.appendChild(emptyState);
+        return;
+    }
+
+    participants.forEach(participant => {
+        const row = document.createElement('div');
+        row.className = 'participant-path';
+
+        const name = document.createElement('span');
+        name.className = 'participant-path__name';
+        name.textContent = participant.name || 'Anonymous';
+        name.title = participant.participantId;
+        row.appendChild(name);
+
+        const steps = document.createElement('ol');
+        steps.className = 'participant-path__steps';
+        participant.path.forEach(seating => {
+            const step = document.createElement('li');
+            step.className = `participant-path__step participant-path__step--${seating.role}`;
+            const roundLabel = seating.roundNumber ? `R${seating.roundNumber} · ` : '';
+            step.textContent = `${roundLabel}Table ${seating.tableNumber}${seating.role === 'host' ? ' (host)' : ''}`;
+            steps.appendChild(step);
+        });
+        row.appendChild(steps);
+
+        list.appendChild(row);
+    });
+}
+
+function exportParticipantPaths(format = 'csv') {
+    if (!currentSession) return;
+
+    const a = document.createElement('a');
+    a.href = `/api/sessions/${currentSession.id}/participants/export?format=${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+}
+
 async function loadSessionRecordings(sessionId = currentSession?.id) {
     const recordingsSection = document.getElementById('sessionRecordingsSection');
     if (!recordingsSection || recordingsSection.dataset.tableOnly === 'true') {
@@ -7159,18 +9072,9 @@ function createRecordingCard(recording, context = 'table') {
         player.controls = true;
         player.preload = 'metadata';
 
-        const primarySource = document.createElement('source');
-        primarySource.src = `/recordings/${recording.filename}`;
-        primarySource.type = recording.mime_type || 'audio/wav';
-        player.appendChild(primarySource);
-
-        if (!recording.mime_type || recording.mime_type !== 'audio/wav') {
-            const fallbackSource = document.createElement('source');
-            fallbackSource.src = `/recordings/${recording.filename}`;
-            fallbackSource.type = 'audio/wav';
-            player.appendChild(fallbackSource);
-        }
-
+        // The server picks the small AAC copy of normalized recordings
+        attachRecordingAudio(player, recording.id)
+            .catch(error => console.warn(`Recording ${recording.id} cannot be played:`, error.message));
         player.appendChild(document.createTextNode('Your browser does not support the audio element.'));
         card.appendChild(player);
     }
@@ -7180,10 +9084,16 @@ function createRecordingCard(recording, context = 'table') {
 
     if (!isFileDeleted) {
         actions.appendChild(createRecordingAction('🔄 Reprocess', 'btn-secondary', () => reprocessRecording(recording.id, recording.filename)));
-        actions.appendChild(createRecordingAction('📥 Download', 'btn-secondary', () => downloadRecording(recording.filename)));
+        actions.appendChild(createRecordingAction('📥 Download', 'btn-secondary', () => downloadRecording(recording.id, getMediaFileName(recording.original_path) || recording.filename)));
         actions.appendChild(createRecordingAction('🗑️ Delete File', 'btn-secondary', () => deleteMediaFile(recording.id, { context })));
     }
 
+    if (isFileDeleted || recording.status === 'completed') {
+        actions.appendChild(createRecordingAction('💬 SRT', 'btn-secondary', () => downloadTranscriptExport(`/api/recordings/${recording.id}/export?format=srt`)));
+        actions.appendChild(createRecordingAction('💬 VTT', 'btn-secondary', () => downloadTranscriptExport(`/api/recordings/${recording.id}/export?format=vtt`)));
+        actions.appendChild(createRecordingAction('🏷️ Speakers', 'btn-secondary', () => openSpeakerNames(recording.id)));
+    }
+
     actions.appendChild(createRecordingAction(isFileDeleted ? '🗑️ Delete Transcription' : '🗑️ Delete All', 'btn-danger', () => deleteRecordingComplete(recording.id, { context })));
 
     card.appendChild(actions);
@@ -7356,13 +9266,94 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-function downloadRecording(filename) {
-    const link = document.createElement('a');
-    link.href = `/recordings/${filename}`;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+// Exports come from the server so errors (no transcripts, no permission)
+// can be shown instead of downloading an error page
+async function downloadTranscriptExport(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || `HTTP ${response.status}`);
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || 'transcript';
+        const objectUrl = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+        console.error('Error exporting transcripts:', error);
+        showToast(`Export failed: ${error.message}`, 'error');
+    }
+}
+
+function exportSessionTranscripts() {
+    if (!currentSession) return;
+    const format = document.getElementById('sessionExportFormat').value;
+    downloadTranscriptExport(`/api/sessions/${currentSession.id}/export?format=${format}`);
+}
+
+function exportTableTranscripts() {
+    if (!currentSession || !currentTable) return;
+    const format = document.getElementById('tableExportFormat').value;
+    downloadTranscriptExport(`/api/sessions/${currentSession.id}/tables/${currentTable.table_number}/export?format=${format}`);
+}
+
+function getMediaFileName(filePath) {
+    return filePath ? filePath.split(/[\\/]/).pop() : null;
+}
+
+// Recording audio is only reachable through signed links that expire
+async function fetchMediaUrl(recordingId, { download = false } = {}) {
+    const response = await fetch(`/api/recordings/${recordingId}/media-url${download ? '?download=1' : ''}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || 'Could not load the recording');
+    }
+    return { url: data.url, expiresAt: new Date(data.expiresAt) };
+}
+
+// Points a player at a recording. When its link expires during a long
+// listen, the next failed request gets a fresh link at the same position.
+async function attachRecordingAudio(audio, recordingId) {
+    audio.dataset.recordingId = recordingId;
+    const link = await fetchMediaUrl(recordingId);
+    if (audio.dataset.recordingId !== String(recordingId)) return; // switched to another recording meanwhile
+    audio.dataset.expiresAt = String(link.expiresAt.getTime());
+    audio.src = link.url;
+
+    if (!audio.dataset.refreshesLink) {
+        audio.dataset.refreshesLink = 'true';
+        audio.addEventListener('error', async () => {
+            if (!audio.dataset.recordingId || Date.now() < Number(audio.dataset.expiresAt)) return;
+            const position = audio.currentTime;
+            try {
+                await attachRecordingAudio(audio, audio.dataset.recordingId);
+                audio.currentTime = position;
+            } catch (error) {
+                console.warn('Could not renew the recording link:', error.message);
+            }
+        });
+    }
+}
+
+async function downloadRecording(recordingId, filename) {
+    try {
+        const { url } = await fetchMediaUrl(recordingId, { download: true });
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    } catch (error) {
+        showToast(`Download failed: ${error.message}`, 'error');
+    }
 }
 
 async function reprocessRecording(recordingId, filename) {
@@ -7371,7 +9362,6 @@ async function reprocessRecording(recordingId, filename) {
     }
     
     try {
-        showToast('Starting audio reprocessing...', 'info');
         
         // Use the dedicated reprocess endpoint to avoid creating duplicate files
         const response = await fetch(`/api/recordings/${recordingId}/reprocess`, {
@@ -7386,13 +9376,9 @@ async function reprocessRecording(recordingId, filename) {
             throw new Error(error.error || 'Reprocessing failed');
         }
         
+        // Progress and completion arrive through reprocess-status events
         const result = await response.json();
-        showToast('Audio reprocessing completed! Transcription updated.', 'success');
-        
-        // Refresh transcriptions to show the updated results
-        setTimeout(() => {
-            loadExistingTranscriptions();
-        }, 1000);
+        console.log('Reprocessing queued:', result);
         
     } catch (error) {
         console.error('Error reprocessing recording:', error);
@@ -7428,64 +9414,733 @@ async function deleteMediaFile(recordingId, options = {}) {
         
     } catch (error) {
         console.error('Error deleting media file:', error);
-        showToast('Failed to delete media file. Please try again.', 'error');
+        showToast(`Failed to delete media file: ${error.message}`, 'error');
+    }
+}
+
+// Delete recording completely (media file + transcription)
+async function deleteRecordingComplete(recordingId, options = {}) {
+    if (!confirm('Delete this recording completely? This will permanently remove both the media file and all associated transcriptions. This action cannot be undone.')) {
+        return;
+    }
+
+    try {
+        showToast('Deleting recording and transcriptions...', 'info');
+        
+        const response = await fetch(`/api/recordings/${recordingId}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete recording');
+        }
+        
+        showToast('Recording and transcriptions deleted successfully.', 'success');
+        
+        const targetContext = options.context || 'all';
+
+        setTimeout(() => {
+            refreshRecordingContexts(targetContext);
+            loadExistingTranscriptions();
+        }, 500);
+        
+    } catch (error) {
+        console.error('Error deleting recording:', error);
+        showToast(`Failed to delete recording: ${error.message}`, 'error');
+    }
+}
+
+
+
+
+
+
+
+// Table comparison
+let tableComparisonSelection = [];
+let tableComparisonRequest = 0;
+
+async function compareWithOtherTables() {
+    if (!currentSession) return;
+
+    const tables = [...(currentSession.tables || [])].sort((a, b) => a.table_number - b.table_number);
+    if (tables.length < 2) {
+        showToast('This session needs at least two tables to compare.', 'warning');
+        return;
+    }
+
+    // Start from the table last opened, next to its neighbours
+    const current = currentTable ? tables.find(table => table.id === currentTable.id) : null;
+    const ordered = current ? [current, ...tables.filter(table => table !== current)] : tables;
+    tableComparisonSelection = ordered.slice(0, 3).map(table => table.id);
+
+    document.getElementById('tableComparisonSubtitle').textContent = currentSession.title;
+    renderComparisonTablePicker(tables.map(table => ({ id: table.id, tableNumber: table.table_number, name: table.name })));
+    showScreen('tableComparisonScreen');
+    await loadTableComparison();
+}
+
+function formatComparisonTableName(table) {
+    return table.name ? `Table ${table.tableNumber} · ${table.name}` : `Table ${table.tableNumber}`;
+}
+
+function renderComparisonTablePicker(tables) {
+    const picker = document.getElementById('comparisonTablePicker');
+    if (!picker) return;
+
+    picker.replaceChildren();
+    tables.forEach(table => {
+        const option = document.createElement('label');
+        option.className = 'table-comparison__option';
+        if (table.transcriptCount === 0) {
+            option.title = 'No transcripts yet';
+        }
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = table.id;
+        checkbox.checked = tableComparisonSelection.includes(table.id);
+        checkbox.addEventListener('change', () => {
+            tableComparisonSelection = [...picker.querySelectorAll('input:checked')].map(input => parseInt(input.value, 10));
+            loadTableComparison();
+        });
+
+        option.append(checkbox, formatComparisonTableName(table));
+        picker.appendChild(option);
+    });
+}
+
+async function loadTableComparison() {
+    if (!currentSession) return;
+
+    const status = document.getElementById('tableComparisonStatus');
+    if (tableComparisonSelection.length < 2) {
+        status.textContent = 'Select at least two tables to compare.';
+        renderTableComparison(null);
+        return;
+    }
+
+    // Ignore responses that arrive after the selection changed again
+    const requestId = ++tableComparisonRequest;
+    status.textContent = 'Comparing tables…';
+
+    try {
+        const response = await fetch(`/api/sessions/${currentSession.id}/compare?tables=${tableComparisonSelection.join(',')}`);
+        const data = await response.json();
+        if (requestId !== tableComparisonRequest) return;
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to compare tables');
+        }
+
+        renderComparisonTablePicker(data.availableTables);
+        renderTableComparison(data);
+        status.textContent = `Compared ${data.tables.length} tables · ${formatDateTime(new Date(data.generatedAt))}`;
+    } catch (error) {
+        if (requestId !== tableComparisonRequest) return;
+        console.error('Error comparing tables:', error);
+        status.textContent = `Could not compare tables: ${error.message}`;
+        renderTableComparison(null);
+    }
+}
+
+function renderTableComparison(data) {
+    const columns = document.getElementById('tableComparisonColumns');
+    const sharedKeywords = document.getElementById('comparisonSharedKeywords');
+    const sharedThemes = document.getElementById('comparisonSharedThemes');
+    const phrases = document.getElementById('comparisonPhrases');
+    [columns, sharedKeywords, sharedThemes, phrases].forEach(element => element.replaceChildren());
+    if (!data) return;
+
+    const tableNumbers = new Map(data.tables.map(table => [table.id, table.tableNumber]));
+    data.tables.forEach(table => columns.appendChild(createComparisonColumn(table, data.themesAvailable)));
+
+    if (data.sharedKeywords.length === 0) {
+        sharedKeywords.appendChild(createComparisonEmpty('No keyword is used repeatedly at more than one of these tables.'));
+    }
+    data.sharedKeywords.forEach(entry => {
+        const counts = Object.entries(entry.counts)
+            .map(([tableId, count]) => `Table ${tableNumbers.get(parseInt(tableId, 10))}: ${count}`)
+            .join(', ');
+        const chip = createKeywordChip(entry.word, entry.total);
+        chip.title = counts;
+        sharedKeywords.appendChild(chip);
+    });
+
+    if (!data.themesAvailable) {
+        sharedThemes.appendChild(createComparisonEmpty('Generate table themes under AI Analysis on the dashboard to compare them here.'));
+    } else if (data.sharedThemes.length === 0) {
+        sharedThemes.appendChild(createComparisonEmpty('None of the themes came up at more than one of these tables.'));
+    } else {
+        const list = document.createElement('ul');
+        list.className = 'session-analysis__list';
+        data.sharedThemes.forEach(theme => {
+            const item = document.createElement('li');
+            const name = document.createElement('strong');
+            name.textContent = theme.name;
+            item.append(name, ` — Tables ${theme.tables.map(tableId => tableNumbers.get(tableId)).join(', ')}`);
+            list.appendChild(item);
+        });
+        sharedThemes.appendChild(list);
+    }
+
+    if (data.travellingPhrases.length === 0) {
+        phrases.appendChild(createComparisonEmpty('No phrase moved between these tables across rounds.'));
+    } else {
+        const list = document.createElement('ul');
+        list.className = 'session-analysis__list';
+        data.travellingPhrases.forEach(entry => {
+            const item = document.createElement('li');
+            const phrase = document.createElement('strong');
+            phrase.textContent = `“${entry.phrase}”`;
+            const path = entry.occurrences
+                .map(occurrence => `Table ${occurrence.tableNumber} (Round ${occurrence.roundNumber}${occurrence.count > 1 ? `, ${occurrence.count}×` : ''})`)
+                .join(' → ');
+            item.append(phrase, ` ${path}`);
+            list.appendChild(item);
+        });
+        phrases.appendChild(list);
+    }
+}
+
+function createComparisonColumn(table, themesAvailable) {
+    const column = document.createElement('article');
+    column.className = 'card table-comparison__column';
+
+    const header = document.createElement('header');
+    header.className = 'card__header';
+    const title = document.createElement('h2');
+    title.className = 'card__title';
+    title.textContent = formatComparisonTableName(table);
+    header.appendChild(title);
+
+    if (table.balance !== null) {
+        const badge = document.createElement('span');
+        const level = table.balance >= 0.85 ? ['Balanced', 'badge-success'] : table.balance >= 0.6 ? ['Uneven', 'badge-neutral'] : ['Dominated', 'badge-warning'];
+        badge.className = `badge ${level[1]}`;
+        badge.textContent = level[0];
+        badge.title = `Speaking balance ${table.balance} (1 = everyone spoke equally)`;
+        header.appendChild(badge);
+    }
+    column.appendChild(header);
+
+    const summary = document.createElement('p');
+    summary.className = 'card__subtitle';
+    summary.textContent = `${table.wordCount.toLocaleString()} words · ${table.transcriptCount} transcript${table.transcriptCount === 1 ? '' : 's'}`;
+    column.appendChild(summary);
+
+    column.appendChild(createComparisonHeading(table.speakingBasis === 'time' ? 'Speaking time' : 'Speaking share (by words)'));
+    if (table.speakers.length === 0) {
+        column.appendChild(createComparisonEmpty('No speaker information.'));
+    }
+    table.speakers.forEach(speaker => {
+        const row = document.createElement('div');
+        row.className = 'table-comparison__speaker';
+
+        const label = document.createElement('span');
+        label.textContent = speaker.name || getSpeakerName(null, speaker.speaker);
+
+        const bar = document.createElement('span');
+        bar.className = 'table-comparison__bar';
+        const indicator = document.createElement('span');
+        indicator.className = 'table-comparison__bar-fill';
+        indicator.style.width = `${speaker.share}%`;
+        bar.appendChild(indicator);
+
+        const value = document.createElement('span');
+        value.className = 'table-comparison__value';
+        value.textContent = table.speakingBasis === 'time'
+            ? `${Math.round(speaker.share)}% · ${formatDuration(speaker.seconds)}`
+            : `${Math.round(speaker.share)}% · ${speaker.words} words`;
+
+        row.append(label, bar, value);
+        column.appendChild(row);
+    });
+
+    column.appendChild(createComparisonHeading('Top keywords'));
+    column.appendChild(createKeywordList(table.keywords, 'No recurring keywords yet.'));
+
+    column.appendChild(createComparisonHeading('Only at this table'));
+    column.appendChild(createKeywordList(table.uniqueKeywords, 'Every recurring keyword also came up elsewhere.'));
+
+    if (themesAvailable) {
+        column.appendChild(createComparisonHeading('Themes only here'));
+        if (table.uniqueThemes.length === 0) {
+            column.appendChild(createComparisonEmpty('No theme unique to this table.'));
+        } else {
+            const list = document.createElement('ul');
+            list.className = 'session-analysis__list';
+            table.uniqueThemes.forEach(name => {
+                const item = document.createElement('li');
+                item.textContent = name;
+                list.appendChild(item);
+            });
+            column.appendChild(list);
+        }
+    }
+
+    return column;
+}
+
+function createComparisonHeading(text) {
+    const heading = document.createElement('h3');
+    heading.className = 'table-comparison__heading';
+    heading.textContent = text;
+    return heading;
+}
+
+function createComparisonEmpty(text) {
+    const empty = document.createElement('p');
+    empty.className = 'session-analysis__meta';
+    empty.textContent = text;
+    return empty;
+}
+
+function createKeywordList(keywords, emptyText) {
+    if (keywords.length === 0) {
+        return createComparisonEmpty(emptyText);
+    }
+    const list = document.createElement('div');
+    list.className = 'table-comparison__keywords';
+    keywords.forEach(keyword => list.appendChild(createKeywordChip(keyword.word, keyword.count)));
+    return list;
+}
+
+function createKeywordChip(word, count) {
+    const chip = document.createElement('span');
+    chip.className = 'badge badge-neutral';
+    chip.textContent = `${word} ${count}`;
+    return chip;
+}
+
+
+
+
+
+
+
+
+
+
+
+
+// Session chat
+let chatSessionId = null;
+let chatRequestPending = false;
+
+async function initializeSimpleChat() {
+    const section = document.getElementById('sessionChatSection');
+    if (!section || !currentSession) return;
+
+    // A different session starts a fresh conversation
+    if (chatSessionId !== currentSession.id) {
+        chatSessionId = currentSession.id;
+        document.getElementById('chatMessages').replaceChildren();
+    }
+
+    try {
+        const response = await fetch(`/api/sessions/${currentSession.id}/chat/status`);
+        if (!response.ok) {
+            // Only hosts and admins may use the chat
+            section.classList.add('is-hidden');
+            return;
+        }
+
+        const status = await response.json();
+        const input = document.getElementById('chatInput');
+        const sendButton = document.getElementById('chatSendBtn');
+        const statusText = document.getElementById('chatStatus');
+
+        section.classList.remove('is-hidden');
+        document.getElementById('chatProviderBadge').textContent = status.available ? status.provider : 'Not configured';
+        input.disabled = !status.available;
+        sendButton.disabled = !status.available;
+
+        if (!status.available) {
+            statusText.textContent = 'The AI assistant is not configured. An admin can choose a language model under Settings → AI Assistant.';
+        } else if (!status.hasTranscriptions) {
+            statusText.textContent = 'No transcriptions yet. Questions can be asked once tables have recorded their conversations.';
+        } else {
+            statusText.textContent = `Ask questions about the ${status.transcriptionCount} transcription${status.transcriptionCount === 1 ? '' : 's'} in this session.`;
+        }
+    } catch (error) {
+        console.error('Error checking chat status:', error);
+        section.classList.add('is-hidden');
+    }
+}
+
+function appendChatMessage(role, text) {
+    const container = document.getElementById('chatMessages');
+    const message = document.createElement('div');
+    message.className = `session-chat__message session-chat__message--${role}`;
+    message.textContent = text;
+    container.appendChild(message);
+    container.scrollTop = container.scrollHeight;
+    return message;
+}
+
+// Citation chosen in the chat, highlighted once its table's transcript renders
+let pendingChatCitation = null;
+
+function formatChatCitationLabel(citation) {
+    const parts = [`Table ${citation.tableNumber}`];
+    if (citation.roundNumber) {
+        parts.push(`Round ${citation.roundNumber}`);
+    }
+    const time = formatTimestampRange(citation.start, null);
+    if (time) {
+        parts.push(time);
+    }
+    return `[${citation.index}] ${parts.join(' · ')}`;
+}
+
+function renderCitationLinks(container, citations) {
+    if (!Array.isArray(citations) || citations.length === 0) return;
+
+    const list = document.createElement('div');
+    list.className = 'session-chat__citations';
+
+    citations.forEach(citation => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'session-chat__citation';
+        chip.textContent = formatChatCitationLabel(citation);
+        chip.title = citation.excerpt || '';
+        chip.addEventListener('click', () => openChatCitation(citation));
+        list.appendChild(chip);
+    });
+
+    container.appendChild(list);
+}
+
+async function openChatCitation(citation) {
+    pendingChatCitation = citation;
+
+    // A round filter left on from an earlier visit could hide the cited transcript
+    const roundFilter = document.getElementById('tableRoundFilter');
+    if (roundFilter) {
+        roundFilter.value = '';
+    }
+
+    await showTableInterface(citation.tableId);
+}
+
+function focusPendingChatCitation() {
+    const citation = pendingChatCitation;
+    if (!citation || !currentTable || currentTable.id !== citation.tableId) return;
+    pendingChatCitation = null;
+
+    const item = document.querySelector(`.transcript-item[data-transcription-id="${CSS.escape(String(citation.transcriptionId))}"]`);
+    if (!item) {
+        showToast('The cited transcript is no longer available at this table', 'warning');
+        return;
+    }
+
+    // The bubble whose time span contains the cited start, else the whole recording
+    let target = item;
+    if (typeof citation.start === 'number') {
+        const bubbles = [...item.querySelectorAll('[data-start]')];
+        target = bubbles.find(bubble => citation.start >= Number(bubble.dataset.start) && citation.start <= Number(bubble.dataset.end))
+            || bubbles.filter(bubble => Number(bubble.dataset.start) <= citation.start).pop()
+            || item;
+    }
+
+    target.classList.add('transcript-citation-highlight');
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setTimeout(() => target.classList.remove('transcript-citation-highlight'), 4000);
+}
+
+async function sendChatMessage() {
+    const input = document.getElementById('chatInput');
+    const message = input?.value.trim();
+    if (!message || !currentSession || chatRequestPending) return;
+
+    chatRequestPending = true;
+    input.value = '';
+    document.getElementById('chatSendBtn').disabled = true;
+
+    appendChatMessage('user', message);
+    const reply = appendChatMessage('assistant', 'Thinking…');
+    reply.classList.add('session-chat__message--pending');
+
+    try {
+        const response = await fetch(`/api/sessions/${currentSession.id}/chat`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ message })
+        });
+        const result = await response.json();
+
+        reply.classList.remove('session-chat__message--pending');
+        if (!response.ok) {
+            const suggestions = Array.isArray(result.suggestions) ? `\n\n${result.suggestions.join('\n')}` : '';
+            reply.className = 'session-chat__message session-chat__message--error';
+            reply.textContent = `${result.error || 'The question could not be answered'}${result.details ? `\n${result.details}` : ''}${suggestions}`;
+            return;
+        }
+
+        reply.textContent = result.response;
+        renderCitationLinks(reply, result.citations);
+    } catch (error) {
+        console.error('Error sending chat message:', error);
+        reply.className = 'session-chat__message session-chat__message--error';
+        reply.textContent = 'Could not reach the server. Please try again.';
+    } finally {
+        chatRequestPending = false;
+        document.getElementById('chatSendBtn').disabled = false;
+        document.getElementById('chatMessages').scrollTop = document.getElementById('chatMessages').scrollHeight;
+    }
+}
+
+// Session analyses
+const ANALYSIS_TITLES = {
+    summary: 'Summary',
+    themes: 'Themes',
+    sentiment: 'Sentiment',
+    conflicts: 'Conflicts',
+    agreements: 'Agreements'
+};
+let sessionAnalysisState = null;
+let sessionAnalysisRefreshTimer = null;
+
+async function loadSessionAnalyses() {
+    const section = document.getElementById('sessionAnalysisSection');
+    if (!section || !currentSession) return;
+
+    try {
+        const response = await fetch(`/api/sessions/${currentSession.id}/analyses`);
+        // Comparison requires the same capability as analyses
+        const compareButton = document.getElementById('compareTablesBtn');
+        if (!response.ok) {
+            // Only hosts and admins see analyses
+            section.classList.add('is-hidden');
+            compareButton?.classList.add('is-hidden');
+            return;
+        }
+
+        sessionAnalysisState = await response.json();
+        section.classList.remove('is-hidden');
+        compareButton?.classList.remove('is-hidden');
+        populateAnalysisScopeSelect(sessionAnalysisState.tables);
+        renderSessionAnalyses();
+    } catch (error) {
+        console.error('Error loading session analyses:', error);
+        section.classList.add('is-hidden');
     }
 }
 
-// Delete recording completely (media file + transcription)
-async function deleteRecordingComplete(recordingId, options = {}) {
-    if (!confirm('Delete this recording completely? This will permanently remove both the media file and all associated transcriptions. This action cannot be undone.')) {
-        return;
-    }
+// Job updates arrive in bursts (one per type and table); reload once per burst
+function scheduleSessionAnalysesRefresh() {
+    const section = document.getElementById('sessionAnalysisSection');
+    if (!section || section.classList.contains('is-hidden')) return;
+
+    clearTimeout(sessionAnalysisRefreshTimer);
+    sessionAnalysisRefreshTimer = setTimeout(loadSessionAnalyses, 1000);
+}
+
+function populateAnalysisScopeSelect(tables = []) {
+    const select = document.getElementById('analysisScopeSelect');
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '';
+
+    const sessionOption = document.createElement('option');
+    sessionOption.value = '';
+    sessionOption.textContent = 'Whole session';
+    select.appendChild(sessionOption);
+
+    tables.forEach(table => {
+        const option = document.createElement('option');
+        option.value = String(table.id);
+        option.textContent = table.name ? `Table ${table.tableNumber} · ${table.name}` : `Table ${table.tableNumber}`;
+        select.appendChild(option);
+    });
+
+    select.value = tables.some(table => String(table.id) === selected) ? selected : '';
+}
+
+function getAnalysisScopeTableId() {
+    const value = document.getElementById('analysisScopeSelect')?.value;
+    return value ? parseInt(value, 10) : null;
+}
 
-    try {
-        showToast('Deleting recording and transcriptions...', 'info');
-        
-        const response = await fetch(`/api/recordings/${recordingId}`, {
-            method: 'DELETE'
-        });
-        
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to delete recording');
-        }
-        
-        showToast('Recording and transcriptions deleted successfully.', 'success');
-        
-        const targetContext = options.context || 'all';
+function renderSessionAnalyses() {
+    const state = sessionAnalysisState;
+    const container = document.getElementById('analysisResults');
+    if (!state || !container) return;
 
-        setTimeout(() => {
-            refreshRecordingContexts(targetContext);
-            loadExistingTranscriptions();
-        }, 500);
-        
-    } catch (error) {
-        console.error('Error deleting recording:', error);
-        showToast('Failed to delete recording. Please try again.', 'error');
+    const tableId = getAnalysisScopeTableId();
+    const statusText = document.getElementById('analysisStatus');
+    const generateButton = document.getElementById('analysisGenerateBtn');
+    generateButton.disabled = !state.available;
+
+    const hasSources = tableId ? true : state.tables.length > 0;
+    if (!state.available) {
+        statusText.textContent = 'Analyses need a language model. An admin can choose one under Settings → AI Assistant.';
+    } else if (!hasSources) {
+        statusText.textContent = 'No transcriptions yet. Analyses can be generated once tables have recorded their conversations.';
+        generateButton.disabled = true;
+    } else {
+        statusText.textContent = tableId
+            ? 'Analyses of this table\'s conversation.'
+            : 'Analyses across all tables. Choose a table to see its own results.';
     }
+
+    container.replaceChildren();
+    state.types.forEach(type => {
+        const analysis = state.analyses.find(item => item.type === type
+            && (tableId ? item.scope === 'table' && item.tableId === tableId : item.scope === 'session'));
+        const job = state.jobs.find(item => item.type === type && (item.tableId || null) === tableId);
+        container.appendChild(createAnalysisPanel(type, analysis, job));
+    });
 }
 
+function createAnalysisPanel(type, analysis, job) {
+    const panel = document.createElement('article');
+    panel.className = `session-analysis__panel${type === 'summary' ? ' session-analysis__panel--wide' : ''}`;
 
+    const header = document.createElement('header');
+    header.className = 'session-analysis__panel-header';
+    const title = document.createElement('h3');
+    title.className = 'session-analysis__panel-title';
+    title.textContent = ANALYSIS_TITLES[type] || type;
+    header.appendChild(title);
 
+    let badge = null;
+    if (job && job.status !== 'dead') {
+        badge = { text: job.status === 'retrying' ? 'Retrying…' : 'Generating…', className: 'badge-primary', title: job.error || '' };
+    } else if (job) {
+        badge = { text: 'Failed', className: 'badge-error', title: job.error || '' };
+    } else if (analysis?.stale) {
+        badge = { text: 'Outdated', className: 'badge-warning', title: 'New or edited transcripts since this was generated' };
+    }
+    if (badge) {
+        const badgeElement = document.createElement('span');
+        badgeElement.className = `badge ${badge.className}`;
+        badgeElement.textContent = badge.text;
+        badgeElement.title = badge.title;
+        header.appendChild(badgeElement);
+    }
+    panel.appendChild(header);
 
+    if (!analysis) {
+        const empty = document.createElement('p');
+        empty.className = 'card__subtitle';
+        empty.textContent = job && job.status === 'dead' ? `Generation failed: ${job.error || 'unknown error'}` : 'Not generated yet.';
+        panel.appendChild(empty);
+        return panel;
+    }
 
+    panel.appendChild(renderAnalysisBody(type, analysis.data || {}));
 
+    const meta = document.createElement('div');
+    meta.className = 'session-analysis__meta';
+    const generatedAt = formatDateTime(new Date(analysis.metadata?.generated_at || analysis.updatedAt));
+    meta.textContent = [generatedAt && `Generated ${generatedAt}`, analysis.metadata?.model].filter(Boolean).join(' · ');
+    panel.appendChild(meta);
 
-async function compareWithOtherTables() {
-    // This would show a comparison view between different tables
-    alert('Table comparison view - to be implemented');
+    return panel;
 }
 
+function renderAnalysisList(items, renderItem) {
+    if (!Array.isArray(items) || items.length === 0) {
+        const none = document.createElement('p');
+        none.textContent = 'None found.';
+        return none;
+    }
 
+    const list = document.createElement('ul');
+    list.className = 'session-analysis__list';
+    items.forEach(item => {
+        const entry = document.createElement('li');
+        renderItem(entry, item);
+        renderCitationLinks(entry, item.citations);
+        list.appendChild(entry);
+    });
+    return list;
+}
 
+function appendAnalysisText(parent, label, text) {
+    if (label) {
+        const strong = document.createElement('strong');
+        strong.textContent = label;
+        parent.appendChild(strong);
+        if (text) parent.appendChild(document.createTextNode(' — '));
+    }
+    if (text) {
+        parent.appendChild(document.createTextNode(text));
+    }
+}
 
+function renderAnalysisBody(type, data) {
+    const body = document.createElement('div');
 
+    switch (type) {
+        case 'summary': {
+            const summary = document.createElement('p');
+            summary.textContent = data.summary || '';
+            body.appendChild(summary);
+            body.appendChild(renderAnalysisList(data.key_points, (entry, item) => appendAnalysisText(entry, null, item.point)));
+            break;
+        }
+        case 'themes':
+            body.appendChild(renderAnalysisList(data.themes, (entry, item) => appendAnalysisText(entry, item.name, item.description)));
+            break;
+        case 'sentiment': {
+            const overall = document.createElement('p');
+            const score = typeof data.score === 'number' ? ` (${data.score > 0 ? '+' : ''}${data.score.toFixed(2)})` : '';
+            appendAnalysisText(overall, `${data.overall || 'unknown'}${score}`, data.explanation);
+            body.appendChild(overall);
+            if (Array.isArray(data.highlights) && data.highlights.length > 0) {
+                body.appendChild(renderAnalysisList(data.highlights, (entry, item) => appendAnalysisText(entry, item.sentiment, `“${item.quote}”`)));
+            }
+            break;
+        }
+        case 'conflicts':
+            body.appendChild(renderAnalysisList(data.conflicts, (entry, item) => appendAnalysisText(entry, item.topic, (item.positions || []).join(' vs. '))));
+            break;
+        case 'agreements':
+            body.appendChild(renderAnalysisList(data.agreements, (entry, item) => appendAnalysisText(entry, item.topic, item.description)));
+            break;
+        default:
+            body.textContent = JSON.stringify(data);
+    }
 
+    return body;
+}
 
+async function generateSessionAnalyses() {
+    if (!currentSession) return;
 
+    const tableId = getAnalysisScopeTableId();
+    const button = document.getElementById('analysisGenerateBtn');
+    button.disabled = true;
 
+    try {
+        const response = await fetch(`/api/sessions/${currentSession.id}/analyses`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(tableId ? { scope: 'table', tableId } : { scope: 'session' })
+        });
+        const result = await response.json();
 
+        if (!response.ok) {
+            throw new Error(result.message || result.error || 'Failed to queue analyses');
+        }
 
+        showToast('Analyses queued; results appear here as they finish', 'success');
+        await loadSessionAnalyses();
+    } catch (error) {
+        console.error('Error generating analyses:', error);
+        showToast(error.message, 'error');
+        button.disabled = false;
+    }
+}
 
 // Handle Enter key in chat input
 document.addEventListener('DOMContentLoaded', function() {
@@ -7520,22 +10175,8 @@ async function adminLogin() {
         });
         
         if (response.ok) {
-            const loginContainer = document.getElementById('adminLogin');
-            const adminPanel = document.getElementById('adminPanel');
-
-            if (loginContainer) {
-                loginContainer.classList.add('is-hidden');
-            }
-
-            if (adminPanel) {
-                adminPanel.classList.remove('is-hidden');
-            }
-
-            loadAdminSessions();
-            loadAdminStats();
-            loadSettingsData();
-            loadPlatformStats();
-
+            document.getElementById('adminPassword').value = '';
+            showAdminPanel();
             console.log('Admin access granted');
         } else {
             const error = await response.json();
@@ -7547,6 +10188,47 @@ async function adminLogin() {
     }
 }
 
+async function adminLogout() {
+    try {
+        await fetch('/api/admin/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error during admin logout:', error);
+    }
+    showAdminLoginForm();
+}
+
+function showAdminPanel() {
+    document.getElementById('adminLogin')?.classList.add('is-hidden');
+    document.getElementById('adminPanel')?.classList.remove('is-hidden');
+    document.getElementById('adminLogoutBtn')?.classList.remove('is-hidden');
+
+    loadAdminSessions();
+    loadAdminStats();
+    loadSettingsData();
+    loadPlatformStats();
+}
+
+function showAdminLoginForm() {
+    document.getElementById('adminPanel')?.classList.add('is-hidden');
+    document.getElementById('adminLogoutBtn')?.classList.add('is-hidden');
+    document.getElementById('adminLogin')?.classList.remove('is-hidden');
+}
+
+// Admin API calls; a missing or expired admin session returns to the login form
+async function adminFetch(url, options = {}) {
+    const response = await fetch(url, options);
+
+    if (response.status === 401) {
+        const body = await response.clone().json().catch(() => ({}));
+        if (body.requiresAdminLogin && !document.getElementById('adminPanel')?.classList.contains('is-hidden')) {
+            showAdminLoginForm();
+            showToast('Your admin session has expired. Please log in again.', 'warning');
+        }
+    }
+
+    return response;
+}
+
 
 // Admin Session Management Functions
 let currentAdminSessions = [];
@@ -7589,7 +10271,7 @@ async function loadAdminSessions() {
         if (includeDeleted) url += 'includeDeleted=true&';
         if (status) url += `status=${status}&`;
         
-        const response = await fetch(url);
+        const response = await adminFetch(url);
         currentAdminSessions = await response.json();
         renderAdminSessions(currentAdminSessions);
     } catch (error) {
@@ -7600,7 +10282,7 @@ async function loadAdminSessions() {
 
 async function loadAdminStats() {
     try {
-        const response = await fetch('/api/admin/dashboard/stats');
+        const response = await adminFetch('/api/admin/dashboard/stats');
         const stats = await response.json();
         
         document.getElementById('adminActiveCount').textContent = stats.active_sessions || 0;
@@ -7689,7 +10371,6 @@ function promptSessionAction(action, sessionId) {
     
     document.getElementById('actionModalTitle').textContent = titles[action];
     document.getElementById('actionReason').value = '';
-    document.getElementById('adminUser').value = 'admin';
     
     const confirmBtn = document.getElementById('confirmActionBtn');
     confirmBtn.className = `btn ${confirmBtnClasses[action]}`;
@@ -7703,7 +10384,6 @@ async function confirmSessionAction() {
     
     const { action, sessionId } = pendingSessionAction;
     const reason = document.getElementById('actionReason').value;
-    const adminUser = document.getElementById('adminUser').value || 'admin';
     
     try {
         let url, method;
@@ -7727,12 +10407,12 @@ async function confirmSessionAction() {
                 break;
         }
         
-        const response = await fetch(url, {
+        const response = await adminFetch(url, {
             method: method,
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ reason, adminUser })
+            body: JSON.stringify({ reason })
         });
         
         const result = await response.json();
@@ -7758,7 +10438,7 @@ function closeSessionActionModal() {
 
 async function viewSessionHistory(sessionId) {
     try {
-        const response = await fetch(`/api/admin/sessions/${sessionId}/history`);
+        const response = await adminFetch(`/api/admin/sessions/${sessionId}/history`);
         const history = await response.json();
         
         const content = document.getElementById('sessionHistoryContent');
@@ -7795,7 +10475,7 @@ function closeSessionHistory() {
 
 async function loadPlatformStats() {
     try {
-        const response = await fetch('/api/admin/dashboard/stats');
+        const response = await adminFetch('/api/admin/dashboard/stats');
         const stats = await response.json();
         
         document.getElementById('platformStats').innerHTML = `
@@ -8148,13 +10828,7 @@ async function handleMediaFileUpload(event) {
         return;
     }
     
-    // Check file size (limit to 100MB)
-    const maxSize = 100 * 1024 * 1024; // 100MB
-    if (file.size > maxSize) {
-        alert('File size too large. Please select a file smaller than 100MB.');
-        return;
-    }
-    
+    // The server checks the size limit when the upload starts
     await uploadMediaFile(file);
     
     // Clear the input
@@ -8162,11 +10836,6 @@ async function handleMediaFileUpload(event) {
 }
 
 async function uploadMediaFile(file) {
-    const formData = new FormData();
-    formData.append('audio', file, file.name); // Using 'audio' field name to match existing endpoint
-    formData.append('source', 'upload-media'); // Specify source for Upload Media tab
-    formData.append('skipTranscription', 'true'); // Don't auto-process, only manual via reprocess button
-    
     const tableNumber = currentTable.table_number || currentTable.id;
     
     // Show upload progress
@@ -8181,42 +10850,24 @@ async function uploadMediaFile(file) {
     showElement(uploadProgress);
     
     try {
-        const xhr = new XMLHttpRequest();
-        
-        // Track upload progress
-        xhr.upload.addEventListener('progress', (e) => {
-            if (e.lengthComputable) {
-                const percentComplete = (e.loaded / e.total) * 100;
+        // 'upload-media' source, and no automatic transcription: it only runs
+        // through the reprocess button
+        const result = await uploadFileResumable(file, file.name, { source: 'upload-media', skipTranscription: 'true' }, {
+            resumeKey: `${currentSession.id}:${tableNumber}:${file.name}:${file.size}:${file.lastModified}`,
+            onProgress: (sent, total) => {
+                const percentComplete = (sent / total) * 100;
                 if (uploadProgressBar) uploadProgressBar.style.width = percentComplete + '%';
                 if (uploadStatus) uploadStatus.textContent = `Uploading... ${Math.round(percentComplete)}%`;
+            },
+            onRetry: (delay) => {
+                if (uploadStatus) uploadStatus.textContent = `Connection lost, retrying in ${Math.round(delay / 1000)}s...`;
             }
         });
         
-        // Handle completion
-        const uploadPromise = new Promise((resolve, reject) => {
-            xhr.onload = () => {
-                if (xhr.status === 200) {
-                    resolve(JSON.parse(xhr.responseText));
-                } else {
-                    reject(new Error(`Upload failed: ${xhr.statusText}`));
-                }
-            };
-            
-            xhr.onerror = () => reject(new Error('Network error during upload'));
-        });
-        
-        // Start upload
-        xhr.open('POST', `/api/sessions/${currentSession.id}/tables/${tableNumber}/upload-audio`);
-        xhr.send(formData);
-        
-        if (uploadStatus) uploadStatus.textContent = 'Processing...';
-        
-        const result = await uploadPromise;
-        
         if (uploadProgressBar) uploadProgressBar.style.width = '100%';
         if (uploadStatus) uploadStatus.textContent = 'Upload complete! Processing transcription...';
         
-        console.log('Media uploaded successfully!');
+        console.log('Media uploaded successfully!', result);
         
         // Update recording status
         updateRecordingStatus({ status: 'processing', timestamp: new Date() });
@@ -8238,7 +10889,11 @@ async function uploadMediaFile(file) {
         
     } catch (error) {
         console.error('Error uploading media:', error);
-        if (uploadStatus) uploadStatus.textContent = 'Upload failed. Please try again.';
+        if (uploadStatus) {
+            uploadStatus.textContent = error.status
+                ? `Upload failed: ${error.message}`
+                : 'Upload interrupted. Choose the same file again to continue where it stopped.';
+        }
         if (uploadProgressBar) uploadProgressBar.style.width = '0%';
         
         // Hide upload progress after 5 seconds
@@ -8369,7 +11024,7 @@ async function updateApiKeys() {
     showLoading('Updating API keys...');
     
     try {
-        const response = await fetch('/api/admin/settings/api-keys', {
+        const response = await adminFetch('/api/admin/settings/api-keys', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -8411,7 +11066,7 @@ async function testApiKeys() {
     showLoading('Testing API connections...');
     
     try {
-        const response = await fetch('/api/admin/settings/test-apis');
+        const response = await adminFetch('/api/admin/settings/test-apis');
         const result = await response.json();
         
         let message = 'API Test Results:\n\n';
@@ -8422,6 +11077,20 @@ async function testApiKeys() {
                 message += `  Error: ${result.deepgram.error}\n`;
             }
         }
+
+        if (result.local) {
+            message += `Local engine: ${result.local.working ? '✅ Ready' : '❌ Not ready'}\n`;
+            if (result.local.error) {
+                message += `  Error: ${result.local.error}\n`;
+            }
+        }
+
+        if (result.llm) {
+            message += `Language model (${result.llm.provider}): ${result.llm.working ? '✅ Ready' : '❌ Not ready'}\n`;
+            if (result.llm.error) {
+                message += `  Error: ${result.llm.error}\n`;
+            }
+        }
         
         
         alert(message);
@@ -8437,6 +11106,290 @@ async function testApiKeys() {
     }
 }
 
+function toggleLocalSttFields() {
+    const provider = document.getElementById('sttProviderSelect')?.value;
+    const localFields = document.getElementById('localSttFields');
+    if (localFields) {
+        localFields.classList.toggle('is-hidden', provider !== 'local');
+    }
+}
+
+function applyTranscriptionSettings(settings) {
+    const providerSelect = document.getElementById('sttProviderSelect');
+    if (providerSelect && settings.provider) {
+        providerSelect.value = settings.provider;
+    }
+
+    const providerStatus = document.getElementById('sttProviderStatus');
+    if (providerStatus) {
+        providerStatus.textContent = settings.configured
+            ? 'Active provider is configured'
+            : 'Active provider is not configured yet';
+    }
+
+    const local = settings.local || {};
+    document.getElementById('localSttBinary').value = local.binary || '';
+    document.getElementById('localSttModel').value = local.model_path || '';
+    document.getElementById('localSttThreads').value = local.threads || '';
+    document.getElementById('localSttTinydiarize').checked = Boolean(local.tinydiarize);
+
+    if (settings.provider !== 'local' && local.configured === false && providerStatus) {
+        providerStatus.textContent += ' · local engine model not found';
+    }
+
+    const audio = settings.audio;
+    if (audio) {
+        document.getElementById('audioNormalize').checked = Boolean(audio.enabled);
+        document.getElementById('audioKeepOriginal').checked = Boolean(audio.keep_original);
+        if (audio.enabled && !audio.available) {
+            document.getElementById('audioNormalizeStatus').textContent = 'ffmpeg or ffprobe was not found on the server; recordings are transcribed as uploaded';
+        }
+    }
+
+    const queue = settings.queue;
+    if (queue) {
+        document.getElementById('transcriptionWorkers').value = queue.workers || '';
+        document.getElementById('transcriptionMaxAttempts').value = queue.max_attempts || '';
+
+        const jobs = queue.jobs || {};
+        const queueStatus = document.getElementById('transcriptionQueueStatus');
+        if (queueStatus) {
+            queueStatus.textContent = `Queue: ${jobs.queued + jobs.retrying} waiting, ${jobs.running} running, ${jobs.dead} failed`;
+        }
+        if (jobs.dead > 0) {
+            loadDeadTranscriptionJobs();
+        } else {
+            renderDeadTranscriptionJobs([]);
+        }
+    }
+
+    toggleLocalSttFields();
+}
+
+async function loadDeadTranscriptionJobs() {
+    try {
+        const response = await adminFetch('/api/admin/transcription-jobs?status=dead');
+        if (response.ok) {
+            const result = await response.json();
+            renderDeadTranscriptionJobs(result.jobs || []);
+        }
+    } catch (error) {
+        console.error('Error loading failed transcription jobs:', error);
+    }
+}
+
+function renderDeadTranscriptionJobs(jobs) {
+    const container = document.getElementById('transcriptionDeadJobs');
+    if (!container) return;
+
+    container.replaceChildren();
+    container.classList.toggle('is-hidden', jobs.length === 0);
+
+    jobs.forEach(job => {
+        const row = document.createElement('div');
+        row.className = 'transcription-jobs__row';
+
+        const info = document.createElement('div');
+        info.className = 'transcription-jobs__info';
+        const title = document.createElement('strong');
+        title.textContent = `${job.session_title} · Table ${job.table_number}`;
+        const detail = document.createElement('span');
+        detail.textContent = `${job.filename} — ${job.last_error || 'Unknown error'} (${job.attempts} attempts)`;
+        info.append(title, detail);
+
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.className = 'btn btn-secondary btn-sm';
+        retryButton.textContent = '🔁 Retry';
+        retryButton.addEventListener('click', () => retryTranscriptionJob(job.id));
+
+        row.append(info, retryButton);
+        container.appendChild(row);
+    });
+}
+
+async function retryTranscriptionJob(jobId) {
+    try {
+        const response = await adminFetch(`/api/admin/transcription-jobs/${jobId}/retry`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Retry failed');
+        }
+        showToast('Transcription queued again', 'success');
+        loadTranscriptionSettings();
+    } catch (error) {
+        console.error('Error retrying transcription job:', error);
+        showToast(`Could not retry transcription: ${error.message}`, 'error');
+    }
+}
+
+async function loadTranscriptionSettings() {
+    try {
+        const response = await adminFetch('/api/admin/settings/transcription');
+        if (response.ok) {
+            applyTranscriptionSettings(await response.json());
+        }
+    } catch (error) {
+        console.error('Error loading transcription settings:', error);
+    }
+}
+
+async function saveTranscriptionSettings() {
+    const provider = document.getElementById('sttProviderSelect').value;
+    const payload = {
+        provider,
+        transcription_workers: document.getElementById('transcriptionWorkers').value.trim() || null,
+        transcription_max_attempts: document.getElementById('transcriptionMaxAttempts').value.trim() || null,
+        audio_normalize: document.getElementById('audioNormalize').checked,
+        audio_keep_original: document.getElementById('audioKeepOriginal').checked
+    };
+
+    if (provider === 'local') {
+        payload.local_stt_binary = document.getElementById('localSttBinary').value.trim() || null;
+        payload.local_stt_model = document.getElementById('localSttModel').value.trim() || null;
+        payload.local_stt_threads = document.getElementById('localSttThreads').value.trim() || null;
+        payload.local_stt_tinydiarize = document.getElementById('localSttTinydiarize').checked;
+    }
+
+    showLoading('Saving transcription settings...');
+
+    try {
+        const response = await adminFetch('/api/admin/settings/transcription', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            applyTranscriptionSettings(result);
+            alert(result.configured
+                ? 'Transcription settings saved successfully!'
+                : 'Transcription settings saved, but the selected provider is not fully configured yet.');
+        } else {
+            alert(`Failed to save transcription settings: ${result.error}`);
+        }
+    } catch (error) {
+        console.error('Error saving transcription settings:', error);
+        alert('Error saving transcription settings. Please try again.');
+    } finally {
+        hideLoading();
+    }
+}
+
+function updateLLMProviderHint() {
+    const provider = document.getElementById('llmProviderSelect')?.value;
+    const hint = document.getElementById('llmProviderStatus');
+    const baseUrl = document.getElementById('llmBaseUrl');
+    if (!hint) return;
+
+    if (baseUrl) {
+        baseUrl.placeholder = provider === 'local' ? 'http://localhost:11434/v1' : 'Provider default';
+    }
+    if (provider === 'local') {
+        hint.textContent = 'Runs against a llama.cpp or Ollama server; transcripts never leave your network';
+    } else if (provider === 'fake') {
+        hint.textContent = 'Echoes questions back without a model, for development only';
+    }
+}
+
+function applyLLMSettings(settings) {
+    const providerSelect = document.getElementById('llmProviderSelect');
+    if (providerSelect && settings.provider) {
+        providerSelect.value = settings.provider;
+    }
+
+    updateLLMProviderHint();
+
+    const providerStatus = document.getElementById('llmProviderStatus');
+    if (providerStatus && settings.provider !== 'local' && settings.provider !== 'fake') {
+        providerStatus.textContent = settings.configured
+            ? `Active provider is configured${settings.api_key_set ? ' (API key saved)' : ''}`
+            : 'Active provider is not configured yet: add an API key';
+    }
+
+    document.getElementById('llmBaseUrl').value = settings.baseUrl || '';
+    document.getElementById('llmModel').value = settings.model || '';
+    document.getElementById('llmContextTokens').value = settings.contextTokens || '';
+    document.getElementById('llmEmbeddingModel').value = settings.embeddingModel || '';
+    document.getElementById('llmApiKey').value = '';
+}
+
+async function loadLLMSettings() {
+    try {
+        const response = await adminFetch('/api/admin/settings/llm');
+        if (response.ok) {
+            applyLLMSettings(await response.json());
+        }
+    } catch (error) {
+        console.error('Error loading LLM settings:', error);
+    }
+}
+
+async function saveLLMSettings() {
+    const payload = {
+        provider: document.getElementById('llmProviderSelect').value,
+        base_url: document.getElementById('llmBaseUrl').value.trim(),
+        model: document.getElementById('llmModel').value.trim(),
+        context_tokens: document.getElementById('llmContextTokens').value.trim(),
+        embedding_model: document.getElementById('llmEmbeddingModel').value.trim()
+    };
+
+    const apiKey = document.getElementById('llmApiKey').value.trim();
+    if (apiKey) {
+        payload.api_key = apiKey;
+    }
+
+    showLoading('Saving AI settings...');
+
+    try {
+        const response = await adminFetch('/api/admin/settings/llm', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            applyLLMSettings(result);
+            alert(result.configured
+                ? 'AI settings saved successfully!'
+                : 'AI settings saved, but the selected provider is not fully configured yet.');
+        } else {
+            alert(`Failed to save AI settings: ${result.error}`);
+        }
+    } catch (error) {
+        console.error('Error saving LLM settings:', error);
+        alert('Error saving AI settings. Please try again.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function testLLMSettings() {
+    showLoading('Asking the language model...');
+
+    try {
+        const response = await adminFetch('/api/admin/settings/llm/test', { method: 'POST' });
+        const result = await response.json();
+
+        if (response.ok) {
+            alert(`✅ ${result.provider} (${result.model}) answered in ${result.latency_ms} ms:\n\n${result.reply}`);
+        } else {
+            alert(`❌ Model test failed:\n\n${result.error}`);
+        }
+    } catch (error) {
+        console.error('Error testing LLM settings:', error);
+        alert('Error testing the language model. Please try again.');
+    } finally {
+        hideLoading();
+    }
+}
+
 async function changeAdminPassword() {
     const currentPassword = document.getElementById('currentPassword').value;
     const newPassword = document.getElementById('newPassword').value;
@@ -8465,7 +11418,7 @@ async function changeAdminPassword() {
     showLoading('Changing admin password...');
     
     try {
-        const response = await fetch('/api/admin/settings/change-password', {
+        const response = await adminFetch('/api/admin/settings/change-password', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -8498,7 +11451,7 @@ async function changeAdminPassword() {
 
 async function loadPlatformProtectionSettings() {
     try {
-        const response = await fetch('/api/admin/settings/platform-protection');
+        const response = await adminFetch('/api/admin/settings/platform-protection');
         if (response.ok) {
             const settings = await response.json();
             
@@ -8510,8 +11463,13 @@ async function loadPlatformProtectionSettings() {
                 enabledCheckbox.checked = settings.enabled;
             }
 
+            // The stored password is never sent back; leave the field blank to keep it
             if (passwordInput) {
-                passwordInput.value = settings.password || 'testtesttest';
+                passwordInput.value = '';
+                passwordInput.placeholder = settings.passwordSet
+                    ? 'Leave blank to keep the current password'
+                    : 'Enter platform access password';
+                passwordInput.dataset.passwordSet = settings.passwordSet ? 'true' : 'false';
             }
             if (passwordRow) {
                 passwordRow.classList.toggle('is-hidden', !settings.enabled);
@@ -8524,15 +11482,16 @@ async function loadPlatformProtectionSettings() {
 
 async function savePlatformProtection() {
     const enabled = document.getElementById('platformPasswordEnabled').checked;
-    let password = document.getElementById('platformPassword').value.trim();
+    const passwordInput = document.getElementById('platformPassword');
+    const password = passwordInput.value.trim();
+    const passwordSet = passwordInput.dataset.passwordSet === 'true';
     
-    // Use default password if none provided and protection is enabled
-    if (enabled && !password) {
-        password = 'testtesttest';
-        document.getElementById('platformPassword').value = password;
+    if (enabled && !password && !passwordSet) {
+        alert('Please enter a platform password before enabling protection.');
+        return;
     }
     
-    if (enabled && password.length < 6) {
+    if (password && password.length < 6) {
         alert('Platform password must be at least 6 characters long.');
         return;
     }
@@ -8540,18 +11499,23 @@ async function savePlatformProtection() {
     showLoading('Saving platform protection settings...');
     
     try {
-        const response = await fetch('/api/admin/settings/platform-protection', {
+        const response = await adminFetch('/api/admin/settings/platform-protection', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
                 enabled: enabled,
-                password: password || 'testtesttest'
+                password: password
             })
         });
         
         if (response.ok) {
+            if (password) {
+                passwordInput.value = '';
+                passwordInput.dataset.passwordSet = 'true';
+                passwordInput.placeholder = 'Leave blank to keep the current password';
+            }
             alert('Platform protection settings saved successfully!');
         } else {
             const error = await response.json();
@@ -8573,26 +11537,24 @@ async function loadSettingsData() {
         
         // Load platform protection settings
         loadPlatformProtectionSettings();
+
+        loadTranscriptionSettings();
+
+        loadLLMSettings();
         
         // Setup platform protection toggle
         const platformToggle = document.getElementById('platformPasswordEnabled');
         if (platformToggle) {
             platformToggle.addEventListener('change', function() {
                 const passwordRow = document.getElementById('platformPasswordRow');
-                const passwordInput = document.getElementById('platformPassword');
                 if (!passwordRow) return;
 
-                const shouldShow = this.checked;
-                passwordRow.classList.toggle('is-hidden', !shouldShow);
-
-                if (shouldShow && passwordInput && !passwordInput.value.trim()) {
-                    passwordInput.value = 'testtesttest';
-                }
+                passwordRow.classList.toggle('is-hidden', !this.checked);
             });
         }
         
         // Test current API status
-        const response = await fetch('/api/admin/settings/status');
+        const response = await adminFetch('/api/admin/settings/status');
         if (response.ok) {
             const status = await response.json();
             updateSystemHealthStatus(status);
@@ -8604,7 +11566,7 @@ async function loadSettingsData() {
 
 function updateConfigurationStatus() {
     // Check if API keys are configured
-    fetch('/api/admin/settings/status')
+    adminFetch('/api/admin/settings/status')
         .then(response => response.json())
         .then(status => {
             const deepgramStatus = document.getElementById('deepgramConfigStatus');
@@ -8986,8 +11948,12 @@ function resetLiveTranscriptionState({ silent = false, keepBuffers = false, skip
         window.liveAudioChunks = [];
         window.currentLiveWords = [];
         liveTranscriptionSegments = [];
+        pendingLiveChunks = [];
     }
 
+    liveResumeToken = null;
+    liveResumePending = false;
+
     currentLiveSpeaker = null;
     currentLiveBubble = null;
 
@@ -9194,6 +12160,8 @@ function createChatBubble(speaker, text, source, container) {
     
     // Update transcription display for our simplified interface
     updateLiveTranscriptionDisplay(text);
+
+    return bubble;
 }
 
 // Expose selected helpers for other scripts